@@ -9,6 +9,19 @@ const SOCKET_URL = window.location.hostname === 'localhost'
   ? 'http://localhost:3001'
   : `http://${window.location.hostname}:3001`;
 
+// Secret for this browser's lifetime profile, made up the first time it is needed.
+// The server ties it to the player name on first use, so results count towards that name from then on.
+function getProfileSecret() {
+  let secret = localStorage.getItem('monopoly_profileSecret');
+  if (!secret) {
+    const bytes = new Uint8Array(24);
+    window.crypto.getRandomValues(bytes);
+    secret = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem('monopoly_profileSecret', secret);
+  }
+  return secret;
+}
+
 function App() {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
@@ -22,6 +35,10 @@ function App() {
   const [eventToast, setEventToast] = useState(null);
   // eslint-disable-next-line no-unused-vars
   const [rejoining, setRejoining] = useState(false);
+  const [standIn, setStandIn] = useState(null); // Bot playing for us after we timed out too often
+  const [spectating, setSpectating] = useState(false); // Watching a game without a seat
+  const [chatMessages, setChatMessages] = useState([]);
+  const [tradeFeedback, setTradeFeedback] = useState(null); // Server's answer to our last trade action
   const [animatingPlayer, setAnimatingPlayer] = useState(null);
   const gameStateRef = useRef(null);
   const currentPlayerRef = useRef(null);
@@ -50,21 +67,25 @@ function App() {
     });
   }, []);
 
-  const saveSession = (gameId, player) => {
+  // The seat token is the only thing the server accepts to give us our seat back
+  const saveSession = (gameId, player, seatToken) => {
     localStorage.setItem('monopoly_gameId', gameId);
     localStorage.setItem('monopoly_playerId', player.id);
     localStorage.setItem('monopoly_playerName', player.name);
+    localStorage.setItem('monopoly_seatToken', seatToken);
   };
 
   const clearSession = () => {
     localStorage.removeItem('monopoly_gameId');
     localStorage.removeItem('monopoly_playerId');
+    localStorage.removeItem('monopoly_seatToken');
   };
 
   const getSavedSession = () => {
     const gameId = localStorage.getItem('monopoly_gameId');
     const playerId = localStorage.getItem('monopoly_playerId');
-    return gameId && playerId ? { gameId, playerId } : null;
+    const seatToken = localStorage.getItem('monopoly_seatToken');
+    return gameId && playerId && seatToken ? { gameId, playerId, seatToken } : null;
   };
 
   useEffect(() => {
@@ -90,7 +111,7 @@ function App() {
       if (session && !currentGame) {
         console.log('[CLIENT] Attempting to rejoin game:', session.gameId);
         setRejoining(true);
-        newSocket.emit('rejoinGame', { gameId: session.gameId, playerId: session.playerId, playerName: savedName });
+        newSocket.emit('rejoinGame', { gameId: session.gameId, playerName: savedName, seatToken: session.seatToken });
       } else {
         console.log('[CLIENT] Not rejoining:', session ? 'already in game' : 'no saved session');
       }
@@ -110,28 +131,34 @@ function App() {
       setGames(updatedGames);
     });
 
-    newSocket.on('gameCreated', ({ gameId, player, game }) => {
+    newSocket.on('gameCreated', ({ gameId, player, seatToken, game }) => {
       setCurrentGame(gameId);
       setCurrentPlayer(player);
       setGameState(game);
-      saveSession(gameId, player);
+      saveSession(gameId, player, seatToken);
+      setSpectating(false);
+      setChatMessages([]);
     });
 
-    newSocket.on('gameJoined', ({ gameId, player, game }) => {
+    newSocket.on('gameJoined', ({ gameId, player, seatToken, game }) => {
       setCurrentGame(gameId);
       setCurrentPlayer(player);
       setGameState(game);
-      saveSession(gameId, player);
+      saveSession(gameId, player, seatToken);
+      setSpectating(false);
+      setChatMessages([]);
     });
 
-    newSocket.on('gameRejoined', ({ game }) => {
+    newSocket.on('gameRejoined', ({ playerId, game }) => {
       const session = getSavedSession();
       if (session) {
         setCurrentGame(session.gameId);
-        const player = game.players.find(p => p.id === newSocket.id);
+        const player = game.players.find(p => p.id === playerId);
         setCurrentPlayer(player);
         setGameState(game);
+        newSocket.emit('getChatHistory', { gameId: session.gameId });
       }
+      setStandIn(null);
       setRejoining(false);
     });
 
@@ -156,6 +183,27 @@ function App() {
       setGameState(game);
     });
 
+    newSocket.on('spectating', ({ gameId, game }) => {
+      setCurrentGame(gameId);
+      setCurrentPlayer(null);
+      setGameState(game);
+      setSpectating(true);
+      setChatMessages([]);
+      newSocket.emit('getChatHistory', { gameId });
+    });
+
+    newSocket.on('chatMessage', ({ message }) => {
+      setChatMessages(prev => [...prev, message]);
+    });
+
+    newSocket.on('chatHistory', ({ messages }) => {
+      setChatMessages(messages);
+    });
+
+    newSocket.on('spectatorsUpdated', ({ game }) => {
+      setGameState(game);
+    });
+
     newSocket.on('gameStarted', ({ game }) => {
       setGameState(game);
       sounds.turnStart();
@@ -289,6 +337,13 @@ function App() {
           message: `${result.ownerName || 'Owner'} is in jail - no rent due`
         });
         setTimeout(() => setEventToast(null), 3000);
+      } else if (result.action === 'rentImmunity') {
+        setEventToast({
+          type: 'info',
+          title: 'Rent Immunity',
+          message: `No rent due to ${result.ownerName || 'the owner'}${result.landingsLeft > 0 ? ` - ${result.landingsLeft} landing${result.landingsLeft === 1 ? '' : 's'} left` : ''}`
+        });
+        setTimeout(() => setEventToast(null), 3000);
       } else if (result.action === 'paidTax') {
         sounds.payMoney();
         const payer = game.players[game.currentPlayerIndex];
@@ -437,7 +492,7 @@ function App() {
               // Check for passing GO
               if (newPos === 0) {
                 sounds.collectMoney();
-                setEventToast({ type: 'money', title: 'Passed GO!', message: 'Collected £200' });
+                setEventToast({ type: 'money', title: 'Passed GO!', message: `Collected £${game.rules?.passGoAmount ?? 200}` });
                 setTimeout(() => setEventToast(null), 3000);
               }
 
@@ -509,6 +564,15 @@ function App() {
     newSocket.on('auctionStarted', ({ auction, game }) => {
       updateGameStateSafely(game);
       sounds.auction();
+      if (auction?.source === 'bankruptcy') {
+        const remaining = auction.queueRemaining ? ` (${auction.queueRemaining} more to follow)` : '';
+        setEventToast({
+          type: 'auction',
+          title: 'Bank Auction',
+          message: `${auction.property?.name} from ${auction.fromPlayerName}'s bankruptcy is up for auction${remaining}`
+        });
+        setTimeout(() => setEventToast(null), 3000);
+      }
     });
 
     newSocket.on('auctionUpdate', ({ auction, game }) => {
@@ -516,6 +580,14 @@ function App() {
       if (auction?.highestBidder) sounds.bid();
     });
 
+    // Server-side auction clock, once a second while an auction is running
+    newSocket.on('auctionTick', ({ propertyIndex, timeRemainingMs, phase }) => {
+      setGameState(prev => {
+        if (!prev?.auction || prev.auction.propertyIndex !== propertyIndex) return prev;
+        return { ...prev, auction: { ...prev.auction, timeRemainingMs, phase } };
+      });
+    });
+
     newSocket.on('auctionEnded', ({ winner, property, amount }) => {
       const propertyName = property?.name || 'property';
       if (winner) {
@@ -558,6 +630,18 @@ function App() {
     newSocket.on('tradeProposed', ({ trade, game }) => {
       updateGameStateSafely(game);
       sounds.trade();
+      if (trade.from === currentPlayerRef.current?.id) {
+        setTradeFeedback({ status: 'sent', tradeId: trade.id });
+      }
+    });
+
+    newSocket.on('tradeError', ({ message, tradeId }) => {
+      setTradeFeedback({ status: 'error', message, tradeId });
+    });
+
+    // Someone signed up to a multi-party trade that is still waiting on others
+    newSocket.on('tradeAccepted', ({ game }) => {
+      updateGameStateSafely(game);
     });
 
     newSocket.on('tradeCompleted', ({ result, game }) => {
@@ -565,11 +649,27 @@ function App() {
       sounds.tradeAccept();
     });
 
+    newSocket.on('tradeCountered', ({ trade, game }) => {
+      updateGameStateSafely(game);
+      sounds.trade();
+      if (trade.from === currentPlayerRef.current?.id) {
+        setTradeFeedback({ status: 'sent', tradeId: trade.id });
+      }
+    });
+
     newSocket.on('tradeDeclined', ({ tradeId, game }) => {
       updateGameStateSafely(game);
       sounds.tradeDecline();
     });
 
+    newSocket.on('tradeCancelled', ({ game }) => {
+      updateGameStateSafely(game);
+    });
+
+    newSocket.on('tradesExpired', ({ game }) => {
+      updateGameStateSafely(game);
+    });
+
     newSocket.on('jailFinePaid', ({ result, game }) => {
       updateGameStateSafely(game);
       sounds.jailFree();
@@ -594,6 +694,48 @@ function App() {
     newSocket.on('playerBankrupt', ({ result, game }) => {
       updateGameStateSafely(game);
       sounds.bankrupt();
+      if (result?.creditor && result?.transfer) {
+        const { cash, properties, jailCards } = result.transfer;
+        setEventToast({
+          type: 'money',
+          title: `${result.player?.name} is Bankrupt`,
+          message: `${result.creditor.name} receives £${cash}, ${properties.length} properties${jailCards ? ` and ${jailCards} jail card(s)` : ''}`
+        });
+        setTimeout(() => setEventToast(null), 4000);
+      }
+    });
+
+    newSocket.on('mortgagedTransferResolved', ({ result, game }) => {
+      updateGameStateSafely(game);
+      if (result?.choices?.some(c => c.unmortgage)) sounds.unmortgage();
+    });
+
+    newSocket.on('turnTimerWarning', ({ playerId, remainingMs }) => {
+      if (playerId !== currentPlayerRef.current?.id) return;
+      setEventToast({
+        type: 'warning',
+        title: 'Hurry Up!',
+        message: `${Math.ceil(remainingMs / 1000)} seconds left on your turn`
+      });
+      setTimeout(() => setEventToast(null), 3000);
+    });
+
+    newSocket.on('turnAutoPlayed', ({ playerId, game }) => {
+      updateGameStateSafely(game);
+      if (playerId !== currentPlayerRef.current?.id) return;
+      setEventToast({
+        type: 'warning',
+        title: 'Out of Time',
+        message: 'Your turn was played automatically'
+      });
+      setTimeout(() => setEventToast(null), 3000);
+    });
+
+    newSocket.on('standInStarted', ({ playerId, playerName: awayName, difficulty, game }) => {
+      updateGameStateSafely(game);
+      if (playerId === currentPlayerRef.current?.id) {
+        setStandIn({ playerName: awayName, difficulty });
+      }
     });
 
     newSocket.on('gameOver', ({ winner, game }) => {
@@ -614,14 +756,17 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const createGame = useCallback((gameName, maxPlayers, isPrivate, auctionsEnabled, tokenId, colorId) => {
+  const createGame = useCallback((gameName, maxPlayers, isPrivate, auctionsEnabled, rules, seed, tokenId, colorId) => {
     if (!socket || !playerName.trim()) return;
     socket.emit('createGame', {
       playerName: playerName.trim(),
+      profileSecret: getProfileSecret(),
       gameName,
       maxPlayers,
       isPrivate,
       auctionsEnabled,
+      rules,
+      seed: seed || undefined,
       tokenId,
       colorId
     });
@@ -632,11 +777,23 @@ function App() {
     socket.emit('joinGame', {
       gameId,
       playerName: playerName.trim(),
+      profileSecret: getProfileSecret(),
       tokenId,
       colorId
     });
   }, [socket, playerName]);
 
+  const spectateGame = useCallback((gameId) => {
+    if (!socket) return;
+    socket.emit('spectateGame', { gameId });
+  }, [socket]);
+
+  // Message the table, or one player privately when toPlayerId is given
+  const sendChat = useCallback((text, toPlayerId = null) => {
+    if (!socket || !currentGame) return;
+    socket.emit('sendChat', { gameId: currentGame, text, toPlayerId });
+  }, [socket, currentGame]);
+
   const startGame = useCallback(() => {
     if (!socket || !currentGame) return;
     socket.emit('startGame', { gameId: currentGame });
@@ -644,12 +801,19 @@ function App() {
 
   const leaveGame = useCallback(() => {
     if (!socket || !currentGame) return;
-    socket.emit('leaveGame', { gameId: currentGame });
     setCurrentGame(null);
     setCurrentPlayer(null);
     setGameState(null);
+    setChatMessages([]);
+    if (spectating) {
+      // Spectators have no seat or session to give up
+      socket.emit('stopSpectating');
+      setSpectating(false);
+      return;
+    }
+    socket.emit('leaveGame', { gameId: currentGame });
     clearSession();
-  }, [socket, currentGame]);
+  }, [socket, currentGame, spectating]);
 
   const addBot = useCallback((difficulty = 'hard') => {
     if (!socket || !currentGame) return;
@@ -703,14 +867,36 @@ function App() {
 
   const proposeTrade = useCallback((targetPlayerId, offer, request) => {
     if (!socket || !currentGame) return;
+    setTradeFeedback(null);
     socket.emit('proposeTrade', { gameId: currentGame, targetPlayerId, offer, request });
   }, [socket, currentGame]);
 
+  // Trade between several players, each leg { from, to, money, properties, jailCards }
+  const proposeMultiTrade = useCallback((legs) => {
+    if (!socket || !currentGame) return;
+    setTradeFeedback(null);
+    socket.emit('proposeMultiTrade', { gameId: currentGame, legs });
+  }, [socket, currentGame]);
+
   const acceptTrade = useCallback((tradeId) => {
     if (!socket || !currentGame) return;
+    setTradeFeedback(null);
     socket.emit('acceptTrade', { gameId: currentGame, tradeId });
   }, [socket, currentGame]);
 
+  // Reply to a pending trade with amended terms
+  const counterTrade = useCallback((tradeId, offer, request) => {
+    if (!socket || !currentGame) return;
+    setTradeFeedback(null);
+    socket.emit('counterTrade', { gameId: currentGame, tradeId, offer, request });
+  }, [socket, currentGame]);
+
+  // Withdraw one of our own pending offers
+  const cancelTrade = useCallback((tradeId) => {
+    if (!socket || !currentGame) return;
+    socket.emit('cancelTrade', { gameId: currentGame, tradeId });
+  }, [socket, currentGame]);
+
   const declineTrade = useCallback((tradeId) => {
     if (!socket || !currentGame) return;
     socket.emit('declineTrade', { gameId: currentGame, tradeId });
@@ -736,6 +922,24 @@ function App() {
     socket.emit('declareBankruptcy', { gameId: currentGame });
   }, [socket, currentGame]);
 
+  const resolveMortgagedTransfer = useCallback((decisions) => {
+    if (!socket || !currentGame) return;
+    socket.emit('resolveMortgagedTransfer', { gameId: currentGame, decisions });
+  }, [socket, currentGame]);
+
+  // Host only: seat a bot for a disconnected player until they reconnect
+  const substituteBot = useCallback((playerId) => {
+    if (!socket || !currentGame) return;
+    socket.emit('substituteBot', { gameId: currentGame, playerId });
+  }, [socket, currentGame]);
+
+  // Take our seat back from the stand-in bot
+  const reclaimSeat = useCallback(() => {
+    const session = getSavedSession();
+    if (!socket || !currentGame || !standIn || !session) return;
+    socket.emit('rejoinGame', { gameId: currentGame, playerName: standIn.playerName, seatToken: session.seatToken });
+  }, [socket, currentGame, standIn]);
+
   const resetAllGames = useCallback(async () => {
     const response = await fetch(`${SOCKET_URL}/api/reset`, {
       method: 'POST',
@@ -763,6 +967,13 @@ function App() {
     <div className="app">
       {error && <div className="error-toast">{error}</div>}
 
+      {standIn && (
+        <div className="stand-in-banner">
+          <span>🤖 You were away, so a {standIn.difficulty} bot is playing for you</span>
+          <button className="btn btn-primary btn-small" onClick={reclaimSeat}>I'm Back</button>
+        </div>
+      )}
+
       {!currentGame ? (
         <Lobby
           playerName={playerName}
@@ -770,13 +981,18 @@ function App() {
           games={games}
           createGame={createGame}
           joinGame={joinGame}
+          spectateGame={spectateGame}
           onReset={resetAllGames}
           socket={socket}
+          apiUrl={SOCKET_URL}
         />
       ) : (
         <GameBoard
           gameState={gameState}
           currentPlayer={currentPlayer}
+          spectating={spectating}
+          chatMessages={chatMessages}
+          sendChat={spectating ? null : sendChat}
           socket={socket}
           startGame={startGame}
           leaveGame={leaveGame}
@@ -791,6 +1007,10 @@ function App() {
           mortgageProperty={mortgageProperty}
           unmortgageProperty={unmortgageProperty}
           proposeTrade={proposeTrade}
+          proposeMultiTrade={proposeMultiTrade}
+          counterTrade={counterTrade}
+          cancelTrade={cancelTrade}
+          tradeFeedback={tradeFeedback}
           acceptTrade={acceptTrade}
           declineTrade={declineTrade}
           payJailFine={payJailFine}
@@ -801,6 +1021,8 @@ function App() {
           useJailCard={useJailCard}
           endTurn={endTurn}
           declareBankruptcy={declareBankruptcy}
+          resolveMortgagedTransfer={resolveMortgagedTransfer}
+          substituteBot={substituteBot}
         />
       )}
     </div>
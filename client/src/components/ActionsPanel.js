@@ -1,7 +1,15 @@
 import React, { useEffect, useRef, useState } from 'react';
-import TradePanel from './TradePanel';
+import TradePanel, { tradeSideItems } from './TradePanel';
 import DiceDisplay from './DiceDisplay';
 
+// Auctioneer calls for each phase of the server-side auction clock
+const AUCTION_CALLS = {
+  open: 'Bidding open',
+  goingOnce: 'Going once...',
+  goingTwice: 'Going twice...',
+  sold: 'Sold!'
+};
+
 function ActionsPanel({
   gameState,
   myPlayer,
@@ -15,7 +23,12 @@ function ActionsPanel({
   useJailCard,
   endTurn,
   declareBankruptcy,
+  resolveMortgagedTransfer,
   proposeTrade,
+  proposeMultiTrade,
+  counterTrade,
+  cancelTrade,
+  tradeFeedback,
   acceptTrade,
   declineTrade,
   followMode,
@@ -24,13 +37,30 @@ function ActionsPanel({
 }) {
   const [bidAmount, setBidAmount] = useState('');
   const [showTrade, setShowTrade] = useState(false);
+  const [counteringTrade, setCounteringTrade] = useState(null); // Trade the trade form is answering, if any
   const [currentTradeIndex, setCurrentTradeIndex] = useState(0);
   const [rollPending, setRollPending] = useState(false);
   const [forceDiceAnimation, setForceDiceAnimation] = useState(false);
   const [autoEndTurn, setAutoEndTurn] = useState(() => localStorage.getItem('monopoly_autoEndTurn') === 'true');
   const [autoEndTimer, setAutoEndTimer] = useState(null);
+  const [transferChoices, setTransferChoices] = useState({});
+  const [turnSecondsLeft, setTurnSecondsLeft] = useState(null);
   const lastRollRef = useRef(gameState.lastDiceRoll);
 
+  // Count down the server's turn timer locally between state updates
+  useEffect(() => {
+    const remainingMs = gameState.turnTimeRemainingMs;
+    if (remainingMs === null || remainingMs === undefined) {
+      setTurnSecondsLeft(null);
+      return undefined;
+    }
+    const deadline = Date.now() + remainingMs;
+    const update = () => setTurnSecondsLeft(Math.max(0, Math.ceil((deadline - Date.now()) / 1000)));
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [gameState.turnTimeRemainingMs]);
+
   const currentPlayer = gameState.players[gameState.currentPlayerIndex];
   // Ensure we can't end turn while animating
   const canEndTurn = isMyTurn && gameState.diceRolled && !gameState.canRollAgain && !gameState.pendingAction && !gameState.auction && !animatingPlayer;
@@ -156,6 +186,11 @@ function ActionsPanel({
 
   // Determine what to show based on game state
   const hasPendingTrades = gameState.trades?.filter(t => t.to === myPlayer?.id).length > 0;
+  const myOffers = gameState.trades?.filter(t => t.from === myPlayer?.id) || [];
+  // Multi-party trades someone else proposed that include us
+  const groupTrades = gameState.trades?.filter(t =>
+    t.type === 'multi' && t.from !== myPlayer?.id && t.participants.includes(myPlayer?.id)
+  ) || [];
   // Show bankruptcy option when player has debt or negative money
   const hasDebt = myPlayer?.debt && myPlayer.debt.amount > 0;
   const hasNegativeMoney = myPlayer?.money < 0;
@@ -165,7 +200,20 @@ function ActionsPanel({
   const mustDeclareBankruptcy = showBankruptcy && !hasAssetsToSell;
   const showPropertyPurchase = gameState.pendingAction?.type === 'buyOrAuction' && isMyTurn;
   const showAuction = !!gameState.auction;
+  const isBankAuction = gameState.auction?.source === 'bankruptcy';
   const showJail = myPlayer?.inJail && isMyTurn && !gameState.diceRolled;
+  const jailFine = gameState.rules?.jailFine ?? 50;
+  const mortgagedTransfer = gameState.mortgagedTransfers?.find(t => t.playerId === myPlayer?.id) || gameState.mortgagedTransfers?.[0] || null;
+  const isMyTransfer = mortgagedTransfer && mortgagedTransfer.playerId === myPlayer?.id;
+  const transferTotal = mortgagedTransfer
+    ? mortgagedTransfer.properties.reduce((sum, p) =>
+      sum + (transferChoices[p.index] === 'unmortgage' ? p.unmortgageCost : p.interest), 0)
+    : 0;
+
+  const handleResolveTransfer = () => {
+    resolveMortgagedTransfer(transferChoices);
+    setTransferChoices({});
+  };
 
   return (
     <div className="actions-minimal">
@@ -180,6 +228,9 @@ function ActionsPanel({
             ) : (
               <span className="waiting-label">Playing...</span>
             )}
+            {turnSecondsLeft !== null && !gameState.auction && (
+              <span className={`turn-timer ${turnSecondsLeft <= 10 ? 'urgent' : ''}`}>⏱ {turnSecondsLeft}s</span>
+            )}
           </div>
         </div>
 
@@ -218,9 +269,9 @@ function ActionsPanel({
               <button
                 className="btn-action pay"
                 onClick={payJailFine}
-                disabled={!myPlayer || myPlayer.money < 50}
+                disabled={!myPlayer || myPlayer.money < jailFine}
               >
-                💰 Pay £50
+                💰 Pay £{jailFine}
               </button>
               {myPlayer?.getOutOfJailCards > 0 && (
                 <button className="btn-action card" onClick={useJailCard}>
@@ -258,12 +309,68 @@ function ActionsPanel({
         </div>
       )}
 
+      {/* Inherited mortgages from a bankrupt player */}
+      {mortgagedTransfer && (
+        <div className="action-section mortgaged-transfer">
+          <div className="section-header">🏦 Mortgaged Properties</div>
+          <div className="section-content">
+            {isMyTransfer ? (
+              <>
+                <p className="section-hint">
+                  From {mortgagedTransfer.fromPlayerName}: unmortgage now, or pay the interest and keep the mortgage.
+                </p>
+                {mortgagedTransfer.properties.map(prop => (
+                  <label key={prop.index} className="transfer-option">
+                    <input
+                      type="checkbox"
+                      checked={transferChoices[prop.index] === 'unmortgage'}
+                      onChange={(e) => setTransferChoices(prev => ({
+                        ...prev,
+                        [prop.index]: e.target.checked ? 'unmortgage' : 'keep'
+                      }))}
+                    />
+                    <span className="transfer-name">{prop.name}</span>
+                    <span className="transfer-cost">
+                      {transferChoices[prop.index] === 'unmortgage' ? `£${prop.unmortgageCost}` : `£${prop.interest} interest`}
+                    </span>
+                  </label>
+                ))}
+                <div className="property-balance">Total due: £{transferTotal.toLocaleString()}</div>
+                <button
+                  className="btn-action pay"
+                  onClick={handleResolveTransfer}
+                  disabled={transferTotal > (myPlayer?.money || 0) && Object.values(transferChoices).includes('unmortgage')}
+                >
+                  ✓ Confirm
+                </button>
+              </>
+            ) : (
+              <p className="section-hint">
+                Waiting for {gameState.players.find(p => p.id === mortgagedTransfer.playerId)?.name} to settle mortgages inherited from {mortgagedTransfer.fromPlayerName}...
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Auction */}
       {showAuction && (
         <div className="action-section auction">
-          <div className="section-header">🔨 Auction</div>
+          <div className="section-header">{isBankAuction ? '🏦 Bank Auction' : '🔨 Auction'}</div>
           <div className="section-content">
             <div className="auction-property">{gameState.auction?.property?.name}</div>
+            {isBankAuction && (
+              <div className="auction-source">
+                From {gameState.auction.fromPlayerName}'s bankruptcy
+                {gameState.auction.queueRemaining > 0 && ` · ${gameState.auction.queueRemaining} more to follow`}
+              </div>
+            )}
+            {gameState.auction?.phase && (
+              <div className={`auction-clock ${gameState.auction.phase}`}>
+                <span className="auction-call">{AUCTION_CALLS[gameState.auction.phase]}</span>
+                <span className="auction-seconds">{Math.ceil((gameState.auction.timeRemainingMs || 0) / 1000)}s</span>
+              </div>
+            )}
             <div className="auction-current">
               <span className="bid-label">Current Bid:</span>
               <span className="bid-value">£{gameState.auction?.currentBid || gameState.auction?.minimumBid || 10}</span>
@@ -274,7 +381,9 @@ function ActionsPanel({
               </div>
             )}
 
-            {!gameState.auction?.passedPlayers?.includes(myPlayer?.id) ? (
+            {!gameState.auction?.participants?.includes(myPlayer?.id) ? (
+              <div className="passed-message">Watching</div>
+            ) : !gameState.auction?.passedPlayers?.includes(myPlayer?.id) ? (
               <>
                 <div className="quick-bids">
                   {[10, 25, 50, 100].map(amt => (
@@ -318,7 +427,13 @@ function ActionsPanel({
               if (safeIndex >= pendingTrades.length - 1) setCurrentTradeIndex(0);
             };
 
+            const handleCounter = () => {
+              setCounteringTrade(trade);
+              setShowTrade(true);
+            };
+
             const trader = gameState.players.find(p => p.id === trade.from);
+            const round = (trade.history?.length || 0) + 1;
 
             return (
               <>
@@ -327,32 +442,37 @@ function ActionsPanel({
                   {pendingTrades.length > 1 && <span className="trade-count">{safeIndex + 1}/{pendingTrades.length}</span>}
                 </div>
                 <div className="section-content">
-                  <div className="trade-from">From: {trader?.token} {trader?.name}</div>
+                  <div className="trade-from">
+                    From: {trader?.token} {trader?.name}
+                    {round > 1 && <span className="trade-round">Counter-offer · round {round}</span>}
+                  </div>
                   <div className="trade-exchange">
                     <div className="trade-side offer">
                       <span className="trade-label">They give:</span>
-                      {trade.offer.money > 0 && <span className="trade-item money">£{trade.offer.money}</span>}
-                      {trade.offer.properties?.map(idx => (
-                        <span key={idx} className="trade-item property">{gameState.board[idx].name}</span>
+                      {tradeSideItems(trade.offer, gameState.board).map(item => (
+                        <span key={item.key} className={`trade-item ${item.type}`}>{item.label}</span>
                       ))}
-                      {!trade.offer.money && (!trade.offer.properties || trade.offer.properties.length === 0) && (
+                      {tradeSideItems(trade.offer, gameState.board).length === 0 && (
                         <span className="trade-item nothing">Nothing</span>
                       )}
                     </div>
                     <span className="trade-arrow">⇄</span>
                     <div className="trade-side request">
                       <span className="trade-label">You give:</span>
-                      {trade.request.money > 0 && <span className="trade-item money">£{trade.request.money}</span>}
-                      {trade.request.properties?.map(idx => (
-                        <span key={idx} className="trade-item property">{gameState.board[idx].name}</span>
+                      {tradeSideItems(trade.request, gameState.board).map(item => (
+                        <span key={item.key} className={`trade-item ${item.type}`}>{item.label}</span>
                       ))}
-                      {!trade.request.money && (!trade.request.properties || trade.request.properties.length === 0) && (
+                      {tradeSideItems(trade.request, gameState.board).length === 0 && (
                         <span className="trade-item nothing">Nothing</span>
                       )}
                     </div>
                   </div>
+                  {tradeFeedback?.status === 'error' && tradeFeedback.tradeId === trade.id && (
+                    <div className="trade-error">{tradeFeedback.message}</div>
+                  )}
                   <div className="action-buttons">
                     <button className="btn-action accept" onClick={handleAccept}>✓ Accept</button>
+                    <button className="btn-action counter" onClick={handleCounter}>↩ Counter</button>
                     <button className="btn-action decline" onClick={handleDecline}>✗ Decline</button>
                   </div>
                 </div>
@@ -362,6 +482,70 @@ function ActionsPanel({
         </div>
       )}
 
+      {/* Multi-party trades: nothing happens until every participant accepts */}
+      {groupTrades.length > 0 && (
+        <div className="action-section trade-offer">
+          <div className="section-header">👥 Group Trades</div>
+          <div className="section-content">
+            {groupTrades.map(trade => {
+              const nameOf = (id) => id === myPlayer?.id ? 'You' : gameState.players.find(p => p.id === id)?.name;
+              const waitingFor = trade.participants.filter(id => !trade.acceptedBy.includes(id));
+              const accepted = trade.acceptedBy.includes(myPlayer?.id);
+              return (
+                <div key={trade.id} className="multi-trade-offer">
+                  <div className="trade-from">Proposed by {nameOf(trade.from)}</div>
+                  {trade.legs.map((leg, index) => (
+                    <div key={index} className={`multi-trade-offer-leg ${leg.to === myPlayer?.id ? 'incoming' : leg.from === myPlayer?.id ? 'outgoing' : ''}`}>
+                      <span className="multi-trade-offer-parties">{nameOf(leg.from)} → {nameOf(leg.to)}:</span>
+                      {tradeSideItems(leg, gameState.board).map(item => (
+                        <span key={item.key} className={`trade-item ${item.type}`}>{item.label}</span>
+                      ))}
+                    </div>
+                  ))}
+                  <div className="multi-trade-waiting">Waiting for {waitingFor.map(nameOf).join(', ')}</div>
+                  {tradeFeedback?.status === 'error' && tradeFeedback.tradeId === trade.id && (
+                    <div className="trade-error">{tradeFeedback.message}</div>
+                  )}
+                  <div className="action-buttons">
+                    {!accepted && <button className="btn-action accept" onClick={() => acceptTrade(trade.id)}>✓ Accept</button>}
+                    <button className="btn-action decline" onClick={() => declineTrade(trade.id)}>✗ {accepted ? 'Back Out' : 'Decline'}</button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Offers we are waiting on - the proposer can withdraw them */}
+      {myOffers.length > 0 && (
+        <div className="action-section my-offers">
+          <div className="section-header">📤 Your Offers</div>
+          <div className="section-content">
+            {myOffers.map(trade => {
+              const recipient = gameState.players.find(p => p.id === trade.to);
+              const turnsLeft = trade.expiresTurn ? trade.expiresTurn - gameState.turnNumber : null;
+              const others = trade.type === 'multi'
+                ? trade.participants.filter(id => id !== myPlayer?.id).map(id => gameState.players.find(p => p.id === id)?.name)
+                : null;
+              return (
+                <div key={trade.id} className="my-offer">
+                  <span className="my-offer-to">
+                    {others
+                      ? `With ${others.join(', ')} (${trade.acceptedBy.length}/${trade.participants.length} accepted)`
+                      : `To ${recipient?.token} ${recipient?.name}`}
+                  </span>
+                  {turnsLeft !== null && (
+                    <span className="my-offer-expiry">expires in {turnsLeft} turn{turnsLeft === 1 ? '' : 's'}</span>
+                  )}
+                  <button className="btn-action decline" onClick={() => cancelTrade(trade.id)}>Withdraw</button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Bankruptcy Warning */}
       {showBankruptcy && (
         <div className={`action-section bankruptcy ${mustDeclareBankruptcy ? 'urgent' : ''}`}>
@@ -403,7 +587,10 @@ function ActionsPanel({
         </button>
         <button
           className={`btn-quick-action ${showTrade ? 'active' : ''}`}
-          onClick={() => setShowTrade(!showTrade)}
+          onClick={() => {
+            setCounteringTrade(null);
+            setShowTrade(!showTrade);
+          }}
         >
           🤝 Trade
         </button>
@@ -420,11 +607,19 @@ function ActionsPanel({
       {/* Trade Panel */}
       {showTrade && (
         <TradePanel
+          key={counteringTrade?.id || 'new'}
           myPlayer={myPlayer}
           players={gameState.players}
           board={gameState.board}
           proposeTrade={proposeTrade}
-          onClose={() => setShowTrade(false)}
+          proposeMultiTrade={proposeMultiTrade}
+          counterTo={counteringTrade}
+          counterTrade={counterTrade}
+          tradeFeedback={tradeFeedback}
+          onClose={() => {
+            setShowTrade(false);
+            setCounteringTrade(null);
+          }}
         />
       )}
     </div>
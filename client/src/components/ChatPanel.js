@@ -0,0 +1,86 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Mirrors CHAT_MAX_LENGTH in server/game.js
+const MAX_MESSAGE_LENGTH = 300;
+
+function ChatPanel({ messages, players, myPlayerId, sendChat }) {
+  const [text, setText] = useState('');
+  const [recipientId, setRecipientId] = useState('');
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const formatTime = (isoString) => {
+    const date = new Date(isoString);
+    return date.toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+  };
+
+  const getPlayerColor = (playerId) => players.find(p => p.id === playerId)?.color;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    sendChat(text.trim(), recipientId || null);
+    setText('');
+  };
+
+  // Spectators (no seat) can read the table chat but not post
+  const canSend = Boolean(myPlayerId && sendChat);
+  const others = players.filter(p => p.id !== myPlayerId && !p.bankrupt);
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-messages">
+        {messages.length === 0 && (
+          <p style={{ textAlign: 'center', color: 'rgba(255,255,255,0.5)', padding: 20 }}>
+            No messages yet.
+          </p>
+        )}
+        {messages.map((message) => (
+          <div key={message.id} className={`chat-message ${message.toId ? 'private' : ''}`}>
+            <span className="log-time">{formatTime(message.time)}</span>
+            <span className="chat-sender" style={{ color: getPlayerColor(message.fromId) }}>
+              {message.fromId === myPlayerId ? 'You' : message.fromName}
+            </span>
+            {message.toId && (
+              <span className="chat-private-tag">
+                → {message.toId === myPlayerId ? 'you' : message.toName} (private)
+              </span>
+            )}
+            <span className="chat-text">{message.text}</span>
+          </div>
+        ))}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {canSend && (
+        <form className="chat-input" onSubmit={handleSubmit}>
+          <select value={recipientId} onChange={(e) => setRecipientId(e.target.value)}>
+            <option value="">Everyone</option>
+            {others.map(p => (
+              <option key={p.id} value={p.id}>{p.token} {p.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder={recipientId ? 'Private message...' : 'Say something...'}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={MAX_MESSAGE_LENGTH}
+          />
+          <button type="submit" className="btn btn-primary btn-small" disabled={!text.trim()}>
+            Send
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ChatPanel;
@@ -4,6 +4,8 @@ import PlayerPanel from './PlayerPanel';
 import ActionsPanel from './ActionsPanel';
 import PropertiesPanel from './PropertiesPanel';
 import GameLog from './GameLog';
+import ChatPanel from './ChatPanel';
+import TradeHistory from './TradeHistory';
 // TradePanel is used in ActionsPanel
 
 // Property color mapping for popup header
@@ -33,6 +35,9 @@ function getPropertyColor(property) {
 function GameBoard({
   gameState,
   currentPlayer,
+  spectating,
+  chatMessages,
+  sendChat,
   startGame,
   leaveGame,
   addBot,
@@ -46,12 +51,18 @@ function GameBoard({
   mortgageProperty,
   unmortgageProperty,
   proposeTrade,
+  proposeMultiTrade,
+  counterTrade,
+  cancelTrade,
+  tradeFeedback,
   acceptTrade,
   declineTrade,
   payJailFine,
   useJailCard,
   endTurn,
   declareBankruptcy,
+  resolveMortgagedTransfer,
+  substituteBot,
   currentCard,
   dismissCard,
   eventToast,
@@ -66,6 +77,7 @@ function GameBoard({
   const [logTabVisible, setLogTabVisible] = useState(false);
   const [ownerDotScaleIndex, setOwnerDotScaleIndex] = useState(OWNER_DOT_SCALES.length - 1);
   const [showExitConfirm, setShowExitConfirm] = useState(false);
+  const [seenChatCount, setSeenChatCount] = useState(0);
 
   // Swipe gesture refs
   const touchStartX = useRef(null);
@@ -77,8 +89,9 @@ function GameBoard({
   const tapCount = useRef(0);
   const tapTimer = useRef(null);
 
-  // Tab order for swipe navigation (log excluded from normal navigation)
-  const visibleTabs = ['players', 'actions', 'properties'];
+  // Tab order for swipe navigation (log excluded from normal navigation).
+  // Spectators have nothing to act on, so they get the players and the log.
+  const visibleTabs = spectating ? ['players', 'trades', 'chat', 'log'] : ['players', 'actions', 'properties', 'trades', 'chat'];
   // eslint-disable-next-line no-unused-vars
   const allTabs = ['players', 'actions', 'properties', 'log'];
 
@@ -165,7 +178,7 @@ function GameBoard({
       if (isLeftSwipe || isRightSwipe) {
         // Use visibleTabs for navigation (excludes log)
         // If currently on log, switch to first visible tab
-        const currentTab = activeTab === 'log' ? visibleTabs[0] : activeTab;
+        const currentTab = activeTab === 'log' && !spectating ? visibleTabs[0] : activeTab;
         const currentIndex = visibleTabs.indexOf(currentTab);
         let newIndex;
 
@@ -210,6 +223,13 @@ function GameBoard({
     };
   }, []);
 
+  // Messages that arrived while the chat tab was closed
+  const chatCount = chatMessages?.length || 0;
+  React.useEffect(() => {
+    if (activeTab === 'chat') setSeenChatCount(chatCount);
+  }, [activeTab, chatCount]);
+  const unreadChat = Math.max(0, chatCount - seenChatCount);
+
   // Hide log tab when navigating to a different tab (for desktop tab clicks)
   React.useEffect(() => {
     if (activeTab !== 'log' && logTabVisible) {
@@ -357,6 +377,7 @@ function GameBoard({
                     <option value="easy" style={{ background: '#1a1a2e', color: 'white' }}>🟢 Easy</option>
                     <option value="medium" style={{ background: '#1a1a2e', color: 'white' }}>🟡 Medium</option>
                     <option value="hard" style={{ background: '#1a1a2e', color: 'white' }}>🔴 Hard</option>
+                    <option value="expert" style={{ background: '#1a1a2e', color: 'white' }}>🟣 Expert</option>
                   </select>
                   <button
                     className="btn btn-secondary"
@@ -369,7 +390,7 @@ function GameBoard({
               </>
             )}
             <button className="btn btn-danger" onClick={leaveGame}>
-              Leave Game
+              {spectating ? 'Stop Watching' : 'Leave Game'}
             </button>
           </div>
         </div>
@@ -498,10 +519,14 @@ function GameBoard({
         <div className="header-left">
           <button className="btn-leave" onClick={() => setShowExitConfirm(true)}>✕</button>
           <span className="game-title">{gameState.name}</span>
+          {spectating && <span className="spectator-badge">👁 Spectating</span>}
         </div>
 
         {/* Right: Players summary */}
         <div className="header-right">
+          {gameState.spectatorCount > 0 && (
+            <span className="spectator-count" title="Spectators watching this game">👁 {gameState.spectatorCount}</span>
+          )}
           <div className="players-inline">
             {gameState.players.map((player, idx) => (
               <div
@@ -562,24 +587,43 @@ function GameBoard({
               <span className="tab-icon">👥</span>
               <span className="tab-label">Players</span>
             </button>
+            {!spectating && (
+              <>
+                <button
+                  className={`sidebar-tab ${activeTab === 'actions' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('actions')}
+                >
+                  <span className="tab-icon">🎲</span>
+                  <span className="tab-label">Actions</span>
+                </button>
+                <button
+                  className={`sidebar-tab ${activeTab === 'properties' ? 'active' : ''}`}
+                  onClick={() => {
+                    setActiveTab('properties');
+                    handleTripleTap();
+                  }}
+                >
+                  <span className="tab-icon">🏠</span>
+                  <span className="tab-label">Properties</span>
+                </button>
+              </>
+            )}
             <button
-              className={`sidebar-tab ${activeTab === 'actions' ? 'active' : ''}`}
-              onClick={() => setActiveTab('actions')}
+              className={`sidebar-tab ${activeTab === 'trades' ? 'active' : ''}`}
+              onClick={() => setActiveTab('trades')}
             >
-              <span className="tab-icon">🎲</span>
-              <span className="tab-label">Actions</span>
+              <span className="tab-icon">🤝</span>
+              <span className="tab-label">Trades</span>
             </button>
             <button
-              className={`sidebar-tab ${activeTab === 'properties' ? 'active' : ''}`}
-              onClick={() => {
-                setActiveTab('properties');
-                handleTripleTap();
-              }}
+              className={`sidebar-tab ${activeTab === 'chat' ? 'active' : ''}`}
+              onClick={() => setActiveTab('chat')}
             >
-              <span className="tab-icon">🏠</span>
-              <span className="tab-label">Properties</span>
+              <span className="tab-icon">💬</span>
+              <span className="tab-label">Chat</span>
+              {unreadChat > 0 && <span className="tab-badge">{unreadChat}</span>}
             </button>
-            {logTabVisible && (
+            {(logTabVisible || spectating) && (
               <button
                 className={`sidebar-tab ${activeTab === 'log' ? 'active' : ''}`}
                 onClick={() => setActiveTab('log')}
@@ -623,6 +667,7 @@ function GameBoard({
                 canIncreaseOwnerDotScale={canIncreaseOwnerDotScale}
                 onDecreaseOwnerDotScale={decreaseOwnerDotScale}
                 onIncreaseOwnerDotScale={increaseOwnerDotScale}
+                onSubstituteBot={myPlayer?.isHost ? substituteBot : null}
               />
             )}
             {activeTab === 'actions' && (
@@ -639,7 +684,12 @@ function GameBoard({
                 useJailCard={useJailCard}
                 endTurn={endTurn}
                 declareBankruptcy={declareBankruptcy}
+                resolveMortgagedTransfer={resolveMortgagedTransfer}
                 proposeTrade={proposeTrade}
+                proposeMultiTrade={proposeMultiTrade}
+                counterTrade={counterTrade}
+                cancelTrade={cancelTrade}
+                tradeFeedback={tradeFeedback}
                 acceptTrade={acceptTrade}
                 declineTrade={declineTrade}
                 followMode={followMode}
@@ -657,9 +707,26 @@ function GameBoard({
                 mortgageProperty={mortgageProperty}
                 unmortgageProperty={unmortgageProperty}
                 isMyTurn={isMyTurn}
+                rules={gameState.rules}
+              />
+            )}
+            {activeTab === 'trades' && (
+              <TradeHistory
+                trades={gameState.tradeHistory || []}
+                players={gameState.players}
+                board={gameState.board}
+                myPlayerId={myPlayer?.id}
+              />
+            )}
+            {activeTab === 'chat' && (
+              <ChatPanel
+                messages={chatMessages || []}
+                players={gameState.players}
+                myPlayerId={myPlayer?.id}
+                sendChat={sendChat}
               />
             )}
-            {activeTab === 'log' && logTabVisible && (
+            {activeTab === 'log' && (logTabVisible || spectating) && (
               <GameLog log={gameState.gameLog} />
             )}
           </div>
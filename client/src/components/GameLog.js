@@ -1,7 +1,41 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+
+// Label for a rationale value: camelCase key to words
+const formatLabel = (key) => key.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+// What a bot weighed up before acting, shown under its log line
+function Rationale({ rationale }) {
+  const values = Object.entries(rationale.values || {});
+  const flags = Object.entries(rationale.flags || {}).filter(([, value]) => value);
+  const hasThreshold = rationale.threshold !== null && rationale.threshold !== undefined;
+
+  return (
+    <div className="log-rationale">
+      <div>{rationale.summary}</div>
+      {(values.length > 0 || hasThreshold) && (
+        <div className="log-rationale-values">
+          {values.map(([key, value]) => (
+            <span key={key}>{formatLabel(key)}: {value}</span>
+          ))}
+          {hasThreshold && <span>threshold: {rationale.threshold}</span>}
+        </div>
+      )}
+      {flags.length > 0 && (
+        <div className="log-rationale-flags">
+          {flags.map(([key, value]) => (
+            <span key={key} className="log-rationale-flag">
+              {formatLabel(key)}{typeof value === 'string' ? ` (${value})` : ''}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
 function GameLog({ log }) {
   const logEndRef = useRef(null);
+  const [openRationale, setOpenRationale] = useState(null);
 
   useEffect(() => {
     logEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -28,12 +62,26 @@ function GameLog({ log }) {
 
   return (
     <div className="game-log">
-      {log.map((entry, index) => (
-        <div key={index} className="log-entry">
-          <span className="log-time">{formatTime(entry.time)}</span>
-          <span>{entry.message}</span>
-        </div>
-      ))}
+      {log.map((entry, index) => {
+        const entryKey = `${entry.time}:${entry.message}`;
+        const isOpen = openRationale === entryKey;
+        return (
+          <div key={index} className="log-entry">
+            <span className="log-time">{formatTime(entry.time)}</span>
+            <span>{entry.message}</span>
+            {entry.rationale && (
+              <button
+                className="log-why"
+                title={entry.rationale.summary}
+                onClick={() => setOpenRationale(isOpen ? null : entryKey)}
+              >
+                why?
+              </button>
+            )}
+            {isOpen && entry.rationale && <Rationale rationale={entry.rationale} />}
+          </div>
+        );
+      })}
       <div ref={logEndRef} />
     </div>
   );
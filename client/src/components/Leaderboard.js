@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+
+const SORTS = [
+  { id: 'wins', label: 'Wins' },
+  { id: 'winRate', label: 'Win %' },
+  { id: 'averagePlace', label: 'Avg place' },
+  { id: 'rentEarned', label: 'Rent' }
+];
+
+// Lifetime standings from /api/leaderboard, loaded when the section is opened.
+// Bot difficulties are listed alongside players so you can see how you fare against them.
+function Leaderboard({ apiUrl, playerName }) {
+  const [open, setOpen] = useState(false);
+  const [sort, setSort] = useState('wins');
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = (sortBy) => {
+    setError('');
+    setEntries(null);
+    fetch(`${apiUrl}/api/leaderboard?sort=${sortBy}`)
+      .then(res => res.json())
+      .then(data => setEntries(data))
+      .catch(() => setError('Could not load the leaderboard'));
+  };
+
+  const toggle = () => {
+    if (!open) load(sort);
+    setOpen(!open);
+  };
+
+  const changeSort = (sortBy) => {
+    setSort(sortBy);
+    load(sortBy);
+  };
+
+  const me = playerName.trim().toLowerCase();
+
+  return (
+    <div className="lobby-available-games past-games leaderboard">
+      <button className="available-games-header past-games-toggle" onClick={toggle}>
+        <span>🏅 Leaderboard</span>
+        <span className="past-games-chevron">{open ? '▾' : '▸'}</span>
+      </button>
+
+      {open && (
+        <div className="leaderboard-sorts">
+          {SORTS.map(option => (
+            <button
+              key={option.id}
+              className={`leaderboard-sort ${sort === option.id ? 'active' : ''}`}
+              onClick={() => changeSort(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && error && <div className="past-games-empty">{error}</div>}
+
+      {open && !error && (
+        <div className="leaderboard-list">
+          {entries === null && <div className="past-games-empty">Loading...</div>}
+          {entries?.length === 0 && <div className="past-games-empty">No finished games yet.</div>}
+          {entries?.map((entry, index) => (
+            <div
+              key={entry.id}
+              className={`leaderboard-entry ${!entry.isBot && entry.name.toLowerCase() === me ? 'me' : ''}`}
+              title={entry.favouriteProperties.length > 0
+                ? `Favourite properties: ${entry.favouriteProperties.map(p => p.name).join(', ')}`
+                : undefined}
+            >
+              <span className="past-game-place">{index + 1}.</span>
+              <span className="past-game-player">
+                {entry.isBot ? `🤖 ${entry.difficulty} bot` : entry.name}
+              </span>
+              <span className="past-game-worth">
+                {entry.wins}/{entry.gamesPlayed} won • {Math.round(entry.winRate * 100)}%
+                {' • '}avg {entry.averagePlace.toFixed(1)}
+                {' • '}£{entry.rentEarned} rent
+                {entry.bankruptcies > 0 && ` • ${entry.bankruptcies} bust`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Leaderboard;
@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react';
+import PastGames from './PastGames';
+import Leaderboard from './Leaderboard';
 
 // Default character options (will be updated from server)
 const DEFAULT_TOKENS = [
@@ -23,11 +25,65 @@ const DEFAULT_COLORS = [
   { id: 'pink', hex: '#ff6b9d', name: 'Pink' }
 ];
 
-function Lobby({ playerName, setPlayerName, games, createGame, joinGame, onReset, socket }) {
+// Default house rules (mirrors server/houseRules.js)
+const DEFAULT_RULES = {
+  startingMoney: 1500,
+  passGoAmount: 200,
+  freeParkingPot: true,
+  noRentInJail: true,
+  jailFine: 50,
+  unmortgageInterest: 0.1,
+  totalHouses: 32,
+  totalHotels: 12,
+  turnTimeLimit: 0,
+  afkTakeoverStrikes: 0,
+  afkBotDifficulty: 'medium',
+  disconnectTakeoverSeconds: 0,
+  hideTradesFromSpectators: false,
+  tradeExpiryTurns: 0,
+  tradeExpirySeconds: 0
+};
+
+const NUMERIC_RULE_FIELDS = [
+  { key: 'startingMoney', label: 'Starting Money (£)', step: 50 },
+  { key: 'passGoAmount', label: 'Passing GO (£)', step: 50 },
+  { key: 'jailFine', label: 'Jail Fine (£)', step: 10 },
+  { key: 'unmortgageInterest', label: 'Unmortgage Interest (%)', step: 5, percent: true },
+  { key: 'totalHouses', label: 'Houses in Bank', step: 1 },
+  { key: 'totalHotels', label: 'Hotels in Bank', step: 1 },
+  { key: 'turnTimeLimit', label: 'Turn Time Limit (s, 0 = off)', step: 15 },
+  { key: 'afkTakeoverStrikes', label: 'Missed Turns Before Bot Takes Over (0 = never)', step: 1 },
+  { key: 'disconnectTakeoverSeconds', label: 'Bot Takes Over Disconnected Players After (s, 0 = host decides)', step: 30 },
+  { key: 'tradeExpiryTurns', label: 'Trade Offers Expire After (turns, 0 = never)', step: 1 },
+  { key: 'tradeExpirySeconds', label: 'Trade Offers Expire After (s, 0 = never)', step: 30 }
+];
+
+// Short descriptions of any rules that differ from the defaults, for the games list
+function describeHouseRules(rules) {
+  if (!rules) return [];
+  const notes = [];
+  if (rules.startingMoney !== DEFAULT_RULES.startingMoney) notes.push(`£${rules.startingMoney} start`);
+  if (rules.passGoAmount !== DEFAULT_RULES.passGoAmount) notes.push(`£${rules.passGoAmount} GO`);
+  if (rules.freeParkingPot === false) notes.push('No Free Parking pot');
+  if (rules.noRentInJail === false) notes.push('Rent from jail');
+  if (rules.jailFine !== DEFAULT_RULES.jailFine) notes.push(`£${rules.jailFine} jail fine`);
+  if (rules.unmortgageInterest !== DEFAULT_RULES.unmortgageInterest) notes.push(`${Math.round(rules.unmortgageInterest * 100)}% interest`);
+  if (rules.totalHouses !== DEFAULT_RULES.totalHouses || rules.totalHotels !== DEFAULT_RULES.totalHotels) {
+    notes.push(`${rules.totalHouses} houses / ${rules.totalHotels} hotels`);
+  }
+  if (rules.turnTimeLimit > 0) notes.push(`${rules.turnTimeLimit}s turns`);
+  if (rules.tradeExpiryTurns > 0 || rules.tradeExpirySeconds > 0) notes.push('Trade offers expire');
+  return notes;
+}
+
+function Lobby({ playerName, setPlayerName, games, createGame, joinGame, spectateGame, onReset, socket, apiUrl }) {
   const [gameName, setGameName] = useState('');
   const [maxPlayers, setMaxPlayers] = useState(4);
   const [isPrivate, setIsPrivate] = useState(false);
   const [auctionsEnabled, setAuctionsEnabled] = useState(false);
+  const [houseRules, setHouseRules] = useState(DEFAULT_RULES);
+  const [showHouseRules, setShowHouseRules] = useState(false);
+  const [seed, setSeed] = useState('');
   const [resetting, setResetting] = useState(false);
   const [showCreateModal, setShowCreateModal] = useState(false);
   
@@ -77,10 +133,18 @@ function Lobby({ playerName, setPlayerName, games, createGame, joinGame, onReset
   };
 
   const handleConfirmCreate = () => {
-    createGame(gameName, maxPlayers, isPrivate, auctionsEnabled, selectedToken, selectedColor);
+    createGame(gameName, maxPlayers, isPrivate, auctionsEnabled, houseRules, seed.trim(), selectedToken, selectedColor);
     setShowCreateModal(false);
   };
 
+  const updateHouseRule = (key, value) => {
+    setHouseRules(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Games still in the lobby can be joined; games in progress can only be watched
+  const openGames = games.filter(game => !game.started);
+  const liveGames = games.filter(game => game.started && !game.finished);
+
   const handleJoinGame = (gameId) => {
     if (!playerName.trim()) {
       alert('Please enter your name first');
@@ -156,20 +220,26 @@ function Lobby({ playerName, setPlayerName, games, createGame, joinGame, onReset
         </div>
 
         {/* Available Games - Show prominently if any exist */}
-        {games.length > 0 && (
+        {openGames.length > 0 && (
           <div className="lobby-available-games">
             <div className="available-games-header">
               <span className="pulse-dot"></span>
               <span>Games Available to Join</span>
             </div>
             <div className="available-games-list">
-              {games.map((game) => (
+              {openGames.map((game) => (
                 <div key={game.id} className="available-game-card">
                   <div className="available-game-info">
                     <span className="available-game-name">{game.name}</span>
                     <span className="available-game-meta">
                       👑 {game.host} • 👥 {game.players}/{game.maxPlayers}
+                      {game.auctionsEnabled && ' • 🔨'}
                     </span>
+                    {describeHouseRules(game.rules).length > 0 && (
+                      <span className="available-game-rules">
+                        📜 {describeHouseRules(game.rules).join(' • ')}
+                      </span>
+                    )}
                   </div>
                   <button
                     className="btn btn-success"
@@ -184,6 +254,34 @@ function Lobby({ playerName, setPlayerName, games, createGame, joinGame, onReset
           </div>
         )}
 
+        {/* Games in progress - anyone can watch */}
+        {liveGames.length > 0 && (
+          <div className="lobby-available-games">
+            <div className="available-games-header">
+              <span>👁 Games in Progress</span>
+            </div>
+            <div className="available-games-list">
+              {liveGames.map((game) => (
+                <div key={game.id} className="available-game-card">
+                  <div className="available-game-info">
+                    <span className="available-game-name">{game.name}</span>
+                    <span className="available-game-meta">
+                      👥 {game.players} playing
+                      {game.spectators > 0 && ` • 👁 ${game.spectators} watching`}
+                    </span>
+                  </div>
+                  <button className="btn btn-secondary" onClick={() => spectateGame(game.id)}>
+                    Watch
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <PastGames apiUrl={apiUrl} />
+        <Leaderboard apiUrl={apiUrl} playerName={playerName} />
+
         {/* Divider when games exist */}
         {games.length > 0 && (
           <div className="lobby-divider">
@@ -262,6 +360,105 @@ function Lobby({ playerName, setPlayerName, games, createGame, joinGame, onReset
                     🔨 Enable Auctions
                   </label>
                 </div>
+
+                <div className="setting-row">
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-small"
+                    onClick={() => setShowHouseRules(!showHouseRules)}
+                  >
+                    📜 House Rules {showHouseRules ? '▲' : '▼'}
+                  </button>
+                </div>
+
+                {showHouseRules && (
+                  <>
+                    {NUMERIC_RULE_FIELDS.map(field => (
+                      <div key={field.key} className="setting-row">
+                        <label>{field.label}</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step={field.step}
+                          value={field.percent ? Math.round(houseRules[field.key] * 100) : houseRules[field.key]}
+                          onChange={(e) => {
+                            const num = parseFloat(e.target.value);
+                            if (isNaN(num) || num < 0) return;
+                            updateHouseRule(field.key, field.percent ? num / 100 : num);
+                          }}
+                        />
+                      </div>
+                    ))}
+
+                    <div className="setting-row toggle-row">
+                      <label className="toggle-label-minimal">
+                        <input
+                          type="checkbox"
+                          checked={houseRules.freeParkingPot}
+                          onChange={(e) => updateHouseRule('freeParkingPot', e.target.checked)}
+                        />
+                        <span className="toggle-track"></span>
+                        🅿️ Taxes &amp; fines go to Free Parking
+                      </label>
+                    </div>
+
+                    <div className="setting-row toggle-row">
+                      <label className="toggle-label-minimal">
+                        <input
+                          type="checkbox"
+                          checked={houseRules.noRentInJail}
+                          onChange={(e) => updateHouseRule('noRentInJail', e.target.checked)}
+                        />
+                        <span className="toggle-track"></span>
+                        🔒 No rent collected while in jail
+                      </label>
+                    </div>
+
+                    <div className="setting-row toggle-row">
+                      <label className="toggle-label-minimal">
+                        <input
+                          type="checkbox"
+                          checked={houseRules.hideTradesFromSpectators}
+                          onChange={(e) => updateHouseRule('hideTradesFromSpectators', e.target.checked)}
+                        />
+                        <span className="toggle-track"></span>
+                        👁 Hide trade terms from spectators
+                      </label>
+                    </div>
+
+                    <div className="setting-row">
+                      <label>🤖 Stand-in Bot Difficulty</label>
+                      <select
+                        value={houseRules.afkBotDifficulty}
+                        onChange={(e) => updateHouseRule('afkBotDifficulty', e.target.value)}
+                      >
+                        <option value="easy">Easy</option>
+                        <option value="medium">Medium</option>
+                        <option value="hard">Hard</option>
+                        <option value="expert">Expert</option>
+                      </select>
+                    </div>
+
+                    <div className="setting-row">
+                      <label>🎲 Random Seed (optional)</label>
+                      <input
+                        type="text"
+                        placeholder="Leave blank for a random game"
+                        value={seed}
+                        onChange={(e) => setSeed(e.target.value)}
+                        maxLength={64}
+                      />
+                    </div>
+
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-small"
+                      onClick={() => setHouseRules(DEFAULT_RULES)}
+                    >
+                      Reset to Standard Rules
+                    </button>
+                  </>
+                )}
               </div>
 
               <div className="modal-footer">
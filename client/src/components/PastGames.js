@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+
+function formatDuration(ms) {
+  const minutes = Math.round((ms || 0) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function ordinal(place) {
+  return ['1st', '2nd', '3rd'][place - 1] || `${place}th`;
+}
+
+// Match history from /api/history, loaded when the section is opened
+function PastGames({ apiUrl }) {
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [selected, setSelected] = useState(null); // Full record of the game being looked at
+  const [error, setError] = useState('');
+
+  const loadHistory = () => {
+    setError('');
+    fetch(`${apiUrl}/api/history`)
+      .then(res => res.json())
+      .then(data => setHistory(data))
+      .catch(() => setError('Could not load past games'));
+  };
+
+  const toggle = () => {
+    if (!open) loadHistory();
+    setOpen(!open);
+    setSelected(null);
+  };
+
+  const showGame = (gameId) => {
+    fetch(`${apiUrl}/api/history/${gameId}`)
+      .then(res => res.json())
+      .then(data => setSelected(data))
+      .catch(() => setError('Could not load that game'));
+  };
+
+  return (
+    <div className="lobby-available-games past-games">
+      <button className="available-games-header past-games-toggle" onClick={toggle}>
+        <span>📜 Past Games</span>
+        <span className="past-games-chevron">{open ? '▾' : '▸'}</span>
+      </button>
+
+      {open && error && <div className="past-games-empty">{error}</div>}
+
+      {open && !error && selected && (
+        <div className="past-game-detail">
+          <button className="btn btn-secondary past-game-back" onClick={() => setSelected(null)}>← Back</button>
+          <div className="available-game-name">{selected.name}</div>
+          <div className="available-game-meta">
+            {new Date(selected.finishedAt).toLocaleString()} • {selected.turnCount} turns • {formatDuration(selected.durationMs)}
+          </div>
+          <div className="past-game-standings">
+            {selected.standings.map(entry => (
+              <div key={entry.playerId} className={`past-game-standing ${entry.place === 1 ? 'winner' : ''}`}>
+                <span className="past-game-place">{ordinal(entry.place)}</span>
+                <span className="past-game-player">
+                  {entry.token} {entry.name}{entry.isBot && ' 🤖'}
+                </span>
+                <span className="past-game-worth">
+                  £{entry.netWorth}
+                  {entry.bankruptTurn !== null && ` • out on turn ${entry.bankruptTurn}`}
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="past-game-log">
+            {selected.log.map((entry, index) => (
+              <div key={index} className="past-game-log-entry">{entry.message}</div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {open && !error && !selected && (
+        <div className="available-games-list">
+          {history === null && <div className="past-games-empty">Loading...</div>}
+          {history?.length === 0 && <div className="past-games-empty">No finished games yet.</div>}
+          {history?.map(game => (
+            <div key={game.id} className="available-game-card">
+              <div className="available-game-info">
+                <span className="available-game-name">{game.name}</span>
+                <span className="available-game-meta">
+                  🏆 {game.winner?.name || 'No winner'} • {game.standings.length} players • {game.turnCount} turns • {formatDuration(game.durationMs)}
+                </span>
+              </div>
+              <button className="btn btn-secondary" onClick={() => showGame(game.id)}>
+                View
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PastGames;
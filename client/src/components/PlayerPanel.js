@@ -22,7 +22,8 @@ function PlayerPanel({
   canDecreaseOwnerDotScale,
   canIncreaseOwnerDotScale,
   onDecreaseOwnerDotScale,
-  onIncreaseOwnerDotScale
+  onIncreaseOwnerDotScale,
+  onSubstituteBot
 }) {
   const getPropertyColor = (prop) => {
     if (prop.type === 'railroad') return COLOR_MAP.railroad;
@@ -81,7 +82,17 @@ function PlayerPanel({
               <div className="player-money">£{getDisplayMoney(player).toLocaleString()}</div>
             </div>
             {player.inJail && <span className="player-status in-jail">In Jail</span>}
-            {player.disconnected && <span className="player-status disconnected">Offline</span>}
+            {player.standIn && <span className="player-status stand-in" title={`A ${player.standIn} bot is playing until they return`}>🤖 Bot</span>}
+            {player.disconnected && !player.standIn && <span className="player-status disconnected">Offline</span>}
+            {onSubstituteBot && player.disconnected && !player.isBot && !player.standIn && !player.bankrupt && (
+              <button
+                className="btn btn-secondary btn-small substitute-bot"
+                onClick={() => onSubstituteBot(player.id)}
+                title="Let a bot play this seat until they reconnect"
+              >
+                🤖 Sub In
+              </button>
+            )}
             {player.bankrupt && <span className="player-status">Bankrupt</span>}
             {index === currentPlayerIndex && !player.bankrupt && (
               <span className="player-status" style={{ background: '#4ecdc4' }}>Turn</span>
@@ -20,8 +20,12 @@ function PropertiesPanel({
   sellHouse,
   mortgageProperty,
   unmortgageProperty,
-  isMyTurn
+  isMyTurn,
+  rules
 }) {
+  const unmortgageInterest = rules?.unmortgageInterest ?? 0.1;
+  const getUnmortgageCost = (property) => Math.floor(property.mortgage * (1 + unmortgageInterest));
+
   if (!myPlayer || myPlayer.properties.length === 0) {
     return (
       <div className="properties-panel">
@@ -173,8 +177,8 @@ function PropertiesPanel({
                   <button
                     className="btn btn-secondary btn-small"
                     onClick={() => unmortgageProperty(property.index)}
-                    disabled={myPlayer.money < Math.floor(property.mortgage * 1.1)}
-                    title={`Unmortgage ($${Math.floor(property.mortgage * 1.1)})`}
+                    disabled={myPlayer.money < getUnmortgageCost(property)}
+                    title={`Unmortgage ($${getUnmortgageCost(property)})`}
                   >
                     U
                   </button>
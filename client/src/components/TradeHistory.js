@@ -0,0 +1,67 @@
+import React from 'react';
+import { tradeSideItems } from './TradePanel';
+
+const STATUS_LABELS = {
+  accepted: 'Accepted',
+  declined: 'Declined',
+  cancelled: 'Withdrawn',
+  expired: 'Expired',
+  invalidated: 'Void'
+};
+
+function TradeHistory({ trades, players, board, myPlayerId }) {
+  const nameOf = (playerId) => {
+    if (playerId === myPlayerId) return 'You';
+    return players.find(p => p.id === playerId)?.name || 'Unknown';
+  };
+
+  const describeSide = (side) => {
+    const items = tradeSideItems(side || {}, board);
+    return items.length > 0 ? items.map(item => item.label).join(', ') : 'nothing';
+  };
+
+  if (!trades || trades.length === 0) {
+    return (
+      <div className="trade-history">
+        <p style={{ textAlign: 'center', color: 'rgba(255,255,255,0.5)', padding: 20 }}>
+          No trades yet.
+        </p>
+      </div>
+    );
+  }
+
+  // Newest first
+  return (
+    <div className="trade-history">
+      {[...trades].reverse().map(trade => (
+        <div key={trade.id} className={`trade-history-entry ${trade.status}`}>
+          <div className="trade-history-header">
+            <span>
+              {trade.type === 'multi'
+                ? trade.participants.map(nameOf).join(', ')
+                : `${nameOf(trade.from)} → ${nameOf(trade.to)}`}
+            </span>
+            <span className={`trade-status ${trade.status}`}>{STATUS_LABELS[trade.status] || trade.status}</span>
+          </div>
+          {trade.termsHidden ? (
+            <div className="trade-history-terms">Terms hidden</div>
+          ) : trade.type === 'multi' ? (
+            <div className="trade-history-terms">
+              {trade.legs.map((leg, index) => (
+                <div key={index}>{nameOf(leg.from)} gave {nameOf(leg.to)} {describeSide(leg)}</div>
+              ))}
+            </div>
+          ) : (
+            <div className="trade-history-terms">
+              {nameOf(trade.from)} offered {describeSide(trade.offer)} for {describeSide(trade.request)}
+              {trade.history?.length > 0 && <span className="trade-round">after {trade.history.length} counter-offer{trade.history.length === 1 ? '' : 's'}</span>}
+            </div>
+          )}
+          {trade.closedReason && <div className="trade-history-reason">{trade.closedReason}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TradeHistory;
@@ -1,11 +1,271 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 
-function TradePanel({ myPlayer, players, board, proposeTrade, onClose }) {
-  const [targetPlayer, setTargetPlayer] = useState('');
-  const [offerMoney, setOfferMoney] = useState('');
-  const [requestMoney, setRequestMoney] = useState('');
-  const [offerProperties, setOfferProperties] = useState([]);
-  const [requestProperties, setRequestProperties] = useState([]);
+// Everything one side of a trade hands over, as display items
+export function tradeSideItems(side, board) {
+  const items = [];
+  if (side.money > 0) items.push({ key: 'money', type: 'money', label: `£${side.money}` });
+  (side.properties || []).forEach(idx => items.push({ key: `prop-${idx}`, type: 'property', label: board[idx]?.name }));
+  if (side.jailCards > 0) {
+    items.push({ key: 'jail', type: 'jail-card', label: `${side.jailCards} Get Out of Jail Free card${side.jailCards === 1 ? '' : 's'}` });
+  }
+  (side.immunities || []).forEach(({ propertyIndex, landings }) => items.push({
+    key: `immunity-${propertyIndex}`,
+    type: 'immunity',
+    label: `No rent on ${board[propertyIndex]?.name} for ${landings} landing${landings === 1 ? '' : 's'}`
+  }));
+  (side.ious || []).forEach(({ amount, turns }, i) => items.push({
+    key: `iou-${i}`,
+    type: 'iou',
+    label: `IOU £${amount} in ${turns} turn${turns === 1 ? '' : 's'}`
+  }));
+  return items;
+}
+
+// Editor state for the jail card / immunity / IOU part of one side
+function extrasFrom(side = {}) {
+  const immunities = {};
+  (side.immunities || []).forEach(({ propertyIndex, landings }) => { immunities[propertyIndex] = landings; });
+  const iou = side.ious?.[0];
+  return {
+    jailCards: side.jailCards || 0,
+    immunities,
+    iouAmount: iou ? String(iou.amount) : '',
+    iouTurns: iou ? String(iou.turns) : ''
+  };
+}
+
+function extrasToSide(extras) {
+  const immunities = Object.entries(extras.immunities)
+    .filter(([, landings]) => landings > 0)
+    .map(([propertyIndex, landings]) => ({ propertyIndex: Number(propertyIndex), landings }));
+  const iouAmount = parseInt(extras.iouAmount) || 0;
+  const iouTurns = parseInt(extras.iouTurns) || 0;
+  return {
+    jailCards: extras.jailCards > 0 ? extras.jailCards : undefined,
+    immunities: immunities.length > 0 ? immunities : undefined,
+    ious: iouAmount > 0 && iouTurns > 0 ? [{ amount: iouAmount, turns: iouTurns }] : undefined
+  };
+}
+
+// Jail cards, rent immunities and an IOU given by `giver`
+function TradeExtras({ giver, extras, setExtras }) {
+  if (!giver) return null;
+
+  const setImmunity = (propIndex, value) => {
+    const landings = Math.max(0, parseInt(value) || 0);
+    setExtras(prev => ({ ...prev, immunities: { ...prev.immunities, [propIndex]: landings } }));
+  };
+
+  const ownedProperties = giver.properties.filter(p => !p.mortgaged);
+
+  return (
+    <div className="trade-extras">
+      {giver.getOutOfJailCards > 0 && (
+        <div className="form-group">
+          <label>Jail cards:</label>
+          <input
+            type="number"
+            min="0"
+            max={giver.getOutOfJailCards}
+            value={extras.jailCards}
+            onChange={(e) => {
+              const num = Math.min(giver.getOutOfJailCards, Math.max(0, parseInt(e.target.value) || 0));
+              setExtras(prev => ({ ...prev, jailCards: num }));
+            }}
+          />
+        </div>
+      )}
+      {ownedProperties.length > 0 && (
+        <>
+          <div className="trade-list-label">Rent immunity (landings)</div>
+          <div className="trade-property-list">
+            {ownedProperties.map(prop => (
+              <label key={prop.index} className="trade-property-option">
+                <input
+                  type="number"
+                  min="0"
+                  className="trade-immunity-input"
+                  value={extras.immunities[prop.index] || ''}
+                  placeholder="0"
+                  onChange={(e) => setImmunity(prop.index, e.target.value)}
+                />
+                <span className="trade-property-name">{prop.name}</span>
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+      <div className="trade-list-label">IOU</div>
+      <div className="trade-iou">
+        <input
+          type="number"
+          min="0"
+          placeholder="£"
+          value={extras.iouAmount}
+          onChange={(e) => setExtras(prev => ({ ...prev, iouAmount: e.target.value }))}
+        />
+        <span>in</span>
+        <input
+          type="number"
+          min="1"
+          placeholder="turns"
+          value={extras.iouTurns}
+          onChange={(e) => setExtras(prev => ({ ...prev, iouTurns: e.target.value }))}
+        />
+        <span>turns</span>
+      </div>
+    </div>
+  );
+}
+
+const emptyLeg = (from = '', to = '') => ({ from, to, money: '', properties: [], jailCards: 0 });
+
+// One row per transfer in a multi-party trade: who gives what to whom
+function MultiTradeLegs({ legs, setLegs, players, board }) {
+  const activePlayers = players.filter(p => !p.bankrupt);
+
+  const updateLeg = (index, changes) => {
+    setLegs(prev => prev.map((leg, i) => i === index ? { ...leg, ...changes } : leg));
+  };
+
+  const toggleProperty = (index, propIndex) => {
+    const leg = legs[index];
+    updateLeg(index, {
+      properties: leg.properties.includes(propIndex)
+        ? leg.properties.filter(p => p !== propIndex)
+        : [...leg.properties, propIndex]
+    });
+  };
+
+  return (
+    <div className="multi-trade-legs">
+      {legs.map((leg, index) => {
+        const giver = players.find(p => p.id === leg.from);
+        return (
+          <div key={index} className="multi-trade-leg">
+            <div className="multi-trade-leg-parties">
+              <select
+                value={leg.from}
+                onChange={(e) => updateLeg(index, { from: e.target.value, properties: [], jailCards: 0 })}
+              >
+                <option value="">Giver...</option>
+                {activePlayers.map(p => (
+                  <option key={p.id} value={p.id}>{p.token} {p.name}</option>
+                ))}
+              </select>
+              <span>gives</span>
+              <select value={leg.to} onChange={(e) => updateLeg(index, { to: e.target.value })}>
+                <option value="">Receiver...</option>
+                {activePlayers.filter(p => p.id !== leg.from).map(p => (
+                  <option key={p.id} value={p.id}>{p.token} {p.name}</option>
+                ))}
+              </select>
+              {legs.length > 1 && (
+                <button
+                  className="multi-trade-remove"
+                  title="Remove transfer"
+                  onClick={() => setLegs(prev => prev.filter((_, i) => i !== index))}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+            {giver && (
+              <>
+                <div className="form-group">
+                  <label>Money:</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={giver.money}
+                    value={leg.money}
+                    onChange={(e) => {
+                      const num = parseInt(e.target.value);
+                      if (e.target.value === '' || (!isNaN(num) && num >= 0)) updateLeg(index, { money: e.target.value });
+                    }}
+                  />
+                </div>
+                {giver.getOutOfJailCards > 0 && (
+                  <div className="form-group">
+                    <label>Jail cards:</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={giver.getOutOfJailCards}
+                      value={leg.jailCards}
+                      onChange={(e) => updateLeg(index, {
+                        jailCards: Math.min(giver.getOutOfJailCards, Math.max(0, parseInt(e.target.value) || 0))
+                      })}
+                    />
+                  </div>
+                )}
+                <div className="trade-property-list">
+                  {giver.properties.filter(p => isTradeable(p, board)).map(prop => (
+                    <label key={prop.index} className="trade-property-option">
+                      <input
+                        type="checkbox"
+                        checked={leg.properties.includes(prop.index)}
+                        onChange={() => toggleProperty(index, prop.index)}
+                      />
+                      <span className="trade-property-name">{prop.name}</span>
+                    </label>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        );
+      })}
+      <button className="btn btn-secondary multi-trade-add" onClick={() => setLegs(prev => [...prev, emptyLeg()])}>
+        + Add transfer
+      </button>
+    </div>
+  );
+}
+
+// Terms of a trade as seen from one side: what that player gives and what they get
+function termsFor(trade, playerId) {
+  const isProposer = trade.from === playerId;
+  return {
+    give: (isProposer ? trade.offer : trade.request) || {},
+    get: (isProposer ? trade.request : trade.offer) || {}
+  };
+}
+
+// Deeds can't change hands while their colour group has buildings (mirrors Game.validateTrade)
+function isTradeable(property, board) {
+  return !board.some(s => s.color && s.color === property.color && s.houses > 0);
+}
+
+function TradePanel({ myPlayer, players, board, proposeTrade, proposeMultiTrade, counterTo, counterTrade, tradeFeedback, onClose }) {
+  // When countering, start from the terms on the table so only the changes need entering
+  const startTerms = counterTo ? termsFor(counterTo, myPlayer?.id) : null;
+  const [targetPlayer, setTargetPlayer] = useState(() => {
+    if (!counterTo) return '';
+    return counterTo.from === myPlayer?.id ? counterTo.to : counterTo.from;
+  });
+  const [offerMoney, setOfferMoney] = useState(startTerms?.give.money ? String(startTerms.give.money) : '');
+  const [requestMoney, setRequestMoney] = useState(startTerms?.get.money ? String(startTerms.get.money) : '');
+  const [offerProperties, setOfferProperties] = useState(startTerms?.give.properties || []);
+  const [requestProperties, setRequestProperties] = useState(startTerms?.get.properties || []);
+  const [offerExtras, setOfferExtras] = useState(() => extrasFrom(startTerms?.give));
+  const [requestExtras, setRequestExtras] = useState(() => extrasFrom(startTerms?.get));
+  // 'pair' for a normal two-player trade, 'multi' for several players at once
+  const [mode, setMode] = useState('pair');
+  const [legs, setLegs] = useState(() => [emptyLeg(myPlayer?.id)]);
+  // Stay open until the server takes the trade, so a rejected one can be fixed rather than retyped
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!submitting || !tradeFeedback) return;
+    if (tradeFeedback.status === 'sent') {
+      onClose();
+    } else if (tradeFeedback.status === 'error') {
+      setError(tradeFeedback.message);
+      setSubmitting(false);
+    }
+  }, [tradeFeedback, submitting, onClose]);
 
   const otherPlayers = players.filter(p => p.id !== myPlayer?.id && !p.bankrupt);
   const selectedPlayer = players.find(p => p.id === targetPlayer);
@@ -34,130 +294,211 @@ function TradePanel({ myPlayer, players, board, proposeTrade, onClose }) {
     
     const offer = {
       money: offerMoneyNum > 0 ? offerMoneyNum : undefined,
-      properties: offerProperties.length > 0 ? offerProperties : undefined
+      properties: offerProperties.length > 0 ? offerProperties : undefined,
+      ...extrasToSide(offerExtras)
     };
     
     const request = {
       money: requestMoneyNum > 0 ? requestMoneyNum : undefined,
-      properties: requestProperties.length > 0 ? requestProperties : undefined
+      properties: requestProperties.length > 0 ? requestProperties : undefined,
+      ...extrasToSide(requestExtras)
     };
     
-    if (!offer.money && !offer.properties && !request.money && !request.properties) {
-      alert('Please select something to trade');
+    if (tradeSideItems(offer, board).length === 0 && tradeSideItems(request, board).length === 0) {
+      setError('Please select something to trade');
       return;
     }
     
-    proposeTrade(targetPlayer, offer, request);
-    onClose();
+    setError('');
+    setSubmitting(true);
+    if (counterTo) {
+      counterTrade(counterTo.id, offer, request);
+    } else {
+      proposeTrade(targetPlayer, offer, request);
+    }
+  };
+
+  const handleProposeMultiTrade = () => {
+    const terms = legs.map(leg => ({
+      from: leg.from,
+      to: leg.to,
+      money: parseInt(leg.money) || 0,
+      properties: leg.properties,
+      jailCards: leg.jailCards
+    }));
+
+    if (terms.some(leg => !leg.from || !leg.to)) {
+      setError('Choose a giver and receiver for every transfer');
+      return;
+    }
+    if (terms.some(leg => tradeSideItems(leg, board).length === 0)) {
+      setError('Every transfer needs something in it');
+      return;
+    }
+    if (!terms.some(leg => leg.from === myPlayer?.id || leg.to === myPlayer?.id)) {
+      setError('You must be part of the trade');
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    proposeMultiTrade(terms);
+  };
+
+  const describeSide = (side) => {
+    const items = tradeSideItems(side, board);
+    return items.length > 0 ? items.map(item => item.label).join(', ') : 'nothing';
   };
 
+  // Every round so far, oldest first, ending with the offer being answered
+  const thread = counterTo ? [...(counterTo.history || []), counterTo] : [];
+
   return (
     <div className="action-card trade-card trade-panel">
-      <div className="action-card-header">🤝 Propose Trade</div>
+      <div className="action-card-header">{counterTo ? '↩ Counter-Offer' : '🤝 Propose Trade'}</div>
       <div className="action-card-body">
-        <div className="form-group">
-          <label>Trade with:</label>
-          <select
-            value={targetPlayer}
-            onChange={(e) => {
-              setTargetPlayer(e.target.value);
-              setRequestProperties([]);
-            }}
-          >
-            <option value="">Select player...</option>
-            {otherPlayers.map(p => (
-              <option key={p.id} value={p.id}>{p.token} {p.name}</option>
-            ))}
-          </select>
-        </div>
+        {thread.length > 0 && (
+          <div className="trade-thread">
+            {thread.map((round, index) => {
+              const proposer = players.find(p => p.id === round.from);
+              return (
+                <div key={round.tradeId || round.id} className="trade-thread-round">
+                  <span className="trade-thread-number">{index + 1}</span>
+                  <span>
+                    {round.from === myPlayer?.id ? 'You' : proposer?.name} offered {describeSide(round.offer || {})} for {describeSide(round.request || {})}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        )}
 
-        <div className="trade-content">
-          <div className="trade-side offer">
-            <h5 className="trade-side-title offer">You Offer</h5>
+        {!counterTo && otherPlayers.length > 1 && (
+          <div className="trade-mode-toggle">
+            <button className={mode === 'pair' ? 'active' : ''} onClick={() => { setMode('pair'); setError(''); }}>
+              Two players
+            </button>
+            <button className={mode === 'multi' ? 'active' : ''} onClick={() => { setMode('multi'); setError(''); }}>
+              Multi-party
+            </button>
+          </div>
+        )}
+
+        {mode === 'multi' ? (
+          <MultiTradeLegs legs={legs} setLegs={setLegs} players={players} board={board} />
+        ) : (
+          <>
             <div className="form-group">
-              <label>Money:</label>
-              <input
-                type="number"
-                min="0"
-                max={myPlayer?.money || 0}
-                value={offerMoney}
+              <label>Trade with:</label>
+              <select
+                disabled={Boolean(counterTo)}
+                value={targetPlayer}
                 onChange={(e) => {
-                  const value = e.target.value;
-                  if (value === '') {
-                    setOfferMoney('');
-                  } else {
-                    const num = parseInt(value);
-                    if (!isNaN(num) && num >= 0) {
-                      setOfferMoney(value);
-                    }
-                  }
+                  setTargetPlayer(e.target.value);
+                  setRequestProperties([]);
+                  setRequestExtras(extrasFrom());
                 }}
-              />
+              >
+                <option value="">Select player...</option>
+                {otherPlayers.map(p => (
+                  <option key={p.id} value={p.id}>{p.token} {p.name}</option>
+                ))}
+              </select>
             </div>
-            <div className="trade-list-label">Properties</div>
-            <div className="trade-property-list">
-              {myPlayer?.properties.filter(p => !p.houses).map(prop => (
-                <label key={prop.index} className="trade-property-option">
+
+            <div className="trade-content">
+              <div className="trade-side offer">
+                <h5 className="trade-side-title offer">You Offer</h5>
+                <div className="form-group">
+                  <label>Money:</label>
                   <input
-                    type="checkbox"
-                    checked={offerProperties.includes(prop.index)}
-                    onChange={() => toggleOfferProperty(prop.index)}
+                    type="number"
+                    min="0"
+                    max={myPlayer?.money || 0}
+                    value={offerMoney}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (value === '') {
+                        setOfferMoney('');
+                      } else {
+                        const num = parseInt(value);
+                        if (!isNaN(num) && num >= 0) {
+                          setOfferMoney(value);
+                        }
+                      }
+                    }}
                   />
-                  <span className="trade-property-name">{prop.name}</span>
-                </label>
-              ))}
-            </div>
-          </div>
+                </div>
+                <div className="trade-list-label">Properties</div>
+                <div className="trade-property-list">
+                  {myPlayer?.properties.filter(p => isTradeable(p, board)).map(prop => (
+                    <label key={prop.index} className="trade-property-option">
+                      <input
+                        type="checkbox"
+                        checked={offerProperties.includes(prop.index)}
+                        onChange={() => toggleOfferProperty(prop.index)}
+                      />
+                      <span className="trade-property-name">{prop.name}</span>
+                    </label>
+                  ))}
+                </div>
+                <TradeExtras giver={myPlayer} extras={offerExtras} setExtras={setOfferExtras} />
+              </div>
 
-          <div className="trade-side request">
-            <h5 className="trade-side-title request">You Want</h5>
-            <div className="form-group">
-              <label>Money:</label>
-              <input
-                type="number"
-                min="0"
-                max={selectedPlayer?.money || 0}
-                value={requestMoney}
-                onChange={(e) => {
-                  const value = e.target.value;
-                  if (value === '') {
-                    setRequestMoney('');
-                  } else {
-                    const num = parseInt(value);
-                    if (!isNaN(num) && num >= 0) {
-                      setRequestMoney(value);
-                    }
-                  }
-                }}
-              />
-            </div>
-            <div className="trade-list-label">Properties</div>
-            <div className="trade-property-list">
-              {selectedPlayer?.properties.filter(p => !p.houses).map(prop => (
-                <label key={prop.index} className="trade-property-option">
+              <div className="trade-side request">
+                <h5 className="trade-side-title request">You Want</h5>
+                <div className="form-group">
+                  <label>Money:</label>
                   <input
-                    type="checkbox"
-                    checked={requestProperties.includes(prop.index)}
-                    onChange={() => toggleRequestProperty(prop.index)}
+                    type="number"
+                    min="0"
+                    max={selectedPlayer?.money || 0}
+                    value={requestMoney}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (value === '') {
+                        setRequestMoney('');
+                      } else {
+                        const num = parseInt(value);
+                        if (!isNaN(num) && num >= 0) {
+                          setRequestMoney(value);
+                        }
+                      }
+                    }}
                   />
-                  <span className="trade-property-name">{prop.name}</span>
-                </label>
-              ))}
-              {!selectedPlayer && (
-                <div className="trade-empty">Select a player first</div>
-              )}
+                </div>
+                <div className="trade-list-label">Properties</div>
+                <div className="trade-property-list">
+                  {selectedPlayer?.properties.filter(p => isTradeable(p, board)).map(prop => (
+                    <label key={prop.index} className="trade-property-option">
+                      <input
+                        type="checkbox"
+                        checked={requestProperties.includes(prop.index)}
+                        onChange={() => toggleRequestProperty(prop.index)}
+                      />
+                      <span className="trade-property-name">{prop.name}</span>
+                    </label>
+                  ))}
+                  {!selectedPlayer && (
+                    <div className="trade-empty">Select a player first</div>
+                  )}
+                </div>
+                <TradeExtras giver={selectedPlayer} extras={requestExtras} setExtras={setRequestExtras} />
+              </div>
             </div>
-          </div>
-        </div>
+          </>
+        )}
+
+        {error && <div className="trade-error">{error}</div>}
       </div>
 
       <div className="action-card-buttons">
         <button
           className="btn btn-primary"
-          onClick={handleProposeTrade}
-          disabled={!targetPlayer}
+          onClick={mode === 'multi' ? handleProposeMultiTrade : handleProposeTrade}
+          disabled={(mode === 'pair' && !targetPlayer) || submitting}
         >
-          Propose Trade
+          {submitting ? 'Sending...' : counterTo ? 'Send Counter-Offer' : 'Propose Trade'}
         </button>
         <button
           className="btn btn-secondary"
@@ -7,17 +7,33 @@
  * - Smart property valuation based on game context
  * - Strategic building decisions
  * - Adaptive play style based on game phase
- * - Three difficulty levels: easy, medium, hard
+ * - Four difficulty levels: easy, medium, hard, expert (Monte Carlo lookahead)
+ * - Pluggable strategies: decisions come from a module in strategies/
  */
 
 const io = require('socket.io-client');
+const { DEFAULT_RULES } = require('./houseRules');
+const { SeededRng } = require('./rng');
+const { loadStrategy, isStrategy } = require('./strategies');
 
 const BOT_NAMES = {
     easy: ['NoviceBot', 'BeginnerAI', 'CasualPlayer', 'FriendlyBot', 'LearnBot', 'NewbieAI'],
     medium: ['TacticalBot', 'StrategistAI', 'CleverPlayer', 'SmartBot', 'ChallengerAI', 'AdeptBot'],
-    hard: ['RoboTycoon', 'MonopolyMaster', 'PropertyKing', 'LandBaron', 'RealEstateBot', 'WealthBot']
+    hard: ['RoboTycoon', 'MonopolyMaster', 'PropertyKing', 'LandBaron', 'RealEstateBot', 'WealthBot'],
+    expert: ['OracleBot', 'DeepTycoon', 'ForesightAI', 'MonteCarlo', 'GrandMagnate', 'ProphetBot']
 };
 
+// Earlier rounds in a trade negotiation after which we stop countering and just accept or decline
+const MAX_COUNTER_ROUNDS = 3;
+
+// Traded promises are worth less than the same thing now: an IOU may never be paid in full,
+// and an immunity only saves rent if we actually land there
+const IOU_DISCOUNT = 0.8;
+const IMMUNITY_DISCOUNT = 0.5;
+
+// Ratios and scores in a decision's rationale are for people to read
+const round2 = value => Math.round(value * 100) / 100;
+
 // Difficulty presets - affects all strategic decisions
 const DIFFICULTY_CONFIGS = {
     easy: {
@@ -109,6 +125,37 @@ const DIFFICULTY_CONFIGS = {
         jailStayLateGame: true,
 
         // Strategic awareness
+        recognizesBlocking: true,
+        recognizesMonopolyValue: true,
+        colorGroupAwareness: 1.0,
+    },
+    expert: {
+        // Plays the hard settings, but checks buys, bids, builds and trades with the lookahead strategy
+        strategy: 'lookahead',
+        lookaheadRollouts: 30,           // Simulated futures per decision
+        lookaheadRounds: 20,             // Rounds each future is played forward - monopolies take a while to pay
+        lookaheadTimeBudgetMs: 50,       // Cut a decision's rollouts short after this long - they block the whole server
+
+        buyPropertyThreshold: 0.25,
+        minCashReserve: 100,
+        blockOpponentBonus: 0.5,
+        monopolyCompletionBonus: 0.7,
+
+        buildWhenCashAbove: 300,
+        maxBuildingSpend: 0.6,
+
+        auctionAggressiveness: 0.85,
+        auctionRandomness: 0,
+
+        tradeAcceptThreshold: 1.0,
+        tradeCashMultiplier: 1.5,
+        blockingPropertyMultiplier: 2.5,
+        monopolyGiveawayMultiplier: 3.0,
+        proposesTradesFrequency: 1.0,
+
+        jailPayThreshold: 200,
+        jailStayLateGame: true,
+
         recognizesBlocking: true,
         recognizesMonopolyValue: true,
         colorGroupAwareness: 1.0,
@@ -121,18 +168,25 @@ class MonopolyBot {
      * @param {string} serverUrl - WebSocket server URL
      * @param {string} gameId - Game ID to join
      * @param {string} botName - Optional custom bot name
-     * @param {string} difficulty - 'easy', 'medium', or 'hard' (default: 'hard')
+     * @param {string} difficulty - 'easy', 'medium', 'hard', 'expert' or another DIFFICULTY_CONFIGS preset (default: 'hard')
+     * @param {string} seed - Optional seed for the bot's PRNG (derived from the game seed by the server)
+     * @param {string} strategy - Strategy module that makes the decisions (see strategies/index.js);
+     *   defaults to the difficulty's own strategy
      */
-    constructor(serverUrl, gameId, botName = null, difficulty = 'hard') {
+    constructor(serverUrl, gameId, botName = null, difficulty = 'hard', seed = null, strategy = null) {
         this.serverUrl = serverUrl;
         this.gameId = gameId;
-        this.difficulty = ['easy', 'medium', 'hard'].includes(difficulty) ? difficulty : 'hard';
+        this.difficulty = Object.hasOwn(DIFFICULTY_CONFIGS, difficulty) ? difficulty : 'hard';
+        this.strategy = loadStrategy(isStrategy(strategy) ? strategy : DIFFICULTY_CONFIGS[this.difficulty].strategy || 'default');
+        this.rng = new SeededRng(seed);
 
         // Get appropriate name for difficulty
         const namePool = BOT_NAMES[this.difficulty] || BOT_NAMES.hard;
-        this.botName = botName || namePool[Math.floor(Math.random() * namePool.length)];
+        this.botName = botName || namePool[this.rng.nextInt(namePool.length)];
 
         this.socket = null;
+        this.playerId = null; // Our seat's permanent ID, which unlike socket.id survives reconnects
+        this.seatToken = null; // Issued by the server when we take a seat, required to rejoin it
         this.gameState = null;
         this.myPlayer = null;
         this.isMyTurn = false;
@@ -145,6 +199,8 @@ class MonopolyBot {
         this.receivedTradeHistory = new Map();
         this.auctionActionTimer = null;
         this.auctionActionToken = 0;
+        this.clock = Date.now; // Replaced by the simulator's clock when playing headless
+        this.lastRationale = null; // Reasons behind the latest buy valuation, see explain()
 
         // Load difficulty-specific configuration
         const difficultyConfig = DIFFICULTY_CONFIGS[this.difficulty];
@@ -183,6 +239,11 @@ class MonopolyBot {
             recognizesMonopolyValue: difficultyConfig.recognizesMonopolyValue,
             colorGroupAwareness: difficultyConfig.colorGroupAwareness,
 
+            // Lookahead strategy
+            lookaheadRollouts: difficultyConfig.lookaheadRollouts,
+            lookaheadRounds: difficultyConfig.lookaheadRounds,
+            lookaheadTimeBudgetMs: difficultyConfig.lookaheadTimeBudgetMs,
+
             // Timing
             actionDelay: 1500,
             turnCheckInterval: 3000,
@@ -219,15 +280,29 @@ class MonopolyBot {
             'brown': 3,
         };
 
-        // For easy bots, flatten the ranking differences
+        this.baseColorGroupRanking = baseRanking;
+        this.updateColorGroupRanking();
+
+        console.log(`[BOT ${this.botName}] Created with difficulty: ${this.difficulty.toUpperCase()}, strategy: ${this.strategy.name}`);
+    }
+
+    // For easy bots, flatten the ranking differences
+    updateColorGroupRanking() {
         this.colorGroupRanking = {};
-        for (const [color, value] of Object.entries(baseRanking)) {
+        for (const [color, value] of Object.entries(this.baseColorGroupRanking)) {
             const awareness = this.config.colorGroupAwareness;
             // Blend toward average (6.5) based on awareness
             this.colorGroupRanking[color] = 6.5 + (value - 6.5) * awareness;
         }
+    }
 
-        console.log(`[BOT ${this.botName}] Created with difficulty: ${this.difficulty.toUpperCase()}`);
+    /**
+     * Override difficulty settings, e.g. with a tuned config in a tournament
+     * @param {Object} overrides - Any of the DIFFICULTY_CONFIGS settings
+     */
+    applyConfig(overrides = {}) {
+        Object.assign(this.config, overrides);
+        this.updateColorGroupRanking();
     }
 
     /**
@@ -239,9 +314,46 @@ class MonopolyBot {
         const delayConfig = this.config.delays[actionType];
         if (!delayConfig) {
             // Fallback to a reasonable default if action type not found
-            return 1000 + Math.random() * 2000;
+            return 1000 + this.random() * 2000;
         }
-        return delayConfig.min + Math.random() * (delayConfig.max - delayConfig.min);
+        return delayConfig.min + this.random() * (delayConfig.max - delayConfig.min);
+    }
+
+    /**
+     * Random float in [0, 1) from the bot's seeded PRNG
+     * @returns {number}
+     */
+    random() {
+        return this.rng.next();
+    }
+
+    /**
+     * Current time for trade cooldowns - real time online, simulated time in the headless simulator
+     * @returns {number}
+     */
+    now() {
+        return this.clock();
+    }
+
+    /**
+     * Carry out a decision on the server. Decisions are { action, params } where action
+     * is the socket event, so the simulator can apply the same ones straight to a Game.
+     * A decision's rationale goes with it, for the game log and the archive.
+     * @param {Object} decision
+     */
+    send(decision) {
+        this.socket.emit(decision.action, { gameId: this.gameId, ...decision.params, rationale: decision.rationale });
+    }
+
+    /**
+     * Note why we valued something the way we did. Hooks that answer with a plain yes or no
+     * (shouldBuy) leave their reasons here for the decision to pick up.
+     * @param {Object} rationale - { kind, summary, values, threshold, flags }
+     * @returns {Object} The rationale
+     */
+    explain(rationale) {
+        this.lastRationale = rationale;
+        return rationale;
     }
 
     /**
@@ -252,12 +364,12 @@ class MonopolyBot {
     calculateReactionTime(actionType, context = {}) {
         const delayConfig = this.config.delays[actionType] || { min: 1000, max: 3000 };
         // Start with a random base within the configured range
-        let delay = delayConfig.min + Math.random() * (delayConfig.max - delayConfig.min);
+        let delay = delayConfig.min + this.random() * (delayConfig.max - delayConfig.min);
 
         // 1. Difficulty Modifier
         // Hard bots are more decisive (faster processing)
         // Easy bots take longer to "think"
-        if (this.difficulty === 'hard') delay *= 0.6;
+        if (this.difficulty === 'hard' || this.difficulty === 'expert') delay *= 0.6;
         else if (this.difficulty === 'easy') delay *= 1.1;
 
         // 2. Game Phase Modifier
@@ -291,6 +403,25 @@ class MonopolyBot {
         return Math.max(500, Math.floor(delay));
     }
 
+    /**
+     * React to a bankruptcy that handed assets to a creditor
+     * @param {Object} creditor - { id, name } of the receiving player, if any
+     */
+    checkMortgagedTransfer(creditor) {
+        if (creditor?.id === this.myPlayer?.id) {
+            console.log(`[BOT ${this.botName}] Received assets from a bankrupt player`);
+        }
+        const transfer = this.gameState?.mortgagedTransfers?.find(t => t.playerId === this.myPlayer?.id);
+        if (transfer) {
+            const delay = this.getRandomDelay('action');
+            setTimeout(() => this.handleMortgagedTransfer(transfer), delay);
+        } else if (this.isMyTurn && !this.gameState.pendingAction && !this.gameState.auction) {
+            // Our turn may have started because the bankrupt player was up.
+            // If their deeds are being auctioned we wait for the auctions to finish first.
+            this.checkAndTakeTurn();
+        }
+    }
+
     connect() {
         return new Promise((resolve, reject) => {
             this.socket = io(this.serverUrl, { transports: ['websocket'] });
@@ -314,8 +445,10 @@ class MonopolyBot {
     }
 
     setupEventHandlers() {
-        this.socket.on('gameJoined', ({ game }) => {
+        this.socket.on('gameJoined', ({ player, game, seatToken }) => {
             console.log(`[BOT ${this.botName}] Joined game`);
+            this.playerId = player.id;
+            if (seatToken) this.seatToken = seatToken;
             this.updateGameState(game);
         });
 
@@ -413,11 +546,31 @@ class MonopolyBot {
             this.handleTradeProposal(trade);
         });
 
+        // A counter-offer is a new round of the same negotiation, handled like any proposal to us
+        this.socket.on('tradeCountered', ({ trade, game }) => {
+            this.updateGameState(game);
+            this.handleTradeProposal(trade);
+        });
+
+        // Another participant signed up to a multi-party trade - nothing changes hands yet
+        this.socket.on('tradeAccepted', ({ game }) => {
+            this.updateGameState(game);
+        });
+
         this.socket.on('tradeCompleted', ({ game }) => {
             this.updateGameState(game);
             console.log(`[BOT ${this.botName}] Trade completed!`);
         });
 
+        // Withdrawn or timed-out offers - any pending reply to them will just be refused
+        this.socket.on('tradeCancelled', ({ game }) => {
+            this.updateGameState(game);
+        });
+
+        this.socket.on('tradesExpired', ({ game }) => {
+            this.updateGameState(game);
+        });
+
         this.socket.on('tradeDeclined', ({ tradeId, game, declinedByPlayer }) => {
             this.updateGameState(game);
 
@@ -464,8 +617,23 @@ class MonopolyBot {
             }
         });
 
-        this.socket.on('playerBankrupt', ({ game }) => {
+        this.socket.on('playerBankrupt', ({ result, game }) => {
+            this.updateGameState(game);
+            this.checkMortgagedTransfer(result?.creditor);
+        });
+
+        this.socket.on('playerLeft', ({ creditor, game }) => {
+            this.updateGameState(game);
+            this.checkMortgagedTransfer(creditor);
+        });
+
+        this.socket.on('mortgagedTransferResolved', ({ game }) => {
             this.updateGameState(game);
+            this.actionInProgress = false;
+            if (this.isMyTurn) {
+                const delay = this.getRandomDelay('action');
+                setTimeout(() => this.checkAndTakeTurn(), delay);
+            }
         });
 
         this.socket.on('playerDisconnected', ({ game }) => {
@@ -489,12 +657,30 @@ class MonopolyBot {
             console.log(`[BOT ${this.botName}] Server error: ${message}`);
             this.actionInProgress = false;
         });
+
+        this.socket.on('tradeError', ({ message }) => {
+            console.log(`[BOT ${this.botName}] Trade rejected: ${message}`);
+        });
     }
 
     // ═══════════════════════════════════════════════════════════════════════
     // GAME STATE ANALYSIS
     // ═══════════════════════════════════════════════════════════════════════
 
+    /**
+     * Get the house rules for the current game (defaults if the server didn't send any)
+     */
+    getRules() {
+        return this.gameState?.rules || DEFAULT_RULES;
+    }
+
+    /**
+     * Cost to lift the mortgage on a property under the current house rules
+     */
+    getUnmortgageCost(property) {
+        return Math.floor((property.mortgage || property.price / 2) * (1 + this.getRules().unmortgageInterest));
+    }
+
     /**
      * Analyze the current game phase (early, mid, late)
      */
@@ -707,84 +893,131 @@ class MonopolyBot {
      * Evaluate incoming trade proposal with strategic awareness
      */
     handleTradeProposal(trade) {
+        if (trade.type === 'multi') return this.handleMultiTradeProposal(trade);
         if (trade.to !== this.myPlayer?.id) return;
 
         const fromPlayer = this.gameState.players.find(p => p.id === trade.from);
         console.log(`[BOT ${this.botName}] Received trade from ${fromPlayer?.name}`);
 
+        const decision = this.strategy.decideTrade(this, trade);
+        const tradeDelay = this.getRandomDelay('tradeDecision');
+        console.log(`[BOT ${this.botName}] Considering trade offer... (${Math.round(tradeDelay / 1000)}s)`);
+        setTimeout(() => this.respondToTrade(decision), tradeDelay);
+    }
+
+    /**
+     * Accept or decline a multi-party trade we're part of. There's no haggling here -
+     * changing the terms would need everyone's agreement again.
+     */
+    handleMultiTradeProposal(trade) {
+        const myId = this.myPlayer?.id;
+        if (!trade.participants?.includes(myId) || trade.acceptedBy?.includes(myId)) return;
+
+        const decision = this.strategy.decideTrade(this, trade);
+        const tradeDelay = this.getRandomDelay('tradeDecision');
+        console.log(`[BOT ${this.botName}] Considering multi-party trade... (${Math.round(tradeDelay / 1000)}s)`);
+        setTimeout(() => this.respondToTrade(decision), tradeDelay);
+    }
+
+    /**
+     * Decide how to answer a trade offered to us: accept, decline, or (two-player trades only)
+     * counter. Remembers what we turned down so a repeated offer is declined straight away.
+     * @returns {Object} Decision for acceptTrade, declineTrade or counterTrade, with the evaluation behind it
+     */
+    decideTradeResponse(trade) {
+        const tradeId = trade.id;
+        if (trade.type === 'multi') {
+            const evaluation = this.evaluateTradeAdvanced(trade);
+            const action = evaluation.shouldAccept ? 'acceptTrade' : 'declineTrade';
+            return { action, params: { tradeId }, evaluation, rationale: this.tradeRationale(evaluation) };
+        }
+
         // Check if we've declined similar trades recently from this player
         const tradeHash = this.generateTradeHash(trade);
         const historyKey = `${trade.from}-${tradeHash}`;
         const tradeHistory = this.receivedTradeHistory.get(historyKey);
 
         if (tradeHistory) {
-            const timeSinceLastDecline = Date.now() - tradeHistory.timestamp;
+            const timeSinceLastDecline = this.now() - tradeHistory.timestamp;
             const cooldownTime = Math.min(tradeHistory.count * 60000, 300000); // 1-5 min cooldown based on decline count
 
             if (timeSinceLastDecline < cooldownTime && tradeHistory.count >= 2) {
                 console.log(`[BOT ${this.botName}] Auto-declining - already declined similar trade ${tradeHistory.count} times`);
-                const delay = this.getRandomDelay('tradeDecision');
-                setTimeout(() => {
-                    this.socket.emit('declineTrade', { gameId: this.gameId, tradeId: trade.id });
-                }, delay);
-                return;
+                const summary = `Already turned down a similar offer ${Math.floor(tradeHistory.count)} times recently`;
+                return { action: 'declineTrade', params: { tradeId }, rationale: { kind: 'trade', summary, values: { declines: tradeHistory.count }, threshold: 2, flags: {} } };
             }
         }
 
         const evaluation = this.evaluateTradeAdvanced(trade);
+        if (evaluation.shouldAccept) {
+            // Clear decline history on accept
+            this.receivedTradeHistory.delete(historyKey);
+            return { action: 'acceptTrade', params: { tradeId }, evaluation, rationale: this.tradeRationale(evaluation) };
+        }
+
+        // Try to generate a counter-offer before declining
+        // Pass the decline count so we can escalate the price
+        const declineCount = this.receivedTradeHistory.get(historyKey)?.count || 0;
+        // Don't haggle forever - after a few rounds we just give a final answer
+        const counterOffer = (trade.history || []).length < MAX_COUNTER_ROUNDS
+            ? this.generateCounterOffer(trade, evaluation, declineCount)
+            : null;
+        const current = this.receivedTradeHistory.get(historyKey) || { count: 0 };
+
+        if (counterOffer) {
+            // Track as counter-offer (don't increment decline count as aggressively)
+            this.receivedTradeHistory.set(historyKey, {
+                count: current.count + 0.5, // Half-increment for counters
+                timestamp: this.now(),
+                lastOffer: trade.offer?.money || 0,
+                wasCountered: true
+            });
+            return {
+                action: 'counterTrade',
+                params: { tradeId, offer: counterOffer.offer, request: counterOffer.request },
+                evaluation,
+                rationale: this.tradeRationale(evaluation)
+            };
+        }
 
-        const tradeDelay = this.getRandomDelay('tradeDecision');
-        console.log(`[BOT ${this.botName}] Considering trade offer... (${Math.round(tradeDelay / 1000)}s)`);
+        // Track declined trade
+        this.receivedTradeHistory.set(historyKey, {
+            count: current.count + 1,
+            timestamp: this.now(),
+            lastOffer: trade.offer?.money || 0
+        });
+        return { action: 'declineTrade', params: { tradeId }, evaluation, rationale: this.tradeRationale(evaluation) };
+    }
 
-        setTimeout(() => {
-            if (evaluation.shouldAccept) {
-                console.log(`[BOT ${this.botName}] Accepting trade (value ratio: ${evaluation.ratio.toFixed(2)}, reason: ${evaluation.reason})`);
-                this.socket.emit('acceptTrade', { gameId: this.gameId, tradeId: trade.id });
-                // Clear decline history on accept
-                this.receivedTradeHistory.delete(historyKey);
-            } else {
-                // Try to generate a counter-offer before declining
-                // Pass the decline count so we can escalate the price
-                const declineCount = this.receivedTradeHistory.get(historyKey)?.count || 0;
-                const counterOffer = this.generateCounterOffer(trade, evaluation, declineCount);
-
-                if (counterOffer) {
-                    console.log(`[BOT ${this.botName}] Proposing counter-offer instead of declining`);
-                    // Decline the original trade
-                    this.socket.emit('declineTrade', { gameId: this.gameId, tradeId: trade.id });
-
-                    // Send counter-offer after a short delay
-                    setTimeout(() => {
-                        this.socket.emit('proposeTrade', {
-                            gameId: this.gameId,
-                            targetPlayerId: counterOffer.targetPlayerId,
-                            offer: counterOffer.offer,
-                            request: counterOffer.request
-                        });
-                    }, this.getRandomDelay('proposeTrade'));
-
-                    // Track as counter-offer (don't increment decline count as aggressively)
-                    const current = this.receivedTradeHistory.get(historyKey) || { count: 0 };
-                    this.receivedTradeHistory.set(historyKey, {
-                        count: current.count + 0.5, // Half-increment for counters
-                        timestamp: Date.now(),
-                        lastOffer: trade.offer?.money || 0,
-                        wasCountered: true
-                    });
-                } else {
-                    console.log(`[BOT ${this.botName}] Declining trade (value ratio: ${evaluation.ratio.toFixed(2)}, reason: ${evaluation.reason})`);
-                    this.socket.emit('declineTrade', { gameId: this.gameId, tradeId: trade.id });
-
-                    // Track declined trade
-                    const current = this.receivedTradeHistory.get(historyKey) || { count: 0 };
-                    this.receivedTradeHistory.set(historyKey, {
-                        count: current.count + 1,
-                        timestamp: Date.now(),
-                        lastOffer: trade.offer?.money || 0
-                    });
-                }
-            }
-        }, tradeDelay);
+    respondToTrade(decision) {
+        const { evaluation } = decision;
+        const why = evaluation ? ` (value ratio: ${evaluation.ratio.toFixed(2)}, reason: ${evaluation.reason})` : '';
+        if (decision.action === 'acceptTrade') {
+            console.log(`[BOT ${this.botName}] Accepting trade${why}`);
+        } else if (decision.action === 'counterTrade') {
+            console.log(`[BOT ${this.botName}] Countering instead of declining`);
+        } else {
+            console.log(`[BOT ${this.botName}] Declining trade${why}`);
+        }
+        this.send(decision);
+    }
+
+    /**
+     * View a multi-party trade as a two-sided one from our seat: everything coming to us
+     * is the offer, everything leaving us is the request. Legs between others don't matter.
+     */
+    flattenMultiTrade(trade) {
+        const myId = this.myPlayer?.id;
+        const offer = { money: 0, properties: [], jailCards: 0 };
+        const request = { money: 0, properties: [], jailCards: 0 };
+        for (const leg of trade.legs || []) {
+            const side = leg.to === myId ? offer : leg.from === myId ? request : null;
+            if (!side) continue;
+            side.money += leg.money || 0;
+            side.properties.push(...(leg.properties || []));
+            side.jailCards += leg.jailCards || 0;
+        }
+        return { ...trade, offer, request };
     }
 
     /**
@@ -792,6 +1025,7 @@ class MonopolyBot {
      * Bot acts like a smart player - won't accept bad deals, but will accept great deals
      */
     evaluateTradeAdvanced(trade) {
+        if (trade.type === 'multi') trade = this.flattenMultiTrade(trade);
         let receivingValue = trade.offer?.money || 0;
         let givingValue = trade.request?.money || 0;
         let strategicBonus = 0;
@@ -844,10 +1078,15 @@ class MonopolyBot {
         receivingValue += jailCardValue;
         givingValue += (trade.request?.jailCards || 0) * 50;
 
+        // Rent immunities and IOUs, discounted for being promises rather than cash in hand
+        const deferredValue = this.valueRentImmunities(trade.offer?.immunities) + this.valueIous(trade.offer?.ious);
+        receivingValue += deferredValue;
+        givingValue += this.valueRentImmunities(trade.request?.immunities) + this.valueIous(trade.request?.ious);
+
         const adjustedReceiving = receivingValue + strategicBonus;
 
-        // Calculate cash ratio for cash-heavy offers (include jail card value as cash equivalent)
-        const cashOffer = (trade.offer?.money || 0) + jailCardValue;
+        // Calculate cash ratio for cash-heavy offers (include jail card and deferred value as cash equivalent)
+        const cashOffer = (trade.offer?.money || 0) + jailCardValue + deferredValue;
         const cashRatio = totalRequestedPropertyValue > 0 ? cashOffer / totalRequestedPropertyValue : 0;
         const cashOnlyOffer = (trade.offer?.properties || []).length === 0 && cashOffer > 0;
 
@@ -858,9 +1097,13 @@ class MonopolyBot {
             return {
                 shouldAccept: true,
                 ratio: cashRatio,
+                requiredRatio: 4.0,
                 reason: 'massive overpay accepted',
                 receivingValue: adjustedReceiving,
-                givingValue
+                givingValue,
+                completesMonopoly: strategicBonus > 0,
+                wouldGiveMonopoly,
+                isBlockingProperty
             };
         }
 
@@ -893,9 +1136,13 @@ class MonopolyBot {
             return {
                 shouldAccept,
                 ratio: cashRatio,
+                requiredRatio: requiredCashMultiplier,
                 reason,
                 receivingValue: adjustedReceiving,
-                givingValue: totalRequestedPropertyValue // Fix: Ensure counter-offer logic sees the property value
+                givingValue: totalRequestedPropertyValue, // Fix: Ensure counter-offer logic sees the property value
+                completesMonopoly: strategicBonus > 0,
+                wouldGiveMonopoly,
+                isBlockingProperty
             };
         }
 
@@ -930,12 +1177,78 @@ class MonopolyBot {
         return {
             shouldAccept,
             ratio,
+            requiredRatio,
             reason,
             receivingValue: adjustedReceiving,
             givingValue: adjustedGiving,
+            completesMonopoly: strategicBonus > 0,
+            wouldGiveMonopoly,
+            isBlockingProperty
         };
     }
 
+    /**
+     * The reasons behind a trade answer, from evaluateTradeAdvanced
+     * @param {Object} evaluation - The trade evaluation
+     * @param {string} summary - What to say; defaults to comparing the value ratio with the one we need
+     */
+    tradeRationale(evaluation, summary = null) {
+        const ratio = round2(evaluation.ratio);
+        const required = round2(evaluation.requiredRatio);
+        return {
+            kind: 'trade',
+            summary: summary || `${evaluation.shouldAccept ? 'Worth' : 'Only worth'} ${ratio}x what we give up - we need ${required}x (${evaluation.reason})`,
+            values: {
+                receiving: Math.round(evaluation.receivingValue),
+                giving: Math.round(evaluation.givingValue),
+                ratio
+            },
+            threshold: required,
+            flags: {
+                completesMonopoly: evaluation.completesMonopoly,
+                givesOpponentMonopoly: evaluation.wouldGiveMonopoly,
+                isBlocking: evaluation.isBlockingProperty
+            }
+        };
+    }
+
+    /**
+     * Rent a set of traded immunities would waive, at each property's current rent
+     */
+    valueRentImmunities(immunities = []) {
+        return Math.floor(immunities.reduce((total, { propertyIndex, landings }) => {
+            const property = this.gameState.board[propertyIndex];
+            return total + (landings || 0) * this.estimateCurrentRent(property) * IMMUNITY_DISCOUNT;
+        }, 0));
+    }
+
+    /**
+     * What traded IOUs are worth today
+     */
+    valueIous(ious = []) {
+        return Math.floor(ious.reduce((total, iou) => total + (iou.amount || 0) * IOU_DISCOUNT, 0));
+    }
+
+    /**
+     * Rent a property charges right now (utilities at an average roll of 7)
+     */
+    estimateCurrentRent(property) {
+        if (!property || property.mortgaged || !property.owner) return 0;
+        const ownedInGroup = (type) => this.gameState.board.filter(s => s.type === type && s.owner === property.owner).length;
+
+        if (property.type === 'railroad') {
+            return 25 * Math.pow(2, ownedInGroup('railroad') - 1);
+        }
+        if (property.type === 'utility') {
+            return 7 * (ownedInGroup('utility') === 2 ? 10 : 4);
+        }
+        if (property.houses > 0) {
+            return property.rent[property.houses];
+        }
+        const colorGroup = this.gameState.board.filter(s => s.color === property.color);
+        return colorGroup.every(s => s.owner === property.owner) ? property.rent[0] * 2 : property.rent[0];
+    }
+
     /**
      * Calculate property value with context
      */
@@ -978,7 +1291,7 @@ class MonopolyBot {
 
         // Mortgaged discount
         if (property.mortgaged) {
-            value = (property.mortgage || 0) * 1.1; // Unmortgage cost
+            value = this.getUnmortgageCost(property);
         }
 
         return Math.floor(value);
@@ -1092,12 +1405,16 @@ class MonopolyBot {
             offer: {
                 properties: trade.request?.properties || [], // We give them the properties they wanted
                 money: 0, // We don't pay them money in the counter
-                jailCards: trade.request?.jailCards || 0
+                jailCards: trade.request?.jailCards || 0,
+                immunities: trade.request?.immunities || [],
+                ious: trade.request?.ious || []
             },
             request: {
                 properties: trade.offer?.properties || [], // We get any properties they offered
                 money: newRequestedMoney, // We request the improved money amount
-                jailCards: trade.offer?.jailCards || 0
+                jailCards: trade.offer?.jailCards || 0,
+                immunities: trade.offer?.immunities || [],
+                ious: trade.offer?.ious || []
             }
         };
     }
@@ -1107,11 +1424,26 @@ class MonopolyBot {
      */
     considerProposingTrade() {
         if (!this.isMyTurn || !this.gameState) return;
-        if (Date.now() - this.lastTradeTime < this.config.tradeCheckInterval) return;
+
+        const proposal = this.strategy.proposeTrade(this);
+        if (!proposal) return;
+
+        // Add delay before proposing trade
+        const proposeDelay = this.getRandomDelay('proposeTrade');
+        console.log(`[BOT ${this.botName}] Preparing trade offer... (${Math.round(proposeDelay / 1000)}s)`);
+        setTimeout(() => this.send(proposal), proposeDelay);
+    }
+
+    /**
+     * Pick a trade to propose this turn, if any: buying the last property we need for a monopoly
+     * @returns {Object|null} proposeTrade decision
+     */
+    findTradeProposal() {
+        if (this.now() - this.lastTradeTime < this.config.tradeCheckInterval) return null;
 
         // Check if bot should propose trades based on difficulty
-        if (Math.random() > this.config.proposesTradesFrequency) {
-            return; // Skip proposing trades this turn
+        if (this.random() > this.config.proposesTradesFrequency) {
+            return null; // Skip proposing trades this turn
         }
 
         const colorAnalysis = this.analyzeColorGroups();
@@ -1134,7 +1466,7 @@ class MonopolyBot {
                 const lastAttempt = this.tradeAttempts.get(tradeKey);
 
                 if (lastAttempt) {
-                    const timeSinceLastAttempt = Date.now() - lastAttempt.timestamp;
+                    const timeSinceLastAttempt = this.now() - lastAttempt.timestamp;
                     // Increase cooldown based on how many times we've been declined
                     // After 3 declines, wait at least 5 minutes before trying again
                     const cooldownTime = Math.min(lastAttempt.declineCount * 120000, 300000);
@@ -1156,26 +1488,19 @@ class MonopolyBot {
                     // Track this trade attempt
                     const existingAttempt = this.tradeAttempts.get(tradeKey) || { declineCount: 0 };
                     this.tradeAttempts.set(tradeKey, {
-                        timestamp: Date.now(),
+                        timestamp: this.now(),
                         declineCount: existingAttempt.declineCount + 1
                     });
-                    this.lastTradeTime = Date.now();
-
-                    // Add delay before proposing trade
-                    const proposeDelay = this.getRandomDelay('proposeTrade');
-                    console.log(`[BOT ${this.botName}] Preparing trade offer... (${Math.round(proposeDelay / 1000)}s)`);
-                    setTimeout(() => {
-                        this.socket.emit('proposeTrade', {
-                            gameId: this.gameId,
-                            targetPlayerId: owner.id,
-                            offer: offer.offer,
-                            request: { properties: [neededProp.index] }
-                        });
-                    }, proposeDelay);
-                    return;
+                    this.lastTradeTime = this.now();
+
+                    return {
+                        action: 'proposeTrade',
+                        params: { targetPlayerId: owner.id, offer: offer.offer, request: { properties: [neededProp.index] } }
+                    };
                 }
             }
         }
+        return null;
     }
 
     /**
@@ -1280,20 +1605,27 @@ class MonopolyBot {
         const money = this.myPlayer.money;
         const price = property.price;
         const gamePhase = this.getGamePhase();
+        const values = { price, money, phase: gamePhase };
 
-        if (price > money) return false;
+        if (price > money) {
+            this.explain({ kind: 'buy', summary: `Can't afford £${price}`, values, threshold: null, flags: {} });
+            return false;
+        }
 
         // Adjust cash reserve based on game phase and difficulty
         const baseReserve = this.config.minCashReserve;
         const reserveNeeded = gamePhase === 'early' ? baseReserve * 0.5 :
             gamePhase === 'mid' ? baseReserve : baseReserve * 1.5;
+        values.reserve = reserveNeeded;
 
         if (money - price < reserveNeeded) {
             // Exception: always buy if it completes our monopoly
             if (this.wouldCompleteMyMonopoly(property)) {
                 console.log(`[BOT ${this.botName}] Buying ${property.name} despite low funds - completes monopoly!`);
+                this.explain({ kind: 'buy', summary: 'Completes our set, even though it eats into our cash reserve', values, threshold: null, flags: { completesMonopoly: true } });
                 return true;
             }
+            this.explain({ kind: 'buy', summary: `Would leave less than our £${reserveNeeded} cash reserve`, values, threshold: null, flags: {} });
             return false;
         }
 
@@ -1311,7 +1643,9 @@ class MonopolyBot {
         }
 
         // Monopoly completion - priority based on difficulty
-        if (this.config.recognizesMonopolyValue && this.wouldCompleteMyMonopoly(property)) {
+        const completesMonopoly = this.config.recognizesMonopolyValue && this.wouldCompleteMyMonopoly(property);
+        let blocked = null;
+        if (completesMonopoly) {
             score += this.config.monopolyCompletionBonus;
             console.log(`[BOT ${this.botName}] ${property.name} would complete monopoly!`);
         } else {
@@ -1322,7 +1656,7 @@ class MonopolyBot {
 
         // Block opponent monopoly - importance based on difficulty
         if (this.config.recognizesBlocking) {
-            const blocked = this.wouldCompleteOpponentMonopoly(property);
+            blocked = this.wouldCompleteOpponentMonopoly(property);
             if (blocked) {
                 score += this.config.blockOpponentBonus;
                 console.log(`[BOT ${this.botName}] ${property.name} blocks ${blocked.name}'s monopoly!`);
@@ -1356,7 +1690,19 @@ class MonopolyBot {
 
         console.log(`[BOT ${this.botName}] ${property.name} score: ${score.toFixed(2)} (phase: ${gamePhase}, difficulty: ${this.difficulty})`);
 
-        return score >= this.config.buyPropertyThreshold;
+        const threshold = this.config.buyPropertyThreshold;
+        const shouldBuy = score >= threshold;
+        let summary = `Scored ${score.toFixed(2)}, ${shouldBuy ? 'at or above' : 'below'} the ${threshold} we buy at`;
+        if (shouldBuy && completesMonopoly) summary = `Completes our ${property.color} set`;
+        else if (shouldBuy && blocked) summary = `Stops ${blocked.name} completing their set`;
+        this.explain({
+            kind: 'buy',
+            summary,
+            values: { ...values, score: round2(score) },
+            threshold,
+            flags: { completesMonopoly, blocksOpponent: blocked ? blocked.name : null }
+        });
+        return shouldBuy;
     }
 
     getColorGroupProgress(property) {
@@ -1377,6 +1723,43 @@ class MonopolyBot {
     // ═══════════════════════════════════════════════════════════════════════
 
     tryBuildHouses() {
+        const buildQueue = this.strategy.planBuilds(this);
+
+        // Now emit all build requests with staggered delays
+        let totalDuration = 0;
+
+        if (buildQueue.length > 0) {
+            const totalCost = buildQueue.reduce((sum, build) => sum + build.cost, 0);
+            console.log(`[BOT ${this.botName}] Planning to build ${buildQueue.length} houses, total cost: £${totalCost}`);
+
+            // specific delay between builds
+            const delayPerBuild = this.config.delays?.buildHouse?.min || 500;
+
+            buildQueue.forEach((build, index) => {
+                const actionDelay = (index + 1) * delayPerBuild;
+                totalDuration = actionDelay;
+
+                setTimeout(() => {
+                    // Check if it's still our turn before building
+                    if (!this.isMyTurn) {
+                        console.log(`[BOT ${this.botName}] Skipping build on ${build.propertyName} - no longer my turn`);
+                        return;
+                    }
+                    console.log(`[BOT ${this.botName}] Building on ${build.propertyName} (${build.currentHouses} -> ${build.currentHouses + 1})`);
+                    this.send(build);
+                }, actionDelay);
+            });
+        }
+
+        return totalDuration;
+    }
+
+    /**
+     * Houses to build this turn, best monopolies first and evenly across each group.
+     * Marks the planned houses on our copy of the board as it goes.
+     * @returns {Object[]} buildHouse decisions, in the order to make them
+     */
+    planHouseBuilds() {
         let spentSoFar = 0;
         let housesBuilt = 0;
         const maxHousesPerTurn = 10; // Limit to prevent excessive building
@@ -1421,7 +1804,8 @@ class MonopolyBot {
 
                 // Add to build queue
                 buildQueue.push({
-                    propIndex,
+                    action: 'buildHouse',
+                    params: { propertyIndex: propIndex },
                     propertyName: property.name,
                     currentHouses: property.houses || 0,
                     cost: property.houseCost
@@ -1442,32 +1826,7 @@ class MonopolyBot {
             if (!foundPropertyToBuild) break;
         }
 
-        // Now emit all build requests with staggered delays
-        let totalDuration = 0;
-
-        if (buildQueue.length > 0) {
-            console.log(`[BOT ${this.botName}] Planning to build ${buildQueue.length} houses, total cost: £${spentSoFar}`);
-
-            // specific delay between builds
-            const delayPerBuild = this.config.delays?.buildHouse?.min || 500;
-
-            buildQueue.forEach((build, index) => {
-                const actionDelay = (index + 1) * delayPerBuild;
-                totalDuration = actionDelay;
-
-                setTimeout(() => {
-                    // Check if it's still our turn before building
-                    if (!this.isMyTurn) {
-                        console.log(`[BOT ${this.botName}] Skipping build on ${build.propertyName} - no longer my turn`);
-                        return;
-                    }
-                    console.log(`[BOT ${this.botName}] Building on ${build.propertyName} (${build.currentHouses} -> ${build.currentHouses + 1})`);
-                    this.socket.emit('buildHouse', { gameId: this.gameId, propertyIndex: build.propIndex });
-                }, actionDelay);
-            });
-        }
-
-        return totalDuration;
+        return buildQueue;
     }
 
 
@@ -1497,7 +1856,16 @@ class MonopolyBot {
      * @returns {number} The maximum bid amount
      */
     calculateAuctionLimit(property) {
-        if (!property) return 0;
+        return this.explainAuctionLimit(property).maxBid;
+    }
+
+    /**
+     * The maximum bid we are willing to place, and how we got there
+     * @param {Object} property - The property up for auction
+     * @returns {Object} { maxBid, valuation, wealthBonus, canAfford, completesMonopoly, blocksOpponent }
+     */
+    explainAuctionLimit(property) {
+        if (!property) return { maxBid: 0, valuation: 0, wealthBonus: 0, canAfford: 0, completesMonopoly: false, blocksOpponent: null };
 
         let maxBid = property.price * this.config.auctionAggressiveness;
 
@@ -1511,12 +1879,14 @@ class MonopolyBot {
 
         // Add randomness for easier difficulties (makes bidding less optimal)
         if (this.config.auctionRandomness > 0) {
-            const variance = (Math.random() - 0.5) * 2 * this.config.auctionRandomness;
+            const variance = (this.random() - 0.5) * 2 * this.config.auctionRandomness;
             maxBid *= (1 + variance);
         }
 
         // Much higher for monopoly completion (only if bot recognizes monopoly value)
-        if (this.config.recognizesMonopolyValue && this.wouldCompleteMyMonopoly(property)) {
+        const completesMonopoly = this.config.recognizesMonopolyValue && this.wouldCompleteMyMonopoly(property);
+        let blocked = null;
+        if (completesMonopoly) {
             // Base high valuation for monopoly
             const monopolyBase = property.price * (1.3 + this.config.colorGroupAwareness * 0.5);
             maxBid = Math.max(maxBid, monopolyBase);
@@ -1526,7 +1896,7 @@ class MonopolyBot {
 
         // Higher to block opponent monopoly (only if bot recognizes blocking)
         if (this.config.recognizesBlocking) {
-            const blocked = this.wouldCompleteOpponentMonopoly(property);
+            blocked = this.wouldCompleteOpponentMonopoly(property);
             if (blocked) {
                 const blockBase = property.price * (1.0 + this.config.blockOpponentBonus * 0.6);
                 maxBid = Math.max(maxBid, blockBase);
@@ -1541,7 +1911,14 @@ class MonopolyBot {
         }
 
         const canAfford = Math.max(0, this.myPlayer.money - this.config.minCashReserve);
-        return Math.floor(Math.min(maxBid, canAfford));
+        return {
+            maxBid: Math.floor(Math.min(maxBid, canAfford)),
+            valuation: Math.floor(maxBid),
+            wealthBonus: Math.floor(wealthBonus),
+            canAfford,
+            completesMonopoly,
+            blocksOpponent: blocked ? blocked.name : null
+        };
     }
 
     /**
@@ -1612,15 +1989,7 @@ class MonopolyBot {
         if (!this.gameState.auction || (auction && this.gameState.auction.property.index !== auction.property.index)) {
             return;
         }
-
-        if (!auction || !this.myPlayer) return;
-        if (auction.passedPlayers?.includes(this.myPlayer.id)) return;
-        if (this.myPlayer.inJail) return; // Cannot bid while in jail
-
-        // Don't bid if we're already the highest bidder - wait for others to act
-        if (auction.highestBidder === this.myPlayer.id) {
-            return;
-        }
+        if (!this.canActInAuction(auction)) return;
 
         const minDelayMs = auction.minBidDelayMs || 0;
         const lastBidAt = auction.lastBidAt || 0;
@@ -1635,20 +2004,52 @@ class MonopolyBot {
             return;
         }
 
+        const decision = this.strategy.decideBid(this, auction);
+        const delay = this.getRandomDelay(decision.action);
+        this.scheduleAuctionTimer(() => this.send(decision), delay, auction.property.index);
+    }
+
+    /**
+     * Whether it is up to us to bid or pass: we are in the auction, haven't passed,
+     * aren't in jail and aren't already the highest bidder
+     */
+    canActInAuction(auction) {
+        if (!auction || !this.myPlayer) return false;
+        // Bank auctions after a bankruptcy only include players still in the game
+        if (auction.participants && !auction.participants.includes(this.myPlayer.id)) return false;
+        if (auction.passedPlayers?.includes(this.myPlayer.id)) return false;
+        if (this.myPlayer.inJail) return false; // Cannot bid while in jail
+
+        // Don't bid if we're already the highest bidder - wait for others to act
+        return auction.highestBidder !== this.myPlayer.id;
+    }
+
+    /**
+     * Bid or pass in an auction we can act in (see canActInAuction)
+     * @returns {Object} auctionBid or auctionPass decision
+     */
+    decideAuctionAction(auction) {
         const property = auction.property;
         const currentBid = auction.currentBid || 0;
         const minBid = Math.max(auction.minimumBid || 10, currentBid + 1);
 
         // Calculate max bid using isolated logic (easier to test)
-        const maxBid = this.calculateAuctionLimit(property);
+        const limit = this.explainAuctionLimit(property);
+        const maxBid = limit.maxBid;
         const reluctance = this.calculateBidReluctance(property);
         const priceRatio = minBid / property.price;
 
         // DECISION LOGIC
         let shouldPass = false;
+        let passReason = null;
 
         // If bid is already over our max, pass
-        if (minBid > maxBid) shouldPass = true;
+        if (minBid > maxBid) {
+            shouldPass = true;
+            passReason = limit.canAfford < limit.valuation
+                ? `£${minBid} is more than we can spare (£${limit.canAfford} above our cash reserve)`
+                : `£${minBid} is over the £${maxBid} it's worth to us`;
+        }
 
         // RELUCTANCE CHECK (Dynamic probability to pass early)
         else if (reluctance > 0.0) {
@@ -1658,13 +2059,14 @@ class MonopolyBot {
             // Example: Reluctance 0.8 (Very reluctant)
             // - If Price > 50% value, 30% chance to quit per turn
             if (reluctance > 0.7 && priceRatio > 0.5) {
-                if (Math.random() < 0.3) shouldPass = true;
+                if (this.random() < 0.3) shouldPass = true;
             }
             // Example: Reluctance 0.5 (Neutral)
             // - If Price > 100% value, 20% chance to quit
             else if (reluctance > 0.4 && priceRatio > 1.0) {
-                if (Math.random() < 0.2) shouldPass = true;
+                if (this.random() < 0.2) shouldPass = true;
             }
+            if (shouldPass) passReason = `Not keen enough on ${property.name} to go to £${minBid}`;
         }
 
         // BLUFF CALLER (Anti-Shill Strategy)
@@ -1674,16 +2076,18 @@ class MonopolyBot {
         // This prevents humans from safely "bidding up" the bot.
         if (!shouldPass && reluctance > 0.0 && priceRatio > 1.15) {
             // 15% chance to bail if price is > 115% value
-            if (Math.random() < 0.15) {
+            if (this.random() < 0.15) {
                 console.log(`[BOT ${this.botName}] Calling bluff! Price high, letting opponent overpay.`);
                 shouldPass = true;
+                passReason = `£${minBid} is over list price - letting someone else overpay`;
             }
         }
         if (!shouldPass && reluctance > 0.0 && priceRatio > 1.6) {
             // 35% chance to bail if price is > 160% value (even if we are rich/bully)
-            if (Math.random() < 0.35) {
+            if (this.random() < 0.35) {
                 console.log(`[BOT ${this.botName}] Calling bluff! Way too high.`);
                 shouldPass = true;
+                passReason = `£${minBid} is far over list price - letting someone else overpay`;
             }
         }
 
@@ -1702,27 +2106,36 @@ class MonopolyBot {
             const baseJump = Math.floor(property.price * (0.02 + eagerness * 0.08));
             const maxJump = Math.max(8, Math.min(headroom, baseJump + Math.floor(headroom * (0.15 + eagerness * 0.25))));
             const minJump = Math.min(maxJump, Math.max(5, Math.floor(maxJump * 0.4)));
-            const increment = minJump + Math.floor(Math.random() * (maxJump - minJump + 1));
+            const increment = minJump + Math.floor(this.random() * (maxJump - minJump + 1));
 
             bidAmount = Math.min(minBid + increment, maxBid);
 
-            const bidDelay = this.getRandomDelay('auctionBid');
             console.log(`[BOT ${this.botName}] Bidding £${bidAmount} on ${property.name} (max: £${maxBid}, r: ${reluctance.toFixed(2)})`);
-
-            this.scheduleAuctionTimer(
-                () => this.socket.emit('auctionBid', { gameId: this.gameId, amount: bidAmount }),
-                bidDelay,
-                property.index
-            );
-        } else {
-            const passDelay = this.getRandomDelay('auctionPass');
-            console.log(`[BOT ${this.botName}] Passing on ${property.name} (Reluctance: ${reluctance.toFixed(2)})`);
-            this.scheduleAuctionTimer(
-                () => this.socket.emit('auctionPass', { gameId: this.gameId }),
-                passDelay,
-                property.index
-            );
+            let summary = `Worth up to £${maxBid} to us`;
+            if (limit.completesMonopoly) summary = `Completes our ${property.color} set - worth up to £${maxBid} to us`;
+            else if (limit.blocksOpponent) summary = `Stops ${limit.blocksOpponent} completing their set - worth up to £${maxBid} to us`;
+            return { action: 'auctionBid', params: { amount: bidAmount }, rationale: this.auctionRationale(summary, limit, reluctance, minBid) };
         }
+
+        console.log(`[BOT ${this.botName}] Passing on ${property.name} (Reluctance: ${reluctance.toFixed(2)})`);
+        return { action: 'auctionPass', params: {}, rationale: this.auctionRationale(passReason, limit, reluctance, minBid) };
+    }
+
+    // Why we bid or passed: our limit and what went into it, against the bid we'd have had to make
+    auctionRationale(summary, limit, reluctance, minBid) {
+        return {
+            kind: 'auction',
+            summary,
+            values: {
+                minimumBid: minBid,
+                valuation: limit.valuation,
+                wealthBonus: limit.wealthBonus,
+                canAfford: limit.canAfford,
+                reluctance: round2(reluctance)
+            },
+            threshold: limit.maxBid,
+            flags: { completesMonopoly: limit.completesMonopoly, blocksOpponent: limit.blocksOpponent }
+        };
     }
 
     clearAuctionTimer() {
@@ -1773,7 +2186,8 @@ class MonopolyBot {
             gameId: this.gameId,
             playerName: this.botName,
             isBot: true,
-            botDifficulty: this.difficulty
+            botDifficulty: this.difficulty,
+            botStrategy: this.strategy.name
         });
     }
 
@@ -1782,6 +2196,7 @@ class MonopolyBot {
         this.socket.emit('rejoinGame', {
             gameId: this.gameId,
             playerName: this.botName,
+            seatToken: this.seatToken,
             isBot: true,
             botDifficulty: this.difficulty
         });
@@ -1789,7 +2204,7 @@ class MonopolyBot {
 
     updateGameState(game) {
         this.gameState = game;
-        this.myPlayer = game.players.find(p => p.id === this.socket.id);
+        this.myPlayer = game.players.find(p => p.id === this.playerId);
         if (this.myPlayer) {
             const myIndex = game.players.indexOf(this.myPlayer);
             this.isMyTurn = game.currentPlayerIndex === myIndex;
@@ -1851,34 +2266,41 @@ class MonopolyBot {
 
     handleJail() {
         if (!this.isMyTurn) return;
+        this.send(this.strategy.decideJail(this));
+    }
 
+    /**
+     * Get out of jail with a card, pay the fine, or roll for doubles
+     * @returns {Object} useJailCard, payJailFine or rollDice decision
+     */
+    decideJailAction() {
         const gamePhase = this.getGamePhase();
         console.log(`[BOT ${this.botName}] In jail (turn ${this.myPlayer.jailTurns}/3, phase: ${gamePhase}, difficulty: ${this.difficulty})`);
 
         // Use jail card if we have one
         if (this.myPlayer.getOutOfJailCards > 0) {
             console.log(`[BOT ${this.botName}] Using Get Out of Jail card`);
-            this.socket.emit('useJailCard', { gameId: this.gameId });
-            return;
+            return { action: 'useJailCard', params: {} };
         }
 
         // Late game strategy - only smart bots stay in jail to avoid rent
         if (this.config.jailStayLateGame && gamePhase === 'late' && this.myPlayer.jailTurns < 2) {
             console.log(`[BOT ${this.botName}] Staying in jail (late game strategy)`);
-            this.socket.emit('rollDice', { gameId: this.gameId });
-            return;
+            return { action: 'rollDice', params: {} };
         }
 
         // Pay fine if we have money - threshold varies by difficulty
-        if (this.myPlayer.money > this.config.jailPayThreshold && this.myPlayer.jailTurns < 2) {
+        // The threshold is tuned for a £50 fine, so scale it when house rules change the fine
+        const jailFine = this.getRules().jailFine;
+        const payThreshold = this.config.jailPayThreshold + Math.max(0, jailFine - DEFAULT_RULES.jailFine);
+        if (this.myPlayer.money >= jailFine && this.myPlayer.money > payThreshold && this.myPlayer.jailTurns < 2) {
             console.log(`[BOT ${this.botName}] Paying jail fine`);
-            this.socket.emit('payJailFine', { gameId: this.gameId });
-            return;
+            return { action: 'payJailFine', params: {} };
         }
 
         // Try to roll doubles
         console.log(`[BOT ${this.botName}] Attempting to roll doubles`);
-        this.socket.emit('rollDice', { gameId: this.gameId });
+        return { action: 'rollDice', params: {} };
     }
 
     handlePostLanding() {
@@ -1977,11 +2399,21 @@ class MonopolyBot {
         }
     }
 
+    /**
+     * Buy or turn down the property we landed on, with the reasons our strategy gave
+     * @returns {Object} buyProperty or declineProperty decision
+     */
+    decideBuy(property) {
+        this.lastRationale = null;
+        const shouldBuy = this.strategy.shouldBuy(this, property);
+        return { action: shouldBuy ? 'buyProperty' : 'declineProperty', params: {}, rationale: this.lastRationale };
+    }
+
     decideBuyProperty(property) {
-        const shouldBuy = this.evaluateProperty(property);
+        const decision = this.decideBuy(property);
+        const shouldBuy = decision.action === 'buyProperty';
 
-        const actionType = shouldBuy ? 'buyProperty' : 'declineProperty';
-        const delay = this.calculateReactionTime(actionType, {
+        const delay = this.calculateReactionTime(decision.action, {
             property,
             isBuying: shouldBuy
         });
@@ -1991,25 +2423,37 @@ class MonopolyBot {
         setTimeout(() => {
             if (shouldBuy) {
                 console.log(`[BOT ${this.botName}] Buying ${property.name} for £${property.price}`);
-                this.socket.emit('buyProperty', { gameId: this.gameId });
             } else {
                 console.log(`[BOT ${this.botName}] Declining ${property.name}`);
-                this.socket.emit('declineProperty', { gameId: this.gameId });
             }
+            this.send(decision);
         }, delay);
     }
 
     handleBankruptcyState(action) {
         console.log(`[BOT ${this.botName}] Bankruptcy state - Money: £${this.myPlayer.money}`);
 
-        const debt = this.myPlayer.debt ? this.myPlayer.debt.amount : 0;
-
+        const decision = this.strategy.raiseFunds(this);
         // Only valid to end turn if we have no debt
-        if (this.myPlayer.money >= 0 && debt === 0) {
+        if (!decision) {
             this.scheduleEndTurn(this.getRandomDelay('endTurn'));
             return;
         }
 
+        this.send(decision);
+        if (decision.action === 'declareBankruptcy') {
+            this.actionInProgress = false;
+        }
+    }
+
+    /**
+     * Next step towards paying what we owe: sell a house, mortgage a property, or give up
+     * @returns {Object|null} sellHouse, mortgageProperty or declareBankruptcy decision; null when we owe nothing
+     */
+    decideRaiseFunds() {
+        const debt = this.myPlayer.debt ? this.myPlayer.debt.amount : 0;
+        if (this.myPlayer.money >= 0 && debt === 0) return null;
+
         // Sell houses from least valuable monopolies first
         const monopolies = this.findOwnedMonopolies().sort((a, b) => {
             const aRank = this.colorGroupRanking[a[0]?.color] || 0;
@@ -2025,8 +2469,7 @@ class MonopolyBot {
                     // Use the index property stored on the board space
                     const propIndex = prop.index !== undefined ? prop.index : this.gameState.board.indexOf(prop);
                     console.log(`[BOT ${this.botName}] Selling house on ${prop.name} (index ${propIndex})`);
-                    this.socket.emit('sellHouse', { gameId: this.gameId, propertyIndex: propIndex });
-                    return;
+                    return { action: 'sellHouse', params: { propertyIndex: propIndex } };
                 }
             }
         }
@@ -2038,13 +2481,55 @@ class MonopolyBot {
             const prop = mortgageable[0]; // Lowest priority property
             const propIndex = prop.index !== undefined ? prop.index : this.gameState.board.indexOf(prop);
             console.log(`[BOT ${this.botName}] Mortgaging ${prop.name} (priority: ${prop._mortgagePriority?.toFixed(0)}, index ${propIndex})`);
-            this.socket.emit('mortgageProperty', { gameId: this.gameId, propertyIndex: propIndex });
-            return;
+            return { action: 'mortgageProperty', params: { propertyIndex: propIndex } };
         }
 
         // Declare bankruptcy
         console.log(`[BOT ${this.botName}] Declaring bankruptcy`);
-        this.socket.emit('declareBankruptcy', { gameId: this.gameId });
+        return { action: 'declareBankruptcy', params: {} };
+    }
+
+    /**
+     * Decide which inherited mortgaged properties to unmortgage straight away.
+     * Keeping a mortgage costs the interest now and again when it is lifted later,
+     * so we lift the ones we would want working soonest while we can afford it.
+     * @param {Object} action - The mortgagedTransfer pending action
+     * @returns {Object} Map of property index -> 'unmortgage' | 'keep'
+     */
+    decideMortgagedTransfer(action) {
+        const decisions = {};
+        // Interest on everything is the minimum we must pay
+        let budget = this.myPlayer.money - action.properties.reduce((sum, p) => sum + p.interest, 0);
+
+        const ranked = action.properties.map(p => {
+            const space = this.gameState.board[p.index];
+            let priority = (this.colorGroupRanking[space?.color] || 0) * 3;
+            if (space?.color) {
+                const group = this.gameState.board.filter(s => s.color === space.color);
+                if (group.every(s => s.owner === this.myPlayer.id)) priority += 60;
+            }
+            if (space?.type === 'railroad') priority += 20;
+            return { ...p, priority };
+        }).sort((a, b) => b.priority - a.priority);
+
+        for (const prop of ranked) {
+            // Lifting now costs the full unmortgage price instead of the interest already budgeted
+            const extra = prop.unmortgageCost - prop.interest;
+            if (budget - extra >= this.config.minCashReserve * 2) {
+                decisions[prop.index] = 'unmortgage';
+                budget -= extra;
+            } else {
+                decisions[prop.index] = 'keep';
+            }
+        }
+        return decisions;
+    }
+
+    handleMortgagedTransfer(action) {
+        const decisions = this.strategy.decideMortgagedTransfer(this, action);
+        const lifted = Object.values(decisions).filter(d => d === 'unmortgage').length;
+        console.log(`[BOT ${this.botName}] Inherited ${action.properties.length} mortgaged properties from ${action.fromPlayerName} - unmortgaging ${lifted}`);
+        this.socket.emit('resolveMortgagedTransfer', { gameId: this.gameId, decisions });
         this.actionInProgress = false;
     }
 
@@ -2129,19 +2614,30 @@ class MonopolyBot {
      * Prioritizes: monopoly completion, high-value properties, income potential
      */
     considerUnmortgagingProperties() {
-        if (!this.gameState || !this.myPlayer) return;
+        const decision = this.strategy.chooseUnmortgage(this);
+        if (!decision) return false;
+        this.send(decision);
+        return true;
+    }
+
+    /**
+     * The mortgaged property most worth lifting now, if we can afford it and keep our reserve
+     * @returns {Object|null} unmortgageProperty decision
+     */
+    chooseUnmortgage() {
+        if (!this.gameState || !this.myPlayer) return null;
 
         // Find mortgaged properties we own
         const mortgaged = this.gameState.board.filter(
             space => space.owner === this.myPlayer.id && space.mortgaged
         );
 
-        if (mortgaged.length === 0) return;
+        if (mortgaged.length === 0) return null;
 
         // Calculate priority for unmortgaging (higher = unmortgage first)
         const prioritized = mortgaged.map(prop => {
             let priority = 0;
-            const unmortgageCost = Math.floor((prop.mortgage || prop.price / 2) * 1.1);
+            const unmortgageCost = this.getUnmortgageCost(prop);
 
             // Can we afford it with reserves?
             if (this.myPlayer.money < unmortgageCost + this.config.minCashReserve) {
@@ -2200,11 +2696,10 @@ class MonopolyBot {
             const prop = affordable[0];
             const propIndex = prop.index !== undefined ? prop.index : this.gameState.board.indexOf(prop);
             console.log(`[BOT ${this.botName}] Unmortgaging ${prop.name} (priority: ${prop._unmortgagePriority}, cost: £${prop._unmortgageCost})`);
-            this.socket.emit('unmortgageProperty', { gameId: this.gameId, propertyIndex: propIndex });
-            return true;
+            return { action: 'unmortgageProperty', params: { propertyIndex: propIndex } };
         }
 
-        return false;
+        return null;
     }
 
     disconnect() {
@@ -2217,6 +2712,7 @@ class MonopolyBot {
 }
 
 module.exports = MonopolyBot;
+module.exports.DIFFICULTY_CONFIGS = DIFFICULTY_CONFIGS;
 
 // CLI support
 if (require.main === module) {
@@ -1,7 +1,25 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { BOARD_SPACES, CHANCE_CARDS, COMMUNITY_CHEST_CARDS } = require('./boardData');
+const { validateRules } = require('./houseRules');
+const { SeededRng } = require('./rng');
 
 const AUCTION_BID_DELAY_MS = 1000;
+// Auctions close this long after they open or after the latest bid
+const AUCTION_DURATION_MS = 15000;
+// Countdown calls in the final seconds before the hammer falls
+const AUCTION_GOING_ONCE_MS = 6000;
+const AUCTION_GOING_TWICE_MS = 3000;
+// Human turn timer: warn this long before the deadline, and leave this long after an auction closes
+const TURN_WARNING_MS = 10000;
+const TURN_AUCTION_GRACE_MS = 5000;
+// Chat: longest message, how many messages a player may send per window, and how much history is kept
+const CHAT_MAX_LENGTH = 300;
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 10000;
+const CHAT_HISTORY_LIMIT = 200;
+const TRADE_HISTORY_LIMIT = 50; // Finished trades sent with the game state
+const RATIONALE_MAX_LENGTH = 2000; // Serialized size of one bot rationale
 
 // Available player colors with names
 const PLAYER_COLORS = [
@@ -28,14 +46,18 @@ const PLAYER_TOKENS = [
 ];
 
 class Game {
-  constructor(id, name, maxPlayers = 4, isPrivate = false, auctionsEnabled = false) {
+  constructor(id, name, maxPlayers = 4, isPrivate = false, auctionsEnabled = false, rules = {}, seed = null) {
     this.id = id;
     this.name = name;
     const validMax = (maxPlayers && !isNaN(maxPlayers)) ? parseInt(maxPlayers) : 4;
     this.maxPlayers = Math.max(2, Math.min(validMax, 8));
     this.isPrivate = isPrivate;
     this.auctionsEnabled = auctionsEnabled;
+    this.rules = validateRules(rules || {});
+    // Per-game PRNG for dice, deck shuffles and turn order. The seed is kept server-side only.
+    this.rng = new SeededRng(seed);
     this.players = [];
+    this.seatTokens = {}; // Player ID -> secret the client must present to reclaim that seat
     this.started = false;
     this.currentPlayerIndex = 0;
     this.board = JSON.parse(JSON.stringify(BOARD_SPACES));
@@ -48,15 +70,80 @@ class Game {
     this.canRollAgain = false;
     this.doublesCount = 0;
     this.pendingAction = null;
+    // Creditors' choices on mortgaged deeds they inherited - kept apart from pendingAction so the
+    // player on turn can carry on while a creditor makes up their mind
+    this.mortgagedTransfers = [];
     this.auction = null;
+    this.auctionQueue = []; // Deeds returned to the bank by a bankruptcy, auctioned one at a time
     this.trades = [];
+    this.rentImmunities = []; // Traded "no rent on X for N landings" passes
+    this.ious = []; // Traded deferred payments, collected when due
+    this.chat = []; // Table talk and direct messages. Not journaled - it never changes the game.
     this.gameLog = [];
+    this.fullLog = []; // Every log line (gameLog keeps only the latest), archived when the game ends
+    this.botDecisions = []; // Bots' reasons for their buys, bids and trade answers, archived for analysis
     this.freeParking = 0;
-    this.housesAvailable = 32;
-    this.hotelsAvailable = 12;
+    this.housesAvailable = this.rules.totalHouses;
+    this.hotelsAvailable = this.rules.totalHotels;
     this.turnStartTime = Date.now();
     this.lastActionTime = Date.now();
     this.stateVersion = 0; // Increments on every state change for stale update detection
+    this.turnNumber = 0;
+    this.startedAt = null;
+    this.finishedAt = null; // Set once the game has a winner and has been archived
+    this.turnDeadline = null; // Human turn timer (rules.turnTimeLimit), null when off or a bot is up
+    this.turnWarningSent = false;
+    this.turnTimedOut = false;
+    this.autoPlaying = false;
+    this.rollInProgress = false; // Set by the server between a roll and its landing (see index.js rollDice)
+    this.spectatorCount = 0; // Sockets watching without a seat (tracked by GameManager)
+    this.quiet = false; // Set on throwaway copies (see lookahead.js) to keep their moves off the console
+    // Structured record of every state-changing action (see journal.js for replay)
+    this.journal = [];
+    this.replayClock = null; // Set by replayGame so time-based checks see the recorded time
+    this.recordEvent('create', null, {
+      id: this.id,
+      name: this.name,
+      maxPlayers: this.maxPlayers,
+      isPrivate: this.isPrivate,
+      auctionsEnabled: this.auctionsEnabled,
+      rules: this.rules,
+      seed: this.rng.seed
+    });
+  }
+
+  // Server console trace of what happens at the table
+  debug(message) {
+    if (!this.quiet) console.log(message);
+  }
+
+  // Current time, or the recorded time of the event being replayed
+  now() {
+    return this.replayClock !== null ? this.replayClock : Date.now();
+  }
+
+  /**
+   * Append a structured event to the journal.
+   * Only top-level actions are recorded - anything they trigger internally
+   * (landing on a card, auto-completing an auction) is reproduced by replaying them.
+   */
+  recordEvent(type, player, input = {}, outcome = {}) {
+    // Steps of an automatic turn are reproduced by replaying the 'turnTimeout' event itself
+    if (this.autoPlaying) return;
+    // Acting again means the player is back at the table
+    if (player && player.afkStrikes && type !== 'turnTimeout') {
+      player.afkStrikes = 0;
+    }
+    this.journal.push({
+      seq: this.journal.length,
+      turn: this.turnNumber,
+      time: this.now(),
+      type,
+      playerId: player ? player.id : null,
+      input,
+      outcome,
+      rngCalls: this.rng.calls
+    });
   }
 
   // Increment state version - call this on every action that modifies game state
@@ -67,13 +154,39 @@ class Game {
 
   shuffleArray(array) {
     for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.rng.nextInt(i + 1);
       [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
   }
 
-  addPlayer(socketId, name, tokenId = null, colorId = null) {
+  // Seed for a bot's own PRNG, derived from the game seed so bot decisions replay too
+  deriveSeed(label) {
+    return `${this.rng.seed}:${label}`;
+  }
+
+  // Seed for the bot playing a seat (its index in players). Adding, respawning and stand-in bots all
+  // take theirs from here, so a seat's bot picks up the same sequence after a restart.
+  botSeed(seat, standIn = false) {
+    return this.deriveSeed(`${standIn ? 'standin' : 'bot'}:${seat}`);
+  }
+
+  // Re-seed before the game starts, reshuffling the decks so the whole game follows the new seed
+  setSeed(seed) {
+    if (this.started) {
+      return { success: false, message: 'Cannot change seed after the game has started' };
+    }
+    this.rng = new SeededRng(seed);
+    this.chanceCards = this.shuffleArray([...CHANCE_CARDS]);
+    this.communityChestCards = this.shuffleArray([...COMMUNITY_CHEST_CARDS]);
+    this.chanceIndex = 0;
+    this.communityChestIndex = 0;
+    this.recordEvent('seed', null, { seed: this.rng.seed });
+    return { success: true, seed: this.rng.seed };
+  }
+
+  // playerId is the seat's permanent ID. Sockets come and go; the server maps them onto it (see GameManager).
+  addPlayer(playerId, name, tokenId = null, colorId = null) {
     if (this.players.length >= this.maxPlayers) return null;
 
     // Get used tokens and colors
@@ -107,9 +220,9 @@ class Game {
     }
 
     const player = {
-      id: socketId,
+      id: playerId,
       name: name,
-      money: 1500,
+      money: this.rules.startingMoney,
       position: 0,
       properties: [],
       inJail: false,
@@ -117,7 +230,12 @@ class Game {
       getOutOfJailCards: 0,
       bankrupt: false,
       disconnected: false,
+      disconnectedAt: null,
       isBot: false,
+      afkStrikes: 0, // Turns in a row that ran out of time
+      standIn: null, // Difficulty of the bot playing for this player while they are away
+      profileId: null, // Lifetime profile the result counts towards, if the player signed in with one
+      rentEarned: 0,
       color: selectedColor.hex,
       colorId: selectedColor.id,
       colorName: selectedColor.name,
@@ -128,7 +246,9 @@ class Game {
     };
 
     this.players.push(player);
+    this.seatTokens[player.id] = crypto.randomBytes(24).toString('hex');
     this.addLog(`${name} joined the game as ${selectedToken.emoji}`);
+    this.recordEvent('join', player, { name, tokenId: selectedToken.id, colorId: selectedColor.id });
     return player;
   }
 
@@ -159,28 +279,21 @@ class Game {
 
     const player = this.players[index];
     this.addLog(`${player.name} left the game`);
+    this.recordEvent('leave', player, { forceRemove });
 
-    // Reset all properties owned by this player
-    this.board.forEach(space => {
-      if (space.owner === socketId) {
-        space.owner = null;
-        space.mortgaged = false;
-        // Return houses to bank
-        if (space.houses) {
-          if (space.houses === 5) {
-            this.hotelsAvailable++;
-            this.housesAvailable += 4; // Hotel = 4 houses worth
-          } else {
-            this.housesAvailable += space.houses;
-          }
-          space.houses = 0;
-        }
-      }
-    });
+    // A player leaving mid-game while owing another player goes bankrupt to them
+    const creditor = this.started ? this.getCreditor(player) : null;
+    if (this.started && !forceRemove) {
+      this.recordElimination(player);
+    }
+    const transfer = creditor
+      ? this.transferAssetsToCreditor(player, creditor)
+      : this.returnAssetsToBank(player);
 
     if (!this.started || forceRemove) {
       // Before game starts or forced - completely remove player
       this.players.splice(index, 1);
+      delete this.seatTokens[player.id];
 
       // Assign new host if needed
       if (this.players.length > 0 && index === 0) {
@@ -195,83 +308,158 @@ class Game {
 
       // If it was this player's turn, advance to next player
       if (this.currentPlayerIndex === index) {
-        this.endTurn();
+        this.advanceTurn();
       } else if (this.currentPlayerIndex > index) {
         // Adjust current player index if we removed someone before them
         // (not needed if we keep player in array as bankrupt)
       }
     }
 
+    if (creditor) {
+      this.offerMortgagedTransfer(player, creditor, transfer);
+    } else {
+      this.startQueuedAuction();
+    }
+    this.refreshPendingTrades();
+
     // Check for winner after removal
     const activePlayers = this.players.filter(p => !p.bankrupt);
     if (this.started && activePlayers.length === 1) {
       // Only one player left - they win
-      return { removed: player, winner: activePlayers[0] };
+      return { removed: player, winner: activePlayers[0], creditor: this.summarizeCreditor(creditor), transfer };
     }
 
-    return { removed: player };
+    return { removed: player, creditor: this.summarizeCreditor(creditor), transfer };
   }
 
-  getPlayer(socketId) {
-    return this.players.find(p => p.id === socketId);
+  getPlayer(playerId) {
+    return this.players.find(p => p.id === playerId);
   }
 
-  setPlayerDisconnected(socketId) {
-    const player = this.getPlayer(socketId);
+  setPlayerDisconnected(playerId) {
+    const player = this.getPlayer(playerId);
     if (player) {
       player.disconnected = true;
+      player.disconnectedAt = Date.now();
       this.addLog(`${player.name} disconnected`);
     }
   }
 
-  rejoinPlayer(oldSocketId, newSocketId, playerName = null) {
-    let player;
+  // Disconnected humans who have been gone long enough to get a stand-in bot (rules.disconnectTakeoverSeconds)
+  getDisconnectTakeovers() {
+    const limitMs = this.rules.disconnectTakeoverSeconds * 1000;
+    if (!this.started || limitMs <= 0 || this.checkWinner()) return [];
+    const now = Date.now();
+    return this.players.filter(p =>
+      p.disconnected && p.disconnectedAt && !p.isBot && !p.standIn && !p.bankrupt &&
+      now - p.disconnectedAt >= limitMs
+    );
+  }
 
-    // First try to find by name (more reliable)
-    if (playerName) {
-      player = this.players.find(p => p.name === playerName);
+  // Player IDs never change, so reconnecting only flips the seat back to connected
+  rejoinPlayer(seatToken) {
+    const player = this.findPlayerBySeatToken(seatToken);
+    if (player) {
+      player.disconnected = false;
+      player.disconnectedAt = null;
+      this.addLog(`${player.name} reconnected`);
     }
+    return player;
+  }
 
-    // Fallback: find by old socket ID
-    if (!player) {
-      player = this.players.find(p => p.id === oldSocketId);
-    }
+  // Secret issued to the player's client when they take the seat
+  getSeatToken(player) {
+    return player ? this.seatTokens[player.id] || null : null;
+  }
 
-    // Last resort: find any disconnected player
-    if (!player) {
-      player = this.players.find(p => p.disconnected);
+  // Find the seat a rejoin token belongs to. Names and player IDs are public, so they are never enough.
+  findPlayerBySeatToken(seatToken) {
+    if (typeof seatToken !== 'string' || seatToken.length === 0) return null;
+    const given = Buffer.from(seatToken);
+    const playerId = Object.keys(this.seatTokens).find(id => {
+      const expected = Buffer.from(this.seatTokens[id]);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+    return playerId ? this.getPlayer(playerId) || null : null;
+  }
+
+  // Move a player (and everything that references them) onto a new ID.
+  // Only needed to replay journals recorded when player IDs were socket IDs and changed on every reconnect.
+  reassignPlayerId(player, newId) {
+    const oldId = player.id;
+    if (oldId === newId) return;
+    player.id = newId;
+
+    // The seat token follows the seat
+    if (this.seatTokens[oldId]) {
+      this.seatTokens[newId] = this.seatTokens[oldId];
+      delete this.seatTokens[oldId];
     }
 
-    if (player) {
-      const oldId = player.id;
-      player.id = newSocketId;
-      player.disconnected = false;
+    this.board.forEach(space => {
+      if (space.owner === oldId) {
+        space.owner = newId;
+      }
+    });
 
-      // Update property ownership to use new socket ID
-      this.board.forEach(space => {
-        if (space.owner === oldId) {
-          space.owner = newSocketId;
-        }
-      });
+    // Update auction participants and passedPlayers if there's an active auction
+    if (this.auction) {
+      this.auction.participants = this.auction.participants.map(id => id === oldId ? newId : id);
+      this.auction.passedPlayers = this.auction.passedPlayers.map(id => id === oldId ? newId : id);
+      if (this.auction.highestBidder === oldId) {
+        this.auction.highestBidder = newId;
+      }
+    }
 
-      this.addLog(`${player.name} reconnected`);
-      return true;
+    this.trades.forEach(trade => {
+      if (trade.from === oldId) trade.from = newId;
+      if (trade.to === oldId) trade.to = newId;
+      if (trade.type === 'multi') {
+        trade.participants = trade.participants.map(id => id === oldId ? newId : id);
+        trade.acceptedBy = trade.acceptedBy.map(id => id === oldId ? newId : id);
+        trade.legs.forEach(leg => {
+          if (leg.from === oldId) leg.from = newId;
+          if (leg.to === oldId) leg.to = newId;
+        });
+      }
+    });
+    this.players.forEach(p => {
+      if (p.debt?.creditor === oldId) p.debt.creditor = newId;
+    });
+    this.rentImmunities.forEach(immunity => {
+      if (immunity.grantedBy === oldId) immunity.grantedBy = newId;
+      if (immunity.playerId === oldId) immunity.playerId = newId;
+    });
+    this.ious.forEach(iou => {
+      if (iou.from === oldId) iou.from = newId;
+      if (iou.to === oldId) iou.to = newId;
+    });
+    if (this.pendingAction?.playerId === oldId) {
+      this.pendingAction.playerId = newId;
     }
-    return false;
+    this.mortgagedTransfers.forEach(transfer => {
+      if (transfer.playerId === oldId) transfer.playerId = newId;
+    });
+
+    this.recordEvent('rejoin', player, { oldId });
   }
 
   start() {
     this.started = true;
+    this.startedAt = this.now();
     this.shuffleArray(this.players);
     this.players[0].isHost = true;
+    this.turnNumber = 1;
     this.addLog('Game started!');
+    this.recordEvent('start', null, {}, { order: this.players.map(p => p.id) });
     this.turnStartTime = Date.now();
+    this.startTurnTimer();
     this.addLog(`${this.players[0].name}'s turn`);
   }
 
   rollDice() {
-    const die1 = Math.floor(Math.random() * 6) + 1;
-    const die2 = Math.floor(Math.random() * 6) + 1;
+    const die1 = this.rng.nextInt(6) + 1;
+    const die2 = this.rng.nextInt(6) + 1;
     const total = die1 + die2;
     const isDoubles = die1 === die2;
 
@@ -280,6 +468,7 @@ class Game {
 
     const player = this.players[this.currentPlayerIndex];
     this.addLog(`${player.name} rolled ${die1} + ${die2} = ${total}${isDoubles ? ' (doubles!)' : ''}`);
+    this.recordEvent('roll', player, {}, { die1, die2 });
 
     if (isDoubles) {
       this.doublesCount++;
@@ -305,10 +494,10 @@ class Game {
         player.jailTurns++;
         if (player.jailTurns >= 3) {
           // After 3 failed attempts, must pay fine
-          player.money -= 50;
+          player.money -= this.rules.jailFine;
           player.inJail = false;
           player.jailTurns = 0;
-          this.addLog(`${player.name} paid £50 after 3 failed attempts and is released from jail`);
+          this.addLog(`${player.name} paid £${this.rules.jailFine} after 3 failed attempts and is released from jail`);
           this.movePlayer(player, total);
         } else {
           this.addLog(`${player.name} failed to roll doubles (attempt ${player.jailTurns}/3)`);
@@ -327,8 +516,8 @@ class Game {
     player.position = (player.position + spaces) % 40;
 
     if (player.position < oldPosition && spaces > 0) {
-      player.money += 200;
-      this.addLog(`${player.name} passed GO and collected £200`);
+      player.money += this.rules.passGoAmount;
+      this.addLog(`${player.name} passed GO and collected £${this.rules.passGoAmount}`);
       this.processDebtPayment(player);
       this.checkBankruptcy(player);
     }
@@ -336,8 +525,8 @@ class Game {
 
   movePlayerTo(player, position, collectGo = true) {
     if (collectGo && position < player.position && position !== 10) {
-      player.money += 200;
-      this.addLog(`${player.name} passed GO and collected £200`);
+      player.money += this.rules.passGoAmount;
+      this.addLog(`${player.name} passed GO and collected £${this.rules.passGoAmount}`);
       this.processDebtPayment(player);
       this.checkBankruptcy(player);
     }
@@ -345,10 +534,23 @@ class Game {
   }
 
   handleLanding() {
+    const player = this.players[this.currentPlayerIndex];
+    const position = player.position;
+    const result = this.resolveLanding();
+    this.recordEvent('land', player, { position }, {
+      action: result.action || null,
+      card: result.card ? result.card.text : null,
+      finalPosition: player.position
+    });
+    return result;
+  }
+
+  // Apply the effects of the current player's space (cards can move and land again)
+  resolveLanding() {
     const player = this.players[this.currentPlayerIndex];
     const space = this.board[player.position];
 
-    console.log(`[LANDING DEBUG] ${player.name} landed on ${space.name} (position ${player.position}, type: ${space.type})`);
+    this.debug(`[LANDING DEBUG] ${player.name} landed on ${space.name} (position ${player.position}, type: ${space.type})`);
     this.addLog(`${player.name} landed on ${space.name}`);
 
     let result = { type: 'landed', space: space };
@@ -358,21 +560,28 @@ class Game {
       case 'railroad':
       case 'utility':
         if (space.owner === null) {
-          console.log(`[LANDING DEBUG] ${space.name} is unowned - prompting buy/auction`);
+          this.debug(`[LANDING DEBUG] ${space.name} is unowned - prompting buy/auction`);
           this.pendingAction = { type: 'buyOrAuction', property: space };
           result.action = 'buyOrAuction';
           result.price = space.price;
         } else if (space.owner !== player.id && !space.mortgaged) {
           const owner = this.players.find(p => p.id === space.owner);
-          console.log(`[LANDING DEBUG] ${space.name} owned by ${owner?.name || 'unknown'}, mortgaged: ${space.mortgaged}, owner in jail: ${owner?.inJail}`);
-          if (owner && owner.inJail) {
+          const immunity = this.getRentImmunity(space, player);
+          this.debug(`[LANDING DEBUG] ${space.name} owned by ${owner?.name || 'unknown'}, mortgaged: ${space.mortgaged}, owner in jail: ${owner?.inJail}`);
+          if (owner && owner.inJail && this.rules.noRentInJail) {
             this.addLog(`${player.name} landed on ${space.name} but ${owner.name} is in jail and collects no rent`);
             result.action = 'noRentJail';
             result.ownerName = owner.name;
             result.position = player.position;
+          } else if (immunity) {
+            this.useRentImmunity(immunity, player, space);
+            result.action = 'rentImmunity';
+            result.ownerName = owner?.name;
+            result.landingsLeft = immunity.landingsLeft;
+            result.position = player.position;
           } else {
             const rent = this.calculateRent(space, player);
-            console.log(`[LANDING DEBUG] Collecting rent: £${rent} from ${player.name} to ${owner?.name}`);
+            this.debug(`[LANDING DEBUG] Collecting rent: £${rent} from ${player.name} to ${owner?.name}`);
             this.payRent(player, space, rent);
             result.action = 'paidRent';
             result.rent = rent;
@@ -382,15 +591,15 @@ class Game {
             result.ownerColor = owner.color;
           }
         } else if (space.owner === player.id) {
-          console.log(`[LANDING DEBUG] ${space.name} is owned by the player who landed - no rent`);
+          this.debug(`[LANDING DEBUG] ${space.name} is owned by the player who landed - no rent`);
         } else if (space.mortgaged) {
-          console.log(`[LANDING DEBUG] ${space.name} is mortgaged - no rent`);
+          this.debug(`[LANDING DEBUG] ${space.name} is mortgaged - no rent`);
         }
         break;
 
       case 'tax':
         player.money -= space.amount;
-        this.freeParking += space.amount;
+        this.addToFreeParking(space.amount);
         this.addLog(`${player.name} paid £${space.amount} in ${space.name}`);
         result.action = 'paidTax';
         result.amount = space.amount;
@@ -435,6 +644,7 @@ class Game {
   calculateRent(space, landingPlayer) {
     const owner = this.players.find(p => p.id === space.owner);
     if (!owner || space.mortgaged) return 0;
+    if (landingPlayer && this.getRentImmunity(space, landingPlayer)) return 0;
 
     if (space.type === 'railroad') {
       const railroadsOwned = this.board.filter(s => s.type === 'railroad' && s.owner === owner.id).length;
@@ -469,15 +679,23 @@ class Game {
       return;
     }
 
-    // Owner in jail cannot collect rent
-    if (owner.inJail) {
+    // Owner in jail cannot collect rent (house rule)
+    if (owner.inJail && this.rules.noRentInJail) {
       this.addLog(`${player.name} landed on ${space.name} but ${owner.name} is in jail and collects no rent`);
       return;
     }
 
+    // Card moves (nearest railroad/utility) come through here rather than resolveLanding
+    const immunity = this.getRentImmunity(space, player);
+    if (immunity) {
+      this.useRentImmunity(immunity, player, space);
+      return;
+    }
+
     if (player.money >= rent) {
       player.money -= rent;
       owner.money += rent;
+      owner.rentEarned = (owner.rentEarned || 0) + rent;
       this.addLog(`${player.name} paid £${rent} rent to ${owner.name}`);
       this.processDebtPayment(owner);
       this.checkBankruptcy(owner);
@@ -488,6 +706,7 @@ class Game {
 
       player.money = 0;
       owner.money += available;
+      owner.rentEarned = (owner.rentEarned || 0) + available;
       this.processDebtPayment(owner);
       this.checkBankruptcy(owner);
 
@@ -501,6 +720,28 @@ class Game {
     }
   }
 
+  /**
+   * Rent immunity the landing player holds on a space, if any.
+   * Immunities are granted by the owner at the time of the trade and lapse if the deed changes hands.
+   */
+  getRentImmunity(space, player) {
+    return this.rentImmunities.find(immunity =>
+      immunity.propertyIndex === space.index &&
+      immunity.playerId === player.id &&
+      immunity.grantedBy === space.owner &&
+      immunity.landingsLeft > 0
+    ) || null;
+  }
+
+  useRentImmunity(immunity, player, space) {
+    immunity.landingsLeft--;
+    if (immunity.landingsLeft <= 0) {
+      this.rentImmunities = this.rentImmunities.filter(i => i !== immunity);
+    }
+    const remaining = immunity.landingsLeft > 0 ? ` (${immunity.landingsLeft} landing${immunity.landingsLeft === 1 ? '' : 's'} left)` : '';
+    this.addLog(`${player.name} landed on ${space.name} and pays no rent thanks to a traded immunity${remaining}`);
+  }
+
   drawChanceCard(player) {
     const card = this.chanceCards[this.chanceIndex];
     this.chanceIndex = (this.chanceIndex + 1) % this.chanceCards.length;
@@ -531,14 +772,14 @@ class Game {
     switch (card.action) {
       case 'move':
         this.movePlayerTo(player, card.destination, true);
-        const landResult = this.handleLanding();
+        const landResult = this.resolveLanding();
         result.landed = landResult;
         break;
 
       case 'moveBack':
         player.position = (player.position - card.spaces + 40) % 40;
         this.addLog(`${player.name} moved back ${card.spaces} spaces`);
-        const backResult = this.handleLanding();
+        const backResult = this.resolveLanding();
         result.landed = backResult;
         break;
 
@@ -549,7 +790,7 @@ class Game {
           this.processDebtPayment(player);
         } else {
           this.addLog(`${player.name} paid £${Math.abs(card.amount)}`);
-          this.freeParking += Math.abs(card.amount);
+          this.addToFreeParking(Math.abs(card.amount));
         }
         break;
 
@@ -583,7 +824,7 @@ class Game {
           }
         });
         player.money -= repairCost;
-        this.freeParking += repairCost;
+        this.addToFreeParking(repairCost);
         this.addLog(`${player.name} paid £${repairCost} for repairs`);
         result.repairCost = repairCost;
         break;
@@ -615,6 +856,13 @@ class Game {
     return result;
   }
 
+  // Taxes and fines only pool into Free Parking when the house rule is on
+  addToFreeParking(amount) {
+    if (this.rules.freeParkingPot) {
+      this.freeParking += amount;
+    }
+  }
+
   sendToJail(player) {
     player.position = 10;
     player.inJail = true;
@@ -628,14 +876,15 @@ class Game {
     if (!player.inJail) {
       return { success: false, message: 'Not in jail' };
     }
-    if (player.money < 50) {
+    if (player.money < this.rules.jailFine) {
       return { success: false, message: 'Not enough money' };
     }
-    player.money -= 50;
+    player.money -= this.rules.jailFine;
     player.inJail = false;
     player.jailTurns = 0;
     this.diceRolled = false;  // Allow player to roll after paying
-    this.addLog(`${player.name} paid £50 to get out of jail`);
+    this.addLog(`${player.name} paid £${this.rules.jailFine} to get out of jail`);
+    this.recordEvent('jailFine', player);
     return { success: true };
   }
 
@@ -651,6 +900,7 @@ class Game {
     player.jailTurns = 0;
     this.diceRolled = false;  // Allow player to roll after using card
     this.addLog(`${player.name} used a Get Out of Jail Free card`);
+    this.recordEvent('jailCard', player);
     return { success: true };
   }
 
@@ -672,34 +922,98 @@ class Game {
     this.pendingAction = null;
 
     this.addLog(`${player.name} bought ${property.name} for £${property.price}`);
+    this.recordEvent('buy', player, { propertyIndex: this.board.indexOf(property) }, { price: property.price });
     return { success: true, property: property };
   }
 
+  // Current player turns down the property: auction it if enabled, otherwise it stays unsold
+  declineProperty(player) {
+    if (!this.pendingAction || this.pendingAction.type !== 'buyOrAuction') {
+      return { success: false, message: 'No property to decline' };
+    }
+
+    const propertyIndex = this.board.indexOf(this.pendingAction.property);
+    if (this.auctionsEnabled) {
+      this.startAuction();
+    } else {
+      this.addLog(`${player.name} declined to buy ${this.pendingAction.property.name}`);
+      this.pendingAction = null;
+    }
+
+    this.recordEvent('decline', player, { propertyIndex }, { auction: !!this.auction });
+    return { success: true, auction: this.auction };
+  }
+
   startAuction() {
     if (!this.pendingAction || this.pendingAction.type !== 'buyOrAuction') return;
 
     const property = this.pendingAction.property;
     const currentPlayerId = this.players[this.currentPlayerIndex].id;
 
+    // Current player already passed by declining to buy
+    this.openAuction(this.board.indexOf(property), { passedPlayers: [currentPlayerId] });
+    this.pendingAction = null;
+  }
+
+  openAuction(propertyIndex, { passedPlayers = [], source = 'decline', fromPlayerName = null } = {}) {
+    const property = this.board[propertyIndex];
+
     // All non-bankrupt, non-jailed players can participate
-    const allParticipants = this.players.filter(p => !p.bankrupt && !p.inJail).map(p => p.id);
+    const eligible = this.players.filter(p => !p.bankrupt && !p.inJail);
+    const allParticipants = eligible.map(p => p.id);
+
+    // Players who timed out of their last turn are passed automatically
+    const away = eligible.filter(p => p.afkStrikes > 0 && !p.isBot && !passedPlayers.includes(p.id));
+    away.forEach(p => this.addLog(`${p.name} is away and passes on the auction`));
 
     this.auction = {
       property: property,
-      propertyIndex: this.board.indexOf(property),
+      propertyIndex: propertyIndex,
       currentBid: 0,
       minimumBid: 10, // Minimum starting bid
       minBidDelayMs: AUCTION_BID_DELAY_MS,
       lastBidAt: 0,
+      deadline: this.now() + AUCTION_DURATION_MS,
       highestBidder: null,
       participants: allParticipants,
-      passedPlayers: [currentPlayerId], // Current player already passed by declining to buy
-      autoComplete: true // Flag to auto-complete if no one bids
+      passedPlayers: [...passedPlayers, ...away.map(p => p.id)],
+      autoComplete: true, // Flag to auto-complete if no one bids
+      source: source, // 'decline' or 'bankruptcy'
+      fromPlayerName: fromPlayerName,
+      queueRemaining: this.auctionQueue.length
     };
-    this.pendingAction = null;
     this.addLog(`Auction started for ${property.name} (minimum bid: £10)`);
   }
 
+  // Start the next bank auction from the bankruptcy queue, if nothing else is being auctioned
+  startQueuedAuction() {
+    if (this.auction || this.auctionQueue.length === 0) return null;
+
+    // Game over - nobody left to bid against, the deeds simply stay with the bank
+    if (this.checkWinner()) {
+      this.auctionQueue = [];
+      return null;
+    }
+
+    while (this.auctionQueue.length > 0) {
+      const next = this.auctionQueue.shift();
+      if (this.board[next.propertyIndex].owner) continue;
+      if (!this.players.some(p => !p.bankrupt && !p.inJail)) {
+        this.addLog(`Nobody can bid on ${this.board[next.propertyIndex].name} - it stays with the bank`);
+        continue;
+      }
+      this.openAuction(next.propertyIndex, { source: 'bankruptcy', fromPlayerName: next.fromPlayerName });
+      return this.auction;
+    }
+    return null;
+  }
+
+  // Clear the finished auction and move on to any queued bank auction
+  endAuction() {
+    this.auction = null;
+    this.startQueuedAuction();
+  }
+
   placeBid(player, amount) {
     if (!this.auction) return { success: false };
     if (!this.auction.participants.includes(player.id)) return { success: false };
@@ -710,7 +1024,7 @@ class Game {
       return { success: false, message: 'Cannot bid while in jail' };
     }
 
-    const now = Date.now();
+    const now = this.now();
     const minDelayMs = this.auction.minBidDelayMs || 0;
     if (this.auction.lastBidAt && (now - this.auction.lastBidAt) < minDelayMs) {
       return { success: false, message: 'Bid too soon after last bid' };
@@ -723,8 +1037,10 @@ class Game {
 
     this.auction.currentBid = amount;
     this.auction.lastBidAt = now;
+    this.auction.deadline = now + AUCTION_DURATION_MS;
     this.auction.highestBidder = player.id;
     this.addLog(`${player.name} bid £${amount}`);
+    this.recordEvent('bid', player, { amount });
 
     // If only one bidder left (the one who just bid), auto-complete the auction
     const remainingBidders = this.auction.participants.filter(
@@ -744,6 +1060,7 @@ class Game {
 
     this.auction.passedPlayers.push(player.id);
     this.addLog(`${player.name} passed on the auction`);
+    this.recordEvent('pass', player);
 
     const remainingBidders = this.auction.participants.filter(
       id => !this.auction.passedPlayers.includes(id)
@@ -753,7 +1070,7 @@ class Game {
       this.completeAuction();
     } else if (remainingBidders.length === 0) {
       this.addLog(`No one bought ${this.auction.property.name}`);
-      this.auction = null;
+      this.endAuction();
     }
   }
 
@@ -768,8 +1085,53 @@ class Game {
     winner.properties.push(this.auction.propertyIndex);
 
     this.addLog(`${winner.name} won the auction for ${property.name} at £${this.auction.currentBid}`);
-    console.log(`[SERVER] Auction won by ${winner.name} for ${property.name} at £${this.auction.currentBid}`);
-    this.auction = null;
+    this.debug(`[SERVER] Auction won by ${winner.name} for ${property.name} at £${this.auction.currentBid}`);
+    this.endAuction();
+  }
+
+  // The auction clock ran out: sold to the highest bidder, or the property stays with the bank
+  expireAuction() {
+    if (!this.auction) return false;
+    const { propertyIndex, highestBidder, currentBid } = this.auction;
+    this.recordEvent('auctionExpired', null, { propertyIndex }, { winnerId: highestBidder, amount: currentBid });
+    if (highestBidder) {
+      this.addLog(`Going once, going twice... sold!`);
+      this.completeAuction();
+    } else {
+      this.addLog(`No bids placed - ${this.auction.property.name} remains unsold`);
+      this.endAuction();
+    }
+    return true;
+  }
+
+  getAuctionTimeRemaining() {
+    if (!this.auction || !this.auction.deadline) return null;
+    return Math.max(0, this.auction.deadline - this.now());
+  }
+
+  // Auctioneer's call for the current countdown: open, goingOnce, goingTwice or sold
+  getAuctionPhase() {
+    const remaining = this.getAuctionTimeRemaining();
+    if (remaining === null) return null;
+    if (remaining === 0) return 'sold';
+    if (remaining <= AUCTION_GOING_TWICE_MS) return 'goingTwice';
+    if (remaining <= AUCTION_GOING_ONCE_MS) return 'goingOnce';
+    return 'open';
+  }
+
+  // Called by the server tick: closes the auction once its deadline has passed
+  tickAuction() {
+    if (!this.auction || this.getAuctionTimeRemaining() > 0) return false;
+    return this.expireAuction();
+  }
+
+  // Restart the clock after a server restart, giving bidders back the time they had left
+  resumeAuction(remainingMs) {
+    if (!this.auction) return;
+    this.auction.property = this.board[this.auction.propertyIndex];
+    const remaining = typeof remainingMs === 'number' ? remainingMs : AUCTION_DURATION_MS;
+    this.auction.deadline = this.now() + Math.max(remaining, AUCTION_GOING_TWICE_MS);
+    delete this.auction.timeRemainingMs;
   }
 
   buildHouse(player, propertyIndex) {
@@ -825,6 +1187,8 @@ class Game {
       this.addLog(`${player.name} built a house on ${property.name}`);
     }
 
+    this.recordEvent('build', player, { propertyIndex }, { houses: property.houses });
+    this.refreshPendingTrades();
     return { success: true, property: property };
   }
 
@@ -860,6 +1224,8 @@ class Game {
       this.housesAvailable++;
       this.addLog(`${player.name} sold a house on ${property.name}`);
     }
+    this.recordEvent('sellHouse', player, { propertyIndex }, { houses: property.houses });
+    this.refreshPendingTrades();
 
     this.processDebtPayment(player);
     this.checkBankruptcy(player);
@@ -883,6 +1249,8 @@ class Game {
     player.money += property.mortgage;
 
     this.addLog(`${player.name} mortgaged ${property.name} for £${property.mortgage}`);
+    this.recordEvent('mortgage', player, { propertyIndex });
+    this.refreshPendingTrades();
     this.processDebtPayment(player);
     this.checkBankruptcy(player);
     return { success: true, property: property };
@@ -898,7 +1266,7 @@ class Game {
       return { success: false, message: 'Not mortgaged' };
     }
 
-    const cost = Math.floor(property.mortgage * 1.1);
+    const cost = this.getUnmortgageCost(property);
     if (player.money < cost) {
       return { success: false, message: 'Not enough money' };
     }
@@ -907,84 +1275,599 @@ class Game {
     player.money -= cost;
 
     this.addLog(`${player.name} unmortgaged ${property.name} for £${cost}`);
+    this.recordEvent('unmortgage', player, { propertyIndex }, { cost });
+    this.refreshPendingTrades();
     return { success: true, property: property };
   }
 
+  getUnmortgageCost(property) {
+    return Math.floor(property.mortgage * (1 + this.rules.unmortgageInterest));
+  }
+
   proposeTrade(fromPlayer, toPlayerId, offer, request) {
     const toPlayer = this.players.find(p => p.id === toPlayerId);
-    if (!toPlayer) return null;
+    if (!toPlayer || toPlayer === fromPlayer) {
+      return { success: false, message: 'Choose another player to trade with' };
+    }
+    const error = this.validateTrade(fromPlayer, toPlayer, offer, request);
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    const trade = this.createTrade({ from: fromPlayer.id, to: toPlayerId, offer, request }, [offer, request]);
+    this.trades.push(trade);
+    this.addLog(`${fromPlayer.name} proposed a trade to ${toPlayer.name}`);
+    this.recordEvent('tradePropose', fromPlayer, { toPlayerId, offer, request }, { tradeId: trade.id });
+    return { success: true, trade };
+  }
+
+  /**
+   * Propose a trade between several players. Each leg hands money, properties and/or jail cards
+   * from one participant to another; nothing moves until every participant has accepted.
+   * @param {Object} proposer - Player proposing the trade (counts as having accepted it)
+   * @param {Array} legs - [{ from, to, money, properties, jailCards }]
+   */
+  proposeMultiTrade(proposer, legs) {
+    if (!Array.isArray(legs) || legs.length === 0) {
+      return { success: false, message: 'Add at least one transfer to the trade' };
+    }
+    const transfers = [];
+    for (const leg of legs) {
+      const giver = this.getPlayer(leg?.from);
+      const receiver = this.getPlayer(leg?.to);
+      if (!giver || !receiver || giver === receiver) {
+        return { success: false, message: 'Each transfer needs two different players' };
+      }
+      if (leg.immunities?.length || leg.ious?.length) {
+        return { success: false, message: 'Multi-party trades can only include money, properties and jail cards' };
+      }
+      transfers.push({ giver, side: leg });
+    }
+    if (!legs.some(leg => leg.from === proposer.id || leg.to === proposer.id)) {
+      return { success: false, message: 'You must be part of the trade you propose' };
+    }
+    const error = this.validateTransfers(transfers);
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    const cleanLegs = legs.map(leg => ({
+      from: leg.from,
+      to: leg.to,
+      money: leg.money || 0,
+      properties: leg.properties || [],
+      jailCards: leg.jailCards || 0
+    }));
+    const participants = [...new Set([proposer.id, ...cleanLegs.flatMap(leg => [leg.from, leg.to])])];
+    const trade = this.createTrade({
+      type: 'multi',
+      from: proposer.id,
+      to: null,
+      participants,
+      legs: cleanLegs,
+      acceptedBy: [proposer.id]
+    }, cleanLegs);
+
+    this.trades.push(trade);
+    this.addLog(`${proposer.name} proposed a trade ${this.describeTradeParties(trade)}`);
+    this.recordEvent('multiTradePropose', proposer, { legs: cleanLegs }, { tradeId: trade.id });
+    return { success: true, trade };
+  }
+
+  // One participant's acceptance of a multi-party trade; the last one to accept carries it out
+  acceptMultiTrade(trade, player) {
+    if (!trade.participants.includes(player.id)) {
+      return { success: false, message: 'You are not part of this trade' };
+    }
+    if (trade.status !== 'pending') {
+      return { success: false, message: 'Trade is no longer open' };
+    }
+    if (trade.acceptedBy.includes(player.id)) {
+      return { success: false, message: 'You have already accepted this trade' };
+    }
+
+    const transfers = trade.legs.map(leg => ({ giver: this.getPlayer(leg.from), receiver: this.getPlayer(leg.to), side: leg }));
+    if (transfers.some(({ giver, receiver }) => !giver || !receiver)) {
+      return { success: false, message: 'Invalid trade' };
+    }
+    const error = this.validateTransfers(transfers);
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    trade.acceptedBy.push(player.id);
+    const waitingFor = trade.participants.filter(id => !trade.acceptedBy.includes(id));
+    if (waitingFor.length > 0) {
+      const names = waitingFor.map(id => this.getPlayer(id)?.name).join(', ');
+      this.addLog(`${player.name} accepted the trade ${this.describeTradeParties(trade)} - waiting for ${names}`);
+      this.recordEvent('tradeAccept', player, { tradeId: trade.id });
+      return { success: true, trade, completed: false, waitingFor };
+    }
 
-    const trade = {
+    // Everyone has agreed: every leg goes through before any debts are settled
+    transfers.forEach(({ giver, receiver, side }) => this.transferTradeSide(giver, receiver, side));
+    trade.participants.map(id => this.getPlayer(id)).forEach(p => {
+      this.processDebtPayment(p);
+      this.checkBankruptcy(p);
+    });
+
+    this.closeTrade(trade, 'accepted');
+    this.addLog(`Trade ${this.describeTradeParties(trade)} completed`);
+    this.recordEvent('tradeAccept', player, { tradeId: trade.id });
+    this.refreshPendingTrades();
+    return { success: true, trade, completed: true };
+  }
+
+  // "from Alice to Bob", or "between Alice, Bob and Carol" for a multi-party trade
+  describeTradeParties(trade) {
+    if (trade.type === 'multi') {
+      const names = trade.participants.map(id => this.getPlayer(id)?.name || 'a player');
+      return `between ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+    return `from ${this.getPlayer(trade.from)?.name} to ${this.getPlayer(trade.to)?.name}`;
+  }
+
+  /**
+   * A new pending trade, stamped with its expiry (house rules) and the state of the deeds it lists
+   * @param {Object} fields - Parties and terms
+   * @param {Array} sides - Every offer/request/leg, for the asset snapshot
+   */
+  createTrade(fields, sides) {
+    const { tradeExpiryTurns, tradeExpirySeconds } = this.rules;
+    return {
       id: uuidv4(),
-      from: fromPlayer.id,
-      to: toPlayerId,
-      offer: offer,
-      request: request,
-      status: 'pending'
+      status: 'pending',
+      ...fields,
+      createdTurn: this.turnNumber,
+      createdAt: this.now(),
+      expiresTurn: tradeExpiryTurns > 0 ? this.turnNumber + tradeExpiryTurns : null,
+      expiresAt: tradeExpirySeconds > 0 ? this.now() + tradeExpirySeconds * 1000 : null,
+      assets: this.snapshotTradeAssets(sides)
     };
+  }
+
+  // Ownership, mortgage and building state of every deed a trade lists, to spot later changes
+  snapshotTradeAssets(sides) {
+    const assets = {};
+    sides.forEach(side => {
+      (side.properties || []).forEach(propIndex => {
+        const property = this.board[propIndex];
+        assets[propIndex] = {
+          owner: property.owner,
+          mortgaged: property.mortgaged,
+          groupHouses: this.getGroupHouses(property)
+        };
+      });
+    });
+    return assets;
+  }
+
+  getGroupHouses(property) {
+    if (!property.color) return 0;
+    return this.board.filter(s => s.color === property.color).reduce((total, s) => total + (s.houses || 0), 0);
+  }
+
+  // Mark a trade finished; everything that isn't pending shows up in the trade history
+  closeTrade(trade, status, reason = null) {
+    trade.status = status;
+    trade.closedTurn = this.turnNumber;
+    trade.closedAt = this.now();
+    if (reason) trade.closedReason = reason;
+  }
+
+  // Proposer withdraws a pending offer
+  cancelTrade(tradeId, player) {
+    const trade = this.trades.find(t => t.id === tradeId);
+    if (!trade || trade.from !== player.id) {
+      return { success: false, message: 'Invalid trade' };
+    }
+    if (trade.status !== 'pending') {
+      return { success: false, message: 'Trade is no longer open' };
+    }
+
+    this.closeTrade(trade, 'cancelled');
+    const parties = trade.type === 'multi' ? this.describeTradeParties(trade) : `to ${this.getPlayer(trade.to)?.name || 'another player'}`;
+    this.addLog(`${player.name} withdrew their trade offer ${parties}`);
+    this.recordEvent('tradeCancel', player, { tradeId });
+    return { success: true, trade };
+  }
+
+  /**
+   * Close pending trades that have run out of time
+   * @param {Function} isDue - Which trades have expired
+   * @returns {Array} The expired trades
+   */
+  expireTrades(isDue) {
+    const expired = this.trades.filter(t => t.status === 'pending' && isDue(t));
+    expired.forEach(trade => {
+      this.closeTrade(trade, 'expired');
+      this.addLog(`Trade offer ${this.describeTradeParties(trade)} expired`);
+    });
+    return expired;
+  }
+
+  /**
+   * Called by the server tick to expire trades with a time limit.
+   * Turn limits are handled in advanceTurn, so they replay without a journal entry of their own.
+   * @returns {Array} The trades that expired
+   */
+  tickTrades() {
+    const expired = this.expireTrades(trade => trade.expiresAt && this.now() >= trade.expiresAt);
+    if (expired.length > 0) {
+      this.recordEvent('tradesExpired', null, {}, { tradeIds: expired.map(t => t.id) });
+    }
+    return expired;
+  }
+
+  /**
+   * Close pending trades whose deeds have changed since they were offered (sold, mortgaged,
+   * built on or traded elsewhere) or that involve a player who has gone bankrupt.
+   * Runs after every action that can change a deed, so it needs no journal entry.
+   * @returns {Array} The invalidated trades
+   */
+  refreshPendingTrades() {
+    const invalidated = [];
+    this.trades.filter(t => t.status === 'pending').forEach(trade => {
+      const reason = this.getTradeInvalidReason(trade);
+      if (!reason) return;
+      this.closeTrade(trade, 'invalidated', reason);
+      this.addLog(`Trade offer ${this.describeTradeParties(trade)} was withdrawn: ${reason}`);
+      invalidated.push(trade);
+    });
+    return invalidated;
+  }
+
+  getTradeInvalidReason(trade) {
+    for (const playerId of trade.participants || [trade.from, trade.to]) {
+      const player = this.getPlayer(playerId);
+      if (!player || player.bankrupt) return `${player?.name || 'a player'} is no longer in the game`;
+    }
+    for (const [propIndex, was] of Object.entries(trade.assets || {})) {
+      const property = this.board[propIndex];
+      if (property.owner !== was.owner) return `${property.name} changed hands`;
+      if (property.mortgaged !== was.mortgaged) return `${property.name} was ${property.mortgaged ? 'mortgaged' : 'unmortgaged'}`;
+      if (this.getGroupHouses(property) !== was.groupHouses) return `buildings changed on the ${property.color} group`;
+    }
+    return null;
+  }
+
+  // Finished trades, oldest first (counter-offer rounds are folded into the round that ended the thread)
+  getTradeHistory() {
+    return this.trades.filter(t => t.status !== 'pending' && t.status !== 'countered').slice(-TRADE_HISTORY_LIMIT);
+  }
+
+  /**
+   * Check that both players can hand over everything on their side of a trade.
+   * Run when a trade is proposed or countered and again when it is accepted, since
+   * the board may have moved on in between.
+   * @returns {string|null} Error message, or null if the trade can go ahead
+   */
+  validateTrade(fromPlayer, toPlayer, offer, request) {
+    return this.validateTransfers([
+      { giver: fromPlayer, side: offer },
+      { giver: toPlayer, side: request }
+    ]);
+  }
+
+  /**
+   * Validation shared by two-party and multi-party trades
+   * @param {Array} transfers - { giver, side } for everything handed over; a player may give in several
+   * @returns {string|null} Error message, or null if every giver can cover all of their transfers
+   */
+  validateTransfers(transfers) {
+    const bankrupt = transfers.find(({ giver }) => giver.bankrupt);
+    if (bankrupt) {
+      return `${bankrupt.giver.name} is bankrupt and can't trade`;
+    }
+    if (transfers.some(({ side }) => !side || typeof side !== 'object')) {
+      return 'Invalid trade terms';
+    }
+
+    const seen = new Set();
+    const totals = new Map(); // Giver -> money and jail cards across all of their transfers
+    for (const { giver, side } of transfers) {
+      if (side.money && (!Number.isInteger(side.money) || side.money < 0)) {
+        return 'Money in a trade must be a whole number of pounds';
+      }
+      if (side.properties && !Array.isArray(side.properties)) {
+        return 'Invalid trade terms';
+      }
+      for (const propIndex of side.properties || []) {
+        const property = Number.isInteger(propIndex) ? this.board[propIndex] : null;
+        if (!property || !property.price) {
+          return 'That space can\'t be traded';
+        }
+        if (seen.has(propIndex)) {
+          return `${property.name} is listed more than once`;
+        }
+        seen.add(propIndex);
+        if (property.owner !== giver.id) {
+          return `${giver.name} doesn't own ${property.name}`;
+        }
+        if (property.color && this.board.some(s => s.color === property.color && s.houses > 0)) {
+          return `Sell the buildings on the ${property.color} group before trading ${property.name}`;
+        }
+      }
+      const extrasError = this.checkTradeExtras(giver, side);
+      if (extrasError) return extrasError;
+      const tradedAway = (side.immunities || []).find(immunity => (side.properties || []).includes(immunity.propertyIndex));
+      if (tradedAway) {
+        return `${giver.name} can't grant rent immunity on ${this.board[tradedAway.propertyIndex].name} while trading it away`;
+      }
+
+      const total = totals.get(giver) || { money: 0, jailCards: 0 };
+      total.money += side.money || 0;
+      total.jailCards += side.jailCards || 0;
+      totals.set(giver, total);
+    }
+
+    for (const [giver, total] of totals) {
+      if (total.money && giver.money < total.money) {
+        return `${giver.name} doesn't have £${total.money}`;
+      }
+      if (total.jailCards > (giver.getOutOfJailCards || 0)) {
+        return `${giver.name} doesn't have enough Get Out of Jail Free cards`;
+      }
+    }
+
+    const isEmpty = (side) => !side.money && !side.properties?.length && !side.jailCards && !side.immunities?.length && !side.ious?.length;
+    if (transfers.every(({ side }) => isEmpty(side))) {
+      return 'The trade is empty';
+    }
+    return null;
+  }
+
+  /**
+   * Answer a pending trade with amended terms instead of a flat yes/no.
+   * Either party can counter; the countering player becomes the proposer of the new round,
+   * which carries the earlier rounds in its history so both sides can follow the negotiation.
+   * @param {string} tradeId - Pending trade being countered
+   * @param {Object} player - Player making the counter-offer
+   * @param {Object} offer - What the countering player now gives
+   * @param {Object} request - What the countering player now wants
+   */
+  counterTrade(tradeId, player, offer, request) {
+    const original = this.trades.find(t => t.id === tradeId);
+    if (!original || original.status !== 'pending') {
+      return { success: false, message: 'Trade is no longer open' };
+    }
+    if (original.type === 'multi') {
+      return { success: false, message: 'Multi-party trades can\'t be countered - decline it and propose a new one' };
+    }
+    if (original.from !== player.id && original.to !== player.id) {
+      return { success: false, message: 'You are not part of this trade' };
+    }
+
+    const otherId = original.from === player.id ? original.to : original.from;
+    const other = this.getPlayer(otherId);
+    if (!other) {
+      return { success: false, message: 'Invalid trade' };
+    }
+    const error = this.validateTrade(player, other, offer || {}, request || {});
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    this.closeTrade(original, 'countered');
+    const trade = this.createTrade({
+      from: player.id,
+      to: otherId,
+      offer: offer || {},
+      request: request || {},
+      threadId: original.threadId || original.id,
+      counterTo: original.id,
+      history: [
+        ...(original.history || []),
+        { tradeId: original.id, from: original.from, to: original.to, offer: original.offer, request: original.request, status: 'countered' }
+      ]
+    }, [offer || {}, request || {}]);
 
     this.trades.push(trade);
-    this.addLog(`${fromPlayer.name} proposed a trade to ${toPlayer.name}`);
-    return trade;
+    this.addLog(`${player.name} made a counter-offer to ${other.name}`);
+    this.recordEvent('tradeCounter', player, { tradeId, offer: trade.offer, request: trade.request }, { tradeId: trade.id });
+    return { success: true, trade, previousTradeId: original.id };
   }
 
   acceptTrade(tradeId, player) {
     const trade = this.trades.find(t => t.id === tradeId);
+    if (trade?.type === 'multi') {
+      return this.acceptMultiTrade(trade, player);
+    }
     if (!trade || trade.to !== player.id) {
       return { success: false, message: 'Invalid trade' };
     }
+    if (trade.status !== 'pending') {
+      return { success: false, message: 'Trade is no longer open' };
+    }
 
     const fromPlayer = this.players.find(p => p.id === trade.from);
     const toPlayer = player;
+    if (!fromPlayer) {
+      return { success: false, message: 'Invalid trade' };
+    }
 
-    if (trade.offer.money && fromPlayer.money < trade.offer.money) {
-      return { success: false, message: 'Offering player doesn\'t have enough money' };
+    const error = this.validateTrade(fromPlayer, toPlayer, trade.offer, trade.request);
+    if (error) {
+      return { success: false, message: error };
     }
-    if (trade.request.money && toPlayer.money < trade.request.money) {
-      return { success: false, message: 'You don\'t have enough money' };
+
+    // Everything has been checked, so the whole trade goes through before any debts are settled
+    this.transferTradeSide(fromPlayer, toPlayer, trade.offer);
+    this.transferTradeSide(toPlayer, fromPlayer, trade.request);
+    [toPlayer, fromPlayer].forEach(p => {
+      this.processDebtPayment(p);
+      this.checkBankruptcy(p);
+    });
+
+    this.closeTrade(trade, 'accepted');
+    this.addLog(`${toPlayer.name} accepted trade from ${fromPlayer.name}`);
+    this.recordEvent('tradeAccept', toPlayer, { tradeId });
+    this.refreshPendingTrades();
+    return { success: true, trade: trade };
+  }
+
+  // Hand over one side of a validated trade
+  transferTradeSide(giver, receiver, side) {
+    if (side.money) {
+      giver.money -= side.money;
+      receiver.money += side.money;
     }
+    (side.properties || []).forEach(propIndex => {
+      this.board[propIndex].owner = receiver.id;
+      giver.properties = giver.properties.filter(p => p !== propIndex);
+      receiver.properties.push(propIndex);
+    });
+    this.applyTradeExtras(giver, receiver, side);
+  }
 
-    if (trade.offer.money) {
-      fromPlayer.money -= trade.offer.money;
-      toPlayer.money += trade.offer.money;
-      this.processDebtPayment(toPlayer);
-      this.checkBankruptcy(toPlayer);
+  /**
+   * Check the non-cash items one side of a trade gives:
+   * jailCards (count - whether the giver holds enough is checked in validateTransfers), immunities [{ propertyIndex, landings }] on the giver's own deeds,
+   * and ious [{ amount, turns }] the giver promises to pay that many turns from now
+   * @returns {string|null} Error message, or null if the terms are well formed
+   */
+  checkTradeExtras(giver, side) {
+    const jailCards = side.jailCards || 0;
+    if (!Number.isInteger(jailCards) || jailCards < 0) {
+      return 'Jail cards in a trade must be a whole number';
+    }
+    // Terms come straight off the socket: lists of plain objects or nothing at all
+    const isTermList = list => list === undefined || list === null ||
+      (Array.isArray(list) && list.every(item => item !== null && typeof item === 'object' && !Array.isArray(item)));
+    if (!isTermList(side.immunities) || !isTermList(side.ious)) {
+      return 'Invalid trade terms';
+    }
+    for (const immunity of side.immunities || []) {
+      const space = Number.isInteger(immunity.propertyIndex) ? this.board[immunity.propertyIndex] : null;
+      if (!space || space.owner !== giver.id) {
+        return `${giver.name} can only grant rent immunity on their own properties`;
+      }
+      if (!Number.isInteger(immunity.landings) || immunity.landings < 1) {
+        return 'Rent immunity must cover at least one landing';
+      }
     }
-    if (trade.request.money) {
-      toPlayer.money -= trade.request.money;
-      fromPlayer.money += trade.request.money;
-      this.processDebtPayment(fromPlayer);
-      this.checkBankruptcy(fromPlayer);
+    for (const iou of side.ious || []) {
+      if (!Number.isInteger(iou.amount) || iou.amount < 1 || !Number.isInteger(iou.turns) || iou.turns < 1) {
+        return 'IOUs need a positive amount and a due date at least one turn away';
+      }
     }
+    return null;
+  }
 
-    if (trade.offer.properties) {
-      trade.offer.properties.forEach(propIndex => {
-        const prop = this.board[propIndex];
-        prop.owner = toPlayer.id;
-        fromPlayer.properties = fromPlayer.properties.filter(p => p !== propIndex);
-        toPlayer.properties.push(propIndex);
-      });
+  applyTradeExtras(giver, receiver, side) {
+    if (side.jailCards) {
+      giver.getOutOfJailCards -= side.jailCards;
+      receiver.getOutOfJailCards = (receiver.getOutOfJailCards || 0) + side.jailCards;
     }
+    (side.immunities || []).forEach(({ propertyIndex, landings }) => {
+      this.rentImmunities.push({ id: uuidv4(), propertyIndex, grantedBy: giver.id, playerId: receiver.id, landingsLeft: landings });
+    });
+    (side.ious || []).forEach(({ amount, turns }) => {
+      this.ious.push({ id: uuidv4(), from: giver.id, to: receiver.id, amount, dueTurn: this.turnNumber + turns });
+    });
+  }
 
-    if (trade.request.properties) {
-      trade.request.properties.forEach(propIndex => {
-        const prop = this.board[propIndex];
-        prop.owner = fromPlayer.id;
-        toPlayer.properties = toPlayer.properties.filter(p => p !== propIndex);
-        fromPlayer.properties.push(propIndex);
-      });
+  /**
+   * Collect the player's traded IOUs that have fallen due. Runs at the start of their turn,
+   * so anything they can't cover becomes a debt they must raise funds for like unpaid rent.
+   */
+  collectDueIous(player) {
+    const due = this.ious.filter(iou => iou.from === player.id && iou.dueTurn <= this.turnNumber);
+    if (due.length === 0) return;
+
+    due.forEach(iou => {
+      const creditor = this.getPlayer(iou.to);
+      if (!creditor || creditor.bankrupt) {
+        this.ious = this.ious.filter(i => i !== iou);
+        return;
+      }
+      // A debt to someone else is settled first; this IOU waits for a later turn
+      if (player.debt && player.debt.creditor !== creditor.id) return;
+
+      const paid = Math.min(Math.max(0, player.money), iou.amount);
+      const owed = iou.amount - paid;
+      player.money -= paid;
+      creditor.money += paid;
+      this.ious = this.ious.filter(i => i !== iou);
+
+      if (owed > 0) {
+        player.debt = { amount: (player.debt?.amount || 0) + owed, creditor: creditor.id };
+        this.addLog(`${player.name} paid £${paid} of a £${iou.amount} IOU to ${creditor.name} and still owes £${owed}`);
+      } else {
+        this.addLog(`${player.name} paid a £${iou.amount} IOU to ${creditor.name}`);
+      }
+      this.processDebtPayment(creditor);
+    });
+    this.checkBankruptcy(player);
+  }
+
+  // Turn down a pending trade: its recipient can, or any participant in a multi-party trade
+  declineTrade(tradeId, player) {
+    const trade = this.trades.find(t => t.id === tradeId);
+    if (!trade || !player) {
+      return { success: false, message: 'Invalid trade' };
+    }
+    const canDecline = trade.type === 'multi' ? trade.participants.includes(player.id) : trade.to === player.id;
+    if (!canDecline) {
+      return { success: false, message: 'You are not part of this trade' };
+    }
+    if (trade.status !== 'pending') {
+      return { success: false, message: 'Trade is no longer open' };
     }
 
-    trade.status = 'accepted';
-    this.addLog(`${toPlayer.name} accepted trade from ${fromPlayer.name}`);
-    return { success: true, trade: trade };
+    this.closeTrade(trade, 'declined');
+    this.recordEvent('tradeDecline', player, { tradeId });
+    return { success: true, trade };
   }
 
-  declineTrade(tradeId) {
-    const trade = this.trades.find(t => t.id === tradeId);
-    if (trade) {
-      trade.status = 'declined';
+  /**
+   * Post a chat message to the table, or privately to one other player
+   * @param {Object} player - Sender
+   * @param {string} text - Message text
+   * @param {string} toPlayerId - Recipient for a direct message (omit for everyone)
+   */
+  sendChatMessage(player, text, toPlayerId = null) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return { success: false, message: 'Message is empty' };
+    }
+    const trimmed = text.trim();
+    if (trimmed.length > CHAT_MAX_LENGTH) {
+      return { success: false, message: `Messages are limited to ${CHAT_MAX_LENGTH} characters` };
+    }
+
+    let recipient = null;
+    if (toPlayerId) {
+      recipient = this.getPlayer(toPlayerId);
+      if (!recipient || recipient.id === player.id) {
+        return { success: false, message: 'Invalid recipient' };
+      }
+    }
+
+    const now = Date.now();
+    const recent = this.chat.filter(m => m.fromId === player.id && now - Date.parse(m.time) < CHAT_RATE_WINDOW_MS);
+    if (recent.length >= CHAT_RATE_LIMIT) {
+      return { success: false, message: 'You are sending messages too quickly' };
     }
+
+    const message = {
+      id: uuidv4(),
+      time: new Date(now).toISOString(),
+      fromId: player.id,
+      fromName: player.name,
+      toId: recipient ? recipient.id : null,
+      toName: recipient ? recipient.name : null,
+      text: trimmed
+    };
+    this.chat.push(message);
+    if (this.chat.length > CHAT_HISTORY_LIMIT) {
+      this.chat.splice(0, this.chat.length - CHAT_HISTORY_LIMIT);
+    }
+    return { success: true, message };
+  }
+
+  // Chat a player is allowed to read: everything public plus their own direct messages (spectators pass null)
+  getChatHistory(playerId = null) {
+    return this.chat.filter(m => !m.toId || (playerId && (m.fromId === playerId || m.toId === playerId)));
   }
 
   processDebtPayment(player) {
@@ -1057,25 +1940,216 @@ class Game {
     return total;
   }
 
+  // Cash less debts, plus deeds at face value (less any mortgage) and buildings at cost
+  calculateNetWorth(player) {
+    let total = player.money - (player.debt?.amount || 0);
+    player.properties.forEach(propIndex => {
+      const prop = this.board[propIndex];
+      total += prop.mortgaged ? prop.price - prop.mortgage : prop.price;
+      total += (prop.houses || 0) * (prop.houseCost || 0);
+    });
+    return total;
+  }
+
+  // When and with what a player went out, for the final standings. Taken before their assets move.
+  recordElimination(player) {
+    if (player.eliminated) return;
+    player.eliminated = {
+      turn: this.turnNumber,
+      order: this.players.filter(p => p.eliminated).length + 1,
+      netWorth: this.calculateNetWorth(player),
+      deeds: player.properties.map(index => this.board[index].name)
+    };
+  }
+
   declareBankruptcy(player) {
     player.bankrupt = true;
+    this.recordElimination(player);
     this.addLog(`${player.name} declared bankruptcy`);
+    this.recordEvent('bankruptcy', player);
+
+    // Traded immunities and IOUs to or from a bankrupt player are void
+    this.rentImmunities = this.rentImmunities.filter(i => i.grantedBy !== player.id && i.playerId !== player.id);
+    this.ious = this.ious.filter(iou => iou.from !== player.id && iou.to !== player.id);
+    // So are mortgages they never settled - the deeds pass on still mortgaged
+    this.mortgagedTransfers = this.mortgagedTransfers.filter(t => t.playerId !== player.id);
+
+    // Bankrupt to another player: they take everything. Otherwise it all goes back to the bank.
+    const creditor = this.getCreditor(player);
+    const transfer = creditor
+      ? this.transferAssetsToCreditor(player, creditor)
+      : this.returnAssetsToBank(player);
+
+    if (this.currentPlayerIndex === this.players.indexOf(player)) {
+      this.advanceTurn();
+    }
+
+    if (creditor) {
+      this.offerMortgagedTransfer(player, creditor, transfer);
+    } else {
+      this.startQueuedAuction();
+    }
+    this.refreshPendingTrades();
+
+    return { player: player, creditor: this.summarizeCreditor(creditor), transfer };
+  }
+
+  // The active player a bankrupt player owes money to (null means the bank)
+  getCreditor(player) {
+    const creditorId = player.debt?.creditor;
+    if (!creditorId || creditorId === player.id) return null;
+    const creditor = this.players.find(p => p.id === creditorId);
+    return creditor && !creditor.bankrupt ? creditor : null;
+  }
+
+  summarizeCreditor(creditor) {
+    return creditor ? { id: creditor.id, name: creditor.name } : null;
+  }
 
+  // Sell a player's buildings back to the bank at half price, returning the cash raised
+  liquidateBuildings(player) {
+    let cash = 0;
     player.properties.forEach(propIndex => {
       const prop = this.board[propIndex];
-      prop.owner = null;
+      if (!prop.houses) return;
+      cash += (prop.houses * prop.houseCost) / 2;
+      if (prop.houses === 5) {
+        this.hotelsAvailable++;
+      } else {
+        this.housesAvailable += prop.houses;
+      }
       prop.houses = 0;
+    });
+    return cash;
+  }
+
+  // Bankruptcy to the bank: properties become unowned and unmortgaged, cash is lost.
+  // With auctions enabled the deeds are queued to be auctioned off once the bankruptcy settles.
+  returnAssetsToBank(player) {
+    this.liquidateBuildings(player);
+    const properties = [...player.properties];
+    properties.forEach(propIndex => {
+      const prop = this.board[propIndex];
+      prop.owner = null;
       prop.mortgaged = false;
     });
     player.properties = [];
     player.money = 0;
     player.debt = null;
 
-    if (this.currentPlayerIndex === this.players.indexOf(player)) {
-      this.endTurn();
+    if (this.started && this.auctionsEnabled && properties.length > 0) {
+      this.auctionQueue.push(...properties.map(propIndex => ({ propertyIndex: propIndex, fromPlayerName: player.name })));
+      this.addLog(`${properties.length} of ${player.name}'s properties will be auctioned by the bank`);
+    }
+    return { cash: 0, properties, mortgaged: [], jailCards: 0, auctioned: this.started && this.auctionsEnabled };
+  }
+
+  /**
+   * Bankruptcy to a player: buildings are sold to the bank and the proceeds, all cash,
+   * every property (mortgaged ones stay mortgaged) and Get Out of Jail cards go to the creditor.
+   */
+  transferAssetsToCreditor(player, creditor) {
+    const buildingCash = this.liquidateBuildings(player);
+    const cash = Math.max(0, player.money) + buildingCash;
+    const properties = [...player.properties];
+    const mortgaged = properties.filter(propIndex => this.board[propIndex].mortgaged);
+    const jailCards = player.getOutOfJailCards || 0;
+
+    properties.forEach(propIndex => {
+      this.board[propIndex].owner = creditor.id;
+      creditor.properties.push(propIndex);
+    });
+    creditor.money += cash;
+    creditor.getOutOfJailCards = (creditor.getOutOfJailCards || 0) + jailCards;
+
+    player.properties = [];
+    player.money = 0;
+    player.debt = null;
+    player.getOutOfJailCards = 0;
+
+    this.addLog(`${creditor.name} received £${cash}, ${properties.length} properties${jailCards ? ` and ${jailCards} Get Out of Jail card(s)` : ''} from ${player.name}`);
+    this.processDebtPayment(creditor);
+    return { cash, buildingCash, properties, mortgaged, jailCards };
+  }
+
+  // Interest due immediately when a mortgaged property changes hands
+  getTransferInterest(property) {
+    return Math.floor(property.mortgage * this.rules.unmortgageInterest);
+  }
+
+  // Ask the creditor to settle mortgaged properties: unmortgage now, or pay the interest and keep the mortgage
+  offerMortgagedTransfer(fromPlayer, creditor, transfer) {
+    if (!transfer.mortgaged.length || this.checkWinner()) return;
+    const properties = transfer.mortgaged.map(propIndex => {
+      const prop = this.board[propIndex];
+      return {
+        index: propIndex,
+        name: prop.name,
+        mortgage: prop.mortgage,
+        interest: this.getTransferInterest(prop),
+        unmortgageCost: this.getUnmortgageCost(prop)
+      };
+    });
+    // A creditor still deciding on one bankrupt's deeds decides on the next one's along with them
+    const existing = this.getMortgagedTransfer(creditor.id);
+    if (existing) {
+      existing.properties.push(...properties);
+      existing.fromPlayerName += ` and ${fromPlayer.name}`;
+      return;
     }
+    this.mortgagedTransfers.push({
+      type: 'mortgagedTransfer',
+      playerId: creditor.id,
+      fromPlayerName: fromPlayer.name,
+      properties
+    });
+  }
 
-    return { player: player };
+  // The mortgaged transfer a creditor has yet to settle, if any
+  getMortgagedTransfer(playerId) {
+    return this.mortgagedTransfers.find(t => t.playerId === playerId) || null;
+  }
+
+  /**
+   * Settle a pending mortgaged transfer.
+   * @param {Object} player - The creditor
+   * @param {Object} decisions - Map of property index -> 'unmortgage' | 'keep' (default 'keep')
+   */
+  resolveMortgagedTransfer(player, decisions = {}) {
+    const action = this.getMortgagedTransfer(player.id);
+    if (!action) {
+      return { success: false, message: 'No mortgaged properties to settle' };
+    }
+
+    // Deeds the creditor has since unmortgaged or traded on are settled already
+    const choices = action.properties
+      .filter(prop => this.board[prop.index].owner === player.id && this.board[prop.index].mortgaged)
+      .map(prop => ({
+        ...prop,
+        unmortgage: decisions?.[prop.index] === 'unmortgage'
+      }));
+    const total = choices.reduce((sum, c) => sum + (c.unmortgage ? c.unmortgageCost : c.interest), 0);
+    if (choices.some(c => c.unmortgage) && total > player.money) {
+      return { success: false, message: 'Not enough money to unmortgage those properties' };
+    }
+
+    choices.forEach(choice => {
+      const prop = this.board[choice.index];
+      if (choice.unmortgage) {
+        prop.mortgaged = false;
+        player.money -= choice.unmortgageCost;
+        this.addLog(`${player.name} unmortgaged ${prop.name} for £${choice.unmortgageCost}`);
+      } else {
+        player.money -= choice.interest;
+        this.addLog(`${player.name} paid £${choice.interest} interest to keep ${prop.name} mortgaged`);
+      }
+    });
+
+    this.mortgagedTransfers = this.mortgagedTransfers.filter(t => t !== action);
+    this.recordEvent('mortgagedTransfer', player, { decisions });
+    this.refreshPendingTrades();
+    this.checkBankruptcy(player);
+    return { success: true, total, choices };
   }
 
   checkWinner() {
@@ -1088,7 +2162,65 @@ class Game {
     return activePlayers.length === 1 ? activePlayers[0] : null;
   }
 
+  /**
+   * Close a game that has a winner and summarise it for the match history
+   * @returns {Object|null} Archive record, or null if there is no winner yet or it was already finished
+   */
+  finish() {
+    if (!this.started || this.finishedAt || !this.getWinner()) return null;
+    this.finishedAt = this.now();
+    return this.getArchiveRecord();
+  }
+
+  // Final standings (winner first, then the last to go bankrupt), timings and the full log
+  getArchiveRecord() {
+    const winner = this.getWinner();
+    const ranked = [...this.players].sort((a, b) => {
+      if (!a.eliminated || !b.eliminated) return (a.eliminated ? 1 : 0) - (b.eliminated ? 1 : 0);
+      return b.eliminated.order - a.eliminated.order;
+    });
+    return {
+      id: this.id,
+      name: this.name,
+      seed: this.rng.seed,
+      rules: this.rules,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.finishedAt - this.startedAt,
+      turnCount: this.turnNumber,
+      winner: winner && { id: winner.id, name: winner.name },
+      standings: ranked.map((p, index) => ({
+        place: index + 1,
+        playerId: p.id,
+        name: p.name,
+        token: p.token,
+        color: p.color,
+        // A stand-in bot only minds the seat: the result belongs to the human who sat down
+        isBot: Boolean(p.isBot && !p.standIn),
+        botDifficulty: p.botDifficulty || null,
+        profileId: p.profileId || null,
+        bankrupt: p.bankrupt,
+        bankruptTurn: p.eliminated?.turn ?? null,
+        // Bankrupt players are judged on what they had going into bankruptcy
+        netWorth: p.eliminated ? p.eliminated.netWorth : this.calculateNetWorth(p),
+        money: p.money,
+        properties: p.properties.length,
+        deeds: p.eliminated ? p.eliminated.deeds || [] : p.properties.map(index => this.board[index].name),
+        rentEarned: p.rentEarned || 0
+      })),
+      log: this.fullLog,
+      botDecisions: this.botDecisions
+    };
+  }
+
   endTurn() {
+    const player = this.players[this.currentPlayerIndex];
+    this.recordEvent('endTurn', player);
+    this.advanceTurn();
+  }
+
+  // Hand the turn to the next active player (internal - not journaled on its own)
+  advanceTurn() {
     this.diceRolled = false;
     this.canRollAgain = false;
     this.doublesCount = 0;
@@ -1099,65 +2231,316 @@ class Game {
     } while (this.players[this.currentPlayerIndex].bankrupt);
 
     const nextPlayer = this.players[this.currentPlayerIndex];
+    this.turnNumber++;
     this.turnStartTime = Date.now();
+    this.startTurnTimer();
     this.addLog(`${nextPlayer.name}'s turn`);
+    this.collectDueIous(nextPlayer);
+    this.expireTrades(trade => trade.expiresTurn && this.turnNumber >= trade.expiresTurn);
   }
 
-  checkBotTimeout() {
-    if (!this.started) return null;
+  // Start the human turn timer for whoever is up (bots are covered by checkBotTimeout)
+  startTurnTimer() {
+    const player = this.players[this.currentPlayerIndex];
+    const limitMs = this.rules.turnTimeLimit * 1000;
+    this.turnDeadline = limitMs > 0 && player && !player.isBot ? this.now() + limitMs : null;
+    this.turnWarningSent = false;
+    this.turnTimedOut = false;
+  }
 
-    const currentPlayer = this.players[this.currentPlayerIndex];
-    if (!currentPlayer || !currentPlayer.isBot) return null;
+  getTurnTimeRemaining() {
+    if (!this.turnDeadline) return null;
+    return Math.max(0, this.turnDeadline - this.now());
+  }
+
+  /**
+   * Called by the server tick.
+   * @returns {Object|null} { warning, player, remainingMs } once shortly before the deadline,
+   * the autoPlayTurn result once it has passed, otherwise null
+   */
+  checkTurnTimer() {
+    if (!this.started || !this.turnDeadline || this.checkWinner()) return null;
+
+    const player = this.players[this.currentPlayerIndex];
+    if (!player || player.isBot) {
+      // A stand-in bot took over mid-turn
+      this.turnDeadline = null;
+      return null;
+    }
 
-    // 45 second timeout for bots (based on last action, not just turn start)
-    // This prevents timeouts during long but active turns (like auctions)
-    const timeoutDescrip = this.auction ? 'auction' : 'turn';
-    const limitMs = this.auction ? 45000 : 30000;
+    // The server lands the dice a moment after the roll; playing the turn in between would land them twice
+    if (this.rollInProgress) return null;
 
-    if (Date.now() - this.lastActionTime > limitMs) {
-      this.addLog(`Bot ${currentPlayer.name} timed out - skipping ${timeoutDescrip}`);
+    // The turn clock waits while an auction runs on its own clock
+    if (this.auction) {
+      this.turnDeadline = Math.max(this.turnDeadline, this.auction.deadline + TURN_AUCTION_GRACE_MS);
+      return null;
+    }
+
+    const remaining = this.getTurnTimeRemaining();
+    if (remaining > 0) {
+      if (!this.turnWarningSent && remaining <= TURN_WARNING_MS) {
+        this.turnWarningSent = true;
+        return { warning: true, player, remainingMs: remaining };
+      }
+      return null;
+    }
 
-      // If there's an active auction, resolve it instead of destroying it
-      if (this.auction) {
-        if (this.auction.highestBidder) {
-          this.completeAuction();
+    return this.autoPlayTurn();
+  }
+
+  /**
+   * The current player ran out of time: roll for them, decline any purchase (they are
+   * passed in the resulting auction), raise whatever they owe (see settleDebtAutomatically)
+   * and end the turn. Journaled as one 'turnTimeout' event; replay re-runs it.
+   */
+  autoPlayTurn() {
+    const player = this.players[this.currentPlayerIndex];
+    // Only the first timeout in a turn counts as a strike
+    if (!this.turnTimedOut) {
+      this.turnTimedOut = true;
+      player.afkStrikes = (player.afkStrikes || 0) + 1;
+    }
+    this.addLog(`⏰ ${player.name} ran out of time - playing their turn automatically`);
+    this.recordEvent('turnTimeout', player, {}, { strikes: player.afkStrikes });
+
+    this.autoPlaying = true;
+    try {
+      // Bounded so a run of doubles can never spin forever
+      for (let step = 0; step < 20; step++) {
+        if (player.bankrupt || this.players[this.currentPlayerIndex] !== player || this.auction) break;
+
+        const action = this.pendingAction;
+        if (this.getMortgagedTransfer(player.id)) {
+          this.resolveMortgagedTransfer(player, {});
+        } else if (player.debt?.amount > 0 || player.money < 0) {
+          this.settleDebtAutomatically(player);
+        } else if (action?.type === 'mustRaiseFunds' || action?.type === 'mustPayOrBankrupt') {
+          this.checkBankruptcy(player); // Paid up: clears the prompt
+        } else if (action?.type === 'buyOrAuction') {
+          this.declineProperty(player);
+        } else if (action) {
+          break;
+        } else if (!this.diceRolled || this.canRollAgain) {
+          this.rollDice();
+          this.handleLanding();
         } else {
-          this.addLog(`Auction cancelled due to timeout`);
-          this.auction = null;
+          this.advanceTurn();
         }
       }
+    } finally {
+      this.autoPlaying = false;
+    }
 
-      // Force end turn logic
-      this.diceRolled = false;
-      this.canRollAgain = false;
-      this.pendingAction = null;
-      // Note: auction is already handled above
+    // Still stuck on this player (an auction) - give the clock another round without another strike
+    if (this.players[this.currentPlayerIndex] === player && !player.bankrupt) {
+      this.turnDeadline = this.now() + this.rules.turnTimeLimit * 1000;
+    }
+
+    const strikesAllowed = this.rules.afkTakeoverStrikes;
+    return {
+      autoPlayed: true,
+      player,
+      strikes: player.afkStrikes,
+      takeover: strikesAllowed > 0 && player.afkStrikes >= strikesAllowed && !player.standIn
+    };
+  }
+
+  /**
+   * Raise what an away player owes as a bot would: sell buildings from the cheapest groups,
+   * then mortgage deeds outside complete groups before those in them, and declare bankruptcy
+   * once there is nothing left to sell. Each sale pays the debt down as it goes.
+   */
+  settleDebtAutomatically(player) {
+    this.processDebtPayment(player);
+    const owes = () => !player.bankrupt && (player.debt?.amount > 0 || player.money < 0);
+    const owned = () => player.properties.map(index => this.board[index]);
+    const ownsGroup = space => !!space.color && this.board.every(s => s.color !== space.color || s.owner === player.id);
+    while (owes()) {
+      const built = owned()
+        .filter(space => space.houses > 0)
+        .sort((a, b) => a.houseCost - b.houseCost || b.houses - a.houses);
+      if (built.some(space => this.sellHouse(player, space.index).success)) continue;
+
+      const deeds = owned()
+        .filter(space => !space.mortgaged && !space.houses)
+        .sort((a, b) => ownsGroup(a) - ownsGroup(b) || a.mortgage - b.mortgage);
+      if (deeds.some(space => this.mortgageProperty(player, space.index).success)) continue;
+
+      this.declareBankruptcy(player);
+    }
+  }
+
+  // A bot plays for an AFK or disconnected human until they come back (the bot itself is managed by the server)
+  startStandIn(player, difficulty, reason = 'away') {
+    player.standIn = difficulty;
+    const why = reason === 'disconnected' ? 'disconnected' : 'is away';
+    this.addLog(`🤖 ${player.name} ${why} - a ${difficulty} bot is playing for them`);
+  }
+
+  endStandIn(player) {
+    if (!player.standIn) return false;
+    player.standIn = null;
+    player.isBot = false;
+    player.afkStrikes = 0;
+    this.addLog(`${player.name} is back and has taken over from their bot`);
+    if (this.players[this.currentPlayerIndex] === player) {
+      this.startTurnTimer();
+    }
+    return true;
+  }
+
+  checkBotTimeout() {
+    if (!this.started) return null;
+
+    const currentPlayer = this.players[this.currentPlayerIndex];
+    if (!currentPlayer || !currentPlayer.isBot) return null;
 
-      this.endTurn();
+    // Auctions run on their own clock (see tickAuction)
+    if (this.auction) return null;
+
+    // 30 second timeout for bots (based on last action, not just turn start)
+    if (Date.now() - this.lastActionTime > 30000) {
+      this.skipStalledTurn();
       return { skipped: true, game: this.getState() };
     }
     return null;
-    return null;
+  }
+
+  // Force the current player's turn to end after a timeout
+  skipStalledTurn() {
+    const currentPlayer = this.players[this.currentPlayerIndex];
+
+    // A creditor who never answered keeps the mortgages and pays the interest
+    if (this.getMortgagedTransfer(currentPlayer.id)) {
+      this.resolveMortgagedTransfer(currentPlayer, {});
+    }
+
+    this.addLog(`Bot ${currentPlayer.name} timed out - skipping turn`);
+    this.recordEvent('timeout', currentPlayer);
+
+    // Force end turn logic
+    this.diceRolled = false;
+    this.canRollAgain = false;
+    this.pendingAction = null;
+
+    this.advanceTurn();
+  }
+
+  // Admin/debug adjustments go through here so they are journaled and replay correctly
+  applyDebugAction(action, params = {}) {
+    switch (action) {
+      case 'releaseJail': {
+        const player = this.players[this.currentPlayerIndex];
+        player.inJail = false;
+        player.jailTurns = 0;
+        this.diceRolled = false;
+        break;
+      }
+      case 'movePlayer':
+        this.players.filter(p => p.name === params.playerName).forEach(player => {
+          player.position = params.position;
+          player.inJail = false;
+          player.jailTurns = 0;
+        });
+        this.diceRolled = false;
+        break;
+      case 'giveProperty': {
+        const property = this.board[params.propertyIndex];
+        const targetPlayer = this.getPlayer(params.playerId);
+        // Remove property from previous owner (if any)
+        const previousOwner = this.players.find(p => p.id === property.owner);
+        if (previousOwner) {
+          previousOwner.properties = previousOwner.properties.filter(idx => idx !== params.propertyIndex);
+        }
+        property.owner = targetPlayer.id;
+        if (!targetPlayer.properties.includes(params.propertyIndex)) {
+          targetPlayer.properties.push(params.propertyIndex);
+        }
+        // Unmortgage the property if it was mortgaged
+        property.mortgaged = false;
+        this.addLog(`[DEBUG] ${property.name} given to ${targetPlayer.name}`);
+        break;
+      }
+      case 'giveMoney': {
+        const targetPlayer = this.getPlayer(params.playerId);
+        targetPlayer.money += params.amount;
+        this.addLog(`[DEBUG] £${params.amount} given to ${targetPlayer.name}`);
+        break;
+      }
+      default:
+        return { success: false, message: `Unknown debug action ${action}` };
+    }
+    this.recordEvent('admin', null, { action, params });
+    this.refreshPendingTrades();
+    return { success: true };
   }
 
   addLog(message) {
     this.lastActionTime = Date.now(); // Reset timeout timer on any activity
     this.incrementStateVersion(); // Track state changes for stale update detection
-    this.gameLog.push({
+    const entry = {
       time: new Date().toISOString(),
       message: message
-    });
+    };
+    this.gameLog.push(entry);
+    this.fullLog.push(entry);
     if (this.gameLog.length > 100) {
       this.gameLog.shift();
     }
   }
 
+  /**
+   * Keep a bot's reasons for an action it just took: on the log line the action wrote (shown
+   * behind "why?" in the client), and in botDecisions. Not journaled - it never changes the game.
+   * @param {Object} player - The bot
+   * @param {string} action - Socket event it sent (buyProperty, auctionBid, declineTrade, ...)
+   * @param {Object} input - Rationale { kind, summary, values, threshold, flags }, see MonopolyBot.explain
+   * @param {number} logStart - Length of fullLog before the action, to find the line it wrote
+   * @returns {Object|null} The recorded decision, or null if the rationale was not accepted
+   */
+  recordBotRationale(player, action, input, logStart = this.fullLog.length) {
+    if (!player?.isBot || !input || typeof input !== 'object' || typeof input.summary !== 'string') {
+      return null;
+    }
+    // It arrives over a socket, so keep only flat values the client can show
+    const flat = (object) => Object.fromEntries(Object.entries(object && typeof object === 'object' ? object : {})
+      .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value) || value === null));
+    const rationale = {
+      kind: typeof input.kind === 'string' ? input.kind : null,
+      summary: input.summary,
+      values: flat(input.values),
+      threshold: typeof input.threshold === 'number' ? input.threshold : null,
+      flags: flat(input.flags)
+    };
+    if (JSON.stringify(rationale).length > RATIONALE_MAX_LENGTH) return null;
+
+    const decision = {
+      turn: this.turnNumber,
+      time: new Date(this.now()).toISOString(),
+      playerId: player.id,
+      playerName: player.name,
+      botDifficulty: player.botDifficulty || null,
+      action,
+      ...rationale
+    };
+    this.botDecisions.push(decision);
+
+    // Actions that log nothing of their own (declining a trade) get a line for the explanation
+    if (!this.fullLog[logStart]) {
+      this.addLog(`${player.name}: ${rationale.summary}`);
+    }
+    this.fullLog[logStart].rationale = rationale;
+    return decision;
+  }
+
   getState() {
     return {
       id: this.id,
       name: this.name,
       maxPlayers: this.maxPlayers,
       started: this.started,
+      rules: this.rules,
       players: this.players.map(p => ({
         ...p,
         properties: p.properties.map(idx => ({
@@ -1171,15 +2554,65 @@ class Game {
       lastDiceRoll: this.lastDiceRoll,
       canRollAgain: this.canRollAgain,
       pendingAction: this.pendingAction,
-      auction: this.auction,
+      mortgagedTransfers: this.mortgagedTransfers,
+      auction: this.auction && {
+        ...this.auction,
+        timeRemainingMs: this.getAuctionTimeRemaining(),
+        phase: this.getAuctionPhase()
+      },
+      auctionQueue: this.auctionQueue.map(item => item.propertyIndex),
       trades: this.trades.filter(t => t.status === 'pending'),
+      tradeHistory: this.getTradeHistory(),
+      rentImmunities: this.rentImmunities,
+      ious: this.ious,
       gameLog: this.gameLog.slice(-20),
       stateVersion: this.stateVersion,
       freeParking: this.freeParking,
       housesAvailable: this.housesAvailable,
-      hotelsAvailable: this.hotelsAvailable
+      hotelsAvailable: this.hotelsAvailable,
+      turnNumber: this.turnNumber,
+      turnTimeRemainingMs: this.getTurnTimeRemaining(),
+      spectatorCount: this.spectatorCount
     };
   }
+
+  // State sent to spectators: the same as players get, minus pending trade terms if the rules hide them
+  getSpectatorState() {
+    const state = this.getState();
+    if (this.rules.hideTradesFromSpectators) {
+      state.trades = state.trades.map(trade => this.redactTrade(trade));
+      state.tradeHistory = state.tradeHistory.map(trade => this.redactTrade(trade));
+    }
+    return state;
+  }
+
+  // Who is trading with whom, without what is on the table
+  redactTrade(trade) {
+    return {
+      id: trade.id,
+      type: trade.type,
+      from: trade.from,
+      to: trade.to,
+      participants: trade.participants,
+      acceptedBy: trade.acceptedBy,
+      status: trade.status,
+      threadId: trade.threadId,
+      termsHidden: true
+    };
+  }
+
+  // A broadcast as the spectator room gets it: the spectator view of the game, and trade terms
+  // hidden under hideTradesFromSpectators wherever the trade rides (tradeCompleted nests it in result)
+  forSpectators(payload) {
+    if (!payload || typeof payload !== 'object') return payload;
+    const filtered = { ...payload };
+    if (payload.game) filtered.game = this.getSpectatorState();
+    if (this.rules.hideTradesFromSpectators) {
+      if (payload.trade) filtered.trade = this.redactTrade(payload.trade);
+      if (payload.result?.trade) filtered.result = { ...payload.result, trade: this.redactTrade(payload.result.trade) };
+    }
+    return filtered;
+  }
 }
 
 module.exports = { Game, PLAYER_TOKENS, PLAYER_COLORS };
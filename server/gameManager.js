@@ -1,87 +1,172 @@
 const { v4: uuidv4 } = require('uuid');
 const { Game } = require('./game');
-const fs = require('fs');
-const path = require('path');
+const { SeededRng } = require('./rng');
+const { replayGame } = require('./journal');
+const { createStorage, LOG_FIELDS } = require('./storage');
+const { ProfileStore } = require('./profiles');
 
-const SAVE_FILE = path.join(__dirname, 'saved_games.json');
+const FINISHED_GAME_GRACE_MS = 10 * 60 * 1000; // How long a finished game stays open for a last look
 
 class GameManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter (see storage.js); defaults to the configured backend
+   * @param {boolean} options.autoSave - Save a game whenever scheduleSave() reports a change to it
+   */
+  constructor({ storage = createStorage(), autoSave = false } = {}) {
+    this.storage = storage;
+    this.profiles = new ProfileStore(storage);
+    this.autoSave = autoSave;
+    this.unsaved = new Set(); // IDs of games changed since their last save
+    this.savedLogLengths = new Map(); // game ID -> how many entries of each log are already in storage
     this.games = new Map();
+    this.standInBots = new Map(); // "gameId:playerName" -> bot playing for an away human
+    this.socketSeats = new Map(); // socket.id -> { gameId, playerId } of the seat that socket is playing
+    this.spectators = new Map(); // socket.id -> ID of the game that socket is watching
     this.loadGames();
   }
 
-  saveGames() {
+  // Everything needed to bring a game back after a restart, as a plain record for storage.
+  // The logs go to storage separately, a few new entries at a time (see saveGame).
+  serializeGame(game) {
+    return {
+      id: game.id,
+      name: game.name,
+      maxPlayers: game.maxPlayers,
+      isPrivate: game.isPrivate,
+      auctionsEnabled: game.auctionsEnabled,
+      rules: game.rules,
+      rng: game.rng.toJSON(),
+      players: game.players,
+      seatTokens: game.seatTokens,
+      started: game.started,
+      currentPlayerIndex: game.currentPlayerIndex,
+      board: game.board,
+      chanceCards: game.chanceCards,
+      communityChestCards: game.communityChestCards,
+      chanceIndex: game.chanceIndex,
+      communityChestIndex: game.communityChestIndex,
+      diceRolled: game.diceRolled,
+      lastDiceRoll: game.lastDiceRoll,
+      canRollAgain: game.canRollAgain,
+      doublesCount: game.doublesCount,
+      pendingAction: game.pendingAction,
+      mortgagedTransfers: game.mortgagedTransfers,
+      // Deadlines are wall-clock times, so store what was left on the auction clock
+      auction: game.auction && { ...game.auction, timeRemainingMs: game.getAuctionTimeRemaining() },
+      auctionQueue: game.auctionQueue,
+      trades: game.trades,
+      rentImmunities: game.rentImmunities,
+      ious: game.ious,
+      chat: game.chat,
+      gameLog: game.gameLog,
+      freeParking: game.freeParking,
+      housesAvailable: game.housesAvailable,
+      hotelsAvailable: game.hotelsAvailable,
+      turnNumber: game.turnNumber,
+      startedAt: game.startedAt,
+      finishedAt: game.finishedAt
+    };
+  }
+
+  saveGame(game) {
+    const saved = this.savedLogLengths.get(game.id) || {};
+    const logs = Object.fromEntries(LOG_FIELDS.map(field => [field, game[field].slice(saved[field] || 0)]));
     try {
-      const gamesToSave = [];
-      this.games.forEach((game, id) => {
-        if (game.started) {
-          // Save full game state for started games
-          gamesToSave.push({
-            id: game.id,
-            name: game.name,
-            maxPlayers: game.maxPlayers,
-            isPrivate: game.isPrivate,
-            auctionsEnabled: game.auctionsEnabled,
-            players: game.players,
-            started: game.started,
-            currentPlayerIndex: game.currentPlayerIndex,
-            board: game.board,
-            chanceCards: game.chanceCards,
-            communityChestCards: game.communityChestCards,
-            chanceIndex: game.chanceIndex,
-            communityChestIndex: game.communityChestIndex,
-            diceRolled: game.diceRolled,
-            lastDiceRoll: game.lastDiceRoll,
-            canRollAgain: game.canRollAgain,
-            doublesCount: game.doublesCount,
-            pendingAction: game.pendingAction,
-            auction: game.auction,
-            trades: game.trades,
-            gameLog: game.gameLog,
-            freeParking: game.freeParking,
-            housesAvailable: game.housesAvailable,
-            hotelsAvailable: game.hotelsAvailable
-          });
-        }
-      });
-      fs.writeFileSync(SAVE_FILE, JSON.stringify(gamesToSave, null, 2));
-      console.log(`Saved ${gamesToSave.length} games to disk`);
+      this.storage.save(game.id, this.serializeGame(game), logs);
+      this.savedLogLengths.set(game.id, Object.fromEntries(LOG_FIELDS.map(field => [field, game[field].length])));
+      this.unsaved.delete(game.id);
     } catch (err) {
-      console.error('Failed to save games:', err);
+      console.error(`Failed to save game ${game.id}:`, err);
     }
   }
 
+  // Save every game - lobbies, games in progress and finished games alike
+  saveGames() {
+    this.games.forEach(game => this.saveGame(game));
+    console.log(`Saved ${this.games.size} games`);
+  }
+
+  // Note that a game changed; with autoSave on it is written once the current event has been handled
+  scheduleSave(game) {
+    if (!this.autoSave || !this.games.has(game.id)) return;
+    if (this.unsaved.size === 0) {
+      setImmediate(() => this.flushSaves());
+    }
+    this.unsaved.add(game.id);
+  }
+
+  flushSaves() {
+    [...this.unsaved].forEach(id => {
+      const game = this.games.get(id);
+      if (game) {
+        this.saveGame(game);
+      } else {
+        this.unsaved.delete(id);
+      }
+    });
+  }
+
   loadGames() {
     try {
-      if (fs.existsSync(SAVE_FILE)) {
-        const data = fs.readFileSync(SAVE_FILE, 'utf8');
-        const savedGames = JSON.parse(data);
+      const savedGames = this.storage.loadAll();
+      if (savedGames.length > 0) {
         const botsToRespawn = [];
 
         savedGames.forEach(savedGame => {
-          const game = new Game(savedGame.id, savedGame.name, savedGame.maxPlayers, savedGame.isPrivate, savedGame.auctionsEnabled);
+          const game = new Game(savedGame.id, savedGame.name, savedGame.maxPlayers, savedGame.isPrivate, savedGame.auctionsEnabled, savedGame.rules);
           // Restore all game state
           Object.assign(game, savedGame);
+          // Resume the saved random sequence so the game continues exactly where it left off
+          game.rng = SeededRng.fromJSON(savedGame.rng);
+          this.savedLogLengths.set(game.id, Object.fromEntries(LOG_FIELDS.map(field => [field, game[field].length])));
+          // Older saves kept a creditor's mortgage decision in pendingAction
+          if (game.pendingAction?.type === 'mortgagedTransfer') {
+            game.mortgagedTransfers.push(game.pendingAction);
+            game.pendingAction = null;
+          }
+          // Pick up a running auction with the time it had left
+          if (game.auction) {
+            game.resumeAuction(game.auction.timeRemainingMs);
+          }
+          // Whoever is up gets a fresh turn timer
+          if (game.started) {
+            game.startTurnTimer();
+          }
           // Mark all players as disconnected initially
           game.players.forEach(p => {
             p.disconnected = true;
-            // Track bots to respawn with their difficulty
-            if (p.isBot) {
-              botsToRespawn.push({ gameId: game.id, botName: p.name, botDifficulty: p.botDifficulty || 'hard' });
+            p.disconnectedAt = Date.now();
+            // Track bots (and stand-ins for away players) to respawn with their difficulty
+            if (p.isBot || p.standIn) {
+              botsToRespawn.push({
+                gameId: game.id,
+                botName: p.name,
+                botDifficulty: p.standIn || p.botDifficulty || 'hard',
+                botStrategy: p.botStrategy || null,
+                botSeed: game.botSeed(game.players.indexOf(p), !!p.standIn),
+                // Bots are started by the server, so it hands them the seat token directly
+                seatToken: game.getSeatToken(p),
+                standIn: !!p.standIn
+              });
             }
           });
           this.games.set(game.id, game);
         });
-        console.log(`Loaded ${savedGames.length} saved games from disk`);
+        console.log(`Loaded ${savedGames.length} saved games`);
 
         // Respawn bots after a short delay
         if (botsToRespawn.length > 0) {
           setTimeout(() => {
             const MonopolyBot = require('./bot');
-            botsToRespawn.forEach(({ gameId, botName, botDifficulty }) => {
+            botsToRespawn.forEach(({ gameId, botName, botDifficulty, botStrategy, botSeed, seatToken, standIn }) => {
               console.log(`Respawning bot ${botName} for game ${gameId} (difficulty: ${botDifficulty})`);
-              const bot = new MonopolyBot('http://localhost:3001', gameId, botName, botDifficulty);
+              if (standIn) {
+                this.spawnStandInBot(gameId, botName, botDifficulty, botSeed, seatToken);
+                return;
+              }
+              const bot = new MonopolyBot('http://localhost:3001', gameId, botName, botDifficulty, botSeed, botStrategy);
+              bot.seatToken = seatToken;
               bot.connect().then(() => {
                 bot.rejoinGame();
               }).catch(err => {
@@ -96,11 +181,13 @@ class GameManager {
     }
   }
 
-  createGame(name, maxPlayers = 4, isPrivate = false, auctionsEnabled = false) {
+  createGame(name, maxPlayers = 4, isPrivate = false, auctionsEnabled = false, rules = {}, seed = null) {
     const validMaxPlayers = (maxPlayers && !isNaN(maxPlayers)) ? parseInt(maxPlayers) : 4;
     const id = uuidv4().substring(0, 8).toUpperCase();
-    const game = new Game(id, name, validMaxPlayers, isPrivate, auctionsEnabled);
+    // Game constructor validates the house rules and seed, and throws on bad input
+    const game = new Game(id, name, validMaxPlayers, isPrivate, auctionsEnabled, rules, seed);
     this.games.set(id, game);
+    this.scheduleSave(game);
     return game;
   }
 
@@ -110,17 +197,42 @@ class GameManager {
 
   removeGame(id) {
     this.games.delete(id);
+    this.unsaved.delete(id);
+    this.savedLogLengths.delete(id);
+    try {
+      this.storage.delete(id);
+    } catch (err) {
+      console.error(`Failed to delete saved game ${id}:`, err);
+    }
+    this.socketSeats.forEach((seat, socketId) => {
+      if (seat.gameId === id) this.socketSeats.delete(socketId);
+    });
+    this.spectators.forEach((gameId, socketId) => {
+      if (gameId === id) this.spectators.delete(socketId);
+    });
+    this.standInBots.forEach((bot, key) => {
+      if (key.startsWith(`${id}:`)) {
+        bot.disconnect();
+        this.standInBots.delete(key);
+      }
+    });
   }
 
   getPublicGames() {
     const publicGames = [];
     this.games.forEach((game, id) => {
-      if (!game.isPrivate && !game.started) {
+      // Games in progress are listed too, for spectators to watch
+      if (!game.isPrivate) {
         publicGames.push({
           id: game.id,
           name: game.name,
+          started: game.started,
+          finished: Boolean(game.finishedAt),
+          spectators: game.spectatorCount,
           players: game.players.length,
           maxPlayers: game.maxPlayers,
+          auctionsEnabled: game.auctionsEnabled,
+          rules: game.rules,
           host: game.players[0]?.name || 'Unknown'
         });
       }
@@ -138,6 +250,8 @@ class GameManager {
         started: game.started,
         isPrivate: game.isPrivate,
         maxPlayers: game.maxPlayers,
+        rules: game.rules,
+        seed: game.rng.seed,
         currentPlayerIndex: game.currentPlayerIndex,
         players: game.players.map(p => ({
           name: p.name,
@@ -154,18 +268,126 @@ class GameManager {
     return allGames;
   }
 
+  // A game with a winner goes into the match history. Returns the archive record, or null if it isn't over.
+  archiveGame(game) {
+    const record = game.finish();
+    if (!record) return null;
+    try {
+      this.storage.archive(game.id, record);
+    } catch (err) {
+      console.error(`Failed to archive game ${game.id}:`, err);
+    }
+    this.profiles.recordGame(record);
+    this.scheduleSave(game);
+    return record;
+  }
+
+  // Finished games stay up for a while so everyone can see the final board, then leave memory
+  pruneFinishedGames(graceMs = FINISHED_GAME_GRACE_MS) {
+    const pruned = [];
+    this.games.forEach(game => {
+      if (game.finishedAt && Date.now() - game.finishedAt >= graceMs) {
+        this.removeGame(game.id);
+        pruned.push(game);
+      }
+    });
+    return pruned;
+  }
+
+  // Match history summaries, newest first (the full log is left to getArchivedGame)
+  getHistory(limit = 50) {
+    return this.storage.listArchived()
+      .sort((a, b) => b.finishedAt - a.finishedAt)
+      .slice(0, limit)
+      .map(({ log, ...summary }) => summary);
+  }
+
+  getArchivedGame(id) {
+    return this.storage.getArchived(id);
+  }
+
+  // Players joining with a profile secret sign in to (or create) the profile under their name
+  signInProfile(name, secret) {
+    if (!secret) return { success: true, profile: null };
+    return this.profiles.claim(name, secret);
+  }
+
+  getLeaderboard(sort, limit) {
+    return this.profiles.getLeaderboard(sort, limit);
+  }
+
+  getProfile(id) {
+    return this.profiles.getProfile(id);
+  }
+
+  // Rebuild a game from its journal up to (and including) the given turn
+  replayGame(id, options = {}) {
+    const game = this.games.get(id);
+    if (!game) return null;
+    return replayGame(game.journal, options);
+  }
+
   getGameCount() {
     return this.games.size;
   }
 
-  getPlayerGames(socketId) {
-    const playerGames = [];
-    this.games.forEach(game => {
-      if (game.getPlayer(socketId)) {
-        playerGames.push(game);
+  // Add a player under a new permanent ID and attach the joining socket to their seat
+  seatPlayer(game, socketId, name, tokenId = null, colorId = null) {
+    const player = game.addPlayer(uuidv4(), name, tokenId, colorId);
+    if (player) {
+      this.bindSocket(socketId, game.id, player.id);
+    }
+    return player;
+  }
+
+  // A seat is driven by one socket at a time, so binding a new socket detaches the previous one
+  bindSocket(socketId, gameId, playerId) {
+    this.socketSeats.forEach((seat, id) => {
+      if (seat.gameId === gameId && seat.playerId === playerId) {
+        this.socketSeats.delete(id);
       }
     });
-    return playerGames;
+    this.socketSeats.set(socketId, { gameId, playerId });
+  }
+
+  // Socket currently driving a seat, for messages meant for that player only
+  getPlayerSocketId(gameId, playerId) {
+    for (const [socketId, seat] of this.socketSeats) {
+      if (seat.gameId === gameId && seat.playerId === playerId) return socketId;
+    }
+    return null;
+  }
+
+  unbindSocket(socketId) {
+    const seat = this.socketSeats.get(socketId) || null;
+    this.socketSeats.delete(socketId);
+    return seat;
+  }
+
+  // A socket watches one game at a time
+  addSpectator(socketId, game) {
+    this.removeSpectator(socketId);
+    this.spectators.set(socketId, game.id);
+    game.spectatorCount++;
+  }
+
+  // Returns the game the socket was watching, if any
+  removeSpectator(socketId) {
+    const gameId = this.spectators.get(socketId);
+    if (!gameId) return null;
+    this.spectators.delete(socketId);
+    const game = this.getGame(gameId);
+    if (game) {
+      game.spectatorCount = Math.max(0, game.spectatorCount - 1);
+    }
+    return game || null;
+  }
+
+  // The player a socket is playing as in the given game, if any
+  getSocketPlayer(socketId, game) {
+    const seat = this.socketSeats.get(socketId);
+    if (!game || !seat || seat.gameId !== game.id) return null;
+    return game.getPlayer(seat.playerId) || null;
   }
 
   checkBotTimeouts() {
@@ -179,18 +401,101 @@ class GameManager {
     return results;
   }
 
+  // Run every human turn timer; returns the games where a warning or automatic turn happened
+  checkTurnTimers() {
+    const results = [];
+    this.games.forEach(game => {
+      const result = game.checkTurnTimer();
+      if (result) {
+        results.push({ game, result });
+      }
+    });
+    return results;
+  }
+
+  // Seat a bot in place of an away human; it rejoins under their name until they come back
+  seatStandIn(game, player, difficulty = game.rules.afkBotDifficulty, reason = 'away') {
+    if (this.standInBots.has(`${game.id}:${player.name}`)) return null;
+    game.startStandIn(player, difficulty, reason);
+    this.spawnStandInBot(game.id, player.name, difficulty, game.botSeed(game.players.indexOf(player), true), game.getSeatToken(player));
+    return difficulty;
+  }
+
+  spawnStandInBot(gameId, playerName, difficulty, seed, seatToken) {
+    const MonopolyBot = require('./bot');
+    const key = `${gameId}:${playerName}`;
+    const bot = new MonopolyBot('http://localhost:3001', gameId, playerName, difficulty, seed);
+    bot.seatToken = seatToken;
+    this.standInBots.set(key, bot);
+    bot.connect().then(() => {
+      bot.rejoinGame();
+    }).catch(err => {
+      console.error(`Failed to start stand-in bot for ${playerName}:`, err);
+      this.standInBots.delete(key);
+    });
+  }
+
+  // Seat stand-in bots for humans who have been disconnected too long
+  checkDisconnectTakeovers() {
+    const seated = [];
+    this.games.forEach(game => {
+      game.getDisconnectTakeovers().forEach(player => {
+        const playerId = player.id;
+        const difficulty = this.seatStandIn(game, player, undefined, 'disconnected');
+        if (difficulty) {
+          seated.push({ game, player, playerId, difficulty });
+        }
+      });
+    });
+    return seated;
+  }
+
+  // The away player is back: stop their stand-in bot
+  releaseStandIn(game, player) {
+    const key = `${game.id}:${player.name}`;
+    const bot = this.standInBots.get(key);
+    if (bot) {
+      bot.disconnect();
+      this.standInBots.delete(key);
+    }
+    return game.endStandIn(player);
+  }
+
+  // Expire trade offers past their time limit; returns only games where something expired
+  tickTrades() {
+    const results = [];
+    this.games.forEach(game => {
+      const expired = game.tickTrades();
+      if (expired.length > 0) {
+        results.push({ game, expired });
+      }
+    });
+    return results;
+  }
+
+  // Run every auction clock; returns each running auction and whether it just closed
+  tickAuctions() {
+    const results = [];
+    this.games.forEach(game => {
+      const auction = game.auction;
+      if (auction) {
+        results.push({ game, auction, ended: game.tickAuction() });
+      }
+    });
+    return results;
+  }
+
   resetAllGames() {
     // Clear all games from memory
     this.games.clear();
+    this.unsaved.clear();
 
-    // Delete the save file
+    // Delete the saved copies
     try {
-      if (fs.existsSync(SAVE_FILE)) {
-        fs.unlinkSync(SAVE_FILE);
-        console.log('Deleted saved games file');
-      }
+      this.storage.clear();
+      console.log('Deleted saved games');
     } catch (err) {
-      console.error('Error deleting save file:', err);
+      console.error('Error deleting saved games:', err);
     }
 
     console.log('All games have been reset');
@@ -0,0 +1,96 @@
+/**
+ * House Rules
+ * Configurable rule set for a game. Defaults match the official UK rules
+ * this server has always played, except that taxes and fines pool into Free Parking.
+ */
+
+const DEFAULT_RULES = {
+  startingMoney: 1500,
+  passGoAmount: 200,
+  freeParkingPot: true,        // Taxes, card fines and repairs go into the Free Parking pot
+  noRentInJail: true,          // Owners in jail collect no rent
+  jailFine: 50,
+  unmortgageInterest: 0.1,     // Unmortgage cost = mortgage value * (1 + interest)
+  totalHouses: 32,
+  totalHotels: 12,
+  turnTimeLimit: 0,            // Seconds a human has for their turn before it is played for them (0 = no limit)
+  afkTakeoverStrikes: 0,       // Timed-out turns in a row before a bot takes over the seat (0 = never)
+  afkBotDifficulty: 'medium',  // Difficulty of the bot that stands in for an AFK or disconnected player
+  disconnectTakeoverSeconds: 0, // Seconds a human can be disconnected before a bot takes their seat (0 = host decides)
+  hideTradesFromSpectators: false, // Spectators see who is trading, but not the terms of pending trades
+  tradeExpiryTurns: 0,         // Turns a trade offer stays open before it expires (0 = never)
+  tradeExpirySeconds: 0        // Seconds a trade offer stays open before it expires (0 = never)
+};
+
+// Allowed range for each numeric rule
+const NUMERIC_LIMITS = {
+  startingMoney: { min: 0, max: 100000 },
+  passGoAmount: { min: 0, max: 10000 },
+  jailFine: { min: 0, max: 10000 },
+  unmortgageInterest: { min: 0, max: 1 },
+  totalHouses: { min: 0, max: 200 },
+  totalHotels: { min: 0, max: 100 },
+  turnTimeLimit: { min: 0, max: 600 },
+  afkTakeoverStrikes: { min: 0, max: 10 },
+  disconnectTakeoverSeconds: { min: 0, max: 3600 },
+  tradeExpiryTurns: { min: 0, max: 100 },
+  tradeExpirySeconds: { min: 0, max: 3600 }
+};
+
+// Shortest turn timer we allow - anything less leaves no time to read the board
+const MIN_TURN_TIME_LIMIT = 15;
+
+const BOOLEAN_RULES = ['freeParkingPot', 'noRentInJail', 'hideTradesFromSpectators'];
+
+// Rules that must be one of a fixed set of values
+const CHOICE_RULES = {
+  afkBotDifficulty: ['easy', 'medium', 'hard', 'expert']
+};
+
+/**
+ * Validate a (partial) rules object and merge it over the defaults.
+ * Unknown keys are ignored; invalid values throw so the caller can report them.
+ * @param {Object} rules - Rules supplied by the host
+ * @returns {Object} Complete, validated rules object
+ */
+function validateRules(rules = {}) {
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('House rules must be an object');
+  }
+
+  const validated = { ...DEFAULT_RULES };
+
+  for (const [key, limits] of Object.entries(NUMERIC_LIMITS)) {
+    if (rules[key] === undefined || rules[key] === null || rules[key] === '') continue;
+    const value = Number(rules[key]);
+    if (isNaN(value) || value < limits.min || value > limits.max) {
+      throw new Error(`Invalid house rule ${key}: must be between ${limits.min} and ${limits.max}`);
+    }
+    // Everything except the interest rate is a whole number of pounds or pieces
+    validated[key] = key === 'unmortgageInterest' ? value : Math.floor(value);
+  }
+
+  for (const key of BOOLEAN_RULES) {
+    if (rules[key] === undefined || rules[key] === null) continue;
+    if (typeof rules[key] !== 'boolean') {
+      throw new Error(`Invalid house rule ${key}: must be true or false`);
+    }
+    validated[key] = rules[key];
+  }
+
+  for (const [key, choices] of Object.entries(CHOICE_RULES)) {
+    if (rules[key] === undefined || rules[key] === null || rules[key] === '') continue;
+    if (!choices.includes(rules[key])) {
+      throw new Error(`Invalid house rule ${key}: must be one of ${choices.join(', ')}`);
+    }
+    validated[key] = rules[key];
+  }
+
+  if (validated.turnTimeLimit > 0 && validated.turnTimeLimit < MIN_TURN_TIME_LIMIT) {
+    throw new Error(`Invalid house rule turnTimeLimit: must be 0 (off) or at least ${MIN_TURN_TIME_LIMIT} seconds`);
+  }
+
+  return validated;
+}
+
+module.exports = { DEFAULT_RULES, validateRules };
@@ -5,6 +5,7 @@ const cors = require('cors');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const GameManager = require('./gameManager');
+const { listStrategies, isStrategy, loadStrategy } = require('./strategies');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,18 +20,83 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../client/build')));
 
-const gameManager = new GameManager();
+// Games are written to storage (STORAGE_BACKEND: json or sqlite) as soon as they change
+const gameManager = new GameManager({ autoSave: true });
 
 // API Routes
 app.get('/api/games', (req, res) => {
   res.json(gameManager.getPublicGames());
 });
 
+// Match history: finished games, newest first (?limit=N, default 50)
+app.get('/api/history', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  res.json(gameManager.getHistory(limit));
+});
+
+// One finished game with its final standings and full log
+app.get('/api/history/:gameId', (req, res) => {
+  const record = gameManager.getArchivedGame(req.params.gameId);
+  if (!record) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.json(record);
+});
+
+// Lifetime standings of player profiles and bot difficulties (?sort=wins|winRate|averagePlace|rentEarned, ?limit=N)
+app.get('/api/leaderboard', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  try {
+    res.json(gameManager.getLeaderboard(req.query.sort || 'wins', limit));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/profiles/:profileId', (req, res) => {
+  const profile = gameManager.getProfile(req.params.profileId);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  res.json(profile);
+});
+
+// Bot strategies addBot accepts, by name
+app.get('/api/bot-strategies', (req, res) => {
+  res.json(listStrategies().map(name => ({ name, description: loadStrategy(name).description || '' })));
+});
+
 // Admin API - returns all games including started/private (for admin dashboard)
 app.get('/api/admin/games', (req, res) => {
   res.json(gameManager.getAllGamesForAdmin());
 });
 
+// Admin API - structured action journal for a game
+app.get('/api/admin/games/:gameId/journal', (req, res) => {
+  const game = gameManager.getGame(req.params.gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.json({ gameId: game.id, turnNumber: game.turnNumber, events: game.journal });
+});
+
+// Admin API - game state rebuilt from the journal as it was at the end of a turn
+app.get('/api/admin/games/:gameId/replay/:turn', (req, res) => {
+  const turn = parseInt(req.params.turn);
+  if (isNaN(turn) || turn < 0) {
+    return res.status(400).json({ error: 'Invalid turn' });
+  }
+  try {
+    const replayed = gameManager.replayGame(req.params.gameId, { toTurn: turn });
+    if (!replayed) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json(replayed.getState());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', games: gameManager.getGameCount() });
 });
@@ -43,6 +109,23 @@ app.post('/api/reset', (req, res) => {
   res.json({ success: true, message: 'All games have been reset' });
 });
 
+// Admin endpoint to set a game's RNG seed before it starts (for reproducing bug reports)
+app.get('/api/debug/set-seed/:gameId/:seed', (req, res) => {
+  const game = gameManager.getGame(req.params.gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  try {
+    const result = game.setSeed(req.params.seed);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    res.json({ success: true, seed: result.seed });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Debug endpoint to force advance turn
 app.get('/api/debug/advance-turn/:gameId', (req, res) => {
   const game = gameManager.getGame(req.params.gameId);
@@ -50,7 +133,7 @@ app.get('/api/debug/advance-turn/:gameId', (req, res) => {
     return res.status(404).json({ error: 'Game not found' });
   }
   game.endTurn();
-  io.to(game.id).emit('turnEnded', { game: game.getState() });
+  emitToGame(game, 'turnEnded', { game: game.getState() });
   res.json({ success: true, currentPlayer: game.players[game.currentPlayerIndex]?.name });
 });
 
@@ -61,10 +144,8 @@ app.get('/api/debug/release-jail/:gameId', (req, res) => {
     return res.status(404).json({ error: 'Game not found' });
   }
   const player = game.players[game.currentPlayerIndex];
-  player.inJail = false;
-  player.jailTurns = 0;
-  game.diceRolled = false;
-  io.to(game.id).emit('turnEnded', { game: game.getState() });
+  game.applyDebugAction('releaseJail');
+  emitToGame(game, 'turnEnded', { game: game.getState() });
   res.json({ success: true, releasedPlayer: player.name });
 });
 
@@ -78,13 +159,8 @@ app.get('/api/debug/move-player/:gameId/:playerName/:position', (req, res) => {
   if (players.length === 0) {
     return res.status(404).json({ error: 'Player not found' });
   }
-  players.forEach(player => {
-    player.position = parseInt(req.params.position);
-    player.inJail = false;
-    player.jailTurns = 0;
-  });
-  game.diceRolled = false;
-  io.to(game.id).emit('turnEnded', { game: game.getState() });
+  game.applyDebugAction('movePlayer', { playerName: req.params.playerName, position: parseInt(req.params.position) });
+  emitToGame(game, 'turnEnded', { game: game.getState() });
   res.json({ success: true, movedCount: players.length, position: parseInt(req.params.position) });
 });
 
@@ -112,23 +188,9 @@ app.get('/api/debug/give-property/:gameId/:playerName/:propertyIndex', (req, res
     return res.status(404).json({ error: 'Player not found', availablePlayers: game.players.map(p => p.name) });
   }
 
-  // Remove property from previous owner (if any)
   const previousOwner = game.players.find(p => p.id === property.owner);
-  if (previousOwner) {
-    previousOwner.properties = previousOwner.properties.filter(idx => idx !== propertyIndex);
-  }
-
-  // Give property to new owner
-  property.owner = targetPlayer.id;
-  if (!targetPlayer.properties.includes(propertyIndex)) {
-    targetPlayer.properties.push(propertyIndex);
-  }
-
-  // Unmortgage the property if it was mortgaged
-  property.mortgaged = false;
-
-  game.addLog(`[DEBUG] ${property.name} given to ${targetPlayer.name}`);
-  io.to(game.id).emit('turnEnded', { game: game.getState() });
+  game.applyDebugAction('giveProperty', { playerId: targetPlayer.id, propertyIndex });
+  emitToGame(game, 'turnEnded', { game: game.getState() });
 
   res.json({
     success: true,
@@ -155,9 +217,8 @@ app.get('/api/debug/give-money/:gameId/:playerName/:amount', (req, res) => {
     return res.status(404).json({ error: 'Player not found', availablePlayers: game.players.map(p => p.name) });
   }
 
-  targetPlayer.money += amount;
-  game.addLog(`[DEBUG] £${amount} given to ${targetPlayer.name}`);
-  io.to(game.id).emit('turnEnded', { game: game.getState() });
+  game.applyDebugAction('giveMoney', { playerId: targetPlayer.id, amount });
+  emitToGame(game, 'turnEnded', { game: game.getState() });
 
   res.json({
     success: true,
@@ -202,7 +263,7 @@ app.get('/api/debug/trade-popup', (req, res) => {
   game.trades.push(dummyTrade);
 
   // Emit event
-  io.to(game.id).emit('tradeProposed', { trade: dummyTrade, game: game.getState() });
+  emitToGame(game, 'tradeProposed', { trade: dummyTrade, game: game.getState() });
 
   res.json({
     success: true,
@@ -211,6 +272,56 @@ app.get('/api/debug/trade-popup', (req, res) => {
   });
 });
 
+// Spectators get their own room so anything private can be left out of what they receive
+function spectatorRoom(gameId) {
+  return `${gameId}:spectators`;
+}
+
+// Broadcast a change to the game to everyone at the table and everyone watching, and queue the
+// game for storage. Pass fromSocket to leave the sender out.
+function emitToGame(game, event, payload, fromSocket = null) {
+  gameManager.scheduleSave(game);
+  notifyGame(game, event, payload, fromSocket);
+}
+
+// Broadcast without saving, for clock ticks and other notices that leave the game as it was
+function notifyGame(game, event, payload, fromSocket = null) {
+  (fromSocket ? fromSocket.to(game.id) : io.to(game.id)).emit(event, payload);
+  io.to(spectatorRoom(game.id)).emit(event, game.forSpectators(payload));
+}
+
+// A game with a winner: file it in the match history and tell everyone
+function endGame(game, winner) {
+  gameManager.archiveGame(game);
+  emitToGame(game, 'gameOver', { winner, game: game.getState() });
+}
+
+// Stop a socket watching whatever game it was spectating
+function stopSpectating(socket) {
+  const game = gameManager.removeSpectator(socket.id);
+  if (!game) return;
+  socket.leave(spectatorRoom(game.id));
+  notifyGame(game, 'spectatorsUpdated', { count: game.spectatorCount, game: game.getState() });
+  io.emit('gamesUpdated', gameManager.getPublicGames());
+}
+
+// Tell the table who won a finished auction (auction is the closed auction object)
+function announceAuctionEnded(game, auction) {
+  const winner = auction.highestBidder ? game.players.find(p => p.id === auction.highestBidder) : null;
+  emitToGame(game, 'auctionEnded', {
+    winner: winner ? { id: winner.id, name: winner.name } : null,
+    property: auction.property,
+    amount: winner ? auction.currentBid : 0
+  });
+}
+
+// Queued bank auctions (from a bankruptcy) start as soon as the previous auction ends
+function announceNextAuction(game, previousAuction) {
+  if (!game.auction || game.auction === previousAuction) return;
+  const state = game.getState();
+  emitToGame(game, 'auctionStarted', { auction: state.auction, game: state });
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
@@ -239,25 +350,33 @@ io.on('connection', (socket) => {
     });
   });
 
-  socket.on('createGame', ({ playerName, gameName, maxPlayers, isPrivate, auctionsEnabled, tokenId, colorId }) => {
+  socket.on('createGame', ({ playerName, profileSecret, gameName, maxPlayers, isPrivate, auctionsEnabled, rules, seed, tokenId, colorId }) => {
+    const signIn = gameManager.signInProfile(playerName, profileSecret);
+    if (!signIn.success) {
+      socket.emit('error', { message: signIn.message });
+      return;
+    }
+
     try {
-      const game = gameManager.createGame(gameName, maxPlayers, isPrivate, auctionsEnabled || false);
-      const player = game.addPlayer(socket.id, playerName, tokenId, colorId);
+      const game = gameManager.createGame(gameName, maxPlayers, isPrivate, auctionsEnabled || false, rules || {}, seed);
+      const player = gameManager.seatPlayer(game, socket.id, playerName, tokenId, colorId);
 
       if (!player) {
         socket.emit('error', { message: 'Failed to create game player' });
         return;
       }
+      player.profileId = signIn.profile?.id || null;
 
+      stopSpectating(socket);
       socket.join(game.id);
-      socket.emit('gameCreated', { gameId: game.id, player, game: game.getState() });
+      socket.emit('gameCreated', { gameId: game.id, player, seatToken: game.getSeatToken(player), game: game.getState() });
       io.emit('gamesUpdated', gameManager.getPublicGames());
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
   });
 
-  socket.on('joinGame', ({ gameId, playerName, isBot, botDifficulty, tokenId, colorId }) => {
+  socket.on('joinGame', ({ gameId, playerName, profileSecret, isBot, botDifficulty, botStrategy, tokenId, colorId }) => {
     const game = gameManager.getGame(gameId);
     if (!game) {
       socket.emit('error', { message: 'Game not found' });
@@ -271,10 +390,15 @@ io.on('connection', (socket) => {
       socket.emit('error', { message: 'Game is full' });
       return;
     }
+    const signIn = gameManager.signInProfile(playerName, isBot ? null : profileSecret);
+    if (!signIn.success) {
+      socket.emit('error', { message: signIn.message });
+      return;
+    }
 
     try {
       // Bots automatically get assigned available token/color (pass null)
-      const player = game.addPlayer(socket.id, playerName, isBot ? null : tokenId, isBot ? null : colorId);
+      const player = gameManager.seatPlayer(game, socket.id, playerName, isBot ? null : tokenId, isBot ? null : colorId);
 
       if (!player) {
         socket.emit('error', { message: 'Failed to join game' });
@@ -284,19 +408,45 @@ io.on('connection', (socket) => {
       if (isBot) {
         player.isBot = true;
         player.botDifficulty = botDifficulty || 'hard';
+        player.botStrategy = isStrategy(botStrategy) ? botStrategy : null;
       }
+      player.profileId = signIn.profile?.id || null;
+      stopSpectating(socket);
       socket.join(game.id);
-      socket.emit('gameJoined', { gameId: game.id, player, game: game.getState() });
-      socket.to(game.id).emit('playerJoined', { player, game: game.getState() });
+      socket.emit('gameJoined', { gameId: game.id, player, seatToken: game.getSeatToken(player), game: game.getState() });
+      emitToGame(game, 'playerJoined', { player, game: game.getState() }, socket);
       io.emit('gamesUpdated', gameManager.getPublicGames());
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
   });
 
+  // Watch a game without a seat. Spectators are never bound to a player, so every game action from them is ignored.
+  socket.on('spectateGame', ({ gameId }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game) {
+      socket.emit('error', { message: 'Game not found' });
+      return;
+    }
+    if (gameManager.getSocketPlayer(socket.id, game)) {
+      socket.emit('error', { message: 'You are already playing in this game' });
+      return;
+    }
+
+    gameManager.addSpectator(socket.id, game);
+    socket.join(spectatorRoom(game.id));
+    socket.emit('spectating', { gameId: game.id, game: game.getSpectatorState() });
+    notifyGame(game, 'spectatorsUpdated', { count: game.spectatorCount, game: game.getState() });
+    io.emit('gamesUpdated', gameManager.getPublicGames());
+  });
+
+  socket.on('stopSpectating', () => {
+    stopSpectating(socket);
+  });
+
   // Unified rejoin handler - reconnects a bot or human player to an existing game
-  socket.on('rejoinGame', ({ gameId, playerName, playerId, isBot }) => {
-    console.log(`[SERVER] rejoinGame attempt: gameId=${gameId}, playerName=${playerName}, playerId=${playerId}, isBot=${isBot}`);
+  socket.on('rejoinGame', ({ gameId, playerName, seatToken, isBot }) => {
+    console.log(`[SERVER] rejoinGame attempt: gameId=${gameId}, playerName=${playerName}, isBot=${isBot}`);
     const game = gameManager.getGame(gameId);
     if (!game) {
       console.log(`[SERVER] rejoinGame failed: game not found`);
@@ -304,59 +454,43 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Find the existing player by name first, then by playerId
-    let existingPlayer = game.players.find(p => p.name === playerName);
-    if (!existingPlayer && playerId) {
-      existingPlayer = game.players.find(p => p.id === playerId);
+    // The seat is identified by the secret token issued when it was taken, never by name
+    const existingPlayer = game.findPlayerBySeatToken(seatToken);
+    if (!existingPlayer) {
+      console.log(`[SERVER] rejoinGame failed: invalid seat token`);
+      socket.emit('rejoinFailed', { message: 'Invalid or expired rejoin token' });
+      return;
     }
 
-    if (!existingPlayer) {
-      console.log(`[SERVER] rejoinGame failed: player not found`);
-      socket.emit('rejoinFailed', { message: 'Player not found in game' });
+    // Bots may only take over bot seats, or the seat of an away player they are standing in for
+    if (isBot && !existingPlayer.isBot && !existingPlayer.standIn) {
+      console.log(`[SERVER] rejoinGame failed: ${existingPlayer.name} is a human seat`);
+      socket.emit('rejoinFailed', { message: 'Seat belongs to a human player' });
       return;
     }
 
-    // Store old ID to update property ownership
-    const oldSocketId = existingPlayer.id;
+    // An away player coming back takes over from their stand-in bot
+    if (!isBot && existingPlayer.standIn) {
+      gameManager.releaseStandIn(game, existingPlayer);
+    }
 
-    // Update the player's socket ID and connection status
-    existingPlayer.id = socket.id;
+    // Point this socket at the seat. The player's ID never changes, so nothing in the game needs rewriting.
+    gameManager.bindSocket(socket.id, game.id, existingPlayer.id);
     existingPlayer.disconnected = false;
+    existingPlayer.disconnectedAt = null;
     if (isBot !== undefined) existingPlayer.isBot = isBot;
 
-    // Update property ownership to use new socket ID
-    game.board.forEach(space => {
-      if (space.owner === oldSocketId) {
-        space.owner = socket.id;
-      }
-    });
-
-    // Update auction participants and passedPlayers if there's an active auction
-    if (game.auction) {
-      const participantIndex = game.auction.participants.indexOf(oldSocketId);
-      if (participantIndex !== -1) {
-        game.auction.participants[participantIndex] = socket.id;
-      }
-      const passedIndex = game.auction.passedPlayers.indexOf(oldSocketId);
-      if (passedIndex !== -1) {
-        game.auction.passedPlayers[passedIndex] = socket.id;
-      }
-      if (game.auction.highestBidder === oldSocketId) {
-        game.auction.highestBidder = socket.id;
-      }
-    }
-
     socket.join(game.id);
 
     // Send appropriate event based on whether it's a bot or human
     if (isBot) {
       socket.emit('gameJoined', { gameId: game.id, player: existingPlayer, game: game.getState() });
     } else {
-      socket.emit('gameRejoined', { game: game.getState() });
+      socket.emit('gameRejoined', { playerId: existingPlayer.id, game: game.getState() });
     }
 
-    socket.to(game.id).emit('playerReconnected', { player: existingPlayer, game: game.getState() });
-    console.log(`[SERVER] rejoinGame SUCCESS: ${playerName} rejoined game ${gameId}`);
+    emitToGame(game, 'playerReconnected', { player: existingPlayer, game: game.getState() }, socket);
+    console.log(`[SERVER] rejoinGame SUCCESS: ${existingPlayer.name} rejoined game ${gameId}`);
 
     // Check if it's the player's turn and trigger action (for bots)
     if (isBot) {
@@ -372,7 +506,7 @@ io.on('connection', (socket) => {
   socket.on('startGame', ({ gameId }) => {
     const game = gameManager.getGame(gameId);
     if (!game) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player || !player.isHost) {
       socket.emit('error', { message: 'Only host can start the game' });
       return;
@@ -382,11 +516,11 @@ io.on('connection', (socket) => {
       return;
     }
     game.start();
-    io.to(game.id).emit('gameStarted', { game: game.getState() });
+    emitToGame(game, 'gameStarted', { game: game.getState() });
     io.emit('gamesUpdated', gameManager.getPublicGames());
   });
 
-  socket.on('addBot', ({ gameId, difficulty }) => {
+  socket.on('addBot', ({ gameId, difficulty, strategy = null }) => {
     const game = gameManager.getGame(gameId);
     if (!game) {
       socket.emit('error', { message: 'Game not found' });
@@ -402,13 +536,19 @@ io.on('connection', (socket) => {
     }
 
     // Validate difficulty level
-    const validDifficulties = ['easy', 'medium', 'hard'];
+    const validDifficulties = ['easy', 'medium', 'hard', 'expert'];
     const botDifficulty = validDifficulties.includes(difficulty) ? difficulty : 'hard';
-    console.log(`Adding bot with difficulty: ${botDifficulty}`);
+    if (strategy !== null && !isStrategy(strategy)) {
+      socket.emit('error', { message: `Unknown bot strategy: ${strategy}` });
+      return;
+    }
+    console.log(`Adding bot with difficulty: ${botDifficulty}${strategy ? `, strategy: ${strategy}` : ''}`);
 
-    // Spawn a bot with specified difficulty
+    // Spawn a bot with specified difficulty and strategy
     const MonopolyBot = require('./bot');
-    const bot = new MonopolyBot('http://localhost:3001', gameId, null, botDifficulty);
+    // The bot takes the next free seat
+    const botSeed = game.botSeed(game.players.length);
+    const bot = new MonopolyBot('http://localhost:3001', gameId, null, botDifficulty, botSeed, strategy);
     bot.connect().then(() => {
       bot.joinGame();
     }).catch(err => {
@@ -416,13 +556,36 @@ io.on('connection', (socket) => {
     });
   });
 
+  // Host puts a bot in the seat of a disconnected player until they reconnect
+  socket.on('substituteBot', ({ gameId, playerId, difficulty }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game || !game.started) return;
+    const host = gameManager.getSocketPlayer(socket.id, game);
+    if (!host || !host.isHost) {
+      socket.emit('error', { message: 'Only the host can substitute a bot' });
+      return;
+    }
+
+    const player = game.getPlayer(playerId);
+    if (!player || !player.disconnected || player.isBot || player.standIn || player.bankrupt) {
+      socket.emit('error', { message: 'Only disconnected players can be replaced by a bot' });
+      return;
+    }
+
+    const validDifficulties = ['easy', 'medium', 'hard', 'expert'];
+    const botDifficulty = validDifficulties.includes(difficulty) ? difficulty : game.rules.afkBotDifficulty;
+    if (gameManager.seatStandIn(game, player, botDifficulty, 'disconnected')) {
+      emitToGame(game, 'standInStarted', { playerId, playerName: player.name, difficulty: botDifficulty, game: game.getState() });
+    }
+  });
+
   socket.on('rollDice', ({ gameId }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) {
       console.log('[SERVER] rollDice rejected: game not found or not started');
       return;
     }
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     const turnLabel = `Turn ${game.currentPlayerIndex + 1}/${game.players.length}`;
     const turnPlayer = game.players[game.currentPlayerIndex];
     const playerType = player?.isBot ? 'BOT' : 'HUMAN';
@@ -464,20 +627,20 @@ io.on('connection', (socket) => {
     game.rollCooldownUntil = now + 1200;
     const result = game.rollDice();
     console.log(`[SERVER] rollDice SUCCESS for ${player.name}: ${result.die1} + ${result.die2} = ${result.total} - ${turnLabel}`);
-    io.to(game.id).emit('diceRolled', { result, game: game.getState() });
+    emitToGame(game, 'diceRolled', { result, game: game.getState() });
 
     // Handle landing on space
     setTimeout(() => {
       const landingResult = game.handleLanding();
       game.rollInProgress = false;
-      io.to(game.id).emit('landingResult', { result: landingResult, game: game.getState() });
+      emitToGame(game, 'landingResult', { result: landingResult, game: game.getState() });
     }, 1000);
   });
 
-  socket.on('buyProperty', ({ gameId }) => {
+  socket.on('buyProperty', ({ gameId, rationale }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
 
     // Verify it's the player's turn
@@ -486,31 +649,33 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const logStart = game.fullLog.length;
     const result = game.buyProperty();
     if (result.success) {
-      io.to(game.id).emit('propertyBought', { result, game: game.getState() });
+      game.recordBotRationale(player, 'buyProperty', rationale, logStart);
+      emitToGame(game, 'propertyBought', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
   });
 
-  socket.on('auctionBid', ({ gameId, amount }) => {
+  socket.on('auctionBid', ({ gameId, amount, rationale }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.auction) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
     const beforeAuction = game.auction;
+    const logStart = game.fullLog.length;
     const result = game.placeBid(player, amount);
 
     // Only broadcast update if bid was successful
     if (result.success) {
-      io.to(game.id).emit('auctionUpdate', { auction: game.auction, game: game.getState() });
-      if (beforeAuction && !game.auction) {
-        io.to(game.id).emit('auctionEnded', {
-          winner: { id: player.id, name: player.name },
-          property: beforeAuction.property,
-          amount: amount
-        });
+      game.recordBotRationale(player, 'auctionBid', rationale, logStart);
+      const state = game.getState();
+      emitToGame(game, 'auctionUpdate', { auction: state.auction, game: state });
+      if (beforeAuction && game.auction !== beforeAuction) {
+        announceAuctionEnded(game, beforeAuction);
+        announceNextAuction(game, beforeAuction);
       }
     } else {
       // Send error back to the bidder so they know the bid failed
@@ -518,36 +683,27 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('auctionPass', ({ gameId }) => {
+  socket.on('auctionPass', ({ gameId, rationale }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.auction) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
     const beforeAuction = game.auction;
+    const logStart = game.fullLog.length;
     game.passBid(player);
-    io.to(game.id).emit('auctionUpdate', { auction: game.auction, game: game.getState() });
-    if (beforeAuction && !game.auction) {
-      if (beforeAuction.highestBidder) {
-        const winner = game.players.find(p => p.id === beforeAuction.highestBidder);
-        io.to(game.id).emit('auctionEnded', {
-          winner: winner ? { id: winner.id, name: winner.name } : null,
-          property: beforeAuction.property,
-          amount: beforeAuction.currentBid
-        });
-      } else {
-        io.to(game.id).emit('auctionEnded', {
-          winner: null,
-          property: beforeAuction.property,
-          amount: 0
-        });
-      }
+    game.recordBotRationale(player, 'auctionPass', rationale, logStart);
+    const state = game.getState();
+    emitToGame(game, 'auctionUpdate', { auction: state.auction, game: state });
+    if (beforeAuction && game.auction !== beforeAuction) {
+      announceAuctionEnded(game, beforeAuction);
+      announceNextAuction(game, beforeAuction);
     }
   });
 
-  socket.on('declineProperty', ({ gameId }) => {
+  socket.on('declineProperty', ({ gameId, rationale }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
 
     // Verify it's the player's turn
@@ -561,32 +717,27 @@ io.on('connection', (socket) => {
       `(auctionsEnabled: ${game.auctionsEnabled})`
     );
 
-    if (game.auctionsEnabled) {
-      // Start auction if enabled
-      game.startAuction();
-      io.to(game.id).emit('auctionStarted', { auction: game.auction, game: game.getState() });
-
-      // Auto-complete auction after 15 seconds if no bids
-      setTimeout(() => {
-        if (game.auction && !game.auction.highestBidder) {
-          game.addLog(`No bids placed - ${game.auction.property.name} remains unsold`);
-          game.auction = null;
-          io.to(game.id).emit('auctionUpdate', { auction: null, game: game.getState() });
-        }
-      }, 15000);
+    const logStart = game.fullLog.length;
+    const result = game.declineProperty(player);
+    if (!result.success) {
+      socket.emit('error', { message: result.message });
+      return;
+    }
+    game.recordBotRationale(player, 'declineProperty', rationale, logStart);
+
+    if (result.auction) {
+      const state = game.getState();
+      emitToGame(game, 'auctionStarted', { auction: state.auction, game: state });
     } else {
       // No auction - property stays unsold
-      const propertyName = game.pendingAction?.property?.name || 'property';
-      game.addLog(`${player.name} declined to buy ${propertyName}`);
-      game.pendingAction = null;
-      io.to(game.id).emit('propertyDeclined', { game: game.getState() });
+      emitToGame(game, 'propertyDeclined', { game: game.getState() });
     }
   });
 
   socket.on('buildHouse', ({ gameId, propertyIndex }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
 
     // Verify it's the player's turn
@@ -597,7 +748,7 @@ io.on('connection', (socket) => {
 
     const result = game.buildHouse(player, propertyIndex);
     if (result.success) {
-      io.to(game.id).emit('houseBuilt', { result, game: game.getState() });
+      emitToGame(game, 'houseBuilt', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
@@ -606,7 +757,7 @@ io.on('connection', (socket) => {
   socket.on('sellHouse', ({ gameId, propertyIndex }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
 
     // Allow selling houses on player's turn OR when player has debt to pay
@@ -620,7 +771,7 @@ io.on('connection', (socket) => {
 
     const result = game.sellHouse(player, propertyIndex);
     if (result.success) {
-      io.to(game.id).emit('houseSold', { result, game: game.getState() });
+      emitToGame(game, 'houseSold', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
@@ -629,11 +780,11 @@ io.on('connection', (socket) => {
   socket.on('mortgageProperty', ({ gameId, propertyIndex }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
     const result = game.mortgageProperty(player, propertyIndex);
     if (result.success) {
-      io.to(game.id).emit('propertyMortgaged', { result, game: game.getState() });
+      emitToGame(game, 'propertyMortgaged', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
@@ -642,11 +793,11 @@ io.on('connection', (socket) => {
   socket.on('unmortgageProperty', ({ gameId, propertyIndex }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
     const result = game.unmortgageProperty(player, propertyIndex);
     if (result.success) {
-      io.to(game.id).emit('propertyUnmortgaged', { result, game: game.getState() });
+      emitToGame(game, 'propertyUnmortgaged', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
@@ -655,49 +806,142 @@ io.on('connection', (socket) => {
   socket.on('proposeTrade', ({ gameId, targetPlayerId, offer, request }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
-    const trade = game.proposeTrade(player, targetPlayerId, offer, request);
-    io.to(game.id).emit('tradeProposed', { trade, game: game.getState() });
+    const result = game.proposeTrade(player, targetPlayerId, offer, request);
+    if (result.success) {
+      emitToGame(game, 'tradeProposed', { trade: result.trade, game: game.getState() });
+    } else {
+      socket.emit('tradeError', { message: result.message });
+    }
   });
 
-  socket.on('acceptTrade', ({ gameId, tradeId }) => {
+  // Trade between several players: legs of { from, to, money, properties, jailCards }
+  socket.on('proposeMultiTrade', ({ gameId, legs }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
+    const result = game.proposeMultiTrade(player, legs);
+    if (result.success) {
+      emitToGame(game, 'tradeProposed', { trade: result.trade, game: game.getState() });
+    } else {
+      socket.emit('tradeError', { message: result.message });
+    }
+  });
+
+  socket.on('acceptTrade', ({ gameId, tradeId, rationale }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game || !game.started) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
+    const logStart = game.fullLog.length;
     const result = game.acceptTrade(tradeId, player);
+    if (result.success) game.recordBotRationale(player, 'acceptTrade', rationale, logStart);
+    if (result.success && result.completed === false) {
+      // Multi-party trade still waiting on other participants
+      emitToGame(game, 'tradeAccepted', { trade: result.trade, playerId: player.id, game: game.getState() });
+    } else if (result.success) {
+      emitToGame(game, 'tradeCompleted', { result, game: game.getState() });
+    } else {
+      socket.emit('tradeError', { message: result.message, tradeId });
+    }
+  });
+
+  socket.on('counterTrade', ({ gameId, tradeId, offer, request, rationale }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game || !game.started) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
+
+    const logStart = game.fullLog.length;
+    const result = game.counterTrade(tradeId, player, offer, request);
     if (result.success) {
-      io.to(game.id).emit('tradeCompleted', { result, game: game.getState() });
+      game.recordBotRationale(player, 'counterTrade', rationale, logStart);
+      emitToGame(game, 'tradeCountered', { trade: result.trade, previousTradeId: result.previousTradeId, game: game.getState() });
     } else {
-      socket.emit('error', { message: result.message });
+      socket.emit('tradeError', { message: result.message, tradeId });
     }
   });
 
-  socket.on('declineTrade', ({ gameId, tradeId }) => {
+  // Proposer withdraws their own pending offer
+  socket.on('cancelTrade', ({ gameId, tradeId }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
+
+    const result = game.cancelTrade(tradeId, player);
+    if (result.success) {
+      emitToGame(game, 'tradeCancelled', { tradeId, game: game.getState() });
+    } else {
+      socket.emit('tradeError', { message: result.message, tradeId });
+    }
+  });
 
-    // Find the trade to get info about who declined it
-    const trade = game.trades.find(t => t.id === tradeId);
-    const declinedByPlayer = trade?.to;
+  socket.on('declineTrade', ({ gameId, tradeId, rationale }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game || !game.started) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
 
-    game.declineTrade(tradeId);
-    io.to(game.id).emit('tradeDeclined', {
+    const logStart = game.fullLog.length;
+    const result = game.declineTrade(tradeId, player);
+    if (!result.success) {
+      socket.emit('tradeError', { message: result.message, tradeId });
+      return;
+    }
+    game.recordBotRationale(player, 'declineTrade', rationale, logStart);
+    emitToGame(game, 'tradeDeclined', {
       tradeId,
-      declinedByPlayer,
+      declinedByPlayer: player.id,
       game: game.getState()
     });
   });
 
+  // Table chat, or a direct message when toPlayerId is set. Only seated players can talk.
+  socket.on('sendChat', ({ gameId, text, toPlayerId }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
+
+    const result = game.sendChatMessage(player, text, toPlayerId);
+    if (!result.success) {
+      socket.emit('error', { message: result.message });
+      return;
+    }
+
+    const { message } = result;
+    if (message.toId) {
+      gameManager.scheduleSave(game);
+      socket.emit('chatMessage', { message });
+      const recipientSocketId = gameManager.getPlayerSocketId(game.id, message.toId);
+      if (recipientSocketId) {
+        io.to(recipientSocketId).emit('chatMessage', { message });
+      }
+    } else {
+      emitToGame(game, 'chatMessage', { message });
+    }
+  });
+
+  // Chat so far, e.g. after a rejoin. Spectators only get the public messages.
+  socket.on('getChatHistory', ({ gameId }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player && gameManager.spectators.get(socket.id) !== game.id) return;
+    socket.emit('chatHistory', { messages: game.getChatHistory(player ? player.id : null) });
+  });
+
   socket.on('payJailFine', ({ gameId }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
     const result = game.payJailFine(player);
     if (result.success) {
-      io.to(game.id).emit('jailFinePaid', { result, game: game.getState() });
+      emitToGame(game, 'jailFinePaid', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
@@ -706,11 +950,11 @@ io.on('connection', (socket) => {
   socket.on('useJailCard', ({ gameId }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
     const result = game.useJailCard(player);
     if (result.success) {
-      io.to(game.id).emit('jailCardUsed', { result, game: game.getState() });
+      emitToGame(game, 'jailCardUsed', { result, game: game.getState() });
     } else {
       socket.emit('error', { message: result.message });
     }
@@ -722,7 +966,7 @@ io.on('connection', (socket) => {
       console.log(`[SERVER] endTurn rejected: game not found or not started`);
       return;
     }
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     const turnLabel = `Turn ${game.currentPlayerIndex + 1}/${game.players.length}`;
     const playerType = player?.isBot ? 'BOT' : 'HUMAN';
     console.log(`[SERVER] endTurn called by ${player?.name || socket.id} (${playerType}) for game ${gameId} - ${turnLabel}`);
@@ -756,19 +1000,35 @@ io.on('connection', (socket) => {
     const nextPlayer = game.players[game.currentPlayerIndex];
     const nextTurnLabel = `Turn ${game.currentPlayerIndex + 1}/${game.players.length}`;
     console.log(`[SERVER] next turn: ${nextPlayer?.name || 'unknown'} (${nextPlayer?.isBot ? 'BOT' : 'HUMAN'}) - ${nextTurnLabel}`);
-    io.to(game.id).emit('turnEnded', { game: game.getState() });
+    emitToGame(game, 'turnEnded', { game: game.getState() });
   });
 
   socket.on('declareBankruptcy', ({ gameId }) => {
     const game = gameManager.getGame(gameId);
     if (!game || !game.started) return;
-    const player = game.getPlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
     if (!player) return;
+    const auctionBefore = game.auction;
     const result = game.declareBankruptcy(player);
-    io.to(game.id).emit('playerBankrupt', { result, game: game.getState() });
+    emitToGame(game, 'playerBankrupt', { result, game: game.getState() });
+    announceNextAuction(game, auctionBefore);
 
     if (game.checkWinner()) {
-      io.to(game.id).emit('gameOver', { winner: game.getWinner(), game: game.getState() });
+      endGame(game, game.getWinner());
+    }
+  });
+
+  // Creditor settles mortgaged properties received from a bankrupt player
+  socket.on('resolveMortgagedTransfer', ({ gameId, decisions }) => {
+    const game = gameManager.getGame(gameId);
+    if (!game || !game.started) return;
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
+    const result = game.resolveMortgagedTransfer(player, decisions || {});
+    if (result.success) {
+      emitToGame(game, 'mortgagedTransferResolved', { playerId: player.id, result, game: game.getState() });
+    } else {
+      socket.emit('error', { message: result.message });
     }
   });
 
@@ -776,7 +1036,12 @@ io.on('connection', (socket) => {
     const game = gameManager.getGame(gameId);
     if (!game) return;
 
-    const result = game.removePlayer(socket.id);
+    const player = gameManager.getSocketPlayer(socket.id, game);
+    if (!player) return;
+
+    const auctionBefore = game.auction;
+    const result = game.removePlayer(player.id);
+    gameManager.unbindSocket(socket.id);
     socket.leave(game.id);
 
     // Check if any active humans remain (not bots, not bankrupt)
@@ -789,15 +1054,18 @@ io.on('connection', (socket) => {
       gameManager.removeGame(gameId);
     } else {
       // Notify all players about the removal
-      io.to(game.id).emit('playerLeft', {
-        playerId: socket.id,
+      emitToGame(game, 'playerLeft', {
+        playerId: player.id,
         playerName: result?.removed?.name,
+        creditor: result?.creditor,
+        transfer: result?.transfer,
         game: game.getState()
       });
+      announceNextAuction(game, auctionBefore);
 
       // Check if there's a winner
       if (result?.winner) {
-        io.to(game.id).emit('gameOver', { winner: result.winner, game: game.getState() });
+        endGame(game, result.winner);
       }
     }
     io.emit('gamesUpdated', gameManager.getPublicGames());
@@ -805,11 +1073,14 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log(`Player disconnected: ${socket.id}`);
-    const games = gameManager.getPlayerGames(socket.id);
-    games.forEach(game => {
-      game.setPlayerDisconnected(socket.id);
-      io.to(game.id).emit('playerDisconnected', { playerId: socket.id, game: game.getState() });
-    });
+    stopSpectating(socket);
+    // Sockets that were already replaced on their seat (e.g. by a rejoin) are no longer bound
+    const seat = gameManager.unbindSocket(socket.id);
+    const game = seat && gameManager.getGame(seat.gameId);
+    if (game) {
+      game.setPlayerDisconnected(seat.playerId);
+      emitToGame(game, 'playerDisconnected', { playerId: seat.playerId, game: game.getState() });
+    }
   });
 });
 
@@ -954,20 +1225,78 @@ process.once('SIGUSR2', () => {
   process.kill(process.pid, 'SIGUSR2');
 });
 
-// Auto-save every 30 seconds for safety
-setInterval(() => {
-  if (gameManager.getGameCount() > 0) {
-    gameManager.saveGames();
-  }
-}, 30000);
-
 // Check for stalled bots every 5 seconds
 setInterval(() => {
   const timeouts = gameManager.checkBotTimeouts();
   timeouts.forEach(({ gameId, result }) => {
     console.log(`[SERVER] Forced turn skip for stalled bot in game ${gameId}`);
-    io.to(gameId).emit('turnEnded', { game: result.game });
+    const game = gameManager.getGame(gameId);
+    if (game) emitToGame(game, 'turnEnded', { game: result.game });
   });
 }, 5000);
 
+// Human turn timers: warn, play timed-out turns automatically and seat a bot for repeat offenders
+setInterval(() => {
+  gameManager.checkTurnTimers().forEach(({ game, result }) => {
+    if (result.warning) {
+      notifyGame(game, 'turnTimerWarning', { playerId: result.player.id, remainingMs: result.remainingMs });
+      return;
+    }
+
+    console.log(`[SERVER] ${result.player.name} timed out in game ${game.id} (strike ${result.strikes})`);
+    emitToGame(game, 'turnAutoPlayed', { playerId: result.player.id, strikes: result.strikes, game: game.getState() });
+    // Declining a purchase, or a bankruptcy to the bank, may have opened an auction
+    announceNextAuction(game, null);
+    if (result.player.bankrupt && game.checkWinner()) {
+      endGame(game, game.getWinner());
+      return;
+    }
+
+    if (result.takeover) {
+      const playerId = result.player.id;
+      const difficulty = gameManager.seatStandIn(game, result.player);
+      if (difficulty) {
+        emitToGame(game, 'standInStarted', { playerId, playerName: result.player.name, difficulty, game: game.getState() });
+      }
+    }
+  });
+
+  gameManager.checkDisconnectTakeovers().forEach(({ game, player, playerId, difficulty }) => {
+    console.log(`[SERVER] ${player.name} disconnected too long in game ${game.id} - seating a ${difficulty} bot`);
+    emitToGame(game, 'standInStarted', { playerId, playerName: player.name, difficulty, game: game.getState() });
+  });
+}, 1000);
+
+// Auction clock: close auctions whose deadline has passed and broadcast the countdown
+setInterval(() => {
+  gameManager.tickAuctions().forEach(({ game, auction, ended }) => {
+    if (ended) {
+      const state = game.getState();
+      emitToGame(game, 'auctionUpdate', { auction: state.auction, game: state });
+      announceAuctionEnded(game, auction);
+      announceNextAuction(game, auction);
+    } else {
+      notifyGame(game, 'auctionTick', {
+        propertyIndex: auction.propertyIndex,
+        timeRemainingMs: game.getAuctionTimeRemaining(),
+        phase: game.getAuctionPhase()
+      });
+    }
+  });
+}, 1000);
+
+// Finished games close a while after the result, once they are safely in the match history
+setInterval(() => {
+  if (gameManager.pruneFinishedGames().length > 0) {
+    io.emit('gamesUpdated', gameManager.getPublicGames());
+  }
+}, 60000);
+
+// Trade offers with a time limit (house rule) expire on their own
+setInterval(() => {
+  gameManager.tickTrades().forEach(({ game, expired }) => {
+    emitToGame(game, 'tradesExpired', { tradeIds: expired.map(t => t.id), game: game.getState() });
+  });
+}, 1000);
+
 module.exports = { app, server, io };
@@ -0,0 +1,142 @@
+/**
+ * Game Journal Replay
+ * Rebuilds a Game from its action journal. Every journaled event is re-applied
+ * through the same Game methods that produced it; because the game RNG is seeded
+ * (see rng.js) dice and card draws come out exactly as they did originally.
+ */
+
+const { Game } = require('./game');
+
+// Journals from before declines were checked don't say who declined: the recipient, or for a
+// multi-party trade the first participant (the trade closes the same whoever it was)
+function legacyDecliner(game, tradeId) {
+  const trade = game.trades.find(t => t.id === tradeId);
+  return trade && game.getPlayer(trade.type === 'multi' ? trade.participants[0] : trade.to);
+}
+
+/**
+ * Apply a single journal event to a game being rebuilt
+ * @param {Game} game - Game under reconstruction
+ * @param {Object} event - Journal entry
+ */
+function applyEvent(game, event) {
+  const player = event.playerId ? game.getPlayer(event.playerId) : null;
+  const input = event.input || {};
+
+  switch (event.type) {
+    case 'seed':
+      return game.setSeed(input.seed);
+    case 'join':
+      return game.addPlayer(event.playerId, input.name, input.tokenId, input.colorId);
+    case 'leave':
+      return game.removePlayer(event.playerId, input.forceRemove);
+    case 'rejoin': {
+      const rejoined = game.getPlayer(input.oldId);
+      return rejoined && game.reassignPlayerId(rejoined, event.playerId);
+    }
+    case 'start':
+      return game.start();
+    case 'roll':
+      return game.rollDice();
+    case 'land':
+      return game.handleLanding();
+    case 'buy':
+      return game.buyProperty();
+    case 'decline':
+      return game.declineProperty(player);
+    case 'bid':
+      return game.placeBid(player, input.amount);
+    case 'pass':
+      return game.passBid(player);
+    case 'auctionExpired':
+      return game.expireAuction();
+    case 'build':
+      return game.buildHouse(player, input.propertyIndex);
+    case 'sellHouse':
+      return game.sellHouse(player, input.propertyIndex);
+    case 'mortgage':
+      return game.mortgageProperty(player, input.propertyIndex);
+    case 'unmortgage':
+      return game.unmortgageProperty(player, input.propertyIndex);
+    case 'tradePropose': {
+      const result = game.proposeTrade(player, input.toPlayerId, input.offer, input.request);
+      // Keep the original trade ID so later accept/decline events still match
+      if (result.success && event.outcome?.tradeId) {
+        result.trade.id = event.outcome.tradeId;
+        game.journal[game.journal.length - 1].outcome.tradeId = result.trade.id;
+      }
+      return result;
+    }
+    case 'tradeCounter': {
+      const result = game.counterTrade(input.tradeId, player, input.offer, input.request);
+      // Same as tradePropose: later events refer to the counter-offer by its original ID
+      if (result.success && event.outcome?.tradeId) {
+        result.trade.id = event.outcome.tradeId;
+        game.journal[game.journal.length - 1].outcome.tradeId = result.trade.id;
+      }
+      return result;
+    }
+    case 'multiTradePropose': {
+      const result = game.proposeMultiTrade(player, input.legs);
+      if (result.success && event.outcome?.tradeId) {
+        result.trade.id = event.outcome.tradeId;
+        game.journal[game.journal.length - 1].outcome.tradeId = result.trade.id;
+      }
+      return result;
+    }
+    case 'tradeAccept':
+      return game.acceptTrade(input.tradeId, player);
+    case 'tradeDecline':
+      return game.declineTrade(input.tradeId, player || legacyDecliner(game, input.tradeId));
+    case 'tradeCancel':
+      return game.cancelTrade(input.tradeId, player);
+    case 'tradesExpired':
+      return game.tickTrades();
+    case 'jailFine':
+      return game.payJailFine(player);
+    case 'jailCard':
+      return game.useJailCard(player);
+    case 'bankruptcy':
+      return game.declareBankruptcy(player);
+    case 'mortgagedTransfer':
+      return game.resolveMortgagedTransfer(player, input.decisions);
+    case 'endTurn':
+      return game.endTurn();
+    case 'timeout':
+      return game.skipStalledTurn();
+    case 'turnTimeout':
+      return game.autoPlayTurn();
+    case 'admin':
+      return game.applyDebugAction(input.action, input.params);
+    default:
+      throw new Error(`Unknown journal event type: ${event.type}`);
+  }
+}
+
+/**
+ * Rebuild a game from its journal
+ * @param {Array} journal - Journal entries, starting with the 'create' event
+ * @param {Object} options
+ * @param {number} options.toTurn - Stop before the first event of a later turn
+ * @param {number} options.toSeq - Stop after the event with this sequence number
+ * @returns {Game} The reconstructed game
+ */
+function replayGame(journal, { toTurn = Infinity, toSeq = Infinity } = {}) {
+  if (!Array.isArray(journal) || journal.length === 0 || journal[0].type !== 'create') {
+    throw new Error('Journal must start with a create event');
+  }
+
+  const header = journal[0].input;
+  const game = new Game(header.id, header.name, header.maxPlayers, header.isPrivate, header.auctionsEnabled, header.rules, header.seed);
+
+  for (const event of journal.slice(1)) {
+    if (event.seq > toSeq || event.turn > toTurn) break;
+    game.replayClock = event.time;
+    applyEvent(game, event);
+  }
+  game.replayClock = null;
+
+  return game;
+}
+
+module.exports = { replayGame, applyEvent };
@@ -0,0 +1,158 @@
+/**
+ * Monte Carlo Lookahead
+ * Values a decision by playing the next few rounds forward many times from a copy of
+ * the game - once with the decision made, once without - and comparing where the bot
+ * ends up. The copies are real Games, so dice, doubles, jail and cards land exactly
+ * as often as they do at the table.
+ *
+ * Everyone in a rollout follows the same simple policy: never buy (the ownership being
+ * compared stays as it is), leave jail with a card or the fine when they can, and build
+ * evenly on their monopolies with spare cash.
+ */
+
+const { Game } = require('./game');
+
+const BUILD_RESERVE = 150; // Cash rollout players keep back when building
+const MAX_BUILDS_PER_TURN = 15;
+const MIN_ROLLOUTS = 4; // Played even when the time budget runs out first - fewer is mostly noise
+
+/**
+ * A fresh Game set up like the state a bot sees (Game.getState), with its own dice and decks
+ * @param {Object} state - Game state
+ * @param {string} seed - Seed for the copy's dice and deck shuffles
+ */
+function cloneGame(state, seed) {
+  const game = new Game('LOOKAHEAD', 'Lookahead', state.players.length, true, false, state.rules, seed);
+  game.quiet = true; // Thousands of rollout turns would drown the server log
+  game.board = state.board.map(space => ({ ...space }));
+  game.players = state.players.map(p => ({
+    ...p,
+    properties: p.properties.map(prop => (typeof prop === 'number' ? prop : prop.index)),
+    debt: p.debt ? { ...p.debt } : null
+  }));
+  game.started = true;
+  game.currentPlayerIndex = state.currentPlayerIndex;
+  game.turnNumber = state.turnNumber || 0;
+  game.freeParking = state.freeParking || 0;
+  game.housesAvailable = state.housesAvailable ?? game.housesAvailable;
+  game.hotelsAvailable = state.hotelsAvailable ?? game.hotelsAvailable;
+  game.rentImmunities = (state.rentImmunities || []).map(immunity => ({ ...immunity }));
+  game.ious = (state.ious || []).map(iou => ({ ...iou }));
+  return game;
+}
+
+// Build evenly across the player's monopolies, cheapest house first, while they can spare the cash
+function buildOnMonopolies(game, player) {
+  for (let built = 0; built < MAX_BUILDS_PER_TURN; built++) {
+    const candidates = game.board
+      .filter(space => space.owner === player.id && space.type === 'property' && !space.mortgaged &&
+        player.money - space.houseCost >= BUILD_RESERVE)
+      .sort((a, b) => a.houses - b.houses || a.houseCost - b.houseCost);
+    const next = candidates.find(space => game.buildHouse(player, space.index).success);
+    if (!next) return;
+  }
+}
+
+// One turn under the rollout policy
+function playTurn(game) {
+  const player = game.players[game.currentPlayerIndex];
+  if (player.inJail) {
+    if (player.getOutOfJailCards > 0) game.useJailCard(player);
+    else if (player.money >= game.rules.jailFine) game.payJailFine(player);
+  }
+
+  game.diceRolled = false;
+  do {
+    game.rollDice();
+    game.handleLanding();
+    game.pendingAction = null; // Unowned deeds stay unowned; debts just sit on the books
+  } while (game.canRollAgain && !player.inJail && !player.bankrupt);
+
+  buildOnMonopolies(game, player);
+  game.advanceTurn();
+}
+
+/**
+ * Where a player stands at the end of a rollout: their net worth less the average of the
+ * other active players'. Cash they are short counts twice, for the buildings and mortgages
+ * they would lose raising it.
+ */
+function standing(game, playerId) {
+  const worth = player => {
+    const shortfall = Math.max(0, -player.money) + (player.debt?.amount || 0);
+    return game.calculateNetWorth(player) - shortfall;
+  };
+  const me = game.getPlayer(playerId);
+  const others = game.players.filter(p => p.id !== playerId && !p.bankrupt);
+  const average = others.length ? others.reduce((sum, p) => sum + worth(p), 0) / others.length : 0;
+  return worth(me) - average;
+}
+
+/**
+ * How much better off playerId is with a decision than without it, on average over rollouts
+ * that share their dice (so the difference comes from the decision, not the luck)
+ * @param {Object} state - Game state the decision is made from
+ * @param {string} playerId - Whose standing is measured
+ * @param {Function} apply - (game) => void, makes the decision on a copy of the game
+ * @param {Object} options
+ * @param {Function} options.alternative - (game) => void, what happens instead (default: nothing)
+ * @param {number} options.rollouts - Rollouts per side
+ * @param {number} options.rounds - Rounds played forward in each
+ * @param {string} options.seed - Base seed; rollout i uses `${seed}:${i}` on both sides
+ * @param {number} options.timeBudgetMs - Stop early once this much time has passed (default: no limit)
+ * @param {Function} options.clock - Time source for the budget (default: Date.now)
+ * @param {Object} options.stats - Filled in with how many rollouts were played
+ * @returns {number} Average gain in standing, in pounds
+ */
+function evaluateDecision(state, playerId, apply, {
+  alternative = null, rollouts = 30, rounds = 20, seed = 'lookahead', timeBudgetMs = null, clock = Date.now, stats = {}
+} = {}) {
+  const activePlayers = state.players.filter(p => !p.bankrupt).length;
+  const turns = rounds * activePlayers;
+  const play = (setup, rolloutSeed) => {
+    const game = cloneGame(state, rolloutSeed);
+    if (setup) setup(game);
+    // A decision made after rolling: the roller's turn is over unless they threw doubles
+    if (state.diceRolled && !state.canRollAgain) game.advanceTurn();
+    for (let turn = 0; turn < turns; turn++) {
+      playTurn(game);
+    }
+    return standing(game, playerId);
+  };
+
+  // Rollouts run on the server's only thread, so a live bot stops when its budget is spent
+  const deadline = timeBudgetMs ? clock() + timeBudgetMs : Infinity;
+  let total = 0;
+  let played = 0;
+  while (played < rollouts && (played < MIN_ROLLOUTS || clock() < deadline)) {
+    total += play(apply, `${seed}:${played}`) - play(alternative, `${seed}:${played}`);
+    played++;
+  }
+  stats.rollouts = played;
+  return played ? total / played : 0;
+}
+
+// Hand a deed over on a copy of the game, free of charge (the caller accounts for any price)
+function giveProperty(game, propertyIndex, playerId) {
+  const space = game.board[propertyIndex];
+  if (space.owner) {
+    const previous = game.getPlayer(space.owner);
+    previous.properties = previous.properties.filter(index => index !== propertyIndex);
+  }
+  space.owner = playerId;
+  game.getPlayer(playerId).properties.push(propertyIndex);
+}
+
+// Carry out a proposed trade on a copy of the game, leg by leg as Game.acceptTrade would
+function applyTrade(game, trade) {
+  if (trade.type === 'multi') {
+    trade.legs.forEach(leg => game.transferTradeSide(game.getPlayer(leg.from), game.getPlayer(leg.to), leg));
+    return;
+  }
+  const from = game.getPlayer(trade.from);
+  const to = game.getPlayer(trade.to);
+  game.transferTradeSide(from, to, trade.offer);
+  game.transferTradeSide(to, from, trade.request);
+}
+
+module.exports = { cloneGame, evaluateDecision, giveProperty, applyTrade, playTurn, standing };
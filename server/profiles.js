@@ -0,0 +1,193 @@
+/**
+ * Player Profiles
+ * Lightweight lifetime profiles: a name plus a secret the client keeps, with
+ * totals taken from each finished game's archive record (see Game.getArchiveRecord).
+ * Every bot difficulty gets a profile of its own so people can see how they
+ * do against easy, medium and hard.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const MIN_SECRET_LENGTH = 16;
+const FAVOURITE_COUNT = 3; // Deeds shown as a profile's favourites
+
+function hashSecret(secret, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${secret}`).digest('hex');
+}
+
+function botProfileId(difficulty) {
+  return `bot:${difficulty}`;
+}
+
+function emptyStats() {
+  return {
+    gamesPlayed: 0,
+    wins: 0,
+    bankruptcies: 0,
+    placeTotal: 0, // Sum of finishing places, for the average
+    rentEarned: 0,
+    deedCounts: {} // Deed name -> games the player finished (or went out) holding it
+  };
+}
+
+class ProfileStore {
+  /**
+   * @param {Object} storage - Storage adapter with loadProfiles/saveProfile (see storage.js)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.profiles = new Map();
+    try {
+      storage.loadProfiles().forEach(profile => this.profiles.set(profile.id, profile));
+    } catch (err) {
+      console.error('Failed to load player profiles:', err);
+    }
+  }
+
+  findByName(name) {
+    const key = String(name).trim().toLowerCase();
+    for (const profile of this.profiles.values()) {
+      if (!profile.isBot && profile.name.toLowerCase() === key) return profile;
+    }
+    return null;
+  }
+
+  /**
+   * Sign in to the profile with this name, creating it on first use
+   * @returns {{ success: boolean, profile?: Object, created?: boolean, message?: string }}
+   */
+  claim(name, secret) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      return { success: false, message: 'Profile needs a name' };
+    }
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      return { success: false, message: `Profile secret must be at least ${MIN_SECRET_LENGTH} characters` };
+    }
+
+    const existing = this.findByName(trimmed);
+    if (existing) {
+      const expected = Buffer.from(existing.secretHash, 'hex');
+      const given = Buffer.from(hashSecret(secret, existing.salt), 'hex');
+      if (!crypto.timingSafeEqual(expected, given)) {
+        return { success: false, message: `The name ${trimmed} belongs to another player's profile` };
+      }
+      return { success: true, profile: existing, created: false };
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const profile = {
+      id: uuidv4(),
+      name: trimmed,
+      isBot: false,
+      salt,
+      secretHash: hashSecret(secret, salt),
+      createdAt: Date.now(),
+      stats: emptyStats()
+    };
+    this.save(profile);
+    return { success: true, profile, created: true };
+  }
+
+  // The shared profile for one bot difficulty, created the first time that difficulty finishes a game
+  getBotProfile(difficulty) {
+    const id = botProfileId(difficulty);
+    let profile = this.profiles.get(id);
+    if (!profile) {
+      profile = { id, name: `${difficulty} bot`, isBot: true, difficulty, createdAt: Date.now(), stats: emptyStats() };
+      this.profiles.set(id, profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Add a finished game to the profiles of everyone in it. Players who never signed in
+   * to a profile are left out; bots count towards their difficulty's profile.
+   * @param {Object} record - Archive record from Game.getArchiveRecord
+   * @returns {Object[]} Profiles that were updated
+   */
+  recordGame(record) {
+    const updated = [];
+    record.standings.forEach(entry => {
+      const profile = entry.isBot
+        ? this.getBotProfile(entry.botDifficulty || 'hard')
+        : entry.profileId && this.profiles.get(entry.profileId);
+      if (!profile) return;
+
+      const stats = profile.stats;
+      stats.gamesPlayed++;
+      stats.placeTotal += entry.place;
+      stats.rentEarned += entry.rentEarned || 0;
+      if (entry.place === 1) stats.wins++;
+      if (entry.bankrupt) stats.bankruptcies++;
+      (entry.deeds || []).forEach(deed => {
+        stats.deedCounts[deed] = (stats.deedCounts[deed] || 0) + 1;
+      });
+      profile.lastPlayedAt = record.finishedAt;
+      this.save(profile);
+      updated.push(profile);
+    });
+    return updated;
+  }
+
+  save(profile) {
+    this.profiles.set(profile.id, profile);
+    try {
+      this.storage.saveProfile(profile.id, profile);
+    } catch (err) {
+      console.error(`Failed to save profile ${profile.name}:`, err);
+    }
+  }
+
+  // What anyone may see of a profile: totals and averages, never the secret
+  getPublicProfile(profile) {
+    const { stats } = profile;
+    const played = stats.gamesPlayed;
+    return {
+      id: profile.id,
+      name: profile.name,
+      isBot: profile.isBot,
+      difficulty: profile.difficulty || null,
+      gamesPlayed: played,
+      wins: stats.wins,
+      winRate: played ? stats.wins / played : 0,
+      bankruptcies: stats.bankruptcies,
+      averagePlace: played ? stats.placeTotal / played : null,
+      rentEarned: stats.rentEarned,
+      favouriteProperties: Object.entries(stats.deedCounts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, FAVOURITE_COUNT)
+        .map(([name, games]) => ({ name, games })),
+      lastPlayedAt: profile.lastPlayedAt || null
+    };
+  }
+
+  getProfile(id) {
+    const profile = this.profiles.get(id);
+    return profile ? this.getPublicProfile(profile) : null;
+  }
+
+  /**
+   * Profiles with at least one finished game, best first
+   * @param {string} sort - 'wins' (default), 'winRate', 'averagePlace' or 'rentEarned'
+   */
+  getLeaderboard(sort = 'wins', limit = 50) {
+    const compare = {
+      wins: (a, b) => b.wins - a.wins || b.winRate - a.winRate,
+      winRate: (a, b) => b.winRate - a.winRate || b.wins - a.wins,
+      averagePlace: (a, b) => a.averagePlace - b.averagePlace || b.gamesPlayed - a.gamesPlayed,
+      rentEarned: (a, b) => b.rentEarned - a.rentEarned
+    }[sort] || null;
+    if (!compare) {
+      throw new Error(`Unknown leaderboard sort: ${sort}`);
+    }
+    return [...this.profiles.values()]
+      .filter(profile => profile.stats.gamesPlayed > 0)
+      .map(profile => this.getPublicProfile(profile))
+      .sort((a, b) => compare(a, b) || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+}
+
+module.exports = { ProfileStore, botProfileId };
@@ -0,0 +1,77 @@
+/**
+ * Seeded RNG
+ * Small deterministic PRNG (mulberry32) so a game can be replayed from its seed.
+ * The whole generator state is a single 32-bit integer, which makes it trivial to
+ * persist alongside the game and resume the exact same sequence after a restart.
+ */
+
+const crypto = require('crypto');
+
+// Hash any string into a 32-bit starting state (FNV-1a)
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Random seed for games created without one
+function generateSeed() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Seeds are short strings so they can be typed in by a host or admin
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return null;
+  if (typeof seed !== 'string' && typeof seed !== 'number') {
+    throw new Error('Seed must be a string or number');
+  }
+  const str = String(seed).trim();
+  if (str.length === 0) return null;
+  if (str.length > 64) {
+    throw new Error('Seed must be 64 characters or fewer');
+  }
+  return str;
+}
+
+class SeededRng {
+  /**
+   * @param {string|number} seed - Seed for the sequence (random if omitted)
+   * @param {number} state - Saved generator state to resume from
+   * @param {number} calls - Number of values already drawn (informational)
+   */
+  constructor(seed = null, state = null, calls = 0) {
+    this.seed = normalizeSeed(seed) || generateSeed();
+    this.state = state === null || state === undefined ? hashSeed(this.seed) : state >>> 0;
+    this.calls = calls || 0;
+  }
+
+  // Float in [0, 1) - drop-in replacement for Math.random()
+  next() {
+    this.calls++;
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  toJSON() {
+    return { seed: this.seed, state: this.state, calls: this.calls };
+  }
+
+  static fromJSON(data) {
+    if (!data || !data.seed) return new SeededRng();
+    return new SeededRng(data.seed, data.state, data.calls);
+  }
+}
+
+module.exports = { SeededRng, generateSeed, normalizeSeed };
@@ -0,0 +1,523 @@
+/**
+ * Headless Simulator
+ * Plays bot-vs-bot games in-process with no server, sockets or delays. Each bot
+ * makes its decisions through the same strategy hooks it uses online (decideJail,
+ * decideBid, planBuilds, ... - see strategies/index.js) and the simulator applies
+ * them straight to a Game, the way the socket handlers in index.js do.
+ *
+ * Games run on simulated time: every action moves the clock on a couple of
+ * seconds, so auction bid spacing and bot trade cooldowns behave as they do
+ * at a real table.
+ *
+ * Usage: node server/simulator.js [--games 1000] [--players easy,medium,hard] [--seed sim]
+ *                                 [--max-turns 1000] [--no-auctions] [--json]
+ */
+
+const { Game } = require('./game');
+const MonopolyBot = require('./bot');
+const { HOOKS } = require('./strategies');
+
+const ACTION_MS = 2000; // Simulated time per action - longer than the auction's minimum gap between bids
+const MAX_TURN_STEPS = 200; // Actions in one turn before the game is written off as stuck
+const MAX_TRADE_ROUNDS = 8; // Offers and counter-offers in one negotiation
+const MAX_AUCTION_ROUNDS = 200;
+
+// A seat given as a plain difficulty plays that difficulty's settings unchanged
+function toEntrant(seat) {
+  return typeof seat === 'string' ? { name: seat, difficulty: seat } : seat;
+}
+
+// Colour groups plus the two groups without a colour
+function groupOf(space) {
+  return space.color || space.type;
+}
+
+/**
+ * Copy of the game as a bot sees it (the same shape as Game.getState). Bots scribble on
+ * their copy - planHouseBuilds marks planned houses on it - so it must not share the live board.
+ */
+function snapshotState(game) {
+  const board = game.board.map(space => ({ ...space }));
+  const pending = game.pendingAction;
+  return {
+    id: game.id,
+    started: game.started,
+    rules: game.rules,
+    board,
+    players: game.players.map(p => ({
+      ...p,
+      properties: p.properties.map(index => ({ index, ...board[index] }))
+    })),
+    currentPlayerIndex: game.currentPlayerIndex,
+    diceRolled: game.diceRolled,
+    canRollAgain: game.canRollAgain,
+    pendingAction: pending && (pending.property ? { ...pending, property: board[game.board.indexOf(pending.property)] } : pending),
+    auction: game.auction && { ...game.auction, property: board[game.auction.propertyIndex] },
+    trades: game.trades.filter(t => t.status === 'pending'),
+    rentImmunities: game.rentImmunities,
+    ious: game.ious,
+    freeParking: game.freeParking,
+    housesAvailable: game.housesAvailable,
+    hotelsAvailable: game.hotelsAvailable,
+    turnNumber: game.turnNumber
+  };
+}
+
+class SimulatedGame {
+  /**
+   * @param {Object} options
+   * @param {Array<string|Object>} options.players - Each seat's bot: a difficulty, or an entrant
+   *   { name, difficulty, config, strategy } whose config overrides that difficulty's settings
+   * @param {string} options.seed - Game seed; bots derive theirs from it
+   * @param {Object} options.rules - House rules
+   * @param {boolean} options.auctions - Auction declined properties
+   * @param {number} options.maxTurns - Turns before the game is stopped unfinished
+   * @param {boolean} options.explain - Record the bots' reasons for their buys, bids and trade
+   *   answers (Game.botDecisions) and return them with the result
+   */
+  constructor({ players, seed, rules = {}, auctions = true, maxTurns = 1000, explain = false }) {
+    this.game = new Game('SIM', 'Simulation', players.length, true, auctions, rules, seed);
+    this.maxTurns = maxTurns;
+    this.explain = explain;
+    this.clock = 0;
+    this.game.replayClock = this.clock; // Game.now() reads the simulated clock, as it does in a replay
+    this.bots = new Map(); // player ID -> MonopolyBot
+    this.difficulties = new Map(); // player ID -> difficulty, or entrant name for custom configs
+    this.stuck = false;
+    // difficulty -> group -> { invested, rent }: money put into each group and rent it brought back
+    this.groupLedger = {};
+
+    players.map(toEntrant).forEach(({ name, difficulty, config, strategy }, seat) => {
+      const player = this.game.addPlayer(`seat${seat}`, `${name}-${seat}`);
+      player.isBot = true;
+      player.botDifficulty = difficulty;
+      const bot = new MonopolyBot(null, this.game.id, player.name, difficulty, this.game.botSeed(seat), strategy);
+      if (config) bot.applyConfig(config);
+      bot.playerId = player.id;
+      bot.clock = () => this.clock;
+      this.bots.set(player.id, bot);
+      this.difficulties.set(player.id, name);
+    });
+
+    this.trackRent();
+  }
+
+  // Rent only changes hands inside Game.payRent (landings and card moves alike), so tally it there
+  trackRent() {
+    const game = this.game;
+    const payRent = game.payRent.bind(game);
+    game.payRent = (player, space, rent) => {
+      const before = player.money;
+      payRent(player, space, rent);
+      const paid = Math.max(0, before - player.money);
+      if (paid > 0 && space.owner) this.ledger(space.owner, space).rent += paid;
+    };
+  }
+
+  ledger(playerId, space) {
+    const difficulty = this.difficulties.get(playerId);
+    const groups = this.groupLedger[difficulty] = this.groupLedger[difficulty] || {};
+    const group = groupOf(space);
+    return groups[group] = groups[group] || { invested: 0, rent: 0 };
+  }
+
+  tick() {
+    this.clock += ACTION_MS;
+    this.game.replayClock = this.clock;
+  }
+
+  // The bot for a seat, looking at the game as it is now
+  botFor(player) {
+    const bot = this.bots.get(player.id);
+    bot.updateGameState(snapshotState(this.game));
+    return bot;
+  }
+
+  // The seat's strategy hooks with its bot filled in: strategyFor(player).shouldBuy(property)
+  strategyFor(player) {
+    const bot = this.botFor(player);
+    const hooks = {};
+    HOOKS.forEach(hook => {
+      hooks[hook] = (...args) => bot.strategy[hook](bot, ...args);
+    });
+    return hooks;
+  }
+
+  // Keep a decision's rationale the way the socket handlers do; logStart is fullLog's length before the action
+  record(player, decision, logStart) {
+    if (this.explain) this.game.recordBotRationale(player, decision.action, decision.rationale, logStart);
+  }
+
+  isOver() {
+    return this.stuck || Boolean(this.game.checkWinner()) || this.game.turnNumber > this.maxTurns;
+  }
+
+  /**
+   * Play the game to the end (or the turn limit)
+   * @returns {Object} Result - see getResult
+   */
+  run() {
+    this.game.start();
+    while (!this.isOver()) {
+      this.playTurn();
+    }
+    return this.getResult();
+  }
+
+  playTurn() {
+    const game = this.game;
+    const player = game.players[game.currentPlayerIndex];
+    const turn = game.turnNumber;
+
+    this.negotiateTrade(player);
+
+    for (let step = 0; step < MAX_TURN_STEPS; step++) {
+      if (this.isOver() || game.turnNumber !== turn) return;
+      this.tick();
+
+      if (this.settleDebts()) continue;
+      if (game.auction) {
+        this.runAuction();
+        continue;
+      }
+
+      // Creditors settle inherited mortgages straight away, as bots do online
+      const transfer = game.mortgagedTransfers[0];
+      if (transfer) {
+        const creditor = game.getPlayer(transfer.playerId);
+        const result = game.resolveMortgagedTransfer(creditor, this.strategyFor(creditor).decideMortgagedTransfer(transfer));
+        if (!result.success) game.resolveMortgagedTransfer(creditor, {});
+        continue;
+      }
+
+      const action = game.pendingAction;
+      if (action?.type === 'buyOrAuction') {
+        const property = action.property;
+        const decision = this.botFor(player).decideBuy(property);
+        const logStart = game.fullLog.length;
+        if (decision.action === 'buyProperty') {
+          if (game.buyProperty().success) this.ledger(player.id, property).invested += property.price;
+        } else {
+          game.declineProperty(player);
+        }
+        this.record(player, decision, logStart);
+      } else if (action) {
+        // Debt prompt left over after the debt was paid
+        game.checkBankruptcy(player);
+        if (game.pendingAction === action) break;
+      } else if (player.inJail && !game.diceRolled) {
+        const decision = this.strategyFor(player).decideJail();
+        if (decision.action === 'useJailCard') game.useJailCard(player);
+        else if (decision.action === 'payJailFine') game.payJailFine(player);
+        if (decision.action === 'rollDice' || player.inJail) this.roll();
+      } else if (!game.diceRolled || (game.canRollAgain && !player.inJail)) {
+        this.roll();
+      } else {
+        this.finishTurn(player);
+        return;
+      }
+    }
+
+    // A turn that never reaches its end is a bug, not a result - keep it out of the numbers
+    this.stuck = !this.isOver() && game.turnNumber === turn;
+  }
+
+  roll() {
+    this.game.rollDice();
+    this.game.handleLanding();
+  }
+
+  // Unmortgage and build with spare cash, then pass the dice on
+  finishTurn(player) {
+    const game = this.game;
+    for (let decision = this.strategyFor(player).chooseUnmortgage(); decision; decision = this.strategyFor(player).chooseUnmortgage()) {
+      const property = game.board[decision.params.propertyIndex];
+      const cost = game.getUnmortgageCost(property);
+      if (!game.unmortgageProperty(player, decision.params.propertyIndex).success) break;
+      this.ledger(player.id, property).invested += cost;
+    }
+
+    this.strategyFor(player).planBuilds().forEach(({ params }) => {
+      const property = game.board[params.propertyIndex];
+      if (game.buildHouse(player, params.propertyIndex).success) {
+        this.ledger(player.id, property).invested += property.houseCost;
+      }
+    });
+
+    game.endTurn();
+  }
+
+  /**
+   * Anyone in debt sells, mortgages or goes bankrupt until it is paid
+   * @returns {boolean} Whether anything happened
+   */
+  settleDebts() {
+    const game = this.game;
+    let acted = false;
+    game.players.forEach(player => {
+      for (let step = 0; step < MAX_TURN_STEPS && !player.bankrupt; step++) {
+        if (!(player.debt?.amount > 0) && player.money >= 0) return;
+        const decision = this.strategyFor(player).raiseFunds();
+        if (!decision) return;
+        acted = true;
+
+        const { propertyIndex } = decision.params;
+        const property = game.board[propertyIndex];
+        let result = { success: false };
+        if (decision.action === 'sellHouse') {
+          result = game.sellHouse(player, propertyIndex);
+          if (result.success) this.ledger(player.id, property).invested -= property.houseCost / 2;
+        } else if (decision.action === 'mortgageProperty') {
+          result = game.mortgageProperty(player, propertyIndex);
+          if (result.success) this.ledger(player.id, property).invested -= property.mortgage;
+        }
+        if (!result.success) {
+          game.declareBankruptcy(player);
+        }
+      }
+    });
+    return acted;
+  }
+
+  // Bidding goes round the table until a round passes with nobody bidding, then the hammer falls
+  runAuction() {
+    const game = this.game;
+    for (let round = 0; round < MAX_AUCTION_ROUNDS && game.auction; round++) {
+      const auction = game.auction;
+      let acted = false;
+
+      for (const playerId of auction.participants) {
+        if (game.auction !== auction) break;
+        const player = game.getPlayer(playerId);
+        const bot = this.botFor(player);
+        if (!bot.canActInAuction(bot.gameState.auction)) continue;
+
+        this.tick();
+        const decision = bot.strategy.decideBid(bot, bot.gameState.auction);
+        const logStart = game.fullLog.length;
+        acted = true;
+        if (decision.action !== 'auctionBid' || !game.placeBid(player, decision.params.amount).success) {
+          game.passBid(player);
+        }
+        this.record(player, decision, logStart);
+      }
+
+      if (game.auction === auction && !acted) {
+        game.expireAuction();
+      }
+      if (game.auction !== auction && game.board[auction.propertyIndex].owner === auction.highestBidder && auction.highestBidder) {
+        this.ledger(auction.highestBidder, auction.property).invested += auction.currentBid;
+      }
+    }
+    if (game.auction) game.expireAuction();
+  }
+
+  // The player on turn may offer a trade; the two bots then haggle until one accepts or declines
+  negotiateTrade(player) {
+    const game = this.game;
+    const proposal = this.strategyFor(player).proposeTrade();
+    if (!proposal) return;
+
+    const { targetPlayerId, offer, request } = proposal.params;
+    let trade = game.proposeTrade(player, targetPlayerId, offer, request).trade;
+
+    for (let round = 0; trade && round < MAX_TRADE_ROUNDS; round++) {
+      const responder = game.getPlayer(trade.to);
+      const decision = this.strategyFor(responder).decideTrade(trade);
+      const logStart = game.fullLog.length;
+      if (decision.action === 'acceptTrade') {
+        game.acceptTrade(trade.id, responder);
+        this.record(responder, decision, logStart);
+        return;
+      }
+      if (decision.action === 'counterTrade') {
+        trade = game.counterTrade(trade.id, responder, decision.params.offer, decision.params.request).trade;
+        this.record(responder, decision, logStart);
+        continue;
+      }
+      game.declineTrade(trade.id, responder);
+      this.record(responder, decision, logStart);
+      return;
+    }
+    if (trade?.status === 'pending') game.declineTrade(trade.id, game.getPlayer(trade.to));
+  }
+
+  /**
+   * How the game went
+   * @returns {Object} { seed, finished, turns, winner, standings: [{ difficulty, place, bankrupt }], groups },
+   *   plus decisions when explaining
+   */
+  getResult() {
+    const game = this.game;
+    const winner = game.getWinner();
+    const finished = Boolean(winner) && !this.stuck;
+    // Unfinished games are placed by net worth; finished ones winner first, then last out to first out
+    const ranked = [...game.players].sort((a, b) => {
+      if (a.eliminated && b.eliminated) return b.eliminated.order - a.eliminated.order;
+      if (a.eliminated || b.eliminated) return (a.eliminated ? 1 : 0) - (b.eliminated ? 1 : 0);
+      return game.calculateNetWorth(b) - game.calculateNetWorth(a);
+    });
+    const result = {
+      seed: game.rng.seed,
+      finished,
+      stuck: this.stuck,
+      turns: game.turnNumber,
+      winner: finished ? this.difficulties.get(winner.id) : null,
+      standings: ranked.map((p, index) => ({
+        difficulty: this.difficulties.get(p.id),
+        place: index + 1,
+        bankrupt: p.bankrupt
+      })),
+      groups: this.groupLedger
+    };
+    if (this.explain) result.decisions = game.botDecisions;
+    return result;
+  }
+}
+
+/**
+ * Play one headless game
+ * @param {Object} options - See SimulatedGame
+ * @returns {Object} Result - see SimulatedGame.getResult
+ */
+function simulateGame(options) {
+  return new SimulatedGame(options).run();
+}
+
+/**
+ * Play many games and sum them up per difficulty
+ * @param {Object} options
+ * @param {number} options.games - How many games
+ * @param {Array<string|Object>} options.players - Bot for each seat, as for SimulatedGame (seat order is shuffled every game)
+ * @param {string} options.seed - Game i is seeded `${seed}:${i}`, so the same options give the same report
+ * @param {boolean} options.quiet - Silence the bots' and game's console chatter while running
+ * @returns {Object} Report with win rates, game length and colour-group ROI per difficulty
+ */
+function runSimulations({ games = 100, players = ['easy', 'medium', 'hard'], seed = 'sim', rules = {}, auctions = true, maxTurns = 1000, quiet = true } = {}) {
+  const startedAt = Date.now();
+  const results = [];
+  const play = () => {
+    for (let i = 0; i < games; i++) {
+      results.push(simulateGame({ players, seed: `${seed}:${i}`, rules, auctions, maxTurns }));
+    }
+  };
+  if (quiet) withoutConsole(play);
+  else play();
+  return summarize(results, { players: players.map(seat => toEntrant(seat).name), seed, maxTurns, elapsedMs: Date.now() - startedAt });
+}
+
+// Run fn with console.log silenced - bots and the game log every move
+function withoutConsole(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function summarize(results, { players, seed, maxTurns, elapsedMs }) {
+  const finished = results.filter(r => r.finished);
+  const byDifficulty = {};
+  [...new Set(players)].forEach(difficulty => {
+    byDifficulty[difficulty] = { seats: 0, wins: 0, bankruptcies: 0, placeTotal: 0, groups: {} };
+  });
+
+  results.forEach(result => {
+    result.standings.forEach(({ difficulty, place, bankrupt }) => {
+      const stats = byDifficulty[difficulty];
+      stats.seats++;
+      stats.placeTotal += place;
+      if (bankrupt) stats.bankruptcies++;
+    });
+    if (result.winner) byDifficulty[result.winner].wins++;
+
+    Object.entries(result.groups).forEach(([difficulty, groups]) => {
+      const totals = byDifficulty[difficulty].groups;
+      Object.entries(groups).forEach(([group, { invested, rent }]) => {
+        totals[group] = totals[group] || { invested: 0, rent: 0 };
+        totals[group].invested += invested;
+        totals[group].rent += rent;
+      });
+    });
+  });
+
+  const difficulties = {};
+  Object.entries(byDifficulty).forEach(([difficulty, stats]) => {
+    // A seat's fair share of wins is 1 in players.length, so win rate is per seat, not per game
+    const finishedSeats = finished.reduce((sum, r) => sum + r.standings.filter(s => s.difficulty === difficulty).length, 0);
+    const groups = {};
+    Object.entries(stats.groups).forEach(([group, { invested, rent }]) => {
+      groups[group] = {
+        invested: Math.round(invested),
+        rent: Math.round(rent),
+        roi: invested > 0 ? (rent - invested) / invested : null
+      };
+    });
+    difficulties[difficulty] = {
+      seats: stats.seats,
+      wins: stats.wins,
+      winRate: finishedSeats ? stats.wins / finishedSeats : 0,
+      averagePlace: stats.seats ? stats.placeTotal / stats.seats : null,
+      bankruptcies: stats.bankruptcies,
+      groups
+    };
+  });
+
+  return {
+    games: results.length,
+    finished: finished.length,
+    unfinished: results.length - finished.length,
+    stuck: results.filter(r => r.stuck).length,
+    players,
+    seed,
+    maxTurns,
+    averageTurns: finished.length ? finished.reduce((sum, r) => sum + r.turns, 0) / finished.length : null,
+    elapsedMs,
+    gamesPerMinute: elapsedMs > 0 ? Math.round(results.length / (elapsedMs / 60000)) : null,
+    difficulties
+  };
+}
+
+function formatReport(report) {
+  const pct = value => (value === null ? '   -' : `${(value * 100).toFixed(0)}%`.padStart(5));
+  const lines = [
+    `${report.games} games (${report.players.join(' vs ')}), seed "${report.seed}"`,
+    `${report.finished} finished, ${report.unfinished} hit the ${report.maxTurns}-turn limit` +
+      (report.stuck ? ` (${report.stuck} stuck)` : ''),
+    `Average game: ${report.averageTurns === null ? '-' : report.averageTurns.toFixed(0)} turns` +
+      ` • ${report.gamesPerMinute ?? '-'} games/minute`,
+    ''
+  ];
+  Object.entries(report.difficulties).forEach(([difficulty, stats]) => {
+    lines.push(`${difficulty}: ${stats.wins} wins, ${pct(stats.winRate).trim()} win rate, ` +
+      `average place ${stats.averagePlace?.toFixed(2) ?? '-'}, ${stats.bankruptcies} bankruptcies`);
+    Object.entries(stats.groups)
+      .sort((a, b) => (b[1].roi ?? -Infinity) - (a[1].roi ?? -Infinity))
+      .forEach(([group, { invested, rent, roi }]) => {
+        lines.push(`  ${group.padEnd(12)} ROI ${pct(roi)}  (£${invested} in, £${rent} rent)`);
+      });
+  });
+  return lines.join('\n');
+}
+
+module.exports = { SimulatedGame, simulateGame, runSimulations, snapshotState, formatReport, toEntrant, withoutConsole };
+
+// CLI support
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  const report = runSimulations({
+    games: parseInt(option('games', '100')),
+    players: option('players', 'easy,medium,hard').split(','),
+    seed: option('seed', 'sim'),
+    maxTurns: parseInt(option('max-turns', '1000')),
+    auctions: !args.includes('--no-auctions')
+  });
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+}
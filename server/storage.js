@@ -0,0 +1,369 @@
+/**
+ * Game Storage
+ * Where GameManager keeps saved games between server restarts. Every adapter
+ * stores one plain record per game (see GameManager.serializeGame) and offers
+ * the same synchronous interface:
+ *
+ *   loadAll()              -> array of saved records, each with its logs put back
+ *   save(id, record, logs) -> create or replace one game, appending its new log entries
+ *   delete(id)             -> forget one game
+ *   clear()                -> forget every game
+ *
+ * A game's logs (LOG_FIELDS) only ever grow, so they are kept apart from the
+ * record and appended to: `logs` holds just the entries added since the last
+ * save, which keeps a save as cheap late in a game as on the first turn.
+ *
+ * Finished games go to a separate match history that clear() leaves alone:
+ *
+ *   archive(id, record) -> file a finished game (see Game.getArchiveRecord)
+ *   listArchived()      -> every archived record
+ *   getArchived(id)     -> one archived record, or null
+ *
+ * Player profiles (see profiles.js) live alongside and are never cleared either:
+ *
+ *   loadProfiles()             -> every profile record
+ *   saveProfile(id, record)    -> create or replace one profile
+ *
+ * A write either lands completely or not at all, so a crash mid-save leaves
+ * the previous copy intact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JSON_FILE = path.join(__dirname, 'saved_games.json');
+const HISTORY_FILE_NAME = 'game_history.json';
+const PROFILES_FILE_NAME = 'profiles.json';
+const LOGS_DIR_NAME = 'game_logs';
+const SQLITE_FILE = path.join(__dirname, 'saved_games.db');
+
+const LOG_FIELDS = ['journal', 'fullLog', 'botDecisions'];
+
+function emptyLogs() {
+  return Object.fromEntries(LOG_FIELDS.map(field => [field, []]));
+}
+
+function hasLogEntries(logs) {
+  return !!logs && LOG_FIELDS.some(field => logs[field]?.length > 0);
+}
+
+// Add one saved batch of entries to the logs read so far
+function appendLogs(logs, batch) {
+  LOG_FIELDS.forEach(field => {
+    if (Array.isArray(batch?.[field])) logs[field] = logs[field].concat(batch[field]);
+  });
+}
+
+// Saves from before logs were kept apart hold them inside the record: take them out, or null if there are none
+function takeInlineLogs(record) {
+  if (!LOG_FIELDS.some(field => field in record)) return null;
+  const logs = emptyLogs();
+  appendLogs(logs, record);
+  LOG_FIELDS.forEach(field => delete record[field]);
+  return logs;
+}
+
+// Records from a JSON array file, keyed by ID. An unreadable file is kept for inspection, not overwritten.
+function readRecords(file) {
+  const records = new Map();
+  if (!fs.existsSync(file)) return records;
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(record => records.set(record.id, record));
+  } catch (err) {
+    const badFile = `${file}.corrupt-${Date.now()}`;
+    fs.renameSync(file, badFile);
+    console.error(`${path.basename(file)} is unreadable, moved it to ${badFile}:`, err.message);
+  }
+  return records;
+}
+
+// Write to a temporary file, flush it to disk, then swap it in
+function writeRecords(file, records) {
+  writeAtomically(file, JSON.stringify([...records.values()], null, 2));
+}
+
+function writeAtomically(file, text) {
+  const tempFile = `${file}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+// A game's logs from its file of saved batches, one JSON line each. A batch cut short by a crash is dropped.
+function readLogs(file) {
+  const logs = emptyLogs();
+  if (!fs.existsSync(file)) return logs;
+  const text = fs.readFileSync(file, 'utf8');
+  const complete = text.lastIndexOf('\n') + 1;
+  if (complete < text.length) {
+    // Cut the torn batch off so the next one starts on a line of its own
+    fs.truncateSync(file, Buffer.byteLength(text.slice(0, complete)));
+  }
+  text.slice(0, complete).split('\n').filter(Boolean).forEach(line => {
+    try {
+      appendLogs(logs, JSON.parse(line));
+    } catch (err) {
+      console.error(`Skipping unreadable log batch in ${path.basename(file)}:`, err.message);
+    }
+  });
+  return logs;
+}
+
+function appendLogBatch(file, batch) {
+  const fd = fs.openSync(file, 'a');
+  try {
+    fs.writeSync(fd, `${JSON.stringify(batch)}\n`);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * All games in one JSON file (the original save format), with the match history
+ * in game_history.json and player profiles in profiles.json beside it. Each
+ * change rewrites the file through a temporary copy that is renamed into place.
+ * Game logs are appended to one file per game in game_logs/.
+ */
+class JsonFileStorage {
+  constructor(
+    file = JSON_FILE,
+    historyFile = path.join(path.dirname(file), HISTORY_FILE_NAME),
+    profilesFile = path.join(path.dirname(file), PROFILES_FILE_NAME),
+    logsDir = path.join(path.dirname(file), LOGS_DIR_NAME)
+  ) {
+    this.file = file;
+    this.historyFile = historyFile;
+    this.profilesFile = profilesFile;
+    this.logsDir = logsDir;
+    this.records = null; // id -> record without its logs, read from disk on first use
+    this.history = null;
+    this.profiles = null;
+  }
+
+  logFile(id) {
+    return path.join(this.logsDir, `${id}.jsonl`);
+  }
+
+  loadAll() {
+    this.records = readRecords(this.file);
+    let migrated = false;
+    const loaded = [...this.records.values()].map(record => {
+      const logs = readLogs(this.logFile(record.id));
+      const inline = takeInlineLogs(record);
+      if (inline) {
+        // Move the logs out of the record file, ahead of anything appended since
+        appendLogs(inline, logs);
+        fs.mkdirSync(this.logsDir, { recursive: true });
+        writeAtomically(this.logFile(record.id), `${JSON.stringify(inline)}\n`);
+        migrated = true;
+        return { ...record, ...inline };
+      }
+      return { ...record, ...logs };
+    });
+    if (migrated) writeRecords(this.file, this.records);
+    return loaded;
+  }
+
+  save(id, record, logs) {
+    if (!this.records) this.loadAll();
+    // Logs first: a crash in between leaves an entry the record doesn't know about, never the reverse
+    if (hasLogEntries(logs)) {
+      fs.mkdirSync(this.logsDir, { recursive: true });
+      appendLogBatch(this.logFile(id), logs);
+    }
+    const state = { ...record };
+    takeInlineLogs(state);
+    this.records.set(id, state);
+    writeRecords(this.file, this.records);
+  }
+
+  delete(id) {
+    if (!this.records) this.loadAll();
+    if (fs.existsSync(this.logFile(id))) fs.unlinkSync(this.logFile(id));
+    if (this.records.delete(id)) writeRecords(this.file, this.records);
+  }
+
+  clear() {
+    this.records = new Map();
+    if (fs.existsSync(this.file)) fs.unlinkSync(this.file);
+    fs.rmSync(this.logsDir, { recursive: true, force: true });
+  }
+
+  archive(id, record) {
+    if (!this.history) this.history = readRecords(this.historyFile);
+    this.history.set(id, record);
+    writeRecords(this.historyFile, this.history);
+  }
+
+  listArchived() {
+    if (!this.history) this.history = readRecords(this.historyFile);
+    return [...this.history.values()];
+  }
+
+  getArchived(id) {
+    return this.listArchived().find(record => record.id === id) || null;
+  }
+
+  loadProfiles() {
+    this.profiles = readRecords(this.profilesFile);
+    return [...this.profiles.values()];
+  }
+
+  saveProfile(id, record) {
+    if (!this.profiles) this.loadProfiles();
+    this.profiles.set(id, record);
+    writeRecords(this.profilesFile, this.profiles);
+  }
+}
+
+/**
+ * One row per game in an embedded SQLite database, with each save's new log
+ * entries as a row of game_logs. Needs the optional better-sqlite3 package;
+ * each save is a single transaction.
+ */
+class SqliteStorage {
+  constructor(file = SQLITE_FILE) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS games (
+        id TEXT PRIMARY KEY,
+        started INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS game_logs (
+        game_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS game_logs_by_game ON game_logs (game_id);
+      CREATE TABLE IF NOT EXISTS finished_games (
+        id TEXT PRIMARY KEY,
+        finished_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS profiles (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+    this.statements = {
+      all: this.db.prepare('SELECT data FROM games'),
+      upsert: this.db.prepare(`
+        INSERT INTO games (id, started, updated_at, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET started = excluded.started, updated_at = excluded.updated_at, data = excluded.data
+      `),
+      remove: this.db.prepare('DELETE FROM games WHERE id = ?'),
+      clear: this.db.prepare('DELETE FROM games'),
+      logs: this.db.prepare('SELECT data FROM game_logs WHERE game_id = ? ORDER BY rowid'),
+      appendLogs: this.db.prepare('INSERT INTO game_logs (game_id, data) VALUES (?, ?)'),
+      removeLogs: this.db.prepare('DELETE FROM game_logs WHERE game_id = ?'),
+      clearLogs: this.db.prepare('DELETE FROM game_logs'),
+      archive: this.db.prepare('INSERT OR REPLACE INTO finished_games (id, finished_at, data) VALUES (?, ?, ?)'),
+      allArchived: this.db.prepare('SELECT data FROM finished_games ORDER BY finished_at'),
+      archived: this.db.prepare('SELECT data FROM finished_games WHERE id = ?'),
+      allProfiles: this.db.prepare('SELECT data FROM profiles'),
+      saveProfile: this.db.prepare('INSERT OR REPLACE INTO profiles (id, data) VALUES (?, ?)')
+    };
+  }
+
+  loadAll() {
+    return parseRows(this.statements.all.all()).map(record => {
+      const logs = emptyLogs();
+      const inline = takeInlineLogs(record);
+      if (inline) {
+        // Older rows hold their logs: move them into game_logs so later saves only append
+        this.save(record.id, record, inline);
+        appendLogs(logs, inline);
+      } else {
+        parseRows(this.statements.logs.all(record.id)).forEach(batch => appendLogs(logs, batch));
+      }
+      return { ...record, ...logs };
+    });
+  }
+
+  save(id, record, logs) {
+    const state = { ...record };
+    takeInlineLogs(state);
+    this.db.transaction(() => {
+      if (hasLogEntries(logs)) this.statements.appendLogs.run(id, JSON.stringify(logs));
+      this.statements.upsert.run(id, state.started ? 1 : 0, Date.now(), JSON.stringify(state));
+    })();
+  }
+
+  delete(id) {
+    this.db.transaction(() => {
+      this.statements.removeLogs.run(id);
+      this.statements.remove.run(id);
+    })();
+  }
+
+  clear() {
+    this.db.transaction(() => {
+      this.statements.clearLogs.run();
+      this.statements.clear.run();
+    })();
+  }
+
+  archive(id, record) {
+    this.statements.archive.run(id, record.finishedAt || Date.now(), JSON.stringify(record));
+  }
+
+  listArchived() {
+    return parseRows(this.statements.allArchived.all());
+  }
+
+  getArchived(id) {
+    const row = this.statements.archived.get(id);
+    return row ? parseRows([row])[0] || null : null;
+  }
+
+  loadProfiles() {
+    return parseRows(this.statements.allProfiles.all());
+  }
+
+  saveProfile(id, record) {
+    this.statements.saveProfile.run(id, JSON.stringify(record));
+  }
+}
+
+function parseRows(rows) {
+  const records = [];
+  rows.forEach(row => {
+    try {
+      records.push(JSON.parse(row.data));
+    } catch (err) {
+      console.error('Skipping unreadable saved game:', err.message);
+    }
+  });
+  return records;
+}
+
+/**
+ * Storage picked by the STORAGE_BACKEND environment variable: 'json' (default) or 'sqlite'.
+ * STORAGE_PATH overrides where the adapter keeps its file.
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND || 'json', file = process.env.STORAGE_PATH) {
+  switch (backend) {
+    case 'json':
+      return new JsonFileStorage(file);
+    case 'sqlite':
+      return new SqliteStorage(file);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+module.exports = { JsonFileStorage, SqliteStorage, createStorage, LOG_FIELDS };
@@ -0,0 +1,52 @@
+/**
+ * Cautious Strategy
+ * Plays like the default but never lets its cash fall below a safety margin when
+ * buying or building, and won't bid an auction into that margin either.
+ */
+
+const defaultStrategy = require('./default');
+
+const SAFETY_MARGIN = 300;
+
+function canSpare(bot, amount) {
+  return bot.myPlayer.money - amount >= SAFETY_MARGIN;
+}
+
+function marginRationale(kind, amount, bot) {
+  return {
+    kind,
+    summary: `Paying £${amount} would take us under our £${SAFETY_MARGIN} safety margin`,
+    values: { amount, money: bot.myPlayer.money },
+    threshold: SAFETY_MARGIN,
+    flags: {}
+  };
+}
+
+module.exports = {
+  description: `Default play, but keeps £${SAFETY_MARGIN} in hand`,
+
+  shouldBuy: (bot, property) => {
+    if (!canSpare(bot, property.price)) {
+      bot.explain(marginRationale('buy', property.price, bot));
+      return false;
+    }
+    return defaultStrategy.shouldBuy(bot, property);
+  },
+
+  decideBid: (bot, auction) => {
+    const decision = defaultStrategy.decideBid(bot, auction);
+    if (decision.action === 'auctionBid' && !canSpare(bot, decision.params.amount)) {
+      return { action: 'auctionPass', params: {}, rationale: marginRationale('auction', decision.params.amount, bot) };
+    }
+    return decision;
+  },
+
+  planBuilds: bot => {
+    let spent = 0;
+    return defaultStrategy.planBuilds(bot).filter(decision => {
+      if (!canSpare(bot, spent + decision.cost)) return false;
+      spent += decision.cost;
+      return true;
+    });
+  }
+};
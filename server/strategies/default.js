@@ -0,0 +1,19 @@
+/**
+ * Default Strategy
+ * The bots' own logic, tuned per difficulty by DIFFICULTY_CONFIGS (see bot.js).
+ * Other strategies can require this module to fall back on it for part of a decision.
+ */
+
+module.exports = {
+  description: 'Built-in play, tuned by the difficulty settings',
+
+  shouldBuy: (bot, property) => bot.evaluateProperty(property),
+  decideBid: (bot, auction) => bot.decideAuctionAction(auction),
+  planBuilds: bot => bot.planHouseBuilds(),
+  chooseUnmortgage: bot => bot.chooseUnmortgage(),
+  decideMortgagedTransfer: (bot, action) => bot.decideMortgagedTransfer(action),
+  decideJail: bot => bot.decideJailAction(),
+  decideTrade: (bot, trade) => bot.decideTradeResponse(trade),
+  proposeTrade: bot => bot.findTradeProposal(),
+  raiseFunds: bot => bot.decideRaiseFunds()
+};
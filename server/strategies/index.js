@@ -0,0 +1,61 @@
+/**
+ * Bot Strategies
+ * A strategy makes a bot's decisions; MonopolyBot handles everything else (sockets,
+ * timing, game state). Every module in this directory is a strategy, selected by file
+ * name - e.g. `addBot { difficulty: 'hard', strategy: 'cautious' }` loads cautious.js.
+ *
+ * A strategy module exports an object with any of the hooks below. Each hook is called
+ * with the bot first (for its gameState, myPlayer, config and helpers) and returns the
+ * same decision the built-in logic would. Hooks a strategy leaves out use default.js.
+ *
+ *   shouldBuy(bot, property)            -> boolean
+ *   decideBid(bot, auction)             -> auctionBid { amount } or auctionPass decision
+ *   planBuilds(bot)                     -> buildHouse decisions, in order
+ *   chooseUnmortgage(bot)               -> unmortgageProperty decision or null
+ *   decideMortgagedTransfer(bot, action)-> property index -> 'unmortgage' | 'keep'
+ *   decideJail(bot)                     -> useJailCard, payJailFine or rollDice decision
+ *   decideTrade(bot, trade)             -> acceptTrade, declineTrade or counterTrade decision
+ *   proposeTrade(bot)                   -> proposeTrade decision or null
+ *   raiseFunds(bot)                     -> sellHouse, mortgageProperty or declareBankruptcy decision; null when solvent
+ *
+ * Decisions are { action: <socket event>, params: {...} }, as sent by MonopolyBot.send.
+ * They may carry a rationale ({ kind, summary, values, threshold, flags }) saying why,
+ * which ends up in the game log; shouldBuy leaves its reasons with bot.explain().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const defaultStrategy = require('./default');
+
+const HOOKS = Object.keys(defaultStrategy).filter(key => typeof defaultStrategy[key] === 'function');
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+// Strategy names available to addBot: every module here except this one
+function listStrategies() {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => file.slice(0, -3))
+    .sort();
+}
+
+function isStrategy(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) && listStrategies().includes(name);
+}
+
+/**
+ * Load a strategy by name, filling in the hooks it doesn't define from the default
+ * @returns {Object} Strategy with every hook
+ */
+function loadStrategy(name = 'default') {
+  if (!isStrategy(name)) {
+    throw new Error(`Unknown bot strategy: ${name}`);
+  }
+  const strategy = require(path.join(__dirname, name));
+  const unknown = Object.keys(strategy).filter(key => typeof strategy[key] === 'function' && !HOOKS.includes(key));
+  if (unknown.length) {
+    throw new Error(`Strategy ${name} has unknown hooks: ${unknown.join(', ')}`);
+  }
+  return { ...defaultStrategy, ...strategy, name };
+}
+
+module.exports = { loadStrategy, listStrategies, isStrategy, HOOKS };
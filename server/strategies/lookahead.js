@@ -0,0 +1,144 @@
+/**
+ * Lookahead Strategy
+ * Checks buying, bidding, building and trading against Monte Carlo rollouts of the game
+ * (see lookahead.js) instead of trusting the static valuations. The expert difficulty
+ * plays this strategy; jail, mortgages and raising funds use the default logic.
+ */
+
+const defaultStrategy = require('./default');
+const { evaluateDecision, giveProperty, applyTrade } = require('../lookahead');
+
+const DEFAULT_ROLLOUTS = 30;
+const DEFAULT_ROUNDS = 20;
+
+// Rollout settings from the bot's difficulty, and a fresh seed from its own RNG so games stay reproducible.
+// The time budget runs on the bot's clock, which stands still in the headless simulator.
+function rolloutOptions(bot, extra = {}) {
+  return {
+    rollouts: bot.config.lookaheadRollouts || DEFAULT_ROLLOUTS,
+    rounds: bot.config.lookaheadRounds || DEFAULT_ROUNDS,
+    seed: `lookahead:${bot.rng.nextInt(0x7fffffff)}`,
+    timeBudgetMs: bot.config.lookaheadTimeBudgetMs || null,
+    clock: () => bot.now(),
+    stats: {},
+    ...extra
+  };
+}
+
+// Why a rollout-checked decision went the way it did: gain is the average change in our standing
+function lookaheadRationale(kind, gain, what, rollouts) {
+  const pounds = Math.round(gain);
+  let outcome = 'makes no difference';
+  if (pounds > 0) outcome = `leaves us £${pounds} better off`;
+  else if (pounds < 0) outcome = `would leave us £${-pounds} worse off`;
+  return {
+    kind,
+    summary: `${what} ${outcome} over simulated play`,
+    values: { gain: pounds, rollouts },
+    threshold: 0,
+    flags: {}
+  };
+}
+
+// The most we should pay for a deed: how much better we stand owning it than watching a rival
+// (the current high bidder, or else the richest other bidder) own it. Worked out once per auction.
+function auctionLimit(bot, auction) {
+  const propertyIndex = auction.propertyIndex ?? auction.property.index;
+  const key = `${propertyIndex}:${bot.gameState.turnNumber}`;
+  bot.lookaheadLimits = bot.lookaheadLimits || new Map();
+  if (!bot.lookaheadLimits.has(key)) {
+    const me = bot.myPlayer.id;
+    const rivals = bot.gameState.players
+      .filter(p => p.id !== me && !p.bankrupt && (!auction.participants || auction.participants.includes(p.id)))
+      .sort((a, b) => b.money - a.money);
+    const rival = auction.highestBidder && auction.highestBidder !== me ? auction.highestBidder : rivals[0]?.id;
+    const options = rolloutOptions(bot, {
+      alternative: rival ? game => giveProperty(game, propertyIndex, rival) : null
+    });
+    const value = evaluateDecision(bot.gameState, me, game => giveProperty(game, propertyIndex, me), options);
+    bot.lookaheadLimits.set(key, { value: Math.floor(value), rollouts: options.stats.rollouts });
+  }
+  const { value, rollouts } = bot.lookaheadLimits.get(key);
+  return { limit: Math.min(value, bot.myPlayer.money - bot.config.minCashReserve), rollouts };
+}
+
+module.exports = {
+  description: 'Checks buys, bids, builds and trades against simulated dice rolls',
+
+  shouldBuy: (bot, property) => {
+    if (bot.myPlayer.money < property.price) return false;
+    const me = bot.myPlayer.id;
+    const options = rolloutOptions(bot);
+    const gain = evaluateDecision(bot.gameState, me, game => {
+      giveProperty(game, property.index, me);
+      game.getPlayer(me).money -= property.price;
+    }, options);
+    bot.explain(lookaheadRationale('buy', gain, `Buying it for £${property.price}`, options.stats.rollouts));
+    return gain > 0;
+  },
+
+  decideBid: (bot, auction) => {
+    const { limit, rollouts } = auctionLimit(bot, auction);
+    const minBid = Math.max(auction.minimumBid || 10, (auction.currentBid || 0) + 1);
+    const rationale = {
+      kind: 'auction',
+      summary: `Simulated play says it's worth up to £${limit} to us`,
+      values: { minimumBid: minBid, rollouts },
+      threshold: limit,
+      flags: {}
+    };
+    if (minBid > limit) {
+      return { action: 'auctionPass', params: {}, rationale };
+    }
+    const step = Math.max(5, Math.round(auction.property.price * 0.05));
+    return { action: 'auctionBid', params: { amount: Math.min(limit, minBid + step - 1) }, rationale };
+  },
+
+  planBuilds: bot => {
+    // The default planner marks planned houses on our copy of the board; rollouts need the real counts
+    const board = bot.gameState.board;
+    const houses = board.map(space => space.houses);
+    const plan = defaultStrategy.planBuilds(bot);
+    board.forEach((space, i) => {
+      if (houses[i] !== undefined) space.houses = houses[i];
+    });
+    if (plan.length === 0) return plan;
+
+    const me = bot.myPlayer.id;
+    const gain = evaluateDecision(bot.gameState, me, game => {
+      plan.forEach(({ params }) => game.buildHouse(game.getPlayer(me), params.propertyIndex));
+    }, rolloutOptions(bot));
+    return gain > 0 ? plan : [];
+  },
+
+  // Accept what the rollouts say leaves us better off, whatever the static valuation thinks;
+  // otherwise decline, or counter if the default logic wanted to haggle
+  decideTrade: (bot, trade) => {
+    const decision = defaultStrategy.decideTrade(bot, trade);
+    const options = rolloutOptions(bot);
+    const gain = evaluateDecision(bot.gameState, bot.myPlayer.id, game => applyTrade(game, trade), options);
+    // The static valuation's values and flags, with the simulated gain as the deciding reason
+    const simulated = lookaheadRationale('trade', gain, 'This trade', options.stats.rollouts);
+    const rationale = {
+      ...simulated,
+      values: { ...decision.rationale?.values, ...simulated.values },
+      flags: decision.rationale?.flags || {}
+    };
+    if (gain > 0) {
+      return { action: 'acceptTrade', params: { tradeId: trade.id }, evaluation: decision.evaluation, rationale };
+    }
+    if (decision.action === 'acceptTrade') {
+      return { action: 'declineTrade', params: { tradeId: trade.id }, evaluation: decision.evaluation, rationale };
+    }
+    return { ...decision, rationale };
+  },
+
+  proposeTrade: bot => {
+    const proposal = defaultStrategy.proposeTrade(bot);
+    if (!proposal) return null;
+    const { targetPlayerId, offer, request } = proposal.params;
+    const me = bot.myPlayer.id;
+    const gain = evaluateDecision(bot.gameState, me, game => applyTrade(game, { from: me, to: targetPlayerId, offer, request }), rolloutOptions(bot));
+    return gain > 0 ? proposal : null;
+  }
+};
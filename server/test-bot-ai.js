@@ -863,10 +863,8 @@ async function testEdgeCases() {
     game.canRollAgain = true;
 
     // Force doubles
-    const originalRandom = Math.random;
-    Math.random = () => 0.1;
+    game.rng.next = () => 0.1;
     game.rollDice();
-    Math.random = originalRandom;
 
     assert(player.inJail === true, 'Triple doubles sends to jail');
     assert(game.canRollAgain === false, 'Cannot roll again after jail');
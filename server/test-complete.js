@@ -8,7 +8,15 @@ const io = require('socket.io-client');
 const { Game } = require('./game');
 const GameManager = require('./gameManager');
 const Bot = require('./bot');
+const { replayGame } = require('./journal');
+const { JsonFileStorage, createStorage } = require('./storage');
+const { runSimulations, simulateGame, withoutConsole } = require('./simulator');
+const { runTournament, resolveEntrants, fitRatings, bootstrapRatings } = require('./tournament');
+const { loadStrategy, listStrategies, isStrategy, HOOKS: STRATEGY_HOOKS } = require('./strategies');
+const { cloneGame, evaluateDecision, giveProperty } = require('./lookahead');
+const { validateRules } = require('./houseRules');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const SERVER_URL = 'http://localhost:3001';
@@ -65,7 +73,9 @@ function createTestGame(options = {}) {
         options.name || 'Test Game',
         options.maxPlayers || 4,
         options.isPrivate || false,
-        options.auctionsEnabled || false
+        options.auctionsEnabled || false,
+        options.rules || {},
+        options.seed || null
     );
     return game;
 }
@@ -545,9 +555,10 @@ async function testTrades() {
     const offer = { money: 50, properties: [1] };
     const request = { money: 0, properties: [3] };
 
-    const trade = game.proposeTrade(player1, player2.id, offer, request);
+    const proposed = game.proposeTrade(player1, player2.id, offer, request);
+    const trade = proposed.trade;
 
-    assert(trade !== null, 'Trade proposed');
+    assert(proposed.success === true, 'Trade proposed');
     assert(trade.status === 'pending', 'Trade is pending');
     assert(game.trades.length === 1, 'Trade added to list');
 
@@ -564,10 +575,13 @@ async function testTrades() {
     assert(game.board[3].owner === player1.id, 'Property 3 transferred');
 
     // Test decline
-    const trade2 = game.proposeTrade(player1, player2.id, { money: 100 }, { money: 50 });
-    game.declineTrade(trade2.id);
+    const trade2 = game.proposeTrade(player1, player2.id, { money: 100 }, { money: 50 }).trade;
+    assert(!game.declineTrade(trade2.id, player1).success && trade2.status === 'pending', 'Only the recipient can decline');
+    assert(game.declineTrade(trade2.id, player2).success, 'Recipient declines');
 
     assert(trade2.status === 'declined', 'Trade declined');
+    assert(!game.declineTrade(trade.id, player2).success && trade.status === 'accepted', 'A finished trade cannot be declined');
+    assert(game.getTradeHistory().find(t => t.id === trade.id).status === 'accepted', 'Declining a finished trade leaves its history alone');
 }
 
 async function testBankruptcy() {
@@ -757,6 +771,1145 @@ async function testGameState() {
     assert(state.players[0].properties.length === 1, 'Player properties included');
 }
 
+async function testHouseRules() {
+    log('House Rules', 'test');
+
+    // Defaults
+    const standard = createTestGame();
+    standard.addPlayer('p1', 'Standard');
+    assert(standard.rules.passGoAmount === 200, 'Default GO amount is £200');
+    assert(standard.players[0].money === 1500, 'Default starting money is £1500');
+    assert(standard.housesAvailable === 32 && standard.hotelsAvailable === 12, 'Default bank has 32 houses / 12 hotels');
+
+    // Custom rules
+    const game = createTestGame({
+        rules: {
+            startingMoney: 2000,
+            passGoAmount: 400,
+            freeParkingPot: false,
+            noRentInJail: false,
+            jailFine: 100,
+            unmortgageInterest: 0.2,
+            totalHouses: 20,
+            totalHotels: 6
+        }
+    });
+    game.addPlayer('p1', 'Player 1');
+    game.addPlayer('p2', 'Player 2');
+    game.start();
+
+    const [p1, p2] = game.players;
+    assert(p1.money === 2000, 'Custom starting money applied');
+    assert(game.housesAvailable === 20 && game.hotelsAvailable === 6, 'Custom building supply applied');
+
+    // Passing GO
+    p1.position = 38;
+    const beforeGo = p1.money;
+    game.movePlayer(p1, 4);
+    assert(p1.money === beforeGo + 400, 'Custom GO amount paid');
+
+    // Jail fine
+    game.sendToJail(p1);
+    const beforeFine = p1.money;
+    game.payJailFine(p1);
+    assert(p1.money === beforeFine - 100, 'Custom jail fine charged');
+
+    // Unmortgage interest
+    game.board[1].owner = p1.id;
+    p1.properties = [1];
+    game.mortgageProperty(p1, 1);
+    const beforeUnmortgage = p1.money;
+    game.unmortgageProperty(p1, 1);
+    assert(p1.money === beforeUnmortgage - Math.floor(game.board[1].mortgage * 1.2), 'Custom unmortgage interest charged');
+
+    // Tax does not feed Free Parking when the pot is disabled
+    game.currentPlayerIndex = 1;
+    p2.position = 4;
+    game.handleLanding();
+    assert(game.freeParking === 0, 'Tax skips Free Parking when pot disabled');
+
+    // Rent is still collected from jail when the rule is off
+    game.sendToJail(p1);
+    p2.position = 1;
+    const ownerBefore = p1.money;
+    game.handleLanding();
+    assert(p1.money > ownerBefore, 'Jailed owner collects rent when rule disabled');
+
+    // Validation
+    let threw = false;
+    try { createTestGame({ rules: { passGoAmount: -10 } }); } catch (e) { threw = true; }
+    assert(threw, 'Negative GO amount rejected');
+
+    threw = false;
+    try { createTestGame({ rules: { freeParkingPot: 'yes' } }); } catch (e) { threw = true; }
+    assert(threw, 'Non-boolean toggle rejected');
+
+    // Persistence through GameManager
+    const savePath = path.join(__dirname, 'saved_games.json');
+    if (fs.existsSync(savePath)) {
+        fs.unlinkSync(savePath);
+    }
+
+    const gm = new GameManager();
+    const saved = gm.createGame('Rules Test', 2, false, false, { passGoAmount: 300, jailFine: 75 });
+    saved.addPlayer('p1', 'Saver');
+    saved.start();
+    gm.saveGames();
+
+    const data = JSON.parse(fs.readFileSync(savePath, 'utf8'));
+    assert(data[0].rules?.passGoAmount === 300, 'Rules persisted to disk');
+
+    const reloaded = new GameManager();
+    const restored = reloaded.getGame(saved.id);
+    assert(restored?.rules?.jailFine === 75, 'Rules restored on load');
+
+    gm.createGame('Lobby Rules', 4, false, false, { startingMoney: 1000 });
+    const listed = gm.getPublicGames().find(g => g.name === 'Lobby Rules');
+    assert(listed?.rules?.startingMoney === 1000, 'Public games list includes rules');
+
+    fs.unlinkSync(savePath);
+}
+
+async function testSeededRng() {
+    log('Seeded RNG', 'test');
+
+    const playGame = (seed) => {
+        const game = createTestGame({ seed });
+        ['Alice', 'Bob', 'Carol', 'Dave'].forEach((name, i) => game.addPlayer(`p${i}`, name));
+        game.start();
+        const rolls = [];
+        for (let i = 0; i < 20; i++) {
+            const roll = game.rollDice();
+            rolls.push(`${roll.die1}${roll.die2}`);
+            game.diceRolled = false;
+        }
+        return {
+            order: game.players.map(p => p.name).join(','),
+            chance: game.chanceCards.map(c => c.text).join('|'),
+            chest: game.communityChestCards.map(c => c.text).join('|'),
+            rolls: rolls.join(',')
+        };
+    };
+
+    const a = playGame('replay-me');
+    const b = playGame('replay-me');
+    const c = playGame('something-else');
+
+    assert(a.order === b.order, 'Same seed gives same turn order');
+    assert(a.chance === b.chance && a.chest === b.chest, 'Same seed gives same deck shuffles');
+    assert(a.rolls === b.rolls, 'Same seed gives same dice');
+    assert(a.rolls !== c.rolls || a.chance !== c.chance, 'Different seed gives different game');
+
+    const unseeded = createTestGame();
+    assert(typeof unseeded.rng.seed === 'string' && unseeded.rng.seed.length > 0, 'Unseeded game gets a random seed');
+    assert(unseeded.getState().rng === undefined && unseeded.getState().seed === undefined, 'Seed not exposed in client state');
+
+    // setSeed before start reshuffles, after start is rejected
+    const lobby = createTestGame();
+    const reseed = lobby.setSeed('replay-me');
+    assert(reseed.success && lobby.chanceCards.map(c => c.text).join('|') === a.chance, 'setSeed reshuffles decks to match seed');
+    lobby.addPlayer('p1', 'Solo');
+    lobby.start();
+    assert(lobby.setSeed('late').success === false, 'Cannot change seed after start');
+
+    let threw = false;
+    try { createTestGame({ seed: 'x'.repeat(65) }); } catch (e) { threw = true; }
+    assert(threw, 'Overlong seed rejected');
+
+    // Persisted position resumes the same sequence
+    const savePath = path.join(__dirname, 'saved_games.json');
+    if (fs.existsSync(savePath)) {
+        fs.unlinkSync(savePath);
+    }
+
+    const gm = new GameManager();
+    const saved = gm.createGame('RNG Persist', 2, false, false, {}, 'persist-seed');
+    saved.addPlayer('p1', 'Saver');
+    saved.start();
+    saved.rollDice();
+    gm.saveGames();
+
+    const expected = [];
+    for (let i = 0; i < 5; i++) expected.push(saved.rng.next());
+
+    const data = JSON.parse(fs.readFileSync(savePath, 'utf8'));
+    assert(data[0].rng?.seed === 'persist-seed' && typeof data[0].rng.state === 'number', 'Seed and RNG position saved');
+
+    const restored = new GameManager().getGame(saved.id);
+    const resumed = [];
+    for (let i = 0; i < 5; i++) resumed.push(restored.rng.next());
+    assert(resumed.join(',') === expected.join(','), 'Restored game continues the same sequence');
+    assert(gm.getAllGamesForAdmin()[0].seed === 'persist-seed', 'Admin list shows seed');
+
+    fs.unlinkSync(savePath);
+
+    // Bot randomness follows its seed
+    const bot1 = new Bot('http://mock', 'test', null, 'easy', 'bot-seed');
+    const bot2 = new Bot('http://mock', 'test', null, 'easy', 'bot-seed');
+    assert(bot1.botName === bot2.botName && bot1.random() === bot2.random(), 'Bot randomness is reproducible from its seed');
+    assert(saved.deriveSeed('bot1') === 'persist-seed:bot1', 'Bot seeds derive from the game seed');
+    assert(saved.botSeed(1) === 'persist-seed:bot:1', 'A seat\'s bot seed comes from its seat, whatever the bot is called');
+    assert(saved.botSeed(1, true) !== saved.botSeed(1), 'A stand-in plays its own sequence, not the seat\'s bot\'s');
+}
+
+async function testActionJournal() {
+    log('Action Journal & Replay', 'test');
+
+    const snapshot = (g) => JSON.stringify({
+        players: g.players.map(p => [p.id, p.money, p.position, p.inJail, p.bankrupt, p.properties]),
+        owners: g.board.map(s => [s.owner, s.houses, s.mortgaged]),
+        turn: g.currentPlayerIndex,
+        freeParking: g.freeParking
+    });
+
+    const game = createTestGame({ seed: 'journal-test', auctionsEnabled: true });
+    game.addPlayer('p1', 'Alice');
+    game.addPlayer('p2', 'Bob');
+    game.start();
+
+    let turnThreeSnapshot = null;
+    for (let i = 0; i < 40 && !game.checkWinner(); i++) {
+        const player = game.players[game.currentPlayerIndex];
+        game.rollDice();
+        game.handleLanding();
+
+        if (game.pendingAction?.type === 'buyOrAuction') {
+            if (player.money >= game.pendingAction.property.price + 200) {
+                game.buyProperty();
+            } else {
+                game.declineProperty(player);
+                const other = game.players.find(p => p.id !== player.id);
+                game.auction.lastBidAt = 0;
+                game.placeBid(other, 10);
+            }
+        }
+        if (game.pendingAction) {
+            game.declareBankruptcy(player);
+            continue;
+        }
+        if (i === 5 && player.properties.length > 0) {
+            game.mortgageProperty(player, player.properties[0]);
+        }
+        const turnBefore = game.turnNumber;
+        game.endTurn();
+        if (turnBefore === 3) {
+            turnThreeSnapshot = snapshot(game);
+        }
+    }
+
+    const types = new Set(game.journal.map(e => e.type));
+    assert(game.journal[0].type === 'create', 'Journal starts with create event');
+    assert(['join', 'start', 'roll', 'land', 'endTurn'].every(t => types.has(t)), 'Journal records core actions');
+    assert(types.has('buy') || types.has('decline'), 'Journal records purchase decisions');
+    const roll = game.journal.find(e => e.type === 'roll');
+    assert(roll.outcome.die1 >= 1 && roll.outcome.die2 <= 6 && roll.playerId, 'Roll event carries dice outcome and player');
+    assert(game.journal.every((e, i) => e.seq === i), 'Journal sequence numbers are contiguous');
+
+    const replayed = replayGame(game.journal);
+    assert(snapshot(replayed) === snapshot(game), 'Full replay reproduces final state');
+    assert(replayed.rng.calls === game.rng.calls, 'Replay consumes the same RNG draws');
+
+    const partial = replayGame(game.journal, { toTurn: 3 });
+    assert(turnThreeSnapshot !== null && snapshot(partial) === turnThreeSnapshot, 'Replay to turn 3 matches state at end of turn 3');
+
+    // Journal survives save/load
+    const savePath = path.join(__dirname, 'saved_games.json');
+    if (fs.existsSync(savePath)) {
+        fs.unlinkSync(savePath);
+    }
+    const gm = new GameManager();
+    const saved = gm.createGame('Journal Persist', 2, false, false, {}, 'persist');
+    saved.addPlayer('p1', 'A');
+    saved.addPlayer('p2', 'B');
+    saved.start();
+    saved.rollDice();
+    gm.saveGames();
+    const reloaded = new GameManager();
+    assert(reloaded.getGame(saved.id).journal.length === saved.journal.length, 'Journal persisted across restart');
+    assert(snapshot(reloaded.replayGame(saved.id)) === snapshot(saved), 'GameManager replays a stored game');
+    fs.unlinkSync(savePath);
+
+    let threw = false;
+    try { replayGame([]); } catch (e) { threw = true; }
+    assert(threw, 'Replay rejects a journal without a create event');
+}
+
+async function testCreditorBankruptcy() {
+    log('Bankruptcy to a Creditor', 'test');
+
+    const setup = () => {
+        const game = createTestGame({ seed: 'creditor-test' });
+        const debtor = game.addPlayer('p1', 'Debtor');
+        const creditor = game.addPlayer('p2', 'Creditor');
+        const bystander = game.addPlayer('p3', 'Bystander');
+        game.start();
+
+        [1, 3, 6].forEach(index => {
+            game.board[index].owner = debtor.id;
+            debtor.properties.push(index);
+        });
+        game.board[1].houses = 2;
+        game.board[3].houses = 2;
+        game.board[6].mortgaged = true;
+        debtor.money = 20;
+        debtor.getOutOfJailCards = 1;
+        debtor.debt = { amount: 300, creditor: creditor.id };
+        return { game, debtor, creditor, bystander };
+    };
+
+    const { game, debtor, creditor, bystander } = setup();
+    const housesBefore = game.housesAvailable;
+    const result = game.declareBankruptcy(debtor);
+
+    assert(result.creditor?.id === creditor.id, 'Bankruptcy reports the creditor');
+    assert(creditor.money === 1500 + 20 + 100, 'Creditor receives cash plus half the building value');
+    assert(game.housesAvailable === housesBefore + 4, 'Houses go back to the bank');
+    assert([1, 3, 6].every(i => game.board[i].owner === creditor.id && creditor.properties.includes(i)), 'Creditor receives every property');
+    assert(game.board[6].mortgaged === true, 'Mortgaged property stays mortgaged');
+    assert(creditor.getOutOfJailCards === 1 && debtor.getOutOfJailCards === 0, 'Jail card passes to the creditor');
+    assert(debtor.properties.length === 0 && debtor.money === 0 && debtor.debt === null, 'Debtor is left with nothing');
+
+    const action = game.getMortgagedTransfer(creditor.id);
+    assert(action?.type === 'mortgagedTransfer' && action.playerId === creditor.id, 'Creditor must settle mortgaged properties');
+    assert(action.properties.length === 1 && action.properties[0].interest === 5, 'Transfer interest is 10% of the mortgage');
+
+    const wrong = game.resolveMortgagedTransfer(bystander, {});
+    assert(wrong.success === false, 'Only the creditor can settle the transfer');
+
+    const cost = action.properties[0].unmortgageCost;
+    const moneyBefore = creditor.money;
+    const settled = game.resolveMortgagedTransfer(creditor, { 6: 'unmortgage' });
+    assert(settled.success && settled.total === cost, 'Unmortgaging charges the unmortgage cost');
+    assert(creditor.money === moneyBefore - cost && game.board[6].mortgaged === false, 'Property unmortgaged and paid for');
+    assert(game.mortgagedTransfers.length === 0, 'Pending transfer cleared');
+
+    // The creditor's decision must not hold up whoever plays next
+    const waiting = setup();
+    waiting.game.declareBankruptcy(waiting.debtor);
+    const next = waiting.game.players[waiting.game.currentPlayerIndex];
+    assert(next.id !== waiting.debtor.id, 'Turn moved on from the bankrupt player');
+    assert(waiting.game.pendingAction === null && !waiting.game.auction && !waiting.game.diceRolled,
+      'Unsettled transfer does not block the next roll');
+    const roll = waiting.game.rollDice();
+    assert(roll.total >= 2 && waiting.game.diceRolled, 'Next player can roll while the creditor decides');
+    assert(waiting.game.getMortgagedTransfer(waiting.creditor.id), 'Transfer still waits for the creditor');
+
+    // Keeping the mortgage costs only the interest; unaffordable unmortgages are refused
+    const kept = setup();
+    kept.game.declareBankruptcy(kept.debtor);
+    kept.creditor.money = 10;
+    const refused = kept.game.resolveMortgagedTransfer(kept.creditor, { 6: 'unmortgage' });
+    assert(refused.success === false, 'Cannot unmortgage without enough money');
+    kept.creditor.money = 1000;
+    kept.game.resolveMortgagedTransfer(kept.creditor, { 6: 'keep' });
+    assert(kept.creditor.money === 995 && kept.game.board[6].mortgaged === true, 'Keeping the mortgage pays interest only');
+
+    // No creditor: everything goes back to the bank
+    const bank = setup();
+    bank.debtor.debt = null;
+    const bankResult = bank.game.declareBankruptcy(bank.debtor);
+    assert(bankResult.creditor === null, 'Bankruptcy to the bank has no creditor');
+    assert([1, 3, 6].every(i => bank.game.board[i].owner === null && !bank.game.board[i].mortgaged), 'Properties returned to the bank unmortgaged');
+    assert(bank.creditor.money === 1500, 'Nobody else is paid');
+
+    // Leaving mid-game while in debt counts as bankruptcy to the creditor
+    const left = setup();
+    const removal = left.game.removePlayer(left.debtor.id);
+    assert(removal.creditor?.id === left.creditor.id, 'Leaving player\'s creditor reported');
+    assert(left.game.board[1].owner === left.creditor.id, 'Leaving player\'s properties go to the creditor');
+
+    // Bot lifts mortgages it can comfortably afford
+    const bot = new Bot('http://mock', left.game.id, 'CreditorBot', 'medium');
+    bot.myPlayer = left.creditor;
+    bot.gameState = left.game.getState();
+    const decisions = bot.decideMortgagedTransfer(left.game.getMortgagedTransfer(left.creditor.id));
+    assert(decisions[6] === 'unmortgage', 'Bot unmortgages when it has plenty of cash');
+    left.creditor.money = 10;
+    assert(bot.decideMortgagedTransfer(left.game.getMortgagedTransfer(left.creditor.id))[6] === 'keep', 'Bot keeps the mortgage when short of cash');
+}
+
+async function testBankruptcyAuctionQueue() {
+    log('Bankruptcy Auctions by the Bank', 'test');
+
+    const setup = (auctionsEnabled, playerCount = 3) => {
+        const game = createTestGame({ seed: 'bank-auction-test', auctionsEnabled });
+        const players = ['Debtor', 'Alice', 'Bob'].slice(0, playerCount)
+            .map((name, i) => game.addPlayer(`p${i + 1}`, name));
+        game.start();
+
+        // Set up through journaled actions so the game can be replayed
+        const debtor = players[0];
+        [1, 3, 5].forEach(index => game.applyDebugAction('giveProperty', { propertyIndex: index, playerId: debtor.id }));
+        game.mortgageProperty(debtor, 5);
+        game.applyDebugAction('giveMoney', { playerId: debtor.id, amount: -debtor.money });
+        game.board[1].houses = 1;
+        return { game, debtor, alice: players[1], bob: players[2] };
+    };
+
+    const { game, debtor, alice, bob } = setup(true);
+    const result = game.declareBankruptcy(debtor);
+
+    assert(result.transfer.auctioned === true, 'Bankruptcy reports that deeds will be auctioned');
+    assert(game.auction?.propertyIndex === 1 && game.auction.source === 'bankruptcy', 'First deed goes straight to auction');
+    assert(game.auction.fromPlayerName === 'Debtor' && game.auction.queueRemaining === 2, 'Auction shows where the deed came from and what is queued');
+    assert(game.getState().auctionQueue.join(',') === '3,5', 'Remaining deeds wait in the queue');
+    assert(!game.auction.participants.includes(debtor.id) && game.auction.passedPlayers.length === 0, 'Everyone but the bankrupt player can bid');
+    assert(game.board[1].houses === 0 && game.board[5].mortgaged === false, 'Deeds are auctioned without buildings or mortgages');
+
+    game.placeBid(alice, 40);
+    game.passBid(bob);
+    assert(game.board[1].owner === alice.id && alice.money === 1460, 'Winning bidder buys the deed');
+    assert(game.auction?.propertyIndex === 3 && game.auction.queueRemaining === 1, 'Next deed auctioned when the previous one ends');
+
+    game.expireAuction();
+    assert(game.board[3].owner === null && game.auction?.propertyIndex === 5, 'Unbid deed stays with the bank and the queue moves on');
+
+    game.passBid(alice);
+    game.passBid(bob);
+    assert(game.auction === null && game.auctionQueue.length === 0, 'Queue empties after the last auction');
+    assert(game.board[5].owner === null, 'Deed nobody wanted stays with the bank');
+
+    // A bystander who takes no part in the auction cannot bid
+    const bot = new Bot('http://mock', game.id, 'BankruptBot', 'easy');
+    bot.myPlayer = debtor;
+    const auction = { property: game.board[3], participants: [alice.id, bob.id], passedPlayers: [], currentBid: 0 };
+    bot.gameState = { ...game.getState(), auction };
+    bot.handleAuction(bot.gameState.auction);
+    assert(bot.auctionActionTimer === null, 'Bot does not bid in an auction it is not part of');
+
+    const replayed = replayGame(game.journal);
+    assert(replayed.board[1].owner === alice.id && replayed.auction === null && replayed.auctionQueue.length === 0, 'Replay reproduces the bank auctions');
+
+    // Without auctions the deeds simply return to the bank
+    const plain = setup(false);
+    plain.game.declareBankruptcy(plain.debtor);
+    assert(plain.game.auction === null && plain.game.auctionQueue.length === 0, 'No auctions when auctions are disabled');
+    assert([1, 3, 5].every(i => plain.game.board[i].owner === null), 'Deeds returned to the bank');
+
+    // Last opponent standing wins - nothing left to auction
+    const duel = setup(true, 2);
+    duel.game.declareBankruptcy(duel.debtor);
+    assert(duel.game.auction === null && duel.game.auctionQueue.length === 0, 'No auctions once the game has a winner');
+}
+
+async function testAuctionClock() {
+    log('Auction Clock', 'test');
+
+    const openAuction = (game, index) => {
+        const current = game.players[game.currentPlayerIndex];
+        game.pendingAction = { type: 'buyOrAuction', property: game.board[index] };
+        game.declineProperty(current);
+        return game.players.filter(p => p.id !== current.id);
+    };
+
+    const game = createTestGame({ seed: 'auction-clock', auctionsEnabled: true });
+    ['Alice', 'Bob', 'Carol'].forEach((name, i) => game.addPlayer(`p${i + 1}`, name));
+    game.start();
+    const [bidder, rival] = openAuction(game, 1);
+
+    let state = game.getState();
+    assert(state.auction.phase === 'open' && state.auction.timeRemainingMs > 14000, 'New auction starts with a full clock');
+    assert(game.tickAuction() === false && game.auction !== null, 'Tick leaves a running auction alone');
+
+    game.auction.deadline = Date.now() + 5000;
+    assert(game.getState().auction.phase === 'goingOnce', 'Going once in the last six seconds');
+    game.auction.deadline = Date.now() + 2000;
+    assert(game.getState().auction.phase === 'goingTwice', 'Going twice in the last three seconds');
+
+    game.placeBid(bidder, 30);
+    assert(game.getAuctionTimeRemaining() > 14000, 'A bid resets the clock');
+
+    // Restart mid-auction: the auction resumes with the time it had left
+    const savePath = path.join(__dirname, 'saved_games.json');
+    const gm = new GameManager();
+    gm.games.set(game.id, game);
+    game.auction.deadline = Date.now() + 8000;
+    gm.saveGames();
+    const restored = new GameManager().getGame(game.id);
+    const remaining = restored.getAuctionTimeRemaining();
+    assert(remaining > 7000 && remaining <= 8000, 'Auction clock survives a restart');
+    assert(restored.auction.property === restored.board[1], 'Restored auction points at the live board space');
+    fs.unlinkSync(savePath);
+
+    game.auction.deadline = Date.now() - 1;
+    assert(game.getState().auction.phase === 'sold', 'Phase is sold once the deadline passes');
+    assert(game.tickAuction() === true, 'Tick closes the expired auction');
+    assert(game.board[1].owner === bidder.id && bidder.money === 1470, 'Highest bidder wins when the clock runs out');
+    const expired = game.journal[game.journal.length - 1];
+    assert(expired.type === 'auctionExpired' && expired.outcome.winnerId === bidder.id, 'Expiry is journaled with its outcome');
+
+    openAuction(game, 3);
+    game.auction.deadline = Date.now() - 1;
+    game.tickAuction();
+    assert(game.auction === null && game.board[3].owner === null, 'Auction with no bids closes unsold');
+    assert(rival.properties.length === 0, 'Nobody else was charged');
+
+    // Bots are no longer timed out while an auction is running
+    const botGame = createTestGame({ auctionsEnabled: true });
+    botGame.addPlayer('bot1', 'Bot One').isBot = true;
+    botGame.addPlayer('bot2', 'Bot Two').isBot = true;
+    botGame.start();
+    openAuction(botGame, 1);
+    botGame.lastActionTime = Date.now() - 60000;
+    assert(botGame.checkBotTimeout() === null && botGame.auction !== null, 'Bot timeout waits for the auction clock');
+}
+
+async function testTurnTimer() {
+    log('Human Turn Timer & AFK Handling', 'test');
+
+    let threw = false;
+    try { createTestGame({ rules: { turnTimeLimit: 5 } }); } catch (e) { threw = true; }
+    assert(threw, 'Turn limits under 15 seconds are rejected');
+    threw = false;
+    try { createTestGame({ rules: { afkBotDifficulty: 'impossible' } }); } catch (e) { threw = true; }
+    assert(threw, 'Unknown stand-in bot difficulty is rejected');
+    assert(createTestGame().getState().turnTimeRemainingMs === null, 'No turn timer by default');
+
+    const snapshot = (g) => JSON.stringify({
+        players: g.players.map(p => [p.id, p.money, p.position, p.inJail, p.properties, p.afkStrikes]),
+        owners: g.board.map(s => s.owner),
+        turn: g.currentPlayerIndex
+    });
+
+    const game = createTestGame({ seed: 'afk-test', rules: { turnTimeLimit: 30, afkTakeoverStrikes: 2 } });
+    ['Alice', 'Bob', 'Carol'].forEach((name, i) => game.addPlayer(`p${i + 1}`, name));
+    game.start();
+
+    const remaining = game.getState().turnTimeRemainingMs;
+    assert(remaining > 29000 && remaining <= 30000, 'Turn timer starts with the configured limit');
+    assert(game.checkTurnTimer() === null, 'Nothing happens early in the turn');
+
+    game.turnDeadline = Date.now() + 5000;
+    const warning = game.checkTurnTimer();
+    assert(warning?.warning === true && warning.player === game.players[0], 'Player is warned before time runs out');
+    assert(game.checkTurnTimer() === null, 'Warning is only sent once');
+
+    const first = game.players[0];
+    const journalBefore = game.journal.length;
+    game.turnDeadline = Date.now() - 1;
+    const result = game.checkTurnTimer();
+    assert(result?.autoPlayed === true && result.strikes === 1 && result.takeover === false, 'Expired turn is played automatically');
+    assert(game.players[game.currentPlayerIndex] !== first, 'Automatic turn ends with the next player up');
+    assert(first.position !== 0 || first.inJail, 'Dice were rolled for the away player');
+    assert(game.journal.length === journalBefore + 1 && game.journal[journalBefore].type === 'turnTimeout', 'Automatic turn is journaled as a single event');
+
+    // Everyone times out once more - the first player reaches the takeover threshold
+    let takeover = null;
+    for (let i = 0; i < 3 && !takeover; i++) {
+        if (game.pendingAction) break;
+        game.turnDeadline = Date.now() - 1;
+        const next = game.checkTurnTimer();
+        if (next?.player === first) takeover = next;
+    }
+    assert(takeover?.strikes === 2 && takeover.takeover === true, 'Repeated timeouts trigger a bot takeover');
+    assert(snapshot(replayGame(game.journal)) === snapshot(game), 'Replay reproduces automatic turns');
+
+    game.startStandIn(first, game.rules.afkBotDifficulty);
+    first.isBot = true; // Set by the stand-in bot rejoining the seat
+    assert(first.standIn === 'medium', 'Stand-in bot difficulty recorded on the seat');
+    game.endStandIn(first);
+    assert(first.standIn === null && first.isBot === false && first.afkStrikes === 0, 'Returning player takes their seat back');
+
+    // Acting resets the strike count
+    const bob = game.players.find(p => p.afkStrikes > 0);
+    game.applyDebugAction('giveProperty', { propertyIndex: 39, playerId: bob.id });
+    game.mortgageProperty(bob, 39);
+    assert(bob.afkStrikes === 0, 'Taking an action clears the AFK strikes');
+
+    // Away players are passed automatically in auctions
+    const auctionGame = createTestGame({ auctionsEnabled: true, rules: { turnTimeLimit: 30 } });
+    ['Alice', 'Bob', 'Carol'].forEach((name, i) => auctionGame.addPlayer(`a${i + 1}`, name));
+    auctionGame.start();
+    const away = auctionGame.players[2];
+    away.afkStrikes = 1;
+    auctionGame.pendingAction = { type: 'buyOrAuction', property: auctionGame.board[1] };
+    auctionGame.declineProperty(auctionGame.players[0]);
+    assert(auctionGame.auction.passedPlayers.includes(away.id), 'Away player passes on auctions automatically');
+    auctionGame.turnDeadline = Date.now() - 1;
+    assert(auctionGame.checkTurnTimer() === null && auctionGame.turnDeadline > auctionGame.auction.deadline, 'Turn clock waits for the auction clock');
+
+    // A deadline that passes between the roll and the landing waits for the landing
+    const rollGame = createTestGame({ seed: 'roll-timer', rules: { turnTimeLimit: 30 } });
+    ['Alice', 'Bob'].forEach((name, i) => rollGame.addPlayer(`r${i + 1}`, name));
+    rollGame.start();
+    const roller = rollGame.players[0];
+    rollGame.rollInProgress = true;
+    rollGame.rollDice();
+    const rolledTo = { position: roller.position, money: roller.money, journal: rollGame.journal.length };
+    rollGame.turnDeadline = Date.now() - 1;
+    assert(rollGame.checkTurnTimer() === null && rollGame.currentPlayerIndex === 0 && roller.afkStrikes === 0 &&
+        roller.position === rolledTo.position && roller.money === rolledTo.money && rollGame.journal.length === rolledTo.journal,
+        'Turn timer waits while a roll is landing');
+    rollGame.handleLanding();
+    rollGame.rollInProgress = false;
+    assert(rollGame.checkTurnTimer()?.autoPlayed && roller.afkStrikes === 1, 'Timed-out turn is played once the dice have landed');
+
+    // Away players in debt raise the money as a bot would, or go bankrupt, so the table moves on
+    const debtGame = createTestGame({ rules: { turnTimeLimit: 30 } });
+    ['Alice', 'Bob', 'Carol'].forEach((name, i) => debtGame.addPlayer(`d${i + 1}`, name));
+    debtGame.start();
+    const [debtor, lender] = debtGame.players;
+    [1, 3].forEach(index => {
+        debtGame.board[index].owner = debtor.id;
+        debtGame.board[index].houses = 1;
+        debtor.properties.push(index);
+    });
+    debtor.money = 0;
+    debtor.debt = { amount: 80, creditor: lender.id };
+    debtGame.checkBankruptcy(debtor);
+    debtGame.diceRolled = true;
+    debtGame.turnDeadline = Date.now() - 1;
+    debtGame.checkTurnTimer();
+    assert(debtor.debt === null && lender.money === 1500 + 80, 'Away player\'s debt is paid from their assets');
+    assert(debtGame.board[1].houses === 0 && debtGame.board[3].houses === 0 && debtGame.board[1].mortgaged && !debtGame.board[3].mortgaged,
+        'Buildings sold before deeds are mortgaged, and no more than needed');
+    assert(!debtor.bankrupt && debtGame.pendingAction === null && debtGame.currentPlayerIndex === 1, 'Turn passes once the debt is settled');
+
+    const brokeGame = createTestGame({ rules: { turnTimeLimit: 30 } });
+    ['Alice', 'Bob', 'Carol'].forEach((name, i) => brokeGame.addPlayer(`e${i + 1}`, name));
+    brokeGame.start();
+    const broke = brokeGame.players[0];
+    broke.money = 0;
+    broke.debt = { amount: 200, creditor: brokeGame.players[1].id };
+    brokeGame.checkBankruptcy(broke);
+    brokeGame.diceRolled = true;
+    brokeGame.turnDeadline = Date.now() - 1;
+    brokeGame.checkTurnTimer();
+    assert(broke.bankrupt && brokeGame.players[brokeGame.currentPlayerIndex] !== broke && brokeGame.pendingAction === null,
+        'Away player who cannot pay goes bankrupt and the turn moves on');
+
+    // Bots are not on the human timer
+    const botGame = createTestGame({ rules: { turnTimeLimit: 30 } });
+    botGame.addPlayer('b1', 'Bot').isBot = true;
+    botGame.addPlayer('b2', 'Bot 2').isBot = true;
+    botGame.start();
+    assert(botGame.turnDeadline === null, 'Bots do not get a human turn timer');
+}
+
+async function testDisconnectTakeover() {
+    log('Bot Takeover of Disconnected Players', 'test');
+
+    const game = createTestGame({ rules: { disconnectTakeoverSeconds: 30 } });
+    const alice = game.addPlayer('p1', 'Alice');
+    const bob = game.addPlayer('p2', 'Bob');
+    const bot = game.addPlayer('p3', 'Botty');
+    bot.isBot = true;
+    game.start();
+
+    game.setPlayerDisconnected(bob.id);
+    game.setPlayerDisconnected(bot.id);
+    assert(bob.disconnectedAt !== null, 'Disconnect time recorded');
+    assert(game.getDisconnectTakeovers().length === 0, 'No takeover straight after disconnecting');
+
+    bob.disconnectedAt = Date.now() - 31000;
+    bot.disconnectedAt = Date.now() - 31000;
+    const due = game.getDisconnectTakeovers();
+    assert(due.length === 1 && due[0] === bob, 'Human disconnected past the limit gets a stand-in');
+
+    // GameManager seats the bot (spawning is stubbed - no server to connect to here)
+    const gm = new GameManager();
+    gm.games.set(game.id, game);
+    const spawned = [];
+    gm.spawnStandInBot = (gameId, playerName, difficulty) => {
+        spawned.push({ gameId, playerName, difficulty });
+        gm.standInBots.set(`${gameId}:${playerName}`, { disconnect: () => spawned.push('disconnected') });
+    };
+    const seated = gm.checkDisconnectTakeovers();
+    assert(seated.length === 1 && seated[0].playerId === 'p2' && seated[0].difficulty === 'medium', 'Disconnected player is handed to a bot');
+    assert(spawned[0].playerName === 'Bob' && bob.standIn === 'medium', 'Stand-in bot plays under the player\'s own name');
+    assert(game.gameLog.some(l => l.message.includes('Bob disconnected - a medium bot')), 'Takeover is announced');
+    assert(gm.checkDisconnectTakeovers().length === 0, 'Seat is only taken over once');
+
+    // Reconnecting hands the seat back and stops the bot
+    const bobLook = `${bob.token}|${bob.color}`;
+    bob.isBot = true;
+    assert(gm.releaseStandIn(game, bob) === true, 'Stand-in released when the player returns');
+    assert(spawned.includes('disconnected') && !gm.standInBots.has(`${game.id}:Bob`), 'Stand-in bot disconnected');
+    assert(bob.isBot === false && bob.standIn === null && `${bob.token}|${bob.color}` === bobLook, 'Player keeps their seat, token and colour');
+
+    const off = createTestGame();
+    off.addPlayer('p1', 'Alice');
+    off.addPlayer('p2', 'Bob').disconnectedAt = Date.now() - 999999;
+    off.start();
+    off.players.forEach(p => { p.disconnected = p.name === 'Bob'; });
+    assert(off.getDisconnectTakeovers().length === 0, 'No automatic takeover unless the rule is set');
+    assert(alice.standIn === null, 'Connected players are never replaced');
+}
+
+async function testSeatTokens() {
+    log('Seat Rejoin Tokens', 'test');
+
+    const game = createTestGame();
+    const alice = game.addPlayer('p1', 'Alice');
+    const bob = game.addPlayer('p2', 'Bob');
+    game.start();
+
+    const aliceToken = game.getSeatToken(alice);
+    assert(typeof aliceToken === 'string' && aliceToken.length >= 32, 'Every seat gets a secret token');
+    assert(aliceToken !== game.getSeatToken(bob), 'Tokens are unique per seat');
+    assert(!JSON.stringify(game.getState()).includes(aliceToken), 'Tokens never appear in the shared game state');
+
+    // Names, IDs and guesses do not open a seat
+    game.setPlayerDisconnected(alice.id);
+    assert(game.findPlayerBySeatToken('Alice') === null && game.findPlayerBySeatToken('p1') === null, 'Name or ID alone cannot reclaim a seat');
+    assert(game.findPlayerBySeatToken(undefined) === null && game.findPlayerBySeatToken('') === null, 'Missing token rejected');
+    assert(game.rejoinPlayer('not-the-token') === null && alice.disconnected, 'Wrong token leaves the seat alone');
+    assert(game.rejoinPlayer(aliceToken) === alice && !alice.disconnected, 'Matching token reclaims the seat');
+
+    // Tokens survive a server restart
+    const savePath = path.join(__dirname, 'saved_games.json');
+    const gm = new GameManager();
+    gm.games.set(game.id, game);
+    gm.saveGames();
+    const restored = new GameManager().getGame(game.id);
+    assert(restored && restored.findPlayerBySeatToken(aliceToken)?.name === 'Alice', 'Tokens are kept across save and load');
+    if (fs.existsSync(savePath)) {
+        fs.unlinkSync(savePath);
+    }
+
+    // Leaving the lobby gives the token up
+    const lobby = createTestGame();
+    const carol = lobby.addPlayer('p1', 'Carol');
+    lobby.addPlayer('p2', 'Dave');
+    const carolToken = lobby.getSeatToken(carol);
+    lobby.removePlayer('p1');
+    assert(lobby.findPlayerBySeatToken(carolToken) === null, 'Token revoked when the player leaves the lobby');
+}
+
+async function testStablePlayerIds() {
+    log('Stable Player IDs', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Identity Test', 4, false, true);
+    const alice = gm.seatPlayer(game, 'socket-a1', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b1', 'Bob');
+    gm.seatPlayer(game, 'socket-c1', 'Carol');
+    assert(alice.id !== 'socket-a1' && alice.id !== bob.id, 'Players get their own IDs rather than socket IDs');
+    assert(gm.getSocketPlayer('socket-a1', game) === alice, 'Socket maps to its player');
+    assert(gm.getSocketPlayer('socket-a1', gm.createGame('Other')) === null, 'Socket does not act in other games');
+    game.start();
+
+    // Give the game references to Alice everywhere: a deed, a debt, a trade and an auction bid
+    game.applyDebugAction('giveProperty', { propertyIndex: 1, playerId: alice.id });
+    bob.debt = { amount: 50, creditor: alice.id };
+    const trade = game.proposeTrade(bob, alice.id, { money: 10, properties: [] }, { money: 0, properties: [] }).trade;
+    game.currentPlayerIndex = game.players.indexOf(bob);
+    game.pendingAction = { type: 'buyOrAuction', property: game.board[3] };
+    game.declineProperty(bob);
+    game.placeBid(alice, 20);
+
+    // Alice drops and comes back on a new socket
+    const seat = gm.unbindSocket('socket-a1');
+    game.setPlayerDisconnected(seat.playerId);
+    assert(gm.getSocketPlayer('socket-a1', game) === null, 'Dropped socket no longer controls the seat');
+    assert(game.rejoinPlayer(game.getSeatToken(alice)) === alice, 'Alice rejoins with her token');
+    gm.bindSocket('socket-a2', game.id, alice.id);
+    assert(gm.getSocketPlayer('socket-a2', game) === alice, 'New socket controls the same seat');
+
+    assert(game.board[1].owner === alice.id, 'Ownership untouched by reconnecting');
+    assert(bob.debt.creditor === alice.id && trade.to === alice.id, 'Debts and trades still point at the player');
+    assert(game.auction.highestBidder === alice.id && game.auction.participants.includes(alice.id), 'Auction still knows the bidder');
+
+    // Only one socket drives a seat at a time
+    gm.bindSocket('socket-a3', game.id, alice.id);
+    assert(gm.getSocketPlayer('socket-a2', game) === null && gm.getSocketPlayer('socket-a3', game) === alice, 'Binding a new socket detaches the old one');
+    assert(gm.unbindSocket('socket-a2') === null, 'Detached socket disconnecting does not touch the seat');
+
+    gm.removeGame(game.id);
+    assert(gm.getSocketPlayer('socket-b1', game) === null, 'Removing a game forgets its sockets');
+}
+
+async function testSpectators() {
+    log('Spectator Mode', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Watch Me', 4, false, false, { hideTradesFromSpectators: true });
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    game.start();
+
+    gm.addSpectator('watcher-1', game);
+    gm.addSpectator('watcher-2', game);
+    gm.addSpectator('watcher-2', game);
+    assert(game.spectatorCount === 2 && game.getState().spectatorCount === 2, 'Players see how many are watching');
+    assert(gm.getSocketPlayer('watcher-1', game) === null, 'Spectators have no seat to act from');
+
+    const listed = gm.getPublicGames().find(g => g.id === game.id);
+    assert(listed && listed.started === true && listed.spectators === 2, 'Games in progress are listed for watching');
+
+    // Pending trade terms are hidden from spectators when the rule is on
+    game.proposeTrade(alice, bob.id, { money: 100, properties: [] }, { money: 0, properties: [] });
+    const watched = game.getSpectatorState().trades[0];
+    assert(watched.from === alice.id && watched.termsHidden && watched.offer === undefined, 'Spectators see who is trading but not the terms');
+    assert(game.getState().trades[0].offer.money === 100, 'Players still see the terms');
+
+    // ...including in broadcasts, where tradeCompleted carries the trade inside its result
+    const offered = game.trades[0];
+    const proposed = game.forSpectators({ trade: offered, game: game.getState() });
+    assert(proposed.trade.termsHidden && proposed.trade.offer === undefined && proposed.game.trades[0].termsHidden, 'Trade broadcasts reach spectators without terms');
+    const completed = game.acceptTrade(offered.id, bob);
+    assert(completed.success && completed.trade.offer.money === 100, 'Players get the completed trade in full');
+    const watchedResult = game.forSpectators({ result: completed, game: game.getState() }).result;
+    assert(watchedResult.success && watchedResult.trade.termsHidden && watchedResult.trade.offer === undefined && watchedResult.trade.request === undefined,
+        'Completed trade reaches spectators without terms');
+
+    const open = gm.createGame('Open Book');
+    open.addPlayer('p1', 'Carol');
+    open.addPlayer('p2', 'Dave');
+    open.proposeTrade(open.players[0], 'p2', { money: 5, properties: [] }, { money: 0, properties: [] });
+    assert(open.getSpectatorState().trades[0].offer.money === 5, 'Trade terms visible to spectators by default');
+
+    assert(gm.removeSpectator('watcher-1') === game && game.spectatorCount === 1, 'Leaving spectators are counted out');
+    assert(gm.removeSpectator('watcher-1') === null && game.spectatorCount === 1, 'Removing twice does not double count');
+    gm.removeGame(game.id);
+    assert(gm.removeSpectator('watcher-2') === null, 'Spectators of a removed game are forgotten');
+}
+
+async function testChat() {
+    log('In-Game Chat', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Chatty', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    game.start();
+
+    const hello = game.sendChatMessage(alice, '  hello table  ');
+    assert(hello.success && hello.message.text === 'hello table' && hello.message.toId === null, 'Table message posted and trimmed');
+    assert(!game.sendChatMessage(alice, '   ').success, 'Empty message rejected');
+    assert(!game.sendChatMessage(alice, 'x'.repeat(301)).success, 'Overlong message rejected');
+    assert(!game.sendChatMessage(alice, 'hi me', alice.id).success && !game.sendChatMessage(alice, 'hi', 'nobody').success, 'Direct messages need another player in the game');
+
+    const dm = game.sendChatMessage(bob, 'psst', carol.id);
+    assert(dm.success && dm.message.toName === 'Carol', 'Direct message posted');
+    assert(game.getChatHistory(carol.id).some(m => m.text === 'psst'), 'Recipient sees the direct message');
+    assert(!game.getChatHistory(alice.id).some(m => m.text === 'psst'), 'Other players do not see it');
+    assert(game.getChatHistory(null).length === 1, 'Spectators only see table chat');
+    assert(gm.getPlayerSocketId(game.id, carol.id) === 'socket-c', 'Direct messages are routed to the recipient\'s socket');
+
+    // Rate limit: a burst is cut off until the window passes
+    const burst = [1, 2, 3, 4, 5, 6].map(i => game.sendChatMessage(carol, `spam ${i}`));
+    assert(burst.slice(0, 5).every(r => r.success) && !burst[5].success, 'Rapid messages are rate limited');
+    game.chat.filter(m => m.fromId === carol.id).forEach(m => { m.time = new Date(Date.now() - 11000).toISOString(); });
+    assert(game.sendChatMessage(carol, 'back again').success, 'Rate limit resets after the window');
+
+    // History is kept bounded and saved with the game
+    for (let i = 0; i < 250; i++) game.chat.push({ ...hello.message, id: `old-${i}`, time: new Date(0).toISOString() });
+    game.sendChatMessage(bob, 'latest');
+    assert(game.chat.length === 200 && game.chat[199].text === 'latest', 'Chat history capped');
+    const savePath = path.join(__dirname, 'saved_games.json');
+    gm.saveGames();
+    const restored = new GameManager().getGame(game.id);
+    assert(restored && restored.chat.length === 200 && restored.getChatHistory(bob.id).some(m => m.text === 'latest'), 'Chat history persisted with the game');
+    if (fs.existsSync(savePath)) {
+        fs.unlinkSync(savePath);
+    }
+    assert(!game.journal.some(e => e.type.startsWith('chat')), 'Chat is not journaled');
+}
+
+async function testCounterTrade() {
+    log('Trade Counter-Offers', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Haggling', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    game.start();
+    game.applyDebugAction('giveProperty', { propertyIndex: 1, playerId: alice.id });
+    game.applyDebugAction('giveProperty', { propertyIndex: 3, playerId: bob.id });
+
+    const opening = game.proposeTrade(alice, bob.id, { money: 100 }, { properties: [3] }).trade;
+    assert(!game.counterTrade(opening.id, carol, { money: 50 }, {}).success, 'Only the two parties can counter');
+
+    const first = game.counterTrade(opening.id, bob, { properties: [3] }, { money: 250 });
+    assert(first.success && first.previousTradeId === opening.id, 'Recipient can counter');
+    assert(opening.status === 'countered', 'Original offer is marked countered');
+    assert(first.trade.from === bob.id && first.trade.to === alice.id, 'Counter-offer goes back the other way');
+    assert(first.trade.threadId === opening.id && first.trade.history.length === 1 && first.trade.history[0].offer.money === 100, 'Counter-offer carries the negotiation so far');
+    assert(!game.counterTrade(opening.id, bob, {}, {}).success, 'A countered offer cannot be countered again');
+    assert(!game.acceptTrade(opening.id, bob).success, 'A countered offer cannot be accepted');
+
+    const second = game.counterTrade(first.trade.id, alice, { money: 175 }, { properties: [3] });
+    assert(second.success && second.trade.threadId === opening.id && second.trade.history.length === 2, 'Negotiation thread grows with each round');
+
+    const aliceMoney = alice.money;
+    assert(game.acceptTrade(second.trade.id, bob).success, 'Final round can be accepted');
+    assert(game.board[3].owner === alice.id && alice.money === aliceMoney - 175, 'Accepted counter-offer terms are applied');
+    assert(!game.counterTrade(second.trade.id, bob, {}, {}).success, 'Settled trades cannot be countered');
+
+    const replayed = replayGame(game.journal);
+    const replayedTrade = replayed.trades.find(t => t.id === second.trade.id);
+    assert(replayedTrade && replayedTrade.history.length === 2 && replayed.board[3].owner === alice.id, 'Replay reproduces the negotiation');
+}
+
+async function testTradeExtras() {
+    log('Trading Jail Cards, Rent Immunity and IOUs', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Side Deals', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    game.start();
+    game.applyDebugAction('giveProperty', { propertyIndex: 1, playerId: alice.id });
+    game.applyDebugAction('giveProperty', { propertyIndex: 3, playerId: alice.id });
+
+    // Bob buys two free landings on Old Kent Road with a £100 IOU due in two turns
+    const deal = game.proposeTrade(bob, alice.id, { ious: [{ amount: 100, turns: 2 }] }, { immunities: [{ propertyIndex: 1, landings: 2 }] }).trade;
+    const dueTurn = game.turnNumber + 2;
+    assert(game.acceptTrade(deal.id, alice).success, 'Trade with an immunity and an IOU accepted');
+    assert(game.rentImmunities.length === 1 && game.rentImmunities[0].playerId === bob.id && game.rentImmunities[0].landingsLeft === 2, 'Rent immunity granted');
+    assert(game.ious.length === 1 && game.ious[0].from === bob.id && game.ious[0].dueTurn === dueTurn, 'IOU scheduled');
+    assert(game.getState().rentImmunities.length === 1 && game.getState().ious.length === 1, 'Immunities and IOUs are in the game state');
+
+    const replayed = replayGame(game.journal);
+    assert(replayed.rentImmunities.length === 1 && replayed.ious[0].dueTurn === dueTurn, 'Replay reproduces traded immunities and IOUs');
+
+    // Landing on the property uses up the immunity, then rent is due again
+    const land = () => {
+        game.currentPlayerIndex = game.players.indexOf(bob);
+        bob.position = 1;
+        return game.handleLanding();
+    };
+    const bobMoney = bob.money;
+    assert(game.calculateRent(game.board[1], bob) === 0, 'Immune player owes no rent');
+    const first = land();
+    assert(first.action === 'rentImmunity' && first.landingsLeft === 1 && bob.money === bobMoney, 'First landing is rent free');
+    land();
+    assert(game.rentImmunities.length === 0, 'Immunity used up');
+    assert(land().action === 'paidRent' && bob.money < bobMoney, 'Rent due once the immunity is used up');
+
+    // IOU is collected automatically at the start of Bob's turn once due
+    let guard = 0;
+    while (game.ious.length > 0 && guard++ < 10) {
+        game.endTurn();
+    }
+    assert(game.ious.length === 0 && game.players[game.currentPlayerIndex] === bob && game.turnNumber >= dueTurn, 'IOU collected on Bob\'s turn once due');
+    assert(game.gameLog.some(entry => entry.message.includes('paid a £100 IOU to Alice')), 'IOU payment logged');
+
+    // An IOU that can't be covered becomes a debt
+    game.ious.push({ id: 'iou-big', from: bob.id, to: alice.id, amount: 5000, dueTurn: 0 });
+    bob.money = 50;
+    game.collectDueIous(bob);
+    assert(bob.money === 0 && bob.debt?.amount === 4950 && bob.debt.creditor === alice.id, 'Unpaid IOU balance becomes a debt');
+    bob.debt = null;
+    bob.money = 500;
+
+    // Jail cards
+    bob.getOutOfJailCards = 1;
+    assert(!game.proposeTrade(alice, bob.id, { money: 50 }, { jailCards: 2 }).success, 'Cannot hand over more jail cards than held');
+    const cardDeal = game.proposeTrade(alice, bob.id, { money: 50 }, { jailCards: 1 }).trade;
+    assert(game.acceptTrade(cardDeal.id, bob).success && bob.getOutOfJailCards === 0 && alice.getOutOfJailCards === 1, 'Jail card traded');
+
+    // Immunities can only be granted on the giver's own deeds, and lapse when the deed changes hands
+    assert(!game.proposeTrade(carol, bob.id, { immunities: [{ propertyIndex: 3, landings: 1 }] }, { money: 10 }).success, 'Cannot grant immunity on someone else\'s property');
+    const lapsing = game.proposeTrade(alice, carol.id, { immunities: [{ propertyIndex: 3, landings: 3 }] }, { money: 10 }).trade;
+    game.acceptTrade(lapsing.id, carol);
+    game.applyDebugAction('giveProperty', { propertyIndex: 3, playerId: bob.id });
+    assert(game.getRentImmunity(game.board[3], carol) === null, 'Immunity lapses when the property is sold on');
+
+    // Bankruptcy voids outstanding IOUs
+    game.ious.push({ id: 'iou-void', from: carol.id, to: alice.id, amount: 20, dueTurn: 99 });
+    game.declareBankruptcy(carol);
+    assert(!game.ious.some(iou => iou.from === carol.id) && !game.rentImmunities.some(i => i.playerId === carol.id), 'Bankruptcy voids IOUs and immunities');
+}
+
+async function testTradeValidation() {
+    log('Trade Validation', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Small Print', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    game.start();
+    [1, 3, 6].forEach(propertyIndex => game.applyDebugAction('giveProperty', { propertyIndex, playerId: alice.id }));
+    game.applyDebugAction('giveProperty', { propertyIndex: 5, playerId: bob.id });
+
+    const rejected = (offer, request, to = bob) => game.proposeTrade(alice, to.id, offer, request);
+    assert(rejected({ properties: [5] }, {}).message === 'Alice doesn\'t own Kings Cross Station', 'Cannot offer a property you do not own');
+    assert(rejected({ properties: [1, 1] }, {}).message.includes('more than once'), 'Duplicate property rejected');
+    assert(rejected({ properties: [1] }, { properties: [1] }).success === false, 'Same property on both sides rejected');
+    assert(rejected({ money: -50 }, {}).success === false, 'Negative money rejected');
+    assert(rejected({ money: alice.money + 1 }, {}).success === false, 'Cannot offer more money than you have');
+    assert(rejected({}, {}).message === 'The trade is empty', 'Empty trade rejected');
+    assert(game.proposeTrade(alice, alice.id, { money: 10 }, {}).success === false, 'Cannot trade with yourself');
+
+    // Malformed terms off the socket are turned away, not thrown on
+    const malformed = (offer, request = { money: 1 }) => {
+        try {
+            return game.proposeTrade(alice, bob.id, offer, request).message === 'Invalid trade terms';
+        } catch (e) {
+            return false;
+        }
+    };
+    assert(malformed({ money: 1, immunities: 5 }), 'Immunities that are not a list are rejected');
+    assert(malformed({ money: 1, ious: {} }), 'IOUs that are not a list are rejected');
+    assert(malformed({ immunities: [null] }), 'A null immunity is rejected');
+    assert(malformed({ ious: [null] }), 'A null IOU is rejected');
+    assert(malformed({ ious: [[100, 2]] }), 'An IOU that is not an object is rejected');
+    assert(rejected({ immunities: [{ propertyIndex: '1', landings: 1 }] }, { money: 1 }).success === false, 'Immunity needs a numeric property index');
+    assert(rejected({ ious: [{ amount: '100', turns: 2 }] }, { money: 1 }).success === false, 'IOU needs a numeric amount');
+    assert(!game.proposeMultiTrade(alice, [{ from: alice.id, to: bob.id, money: 1, immunities: 5 }]).success, 'Malformed multi-party leg rejected');
+    assert(!game.proposeMultiTrade(alice, [null]).success, 'Null multi-party leg rejected');
+    assert(game.trades.length === 0, 'Rejected trades are not recorded');
+
+    const countered = game.proposeTrade(bob, alice.id, { money: 10 }, {}).trade;
+    assert(game.counterTrade(countered.id, alice, { money: 1, ious: [null] }, {}).message === 'Invalid trade terms', 'Malformed counter-offer rejected');
+    countered.offer.immunities = 'everything';
+    assert(game.acceptTrade(countered.id, alice).message === 'Invalid trade terms', 'Malformed terms rejected at accept time');
+    game.cancelTrade(countered.id, bob);
+
+    game.board[3].houses = 1;
+    assert(rejected({ properties: [1] }, {}).message.includes('Sell the buildings on the brown group'), 'Cannot trade a property while its group has buildings');
+    game.board[3].houses = 0;
+
+    carol.bankrupt = true;
+    assert(rejected({ money: 10 }, {}, carol).message.includes('bankrupt'), 'Cannot trade with a bankrupt player');
+    carol.bankrupt = false;
+
+    // Checked again at accept time: the players may have moved on since the offer
+    const stale = game.proposeTrade(alice, bob.id, { money: 100, properties: [6] }, { properties: [5] }).trade;
+    const aliceMoney = alice.money;
+    alice.money = 50;
+    const bobMoney = bob.money;
+    const staleResult = game.acceptTrade(stale.id, bob);
+    assert(!staleResult.success && staleResult.message === 'Alice doesn\'t have £100', 'Accept fails when the proposer can no longer pay');
+    alice.money = aliceMoney;
+    assert(game.board[6].owner === alice.id && bob.money === bobMoney && game.board[5].owner === bob.id, 'Failed accept changes nothing');
+    assert(stale.status === 'pending', 'Failed accept leaves the trade open');
+
+    const swap = game.proposeTrade(alice, bob.id, { money: 300 }, { money: 200, properties: [5] }).trade;
+    bob.money = 150;
+    assert(game.acceptTrade(swap.id, bob).message === 'Bob doesn\'t have £200', 'Accept fails when the accepting player is short of money');
+    bob.money = 200;
+    assert(game.acceptTrade(swap.id, bob).success && bob.money === 300 && alice.money === aliceMoney - 100 && game.board[5].owner === alice.id, 'Both sides apply together');
+    assert(!game.acceptTrade(swap.id, bob).success, 'Accepted trade cannot be accepted again');
+}
+
+async function testTradeLifecycle() {
+    log('Trade Cancellation, Expiry and History', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Cold Feet', 4, false, false, { tradeExpiryTurns: 2, tradeExpirySeconds: 60 });
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    game.start();
+    [1, 3].forEach(propertyIndex => game.applyDebugAction('giveProperty', { propertyIndex, playerId: alice.id }));
+    game.applyDebugAction('giveProperty', { propertyIndex: 6, playerId: bob.id });
+
+    // Only the proposer can withdraw
+    const withdrawn = game.proposeTrade(alice, bob.id, { money: 20 }, {}).trade;
+    assert(!game.cancelTrade(withdrawn.id, bob).success, 'Recipient cannot cancel');
+    assert(game.cancelTrade(withdrawn.id, alice).success && withdrawn.status === 'cancelled', 'Proposer cancels a pending offer');
+    assert(!game.cancelTrade(withdrawn.id, alice).success, 'Cancelled trade cannot be cancelled again');
+    assert(!game.acceptTrade(withdrawn.id, bob).success, 'Cancelled trade cannot be accepted');
+
+    // Changes to a listed deed withdraw the offer
+    const built = game.proposeTrade(bob, alice.id, { money: 10 }, { properties: [3] }).trade;
+    assert(game.buildHouse(alice, 1).success, 'House built');
+    assert(built.status === 'invalidated' && built.closedReason === 'buildings changed on the brown group', 'Building on the colour group invalidates offers on it');
+    game.sellHouse(alice, 1);
+    const mortgaged = game.proposeTrade(alice, bob.id, { properties: [1] }, { money: 60 }).trade;
+    const elsewhere = game.proposeTrade(carol, bob.id, { money: 200 }, { properties: [6] }).trade;
+    game.mortgageProperty(alice, 1);
+    assert(mortgaged.status === 'invalidated' && mortgaged.closedReason === 'Old Kent Road was mortgaged', 'Mortgaging a listed property invalidates the offer');
+    const deal = game.proposeTrade(bob, alice.id, { properties: [6] }, { money: 100 }).trade;
+    game.acceptTrade(deal.id, alice);
+    assert(elsewhere.status === 'invalidated' && elsewhere.closedReason === 'The Angel Islington changed hands', 'Trading a property elsewhere invalidates other offers for it');
+
+    // Turn limit
+    const slow = game.proposeTrade(alice, carol.id, { money: 10 }, {}).trade;
+    assert(slow.expiresTurn === game.turnNumber + 2 && slow.expiresAt !== null, 'Trade stamped with its expiry');
+    game.endTurn();
+    assert(slow.status === 'pending', 'Still open before the turn limit');
+    game.endTurn();
+    assert(slow.status === 'expired', 'Expires after the turn limit');
+
+    // Time limit, driven by the server tick
+    const timed = game.proposeTrade(carol, alice.id, { money: 10 }, {}).trade;
+    assert(game.tickTrades().length === 0, 'Nothing expires before the time limit');
+    game.replayClock = timed.expiresAt; // Stand-in clock: a minute later
+    assert(gm.tickTrades()[0].expired[0] === timed && timed.status === 'expired', 'Expires after the time limit');
+    game.replayClock = null;
+
+    const history = game.getState().tradeHistory;
+    assert(['cancelled', 'invalidated', 'accepted', 'expired'].every(status => history.some(t => t.status === status)), 'History lists every kind of finished trade');
+    assert(history.every(t => t.closedTurn !== undefined) && history.find(t => t.id === deal.id).offer.properties[0] === 6, 'History keeps the terms and when the trade closed');
+    assert(game.getState().trades.length === 0, 'Finished trades leave the pending list');
+
+    const replayed = replayGame(game.journal);
+    const statuses = (g) => g.trades.map(t => t.status).join(',');
+    assert(statuses(replayed) === statuses(game), 'Replay reproduces cancellations, invalidations and expiries');
+}
+
+async function testMultiTrade() {
+    log('Multi-Party Trades', 'test');
+
+    const gm = new GameManager();
+    const game = gm.createGame('Round Robin', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    const dave = gm.seatPlayer(game, 'socket-d', 'Dave');
+    game.start();
+    game.applyDebugAction('giveProperty', { propertyIndex: 1, playerId: alice.id });
+    game.applyDebugAction('giveProperty', { propertyIndex: 6, playerId: bob.id });
+    game.applyDebugAction('giveProperty', { propertyIndex: 11, playerId: carol.id });
+
+    // Validation covers every leg, with money totalled per giver
+    const propose = (legs, proposer = alice) => game.proposeMultiTrade(proposer, legs);
+    assert(propose([{ from: bob.id, to: carol.id, money: 10 }]).message === 'You must be part of the trade you propose', 'Proposer must take part');
+    assert(propose([{ from: alice.id, to: alice.id, money: 10 }]).success === false, 'A leg needs two different players');
+    assert(propose([{ from: alice.id, to: bob.id, properties: [6] }]).message === 'Alice doesn\'t own The Angel Islington', 'Each giver must own what they hand over');
+    const split = Math.floor(alice.money / 2) + 1;
+    assert(propose([{ from: alice.id, to: bob.id, money: split }, { from: alice.id, to: carol.id, money: split }]).message === `Alice doesn't have £${split * 2}`, 'Money checked across all of a giver\'s legs');
+    assert(propose([{ from: alice.id, to: bob.id, ious: [{ amount: 50, turns: 2 }] }]).success === false, 'IOUs are for two-party trades');
+    assert(game.trades.length === 0, 'Rejected trades are not recorded');
+
+    // Alice -> Bob -> Carol -> Alice, with some cash on the side
+    const aliceMoney = alice.money;
+    const circle = propose([
+        { from: alice.id, to: bob.id, properties: [1] },
+        { from: bob.id, to: carol.id, properties: [6], money: 50 },
+        { from: carol.id, to: alice.id, properties: [11] }
+    ]).trade;
+    assert(circle.participants.length === 3 && circle.acceptedBy[0] === alice.id, 'Participants collected, proposer counts as accepted');
+    assert(!game.acceptTrade(circle.id, dave).success, 'Outsider cannot accept');
+    assert(!game.counterTrade(circle.id, bob, { money: 10 }, {}).success, 'Multi-party trades cannot be countered');
+
+    const first = game.acceptTrade(circle.id, bob);
+    assert(first.success && first.completed === false && first.waitingFor[0] === carol.id, 'Partial acceptance waits for the rest');
+    assert(game.board[1].owner === alice.id && game.board[6].owner === bob.id, 'Nothing moves until everyone accepts');
+    assert(!game.acceptTrade(circle.id, bob).success, 'Cannot accept twice');
+
+    const last = game.acceptTrade(circle.id, carol);
+    assert(last.success && last.completed && circle.status === 'accepted', 'Last acceptance completes the trade');
+    assert(game.board[1].owner === bob.id && game.board[6].owner === carol.id && game.board[11].owner === alice.id, 'Every leg applied');
+    assert(alice.money === aliceMoney && carol.properties.includes(6) && !bob.properties.includes(6), 'Money and property lists updated');
+
+    // Any participant can turn it down
+    const refused = propose([{ from: alice.id, to: bob.id, money: 20 }, { from: bob.id, to: dave.id, money: 20 }]).trade;
+    game.acceptTrade(refused.id, bob);
+    assert(game.declineTrade(refused.id, carol).message === 'You are not part of this trade' && refused.status === 'pending', 'An outsider cannot decline a multi-party trade');
+    game.declineTrade(refused.id, dave);
+    assert(refused.status === 'declined' && !game.acceptTrade(refused.id, dave).success, 'Declined multi-party trade is closed');
+
+    // A deed changing hands voids it like any other offer
+    const stale = propose([{ from: alice.id, to: dave.id, properties: [11] }, { from: dave.id, to: carol.id, money: 30 }]).trade;
+    const deal = game.proposeTrade(alice, bob.id, { properties: [11] }, { money: 100 }).trade;
+    game.acceptTrade(deal.id, bob);
+    assert(stale.status === 'invalidated' && stale.closedReason === 'Pall Mall changed hands', 'Multi-party trade invalidated when a listed deed moves');
+
+    const replayed = replayGame(game.journal);
+    const owners = (g) => [1, 6, 11].map(i => g.board[i].owner).join(',');
+    const statuses = (g) => g.trades.map(t => t.status).join(',');
+    assert(owners(replayed) === owners(game) && statuses(replayed) === statuses(game), 'Replay reproduces multi-party trades');
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // UNIT TESTS - Game Manager
 // ═══════════════════════════════════════════════════════════════════════════
@@ -830,6 +1983,436 @@ async function testGamePersistence() {
     }
 }
 
+async function testStorage() {
+    log('Storage Adapters', 'test');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monopoly-storage-'));
+    const file = path.join(dir, 'games.json');
+    const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+    // JSON adapter: per-game save/delete, written through a temporary file
+    const storage = new JsonFileStorage(file);
+    assert(storage.loadAll().length === 0, 'Missing file loads as no games');
+    storage.save('A', { id: 'A', name: 'First' });
+    storage.save('B', { id: 'B', name: 'Second' });
+    storage.save('A', { id: 'A', name: 'First again' });
+    const reread = new JsonFileStorage(file).loadAll();
+    assert(reread.length === 2 && reread.find(r => r.id === 'A').name === 'First again', 'Saves replace a game in place');
+    assert(!fs.existsSync(`${file}.tmp`), 'No temporary file left behind');
+    storage.delete('B');
+    assert(new JsonFileStorage(file).loadAll().map(r => r.id).join() === 'A', 'Delete removes just that game');
+
+    fs.writeFileSync(file, '[{"id": "A", "na');
+    const recovered = new JsonFileStorage(file);
+    assert(recovered.loadAll().length === 0 && fs.readdirSync(dir).some(f => f.includes('.corrupt-')), 'Corrupt file moved aside instead of overwritten');
+
+    // Manager saves lobbies and games as they change
+    const gm = new GameManager({ storage: new JsonFileStorage(file), autoSave: true });
+    const lobby = gm.createGame('Waiting Room', 4);
+    gm.seatPlayer(lobby, 'socket-a', 'Alice');
+    const running = gm.createGame('Under Way', 4);
+    gm.seatPlayer(running, 'socket-b', 'Bob');
+    gm.seatPlayer(running, 'socket-c', 'Carol');
+    running.start();
+    await nextTick();
+
+    let restored = new GameManager({ storage: new JsonFileStorage(file) });
+    assert(restored.getGame(lobby.id)?.players[0]?.name === 'Alice' && !restored.getGame(lobby.id).started, 'Unstarted lobby survives a restart');
+    assert(restored.getGame(running.id)?.started === true, 'Game in progress survives a restart');
+
+    running.rollDice();
+    gm.scheduleSave(running);
+    gm.scheduleSave(running);
+    assert(gm.unsaved.size === 1, 'Changes within one event are saved once');
+    await nextTick();
+    restored = new GameManager({ storage: new JsonFileStorage(file) });
+    assert(restored.getGame(running.id).journal.length === running.journal.length, 'Change saved without waiting for a timer');
+
+    // Logs are appended a batch per save; the game record itself stays the same size
+    const savedRecord = () => JSON.parse(fs.readFileSync(file, 'utf8')).find(r => r.id === running.id);
+    assert(!('journal' in savedRecord()) && !('fullLog' in savedRecord()), 'Logs kept out of the game record');
+    const logFile = path.join(dir, 'game_logs', `${running.id}.jsonl`);
+    const batchesBefore = fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).length;
+    running.addLog('A line for the log');
+    gm.saveGame(running);
+    const batches = fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean);
+    assert(batches.length === batchesBefore + 1 && JSON.parse(batches[batches.length - 1]).fullLog.length === 1, 'A save appends only the new log entries');
+    restored = new GameManager({ storage: new JsonFileStorage(file) });
+    assert(restored.getGame(running.id).fullLog.length === running.fullLog.length, 'Logs put back together on load');
+
+    // A batch cut short by a crash is dropped, and later saves still read back
+    fs.appendFileSync(logFile, '{"journal": [{"seq"');
+    restored = new GameManager({ storage: new JsonFileStorage(file), autoSave: true });
+    assert(restored.getGame(running.id).fullLog.length === running.fullLog.length, 'Torn log batch ignored');
+    restored.getGame(running.id).addLog('After the crash');
+    restored.saveGame(restored.getGame(running.id));
+    assert(new GameManager({ storage: new JsonFileStorage(file) }).getGame(running.id).fullLog.length === running.fullLog.length + 1, 'Saves after a torn batch read back');
+
+    // Saves from before logs were kept apart are moved over on load
+    const oldFile = path.join(dir, 'old', 'saved_games.json');
+    fs.mkdirSync(path.dirname(oldFile));
+    fs.writeFileSync(oldFile, JSON.stringify([{ ...gm.serializeGame(running), journal: running.journal, fullLog: running.fullLog, botDecisions: [] }]));
+    const migrated = new GameManager({ storage: new JsonFileStorage(oldFile) }).getGame(running.id);
+    assert(migrated.journal.length === running.journal.length && migrated.fullLog.length === running.fullLog.length, 'Old saves keep their logs');
+    assert(!('journal' in JSON.parse(fs.readFileSync(oldFile, 'utf8'))[0]), 'Old save rewritten without its logs');
+    assert(new GameManager({ storage: new JsonFileStorage(oldFile) }).getGame(running.id).journal.length === running.journal.length, 'Moved logs read back');
+
+    gm.removeGame(lobby.id);
+    assert(!new GameManager({ storage: new JsonFileStorage(file) }).getGame(lobby.id), 'Removed game deleted from storage');
+
+    const quiet = new GameManager({ storage: new JsonFileStorage(path.join(dir, 'quiet.json')) });
+    quiet.createGame('Unsaved', 4);
+    await nextTick();
+    assert(!fs.existsSync(path.join(dir, 'quiet.json')), 'Without autoSave nothing is written until saveGames');
+
+    let threw = false;
+    try { createStorage('floppy'); } catch (e) { threw = true; }
+    assert(threw, 'Unknown backend rejected');
+
+    // SQLite adapter, whenever the optional driver is installed
+    let hasSqlite = true;
+    try { require.resolve('better-sqlite3'); } catch (e) { hasSqlite = false; }
+    if (!hasSqlite) {
+        skip('SQLite storage', 'better-sqlite3 is not installed');
+    } else {
+        const dbFile = path.join(dir, 'games.db');
+        const sqlite = createStorage('sqlite', dbFile);
+        sqlite.save('A', { id: 'A', started: true });
+        sqlite.save('A', { id: 'A', started: false });
+        sqlite.save('B', { id: 'B', started: true });
+        sqlite.delete('B');
+        const rows = sqlite.loadAll();
+        assert(rows.length === 1 && rows[0].started === false, 'SQLite upserts and deletes per game');
+        sqlite.archive('A', { id: 'A', finishedAt: 1 });
+        assert(sqlite.listArchived().length === 1 && sqlite.getArchived('A')?.id === 'A', 'SQLite archives finished games');
+        sqlite.saveProfile('p1', { id: 'p1', name: 'Alice' });
+        assert(sqlite.loadProfiles()[0]?.name === 'Alice', 'SQLite stores profiles');
+        sqlite.save('C', { id: 'C', started: true }, { journal: [{ seq: 0 }], fullLog: [], botDecisions: [] });
+        sqlite.save('C', { id: 'C', started: true }, { journal: [{ seq: 1 }], fullLog: [], botDecisions: [] });
+        const withLogs = sqlite.loadAll().find(r => r.id === 'C');
+        assert(withLogs.journal.map(e => e.seq).join() === '0,1', 'SQLite appends log entries across saves');
+        sqlite.clear();
+        assert(sqlite.loadAll().length === 0, 'SQLite clear empties storage');
+
+        const sqliteGm = new GameManager({ storage: createStorage('sqlite', dbFile), autoSave: true });
+        const sqliteGame = sqliteGm.createGame('On Disk', 4);
+        sqliteGm.seatPlayer(sqliteGame, 'socket-d', 'Dana');
+        sqliteGm.seatPlayer(sqliteGame, 'socket-e', 'Eve');
+        sqliteGame.start();
+        sqliteGm.scheduleSave(sqliteGame);
+        await nextTick();
+        const fromDb = new GameManager({ storage: createStorage('sqlite', dbFile) }).getGame(sqliteGame.id);
+        assert(fromDb?.started === true && fromDb.players.length === 2, 'Game in progress survives a restart on SQLite');
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+async function testMatchHistory() {
+    log('Match History', 'test');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monopoly-history-'));
+    const gm = new GameManager({ storage: new JsonFileStorage(path.join(dir, 'games.json')) });
+    const game = gm.createGame('Final Table', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const carol = gm.seatPlayer(game, 'socket-c', 'Carol');
+    game.start();
+    assert(typeof game.startedAt === 'number' && gm.archiveGame(game) === null, 'Game without a winner is not archived');
+
+    game.applyDebugAction('giveProperty', { propertyIndex: 39, playerId: bob.id });
+    for (let i = 0; i < 120; i++) game.addLog(`Filler ${i}`);
+    const bobWorth = bob.money + game.board[39].price;
+    const carolOutTurn = game.turnNumber; // Going bankrupt on your own turn moves play on, so note it first
+    game.declareBankruptcy(carol);
+    game.declareBankruptcy(bob);
+    assert(bob.eliminated.netWorth === bobWorth && bob.money === 0, 'Net worth taken before assets go back to the bank');
+
+    const record = gm.archiveGame(game);
+    assert(record && record.winner.id === alice.id && game.finishedAt !== null, 'Finished game archived with its winner');
+    assert(record.standings.map(s => s.name).join() === 'Alice,Bob,Carol', 'Standings run from winner to first bankrupt');
+    assert(record.standings[2].bankruptTurn === carolOutTurn && record.standings[0].bankruptTurn === null, 'Bankruptcy turn recorded');
+    assert(record.turnCount === game.turnNumber && record.durationMs >= 0, 'Turn count and duration recorded');
+    assert(record.log.length > 100 && record.log.some(e => e.message === 'Filler 0'), 'Archive keeps the full log, not just the recent one');
+    assert(gm.archiveGame(game) === null, 'A game is archived once');
+
+    const history = gm.getHistory();
+    assert(history.length === 1 && history[0].id === game.id && history[0].log === undefined, 'History lists summaries without logs');
+    assert(gm.getArchivedGame(game.id).log.length === record.log.length && gm.getArchivedGame('nope') === null, 'Single archived game includes the log');
+    assert(gm.getPublicGames()[0].finished === true, 'Public list marks finished games');
+
+    assert(gm.pruneFinishedGames().length === 0, 'Finished game stays open for a while');
+    assert(gm.pruneFinishedGames(0).length === 1 && !gm.getGame(game.id), 'Finished game pruned after the grace period');
+    assert(gm.getArchivedGame(game.id) !== null, 'Archive outlives the game');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+async function testProfiles() {
+    log('Player Profiles & Leaderboard', 'test');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monopoly-profiles-'));
+    const file = path.join(dir, 'games.json');
+    const gm = new GameManager({ storage: new JsonFileStorage(file) });
+    const secret = 'alice-secret-0123456789';
+
+    const first = gm.signInProfile('Alice', secret);
+    assert(first.success && first.created && !first.profile.secretHash.includes(secret), 'Profile created on first sign-in, secret stored hashed');
+    const again = gm.signInProfile(' alice ', secret);
+    assert(again.success && !again.created && again.profile.id === first.profile.id, 'Same name and secret signs in to the same profile');
+    assert(!gm.signInProfile('Alice', 'someone-elses-secret-99').success, 'Wrong secret is refused');
+    assert(!gm.signInProfile('Bob', 'short').success, 'Short secrets are refused');
+    assert(gm.signInProfile('Bob', null).profile === null, 'Playing without a secret needs no profile');
+
+    const game = gm.createGame('Ranked', 4);
+    const alice = gm.seatPlayer(game, 'socket-a', 'Alice');
+    alice.profileId = first.profile.id;
+    const bob = gm.seatPlayer(game, 'socket-b', 'Bob');
+    const bot = gm.seatPlayer(game, 'socket-c', 'Bot Carl');
+    bot.isBot = true;
+    bot.botDifficulty = 'easy';
+    game.start();
+
+    game.applyDebugAction('giveProperty', { propertyIndex: 39, playerId: alice.id });
+    game.applyDebugAction('giveProperty', { propertyIndex: 37, playerId: bot.id });
+    game.payRent(bob, game.board[39], 100);
+    game.payRent(bob, game.board[37], 20);
+    assert(alice.rentEarned === 100 && bot.rentEarned === 20, 'Rent collected is tallied per player');
+
+    game.declareBankruptcy(bot);
+    game.declareBankruptcy(bob);
+    gm.archiveGame(game);
+
+    const aliceStats = gm.getProfile(first.profile.id);
+    assert(aliceStats.gamesPlayed === 1 && aliceStats.wins === 1 && aliceStats.averagePlace === 1, 'Winner profile counts the game and the win');
+    assert(aliceStats.rentEarned === 100 && aliceStats.favouriteProperties[0].name === game.board[39].name, 'Rent earned and favourite deeds recorded');
+    assert(aliceStats.secretHash === undefined && aliceStats.salt === undefined, 'Public profile hides the secret');
+
+    const easy = gm.getProfile('bot:easy');
+    assert(easy && easy.isBot && easy.bankruptcies === 1 && easy.averagePlace === 3, 'Bot difficulty has its own profile');
+    assert(easy.favouriteProperties[0]?.name === game.board[37].name && easy.rentEarned === 20, 'Bankrupt player keeps credit for deeds held going out');
+
+    const board = gm.getLeaderboard();
+    assert(board.length === 2 && board[0].name === 'Alice' && board[1].id === 'bot:easy', 'Leaderboard lists profiles with games, best first');
+    assert(gm.getLeaderboard('averagePlace', 1).length === 1, 'Leaderboard honours the limit');
+    let threw = false;
+    try { gm.getLeaderboard('height'); } catch (e) { threw = true; }
+    assert(threw, 'Unknown leaderboard sort is rejected');
+
+    const restored = new GameManager({ storage: new JsonFileStorage(file) });
+    assert(restored.getProfile(first.profile.id).wins === 1, 'Profiles survive a restart');
+    assert(restored.signInProfile('Alice', secret).profile.id === first.profile.id, 'Secret still works after a restart');
+
+    // A game that ends with a stand-in bot in a human's seat still counts for the human
+    const covered = gm.createGame('Covered', 4);
+    const awayAlice = gm.seatPlayer(covered, 'socket-d', 'Alice');
+    awayAlice.profileId = first.profile.id;
+    const dan = gm.seatPlayer(covered, 'socket-e', 'Dan');
+    covered.start();
+    covered.startStandIn(awayAlice, 'easy');
+    awayAlice.isBot = true; // Set by the stand-in bot rejoining the seat
+    covered.declareBankruptcy(dan);
+    const coveredRecord = gm.archiveGame(covered);
+    assert(coveredRecord.standings[0].isBot === false && coveredRecord.standings[0].profileId === first.profile.id,
+        'Stand-in seat archived as the human who sat down');
+    assert(gm.getProfile(first.profile.id).gamesPlayed === 2 && gm.getProfile(first.profile.id).wins === 2, 'Human profile keeps the stand-in\'s result');
+    assert(gm.getProfile('bot:easy').gamesPlayed === 1 && !gm.getProfile('bot:hard'), 'No bot profile is credited for a stand-in');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+async function testSimulator() {
+    log('Headless Bot Simulator', 'test');
+
+    const options = { games: 4, players: ['easy', 'medium', 'hard'], seed: 'sim-test', maxTurns: 400 };
+    const report = runSimulations(options);
+    assert(report.games === 4 && report.finished + report.unfinished === 4, 'Simulator plays the requested number of games');
+    assert(report.stuck === 0, 'No simulated game gets stuck mid-turn');
+    const seats = Object.values(report.difficulties).reduce((sum, d) => sum + d.seats, 0);
+    const wins = Object.values(report.difficulties).reduce((sum, d) => sum + d.wins, 0);
+    assert(seats === 12 && wins === report.finished, 'Every seat is counted and every finished game has one winner');
+    assert(Object.values(report.difficulties).some(d => Object.keys(d.groups).length > 0), 'Group ROI is collected');
+
+    const again = runSimulations(options);
+    assert(JSON.stringify(again.difficulties) === JSON.stringify(report.difficulties) && again.averageTurns === report.averageTurns,
+        'Same seed gives the same report');
+
+    const game = withoutConsole(() => simulateGame({ players: ['hard', 'hard'], seed: 'sim-single', maxTurns: 400 }));
+    assert(game.standings.length === 2 && game.standings[0].place === 1, 'Single game reports standings');
+}
+
+async function testTournament() {
+    log('Bot Tournament & Ratings', 'test');
+
+    const entrants = resolveEntrants(['easy', 'hard-cautious'], { 'hard-cautious': { extends: 'hard', minCashReserve: 250 } });
+    assert(entrants[1].difficulty === 'hard' && entrants[1].config.minCashReserve === 250, 'Custom config extends a difficulty');
+    let threw = false;
+    try { resolveEntrants(['grandmaster']); } catch (e) { threw = true; }
+    assert(threw, 'Unknown entrant is rejected');
+
+    const bot = new Bot(null, 'T', 'Tuned', 'hard', 'tuned');
+    bot.applyConfig({ colorGroupAwareness: 0 });
+    assert(bot.colorGroupRanking.orange === bot.colorGroupRanking.brown, 'Config overrides reach derived bot settings');
+
+    // A beats B four games in five: the fitted gap should be close to 400 * log10(4)
+    const matches = [];
+    for (let i = 0; i < 100; i++) matches.push({ players: ['A', 'B'], winner: i % 5 === 4 ? 'B' : 'A' });
+    const ratings = fitRatings(['A', 'B'], matches);
+    assert(Math.abs(ratings.A - ratings.B - 400 * Math.log10(4)) < 15, 'Ratings follow the Elo scale');
+    assert(Math.abs(ratings.A + ratings.B - 3000) < 1e-6, 'Ratings average 1500');
+    const intervals = bootstrapRatings(['A', 'B'], matches, 'ci');
+    assert(intervals.A.low < ratings.A && ratings.A < intervals.A.high && intervals.A.low > intervals.B.high, 'Confidence intervals bracket the ratings');
+
+    const options = { entrants: ['easy', 'medium', 'hard'], gamesPerPair: 2, seed: 'tournament-test', maxTurns: 300 };
+    const report = runTournament(options);
+    assert(report.games === 6 && report.pairs.length === 3 && report.ratings.length === 3, 'Round robin plays every pair');
+    assert(report.ladder.length === 2 && report.ladder[1].stronger === 'hard' && report.ladder[1].weaker === 'medium', 'Report checks hard against medium');
+    const again = runTournament(options);
+    assert(JSON.stringify(again.ratings) === JSON.stringify(report.ratings), 'Same seed gives the same ratings');
+}
+
+async function testBotStrategies() {
+    log('Pluggable Bot Strategies', 'test');
+
+    assert(listStrategies().includes('default') && listStrategies().includes('cautious'), 'Strategy modules are listed by name');
+    assert(!isStrategy('../bot') && !isStrategy('index') && !isStrategy('grandmaster'), 'Only strategy modules count as strategies');
+    let threw = false;
+    try { loadStrategy('grandmaster'); } catch (e) { threw = true; }
+    assert(threw, 'Unknown strategy is rejected');
+
+    const cautious = loadStrategy('cautious');
+    assert(STRATEGY_HOOKS.every(hook => typeof cautious[hook] === 'function'), 'Strategy gets every hook');
+    assert(cautious.decideTrade === loadStrategy('default').decideTrade, 'Hooks a strategy leaves out use the default');
+
+    const bot = new Bot(null, 'S', 'Careful', 'hard', 'strategy', 'cautious');
+    assert(bot.strategy.name === 'cautious', 'Bot loads the strategy it is given');
+    assert(new Bot(null, 'S', 'Fallback', 'hard', 'strategy', 'grandmaster').strategy.name === 'default', 'Unknown strategy falls back to the default');
+    bot.myPlayer = { money: 350 };
+    assert(!bot.strategy.shouldBuy(bot, { price: 100 }), 'Cautious strategy keeps its safety margin');
+
+    const sent = [];
+    bot.isMyTurn = true;
+    bot.send = decision => sent.push(decision);
+    bot.strategy = { ...bot.strategy, decideJail: () => ({ action: 'payJailFine', params: {} }) };
+    bot.handleJail();
+    assert(sent[0]?.action === 'payJailFine', 'Bot acts on its strategy\'s decision');
+
+    const result = withoutConsole(() => simulateGame({
+        players: [{ name: 'cautious', difficulty: 'hard', strategy: 'cautious' }, 'hard'],
+        seed: 'strategy-sim',
+        maxTurns: 300
+    }));
+    assert(result.standings.some(s => s.difficulty === 'cautious') && !result.stuck, 'Strategies play headless games');
+}
+
+async function testExpertBot() {
+    log('Expert Bot Lookahead', 'test');
+
+    const game = new Game('LA', 'Lookahead', 3, false, true, {}, 'lookahead-test');
+    ['a', 'b', 'c'].forEach(id => game.addPlayer(id, id.toUpperCase()));
+    game.start();
+    const state = game.getState();
+    const copy = cloneGame(state, 'copy');
+    copy.board[39].owner = 'a';
+    copy.getPlayer('a').money -= 100;
+    assert(game.board[39].owner === null && game.getPlayer('a').money === 1500 && copy.players.length === 3, 'Lookahead plays on a copy of the game');
+
+    const options = { rollouts: 12, rounds: 10, seed: 'expert-test' };
+    const freeMayfair = g => giveProperty(g, 39, 'a');
+    const gain = evaluateDecision(state, 'a', freeMayfair, options);
+    assert(gain > 0 && gain === evaluateDecision(state, 'a', freeMayfair, options), 'A free deed is worth having, the same every time');
+    const yellowForB = g => [26, 27, 29].forEach(index => giveProperty(g, index, 'b'));
+    assert(evaluateDecision(state, 'a', yellowForB, options) < 0, 'A rival\'s monopoly counts against us');
+
+    // Rollout copies are quiet on their own; nothing swaps out the server's console
+    const serverLog = console.log;
+    let logged = 0;
+    console.log = () => { logged++; };
+    try {
+        evaluateDecision(state, 'a', freeMayfair, { ...options, rollouts: 2 });
+        assert(logged === 0 && console.log !== serverLog, 'Rollouts leave the console alone');
+    } finally {
+        console.log = serverLog;
+    }
+
+    // A time budget cuts the rollouts short, but never below a handful
+    let now = 0;
+    const stats = {};
+    evaluateDecision(state, 'a', freeMayfair, { ...options, timeBudgetMs: 15, clock: () => (now += 100), stats });
+    assert(stats.rollouts === 4, 'Time budget stops the rollouts early');
+    const still = {};
+    evaluateDecision(state, 'a', freeMayfair, { ...options, timeBudgetMs: 15, clock: () => now, stats: still });
+    assert(still.rollouts === options.rollouts, 'A clock that stands still runs every rollout');
+
+    const expert = new Bot(null, 'LA', 'Oracle', 'expert', 'expert');
+    assert(expert.strategy.name === 'lookahead', 'Expert plays the lookahead strategy');
+    assert(new Bot(null, 'LA', 'Plain', 'expert', 'expert', 'default').strategy.name === 'default', 'An explicit strategy overrides the difficulty\'s');
+    expert.applyConfig({ lookaheadRollouts: 6, lookaheadRounds: 8 });
+    expert.playerId = 'a';
+    expert.updateGameState(state);
+    assert(expert.strategy.shouldBuy(expert, expert.gameState.board[39]), 'Expert buys a deed it can afford at the start');
+
+    assert(validateRules({ afkBotDifficulty: 'expert' }).afkBotDifficulty === 'expert', 'Expert can stand in for away players');
+
+    const result = withoutConsole(() => simulateGame({
+        players: [{ name: 'expert', difficulty: 'expert', config: { lookaheadRollouts: 3, lookaheadRounds: 4 } }, 'hard'],
+        seed: 'expert-sim',
+        maxTurns: 150
+    }));
+    assert(!result.stuck && result.standings.some(s => s.difficulty === 'expert'), 'Expert plays headless games');
+}
+
+async function testBotRationales() {
+    log('Bot Decision Explanations', 'test');
+
+    const game = new Game('WHY', 'Rationales', 2, false, true, {}, 'rationale-test');
+    game.addPlayer('a', 'Bot');
+    game.addPlayer('b', 'Human');
+    game.start();
+    const [botPlayer, human] = game.players;
+    botPlayer.isBot = true;
+    game.board[37].owner = 'a';
+    botPlayer.properties.push(37);
+    game.board[39].owner = 'b';
+    human.properties.push(39);
+
+    const bot = new Bot(null, 'WHY', 'Explainer', 'hard', 'why');
+    bot.playerId = 'a';
+    bot.updateGameState(game.getState());
+
+    const buy = withoutConsole(() => bot.decideBuy(bot.gameState.board[1]));
+    assert(buy.rationale?.kind === 'buy' && buy.rationale.threshold === bot.config.buyPropertyThreshold &&
+        typeof buy.rationale.values.score === 'number', 'Buy decision explains its score and threshold');
+
+    const auction = { property: bot.gameState.board[39], currentBid: 0, minimumBid: 10 };
+    const bid = withoutConsole(() => bot.decideAuctionAction(auction));
+    assert(bid.rationale?.kind === 'auction' && typeof bid.rationale.threshold === 'number' &&
+        bid.rationale.flags.blocksOpponent === null, 'Auction decision explains its limit');
+
+    const trade = { id: 't1', from: 'b', to: 'a', offer: { money: 50, properties: [] }, request: { money: 0, properties: [37] } };
+    const answer = withoutConsole(() => bot.decideTradeResponse(trade));
+    assert(answer.action === 'declineTrade' && answer.rationale.flags.givesOpponentMonopoly &&
+        answer.rationale.threshold > answer.rationale.values.ratio, 'Trade answer flags a monopoly giveaway and the ratio it needed');
+
+    // The reasons land on the log line the action wrote
+    let logStart = game.fullLog.length;
+    game.addLog('Bot bid £20');
+    const recorded = game.recordBotRationale(botPlayer, 'auctionBid', { ...bid.rationale, values: { nested: { a: 1 }, maxBid: 20 } }, logStart);
+    assert(game.fullLog[logStart].rationale?.summary === bid.rationale.summary, 'Rationale is attached to the action\'s log line');
+    assert(recorded.playerId === 'a' && recorded.action === 'auctionBid' && !('nested' in recorded.values) && recorded.values.maxBid === 20,
+        'Recorded decision keeps only flat values');
+    assert(game.recordBotRationale(human, 'auctionBid', bid.rationale) === null, 'Only bots can explain themselves');
+
+    logStart = game.fullLog.length;
+    game.recordBotRationale(botPlayer, 'declineTrade', answer.rationale, logStart);
+    assert(game.fullLog[logStart]?.message.startsWith('Bot:') && game.fullLog[logStart].rationale, 'Actions that log nothing get a line for their reasons');
+    assert(game.getState().gameLog.some(entry => entry.rationale), 'Explanations reach the client with the log');
+    assert(game.getArchiveRecord().botDecisions.length === 2, 'Decisions are archived for analysis');
+
+    const result = withoutConsole(() => simulateGame({ players: ['medium', 'hard'], seed: 'rationale-sim', maxTurns: 100, explain: true }));
+    assert(result.decisions.length > 0 && result.decisions.every(d => typeof d.summary === 'string'), 'Headless games can record every explanation');
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // INTEGRATION TESTS - Socket.io Communication
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1000,13 +2583,10 @@ async function testEdgeCases() {
     game.canRollAgain = true;
 
     // Force a doubles roll
-    const originalRandom = Math.random;
-    Math.random = () => 0.1; // Will give die value of 1
+    game.rng.next = () => 0.1; // Will give die value of 1
 
     game.rollDice();
 
-    Math.random = originalRandom;
-
     assert(player.inJail === true, 'Triple doubles sends to jail');
     assert(game.canRollAgain === false, 'Cannot roll again after going to jail');
 
@@ -1234,14 +2814,12 @@ async function testBotDifficultyAuctionBehavior() {
     hardBot.gameState = { players: [hardPlayer], board: game.board, auction: null };
 
     // Mock random for consistent testing
-    const originalRandom = Math.random;
-    Math.random = () => 0.5;
+    easyBot.random = () => 0.5;
+    hardBot.random = () => 0.5;
 
     const easyLimit = easyBot.calculateAuctionLimit(testProp);
     const hardLimit = hardBot.calculateAuctionLimit(testProp);
 
-    Math.random = originalRandom;
-
     assert(
         hardLimit >= easyLimit,
         'Hard bot has higher auction limit than Easy',
@@ -1280,14 +2858,12 @@ async function testBotDifficultyBlockingBehavior() {
     easyBot.wouldCompleteOpponentMonopoly = () => ({ id: 'opponent', name: 'Opponent' });
     hardBot.wouldCompleteOpponentMonopoly = () => ({ id: 'opponent', name: 'Opponent' });
 
-    const originalRandom = Math.random;
-    Math.random = () => 0.5;
+    easyBot.random = () => 0.5;
+    hardBot.random = () => 0.5;
 
     const easyLimit = easyBot.calculateAuctionLimit(blockingProp);
     const hardLimit = hardBot.calculateAuctionLimit(blockingProp);
 
-    Math.random = originalRandom;
-
     // Hard bot should bid much higher to block (because recognizesBlocking = true)
     assert(
         hardLimit > easyLimit,
@@ -1393,11 +2969,36 @@ async function runAllTests() {
     await testEndTurn();
     await testBotTimeout();
     await testGameState();
+    await testHouseRules();
+    await testSeededRng();
+    await testActionJournal();
+    await testCreditorBankruptcy();
+    await testBankruptcyAuctionQueue();
+    await testAuctionClock();
+    await testTurnTimer();
+    await testDisconnectTakeover();
+    await testSeatTokens();
+    await testStablePlayerIds();
+    await testSpectators();
+    await testChat();
+    await testCounterTrade();
+    await testTradeExtras();
+    await testTradeValidation();
+    await testTradeLifecycle();
+    await testMultiTrade();
 
     // Unit Tests - Game Manager
     console.log('\n\n═══ UNIT TESTS: Game Manager ═══');
     await testGameManager();
     await testGamePersistence();
+    await testStorage();
+    await testMatchHistory();
+    await testProfiles();
+    await testSimulator();
+    await testTournament();
+    await testBotStrategies();
+    await testExpertBot();
+    await testBotRationales();
 
     // Debt System Tests
     console.log('\n\n═══ DEBT SYSTEM TESTS ═══');
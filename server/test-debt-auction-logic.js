@@ -193,8 +193,7 @@ function testBotAuctionLogic() {
 
     // Test Handle Auction Pass
 
-    const originalRandom = Math.random;
-    Math.random = () => 0.0; // Force the "give up" check to PASS (0.0 < 0.3)
+    bot.random = () => 0.0; // Force the "give up" check to PASS (0.0 < 0.3)
 
     let actionEmitted = null;
     bot.socket.emit = (action, data) => { actionEmitted = action; };
@@ -220,8 +219,6 @@ function testBotAuctionLogic() {
         log(`Bot Action: ${actionEmitted}`, 'info');
         // This is not a fatal failure if logic is purely probability based, but we forced random()
     }
-
-    Math.random = originalRandom; // Restore
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -324,9 +321,10 @@ function testBotDifficultyLevels() {
         players[difficulty].money = 2000;
     }
 
-    // Mock Math.random to remove randomness for testing
-    const originalRandom = Math.random;
-    Math.random = () => 0.5; // Fixed value for reproducibility
+    // Mock the bots' random source to remove randomness for testing
+    for (const difficulty of difficulties) {
+        bots[difficulty].random = () => 0.5; // Fixed value for reproducibility
+    }
 
     const limitEasy = bots.easy.calculateAuctionLimit(testProp);
     const limitMedium = bots.medium.calculateAuctionLimit(testProp);
@@ -487,8 +485,6 @@ function testBotDifficultyLevels() {
         'Hard bot has more strategic color differentiation than Easy bot'
     );
 
-    Math.random = originalRandom; // Restore
-
     log('Bot Difficulty Tests Passed!', 'success');
 }
 runTests();
@@ -0,0 +1,293 @@
+/**
+ * Bot Tournament
+ * Round-robin of seeded heads-up games between bot configurations, played on the
+ * headless simulator. Results are fitted to Elo-style ratings (Bradley-Terry, with
+ * bootstrap confidence intervals) so a difficulty change can be judged on evidence
+ * rather than on single decisions.
+ *
+ * Entrants are DIFFICULTY_CONFIGS presets, or custom configs read from a JSON file,
+ * optionally playing a strategy from strategies/:
+ *   { "hard-reserve": { "extends": "hard", "minCashReserve": 250 },
+ *     "hard-cautious": { "extends": "hard", "strategy": "cautious" } }
+ *
+ * Usage: node server/tournament.js [--entrants easy,medium,hard] [--games 40] [--seed tournament]
+ *                                  [--configs custom.json] [--max-turns 1000] [--out tournament-report.json]
+ */
+
+const fs = require('fs');
+const { DIFFICULTY_CONFIGS } = require('./bot');
+const { simulateGame, withoutConsole } = require('./simulator');
+const { SeededRng } = require('./rng');
+const { isStrategy } = require('./strategies');
+
+const BASE_RATING = 1500; // Average rating of the field
+const ELO_SCALE = 400; // Rating gap at which the stronger side is expected to score 10:1
+const BOOTSTRAP_SAMPLES = 200;
+const FIT_ITERATIONS = 500;
+const LADDER = ['easy', 'medium', 'hard', 'expert']; // Each should beat the one before it
+
+/**
+ * Turn entrant names into simulator entrants
+ * @param {string[]} names - DIFFICULTY_CONFIGS presets or keys of customConfigs
+ * @param {Object} customConfigs - name -> { extends: preset, strategy, ...setting overrides }; without
+ *   a strategy an entrant plays its difficulty's own
+ * @returns {Object[]} [{ name, difficulty, config, strategy }]
+ */
+function resolveEntrants(names, customConfigs = {}) {
+  if (new Set(names).size !== names.length) {
+    throw new Error('Each entrant can only be entered once');
+  }
+  return names.map(name => {
+    if (Object.hasOwn(customConfigs, name)) {
+      const { extends: base = 'hard', strategy = null, ...config } = customConfigs[name];
+      if (!Object.hasOwn(DIFFICULTY_CONFIGS, base)) {
+        throw new Error(`Config ${name} extends unknown difficulty: ${base}`);
+      }
+      if (strategy !== null && !isStrategy(strategy)) {
+        throw new Error(`Config ${name} uses unknown strategy: ${strategy}`);
+      }
+      return { name, difficulty: base, config, strategy };
+    }
+    if (Object.hasOwn(DIFFICULTY_CONFIGS, name)) {
+      return { name, difficulty: name, config: null, strategy: null };
+    }
+    throw new Error(`Unknown entrant: ${name}`);
+  });
+}
+
+/**
+ * Every entrant plays every other gamesPerPair heads-up games
+ * @returns {Object[]} Matches: { players: [a, b], seed, winner (null for a draw), turns }
+ */
+function playRoundRobin(entrants, { gamesPerPair, seed, maxTurns, rules, auctions }) {
+  const matches = [];
+  for (let i = 0; i < entrants.length; i++) {
+    for (let j = i + 1; j < entrants.length; j++) {
+      const [a, b] = [entrants[i], entrants[j]];
+      for (let k = 0; k < gamesPerPair; k++) {
+        const matchSeed = `${seed}:${a.name}-${b.name}:${k}`;
+        const result = simulateGame({ players: [a, b], seed: matchSeed, maxTurns, rules, auctions });
+        // Games that hit the turn limit count as draws
+        matches.push({ players: [a.name, b.name], seed: matchSeed, winner: result.finished ? result.winner : null, turns: result.turns });
+      }
+    }
+  }
+  return matches;
+}
+
+// Points each side took from a match: 1 for a win, half each for a draw
+function matchScore(match, name) {
+  if (match.winner === null) return 0.5;
+  return match.winner === name ? 1 : 0;
+}
+
+/**
+ * Bradley-Terry fit of match results, on the Elo scale with the field averaging BASE_RATING.
+ * Every pair is credited with one extra drawn game so an entrant that never won (or never
+ * lost) still gets a finite rating.
+ * @param {string[]} names - Entrant names
+ * @param {Object[]} matches - From playRoundRobin
+ * @returns {Object} name -> rating
+ */
+function fitRatings(names, matches) {
+  const index = new Map(names.map((name, i) => [name, i]));
+  const n = names.length;
+  const games = names.map(() => new Array(n).fill(0));
+  const points = new Array(n).fill(0);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      games[i][j] += 1;
+      points[i] += 0.5;
+    }
+  }
+  matches.forEach(match => {
+    const [a, b] = match.players.map(name => index.get(name));
+    games[a][b]++;
+    games[b][a]++;
+    points[a] += matchScore(match, match.players[0]);
+    points[b] += matchScore(match, match.players[1]);
+  });
+
+  // Minorization-maximization: strength_i = points_i / sum_j games_ij / (strength_i + strength_j)
+  let strength = new Array(n).fill(1);
+  for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+    const next = strength.map((s, i) => {
+      let denominator = 0;
+      for (let j = 0; j < n; j++) {
+        if (games[i][j]) denominator += games[i][j] / (s + strength[j]);
+      }
+      return denominator ? points[i] / denominator : s;
+    });
+    const change = Math.max(...next.map((s, i) => Math.abs(s - strength[i])));
+    strength = next;
+    if (change < 1e-9) break;
+  }
+
+  const logs = strength.map(s => ELO_SCALE * Math.log10(s));
+  const mean = logs.reduce((sum, r) => sum + r, 0) / n;
+  const ratings = {};
+  names.forEach((name, i) => {
+    ratings[name] = BASE_RATING + logs[i] - mean;
+  });
+  return ratings;
+}
+
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const low = Math.floor(position);
+  const high = Math.ceil(position);
+  return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+}
+
+/**
+ * 95% confidence interval for each rating: refit on matches resampled with replacement
+ * @returns {Object} name -> { low, high }
+ */
+function bootstrapRatings(names, matches, seed, samples = BOOTSTRAP_SAMPLES) {
+  const rng = new SeededRng(`${seed}:bootstrap`);
+  const draws = Object.fromEntries(names.map(name => [name, []]));
+  for (let sample = 0; sample < samples; sample++) {
+    const resampled = matches.map(() => matches[rng.nextInt(matches.length)]);
+    const ratings = fitRatings(names, resampled);
+    names.forEach(name => draws[name].push(ratings[name]));
+  }
+  const intervals = {};
+  names.forEach(name => {
+    const sorted = draws[name].sort((a, b) => a - b);
+    intervals[name] = { low: percentile(sorted, 0.025), high: percentile(sorted, 0.975) };
+  });
+  return intervals;
+}
+
+// Head-to-head record of a against b, with a 95% interval on a's score
+function headToHead(a, b, matches) {
+  const played = matches.filter(m => m.players.includes(a) && m.players.includes(b));
+  const wins = played.filter(m => m.winner === a).length;
+  const losses = played.filter(m => m.winner === b).length;
+  const draws = played.length - wins - losses;
+  const score = played.length ? (wins + draws / 2) / played.length : null;
+  const margin = played.length ? 1.96 * Math.sqrt(score * (1 - score) / played.length) : null;
+  return {
+    players: [a, b],
+    games: played.length,
+    wins,
+    losses,
+    draws,
+    score,
+    scoreLow: score === null ? null : Math.max(0, score - margin),
+    scoreHigh: score === null ? null : Math.min(1, score + margin)
+  };
+}
+
+/**
+ * Play a tournament and report on it
+ * @param {Object} options
+ * @param {string[]} options.entrants - Names, see resolveEntrants
+ * @param {Object} options.configs - Custom configs, see resolveEntrants
+ * @param {number} options.gamesPerPair - Games each pair of entrants plays
+ * @param {string} options.seed - Tournament seed; the same options give the same report
+ * @returns {Object} Machine-readable report
+ */
+function runTournament({ entrants = LADDER, configs = {}, gamesPerPair = 40, seed = 'tournament', maxTurns = 1000, rules = {}, auctions = true, quiet = true } = {}) {
+  const field = resolveEntrants(entrants, configs);
+  if (field.length < 2) {
+    throw new Error('A tournament needs at least two entrants');
+  }
+  const startedAt = Date.now();
+  const play = () => playRoundRobin(field, { gamesPerPair, seed, maxTurns, rules, auctions });
+  const matches = quiet ? withoutConsole(play) : play();
+
+  const names = field.map(e => e.name);
+  const ratings = fitRatings(names, matches);
+  const intervals = bootstrapRatings(names, matches, seed);
+
+  const pairs = [];
+  names.forEach((a, i) => names.slice(i + 1).forEach(b => pairs.push(headToHead(a, b, matches))));
+
+  // Does each built-in difficulty beat the one below it? Only counted as shown when the whole interval is above 50%.
+  const ladder = [];
+  const rungs = LADDER.filter(name => names.includes(name));
+  for (let i = 1; i < rungs.length; i++) {
+    const record = headToHead(rungs[i], rungs[i - 1], matches);
+    ladder.push({
+      stronger: rungs[i],
+      weaker: rungs[i - 1],
+      score: record.score,
+      ratingGap: ratings[rungs[i]] - ratings[rungs[i - 1]],
+      holds: record.score > 0.5,
+      significant: record.scoreLow > 0.5
+    });
+  }
+
+  return {
+    seed,
+    gamesPerPair,
+    maxTurns,
+    games: matches.length,
+    draws: matches.filter(m => m.winner === null).length,
+    elapsedMs: Date.now() - startedAt,
+    entrants: field,
+    ratings: names
+      .map(name => ({
+        name,
+        rating: Math.round(ratings[name]),
+        low: Math.round(intervals[name].low),
+        high: Math.round(intervals[name].high),
+        games: matches.filter(m => m.players.includes(name)).length,
+        score: matches.reduce((sum, m) => sum + (m.players.includes(name) ? matchScore(m, name) : 0), 0)
+      }))
+      .sort((a, b) => b.rating - a.rating),
+    pairs,
+    ladder,
+    matches
+  };
+}
+
+function formatTournament(report) {
+  const pct = value => (value === null ? '-' : `${(value * 100).toFixed(0)}%`);
+  const lines = [
+    `${report.games} games (${report.gamesPerPair} per pair), seed "${report.seed}", ${report.draws} drawn at the ${report.maxTurns}-turn limit`,
+    ''
+  ];
+  report.ratings.forEach((r, i) => {
+    lines.push(`${i + 1}. ${r.name.padEnd(16)} ${String(r.rating).padStart(5)}  (95% ${r.low}-${r.high})  ${r.score}/${r.games}`);
+  });
+  lines.push('');
+  report.pairs.forEach(p => {
+    lines.push(`${p.players[0]} vs ${p.players[1]}: ${p.wins}-${p.losses}-${p.draws}, scores ${pct(p.score)} (95% ${pct(p.scoreLow)}-${pct(p.scoreHigh)})`);
+  });
+  if (report.ladder.length) lines.push('');
+  report.ladder.forEach(step => {
+    const verdict = step.significant ? 'yes' : step.holds ? 'yes, but not significant' : 'NO';
+    lines.push(`${step.stronger} beats ${step.weaker}? ${verdict} (${pct(step.score)}, ${step.ratingGap >= 0 ? '+' : ''}${Math.round(step.ratingGap)} Elo)`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = { runTournament, resolveEntrants, fitRatings, bootstrapRatings, formatTournament };
+
+// CLI support
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  const configsFile = option('configs', null);
+  const configs = configsFile ? JSON.parse(fs.readFileSync(configsFile, 'utf8')) : {};
+  const out = option('out', 'tournament-report.json');
+
+  const report = runTournament({
+    entrants: option('entrants', LADDER.join(',')).split(','),
+    configs,
+    gamesPerPair: parseInt(option('games', '40')),
+    seed: option('seed', 'tournament'),
+    maxTurns: parseInt(option('max-turns', '1000'))
+  });
+  fs.writeFileSync(out, JSON.stringify(report, null, 2));
+  console.log(formatTournament(report));
+  console.log(`\nReport written to ${out}`);
+}